@@ -0,0 +1,21 @@
+// Credit notes reduce what a party owes on a bill, debit notes add to it
+const NOTE_TYPES = ['CREDIT', 'DEBIT'];
+
+// Numbering series of each note type (see utils/numbering)
+const NOTE_SERIES = {
+  CREDIT: 'creditNote',
+  DEBIT: 'debitNote'
+};
+
+// Why a bill is adjusted after it was raised
+const NOTE_REASONS = ['SHORTAGE_CLAIM', 'DAMAGE_CLAIM', 'DETENTION', 'RATE_DIFFERENCE', 'OTHER'];
+
+// Notes are issued, and voided instead of deleted
+const NOTE_STATUSES = ['ISSUED', 'VOID'];
+
+module.exports = {
+  NOTE_TYPES,
+  NOTE_SERIES,
+  NOTE_REASONS,
+  NOTE_STATUSES
+};
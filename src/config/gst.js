@@ -0,0 +1,24 @@
+// GST configuration for Goods Transport Agency (GTA) services
+const GST_MODES = ['RCM', 'FORWARD'];
+
+// A configured rate of 0 (exempt supplies) is kept; only unset or non-numeric values fall back
+const rateFromEnv = (value, fallback) => {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? rate : fallback;
+};
+
+const gstConfig = {
+  // Reverse charge (recipient pays the tax) is the usual arrangement for GTA services
+  defaultMode: GST_MODES.includes(process.env.GST_DEFAULT_MODE) ? process.env.GST_DEFAULT_MODE : 'RCM',
+
+  // Default tax rate (percent) for each charge mode
+  rates: {
+    RCM: rateFromEnv(process.env.GST_RATE_RCM, 5),
+    FORWARD: rateFromEnv(process.env.GST_RATE_FORWARD, 12)
+  }
+};
+
+module.exports = {
+  GST_MODES,
+  gstConfig
+};
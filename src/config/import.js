@@ -0,0 +1,15 @@
+// Limits for spreadsheet imports of transport entries
+const importConfig = {
+  // Largest accepted upload (megabytes)
+  maxFileSizeMb: parseFloat(process.env.IMPORT_MAX_FILE_SIZE_MB) || 10,
+
+  // Most data rows accepted in one file
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 10000,
+
+  // Entries inserted per insertMany call in commit mode
+  batchSize: parseInt(process.env.IMPORT_BATCH_SIZE, 10) || 500
+};
+
+module.exports = {
+  importConfig
+};
@@ -0,0 +1,6 @@
+// Consolidated invoices are issued, and voided instead of deleted
+const INVOICE_STATUSES = ['ISSUED', 'VOID'];
+
+module.exports = {
+  INVOICE_STATUSES
+};
@@ -0,0 +1,6 @@
+// Roles a party can play on a transport entry
+const PARTY_ROLES = ['CONSIGNOR', 'CONSIGNEE', 'BILLING'];
+
+module.exports = {
+  PARTY_ROLES
+};
@@ -0,0 +1,12 @@
+// Trash settings for soft-deleted transport entries
+const trashConfig = {
+  // Days a deleted entry stays restorable before it is purged for good
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+
+  // How often the background purge runs (hours)
+  purgeIntervalHours: parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24
+};
+
+module.exports = {
+  trashConfig
+};
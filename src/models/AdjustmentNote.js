@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const { GST_MODES } = require('../config/gst');
+const { NOTE_TYPES, NOTE_SERIES, NOTE_REASONS, NOTE_STATUSES } = require('../config/adjustmentNotes');
+const { allocateDocumentNumbers } = require('../utils/numbering');
+
+// Credit or debit note adjusting a bill after it was raised. It refers to
+// either a transport entry or a consolidated invoice and carries the GST on
+// the adjusted value, worked out the same way as on the original bill.
+const adjustmentNoteSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Note type is required'],
+    enum: {
+      values: NOTE_TYPES,
+      message: 'Note type must be one of: ' + NOTE_TYPES.join(', ')
+    }
+  },
+  noteNo: {
+    type: String,
+    required: [true, 'Note number is required'],
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Note date is required'],
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: {
+      values: NOTE_REASONS,
+      message: 'Reason must be one of: ' + NOTE_REASONS.join(', ')
+    }
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot be more than 500 characters']
+  },
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: [true, 'Party is required']
+  },
+  // Party details when the note was issued
+  billedTo: {
+    name: String,
+    gstin: String,
+    address: String
+  },
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportEntry',
+    default: null
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  // Number of the bill being adjusted (entry invoice number or consolidated invoice number)
+  reference: {
+    type: String
+  },
+  gst: {
+    mode: {
+      type: String,
+      enum: GST_MODES
+    },
+    rate: Number,
+    supplyType: String,
+    taxableValue: {
+      type: Number,
+      required: [true, 'Taxable value is required'],
+      min: [0.01, 'Taxable value must be greater than 0']
+    },
+    cgstRate: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    grandTotal: { type: Number, default: 0 }
+  },
+  // What the note changes the party's balance by (taxable value alone under RCM)
+  amount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: NOTE_STATUSES,
+    default: 'ISSUED'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void reason cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+adjustmentNoteSchema.index({ userId: 1, noteNo: 1 }, { unique: true });
+adjustmentNoteSchema.index({ userId: 1, party: 1, date: 1 });
+adjustmentNoteSchema.index({ entry: 1 });
+adjustmentNoteSchema.index({ invoice: 1 });
+
+// Pre-validate middleware to check the note refers to exactly one bill
+adjustmentNoteSchema.pre('validate', function(next) {
+  if (Boolean(this.entry) === Boolean(this.invoice)) {
+    this.invalidate('entry', 'A note must refer to either a transport entry or an invoice');
+  }
+  this.amount = this.gst.grandTotal;
+  next();
+});
+
+// Pre-validate middleware to number new notes from their type's series
+adjustmentNoteSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.noteNo && NOTE_SERIES[this.type]) {
+      const user = await User.findById(this.userId).select('numbering').lean();
+      [this.noteNo] = await allocateDocumentNumbers({
+        Model: this.constructor,
+        user,
+        userId: this.userId,
+        series: NOTE_SERIES[this.type],
+        date: this.date
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('AdjustmentNote', adjustmentNoteSchema);
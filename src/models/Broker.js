@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { COMMISSION_TYPES } = require('../utils/brokerCommission');
+
+// Brokers who arrange lorries, with the commission they charge per trip
+const brokerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Broker name is required'],
+    trim: true,
+    maxlength: [100, 'Broker name cannot be more than 100 characters']
+  },
+  panNo: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'PAN number cannot be more than 10 characters']
+  },
+  contactNo: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Contact number cannot be more than 20 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot be more than 500 characters']
+  },
+  commission: {
+    type: {
+      type: String,
+      enum: {
+        values: COMMISSION_TYPES,
+        message: 'Commission type must be one of: ' + COMMISSION_TYPES.join(', ')
+      },
+      default: 'FLAT'
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'Commission cannot be negative']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // Brokers are deactivated rather than deleted because entries refer to them
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+brokerSchema.path('commission.value').validate(function(value) {
+  return this.get('commission.type') !== 'PERCENT' || value <= 100;
+}, 'Commission percent cannot be more than 100');
+
+brokerSchema.index({ userId: 1, name: 1 });
+
+// Broker details and commission rule copied onto a transport entry when it is linked
+brokerSchema.methods.toEntryLink = function() {
+  return {
+    broker: this._id,
+    name: this.name,
+    panNo: this.panNo,
+    rule: {
+      type: this.commission.type,
+      value: this.commission.value
+    }
+  };
+};
+
+module.exports = mongoose.model('Broker', brokerSchema);
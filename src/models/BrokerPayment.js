@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { PAYMENT_MODES } = require('./paymentSchema');
+
+// A commission payment made to a broker (on account, not tied to a trip)
+const brokerPaymentSchema = new mongoose.Schema({
+  brokerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broker',
+    required: [true, 'Broker ID is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Payment date is required'],
+    default: Date.now
+  },
+  mode: {
+    type: String,
+    required: [true, 'Payment mode is required'],
+    enum: {
+      values: PAYMENT_MODES,
+      message: 'Payment mode must be one of: ' + PAYMENT_MODES.join(', ')
+    }
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Payment reference cannot be more than 50 characters']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Payment remarks cannot be more than 200 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+brokerPaymentSchema.index({ userId: 1, brokerId: 1, date: 1 });
+
+module.exports = mongoose.model('BrokerPayment', brokerPaymentSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters used to allocate document numbers atomically
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Atomically reserve a range of consecutive sequence numbers.
+ * When the counter does not exist yet and a seed function is given, the
+ * counter is first raised to the seed value (e.g. the highest number already
+ * in use) with $max, so concurrent first callers still get distinct numbers.
+ * @param {string} key - Counter key (e.g. "transportEntry:<userId>:2024-25")
+ * @param {number} count - How many numbers to reserve (default: 1)
+ * @param {Function} seed - Optional async function returning the starting floor
+ * @returns {Promise<number>} - First number of the reserved range
+ */
+counterSchema.statics.reserve = async function(key, count = 1, seed = null) {
+  if (seed && !(await this.exists({ key }))) {
+    await this.raise(key, 0, seed);
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq - count + 1;
+};
+
+/**
+ * Atomically raise a counter so the next number is above the given floor.
+ * A counter that does not exist yet is also raised to its seed value.
+ * @param {string} key - Counter key
+ * @param {number} floor - Minimum value for the last allocated number
+ * @param {Function} seed - Optional async function returning the starting floor
+ * @returns {Promise<Object>} - Updated counter
+ */
+counterSchema.statics.raise = async function(key, floor = 0, seed = null) {
+  let value = Number(floor) || 0;
+  if (seed && !(await this.exists({ key }))) {
+    value = Math.max(value, Number(await seed()) || 0);
+  }
+
+  return this.findOneAndUpdate(
+    { key },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Atomically allocate the next sequence number
+ * @param {string} key - Counter key
+ * @param {Function} seed - Optional async function returning the starting floor
+ * @returns {Promise<number>} - Allocated number
+ */
+counterSchema.statics.next = function(key, seed = null) {
+  return this.reserve(key, 1, seed);
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Drivers, with the licence details checked when they are assigned to a trip
+const driverSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Driver name is required'],
+    trim: true,
+    maxlength: [100, 'Driver name cannot be more than 100 characters']
+  },
+  mobile: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Mobile number cannot be more than 20 characters']
+  },
+  licenceNo: {
+    type: String,
+    required: [true, 'Licence number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Licence number cannot be more than 50 characters']
+  },
+  licenceExpiry: {
+    type: Date,
+    required: [true, 'Licence expiry date is required']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot be more than 500 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // Drivers are deactivated rather than deleted because entries refer to them
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+driverSchema.index({ userId: 1, licenceNo: 1 }, { unique: true });
+driverSchema.index({ userId: 1, name: 1 });
+driverSchema.index({ userId: 1, licenceExpiry: 1 });
+
+// Whether the licence has expired on the given date
+driverSchema.methods.isLicenceExpired = function(on = new Date()) {
+  return this.licenceExpiry < on;
+};
+
+// Driver details copied onto a transport entry when the driver is assigned
+driverSchema.methods.toEntryLink = function() {
+  return {
+    driver: this._id,
+    name: this.name,
+    mobile: this.mobile,
+    licenceNo: this.licenceNo,
+    licenceExpiry: this.licenceExpiry
+  };
+};
+
+module.exports = mongoose.model('Driver', driverSchema);
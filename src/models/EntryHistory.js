@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const HISTORY_ACTIONS = [
+  'CREATE',
+  'UPDATE',
+  'DELETE',
+  'UNDELETE',
+  'STATUS_CHANGE',
+  'PAYMENT_ADDED',
+  'PAYMENT_REMOVED',
+  'RECEIPT_APPLIED',
+  'INVOICED',
+  'INVOICE_VOIDED',
+  'NOTE_APPLIED',
+  'RESTORE'
+];
+
+// A single changed field: dotted path with its value before and after
+const fieldChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+// Immutable change record for a transport entry. Versions count up from 1 per entry.
+const entryHistorySchema = new mongoose.Schema({
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportEntry',
+    required: true
+  },
+  entryCode: {
+    type: String
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: HISTORY_ACTIONS
+  },
+  changes: [fieldChangeSchema],
+  // Full entry as it was after the change (before it, for deletions)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  restoredFrom: {
+    type: Number
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+entryHistorySchema.index({ entryId: 1, version: 1 }, { unique: true });
+entryHistorySchema.index({ userId: 1, createdAt: -1 });
+
+// Pre-validate middleware to allocate the next version of the entry's history
+entryHistorySchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.version) {
+      const History = this.constructor;
+      const entryId = this.entryId;
+
+      this.version = await Counter.next(`entryHistory:${entryId}`, async () => {
+        const last = await History.findOne({ entryId }).sort({ version: -1 }).select('version').lean();
+        return last ? last.version : 0;
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// History records are written once and never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Entry history records cannot be modified or deleted'));
+};
+
+entryHistorySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+entryHistorySchema.pre([
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+], rejectChange);
+
+entryHistorySchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('EntryHistory', entryHistorySchema);
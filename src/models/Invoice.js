@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const { GST_MODES } = require('../config/gst');
+const { INVOICE_STATUSES } = require('../config/invoices');
+const { allocateDocumentNumbers } = require('../utils/numbering');
+
+// One trip on a consolidated invoice, copied from the entry when invoiced
+const invoiceLineSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportEntry',
+    required: true
+  },
+  entryCode: String,
+  date: Date,
+  vehicleNo: String,
+  from: String,
+  to: String,
+  lrno: String,
+  freight: Number,
+  handleCharges: Number,
+  detention: Number,
+  taxableValue: Number,
+  totalTax: Number,
+  // What the trip adds to the invoice total (taxable value alone under RCM)
+  amount: Number
+}, {
+  _id: false
+});
+
+// Invoice covering many trips of one billing party, numbered from the consolidated invoice series
+const invoiceSchema = new mongoose.Schema({
+  invoiceNo: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Invoice date is required'],
+    default: Date.now
+  },
+  dueDate: {
+    type: Date
+  },
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: [true, 'Party is required']
+  },
+  // Party details when the invoice was raised
+  billedTo: {
+    name: String,
+    gstin: String,
+    pan: String,
+    address: String,
+    phone: String
+  },
+  period: {
+    from: Date,
+    to: Date
+  },
+  lines: {
+    type: [invoiceLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: 'An invoice needs at least one entry'
+    }
+  },
+  gst: {
+    mode: {
+      type: String,
+      enum: GST_MODES
+    },
+    supplyType: String,
+    rate: Number,
+    cgstRate: Number,
+    sgstRate: Number,
+    igstRate: Number
+  },
+  totals: {
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    grandTotal: { type: Number, default: 0 }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'ISSUED'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void reason cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ userId: 1, invoiceNo: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, party: 1, date: -1 });
+
+// Pre-validate middleware to number new invoices from the consolidated invoice series
+invoiceSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew && !this.invoiceNo) {
+      const user = await User.findById(this.userId).select('numbering').lean();
+      [this.invoiceNo] = await allocateDocumentNumbers({
+        Model: this.constructor,
+        user,
+        userId: this.userId,
+        series: 'consolidatedInvoice',
+        date: this.date
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { normalizePlace } = require('../utils/placeName');
+
+// Standard routes between two places, with distance and transit time
+const laneSchema = new mongoose.Schema({
+  origin: {
+    type: String,
+    required: [true, 'Origin is required'],
+    trim: true,
+    maxlength: [100, 'Origin cannot be more than 100 characters']
+  },
+  destination: {
+    type: String,
+    required: [true, 'Destination is required'],
+    trim: true,
+    maxlength: [100, 'Destination cannot be more than 100 characters']
+  },
+  // Other spellings entries use for the same places (e.g. "Bombay" for Mumbai)
+  originAliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
+  destinationAliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot be more than 100 characters']
+  }],
+  distanceKm: {
+    type: Number,
+    required: [true, 'Distance is required'],
+    min: [0, 'Distance cannot be negative']
+  },
+  transitDays: {
+    type: Number,
+    required: [true, 'Transit days are required'],
+    min: [0, 'Transit days cannot be negative'],
+    max: [60, 'Transit days cannot be more than 60']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // Lanes are deactivated rather than deleted because entries refer to them
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Normalized names used to match entries (maintained on validate)
+  routeKey: String,
+  originKeys: [String],
+  destinationKeys: [String],
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to refresh the matching keys
+laneSchema.pre('validate', function(next) {
+  const keys = (names) => [...new Set(names.map(normalizePlace).filter(Boolean))];
+  this.originKeys = keys([this.origin, ...this.originAliases]);
+  this.destinationKeys = keys([this.destination, ...this.destinationAliases]);
+  this.routeKey = `${normalizePlace(this.origin)}>${normalizePlace(this.destination)}`;
+  next();
+});
+
+laneSchema.index({ userId: 1, routeKey: 1 }, { unique: true });
+laneSchema.index({ userId: 1, originKeys: 1 });
+
+// Lane details copied onto a transport entry when it is linked
+laneSchema.methods.toEntryLink = function() {
+  return {
+    lane: this._id,
+    origin: this.origin,
+    destination: this.destination,
+    distanceKm: this.distanceKm,
+    transitDays: this.transitDays
+  };
+};
+
+/**
+ * Find the lane of each entry from its free-text from/to
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Array<Object>} entries - Entries or entry data ({ from, to })
+ * @returns {Promise<Array<Object|null>>} - Lane link per entry (null when no lane matches)
+ */
+laneSchema.statics.matchEntries = async function(userId, entries) {
+  const origins = [...new Set(entries.map(entry => normalizePlace(entry.from)).filter(Boolean))];
+  if (origins.length === 0) return entries.map(() => null);
+
+  const lanes = await this.find({ userId, isActive: true, originKeys: { $in: origins } });
+
+  return entries.map(entry => {
+    const from = normalizePlace(entry.from);
+    const to = normalizePlace(entry.to);
+    const lane = lanes.find(item => item.originKeys.includes(from) && item.destinationKeys.includes(to));
+    return lane ? lane.toEntryLink() : null;
+  });
+};
+
+module.exports = mongoose.model('Lane', laneSchema);
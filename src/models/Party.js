@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { PARTY_ROLES } = require('../config/parties');
+
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Address label cannot be more than 30 characters']
+  },
+  line1: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address line cannot be more than 200 characters']
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address line cannot be more than 200 characters']
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City cannot be more than 100 characters']
+  },
+  state: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'State cannot be more than 100 characters']
+  },
+  pincode: {
+    type: String,
+    trim: true,
+    maxlength: [10, 'Pincode cannot be more than 10 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot be more than 100 characters']
+  },
+  designation: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Designation cannot be more than 50 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone cannot be more than 20 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Email cannot be more than 100 characters']
+  }
+});
+
+// Consignors, consignees and billing customers
+const partySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [100, 'Party name cannot be more than 100 characters']
+  },
+  roles: {
+    type: [{
+      type: String,
+      enum: {
+        values: PARTY_ROLES,
+        message: 'Role must be one of: ' + PARTY_ROLES.join(', ')
+      }
+    }],
+    validate: {
+      validator: roles => roles.length > 0,
+      message: 'A party needs at least one role'
+    }
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [15, 'GST number cannot be more than 15 characters']
+  },
+  pan: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'PAN number cannot be more than 10 characters']
+  },
+  addresses: [addressSchema],
+  contacts: [contactSchema],
+  creditTerms: {
+    creditDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit days cannot be negative'],
+      max: [365, 'Credit days cannot be more than 365']
+    },
+    creditLimit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit limit cannot be negative']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // Parties are deactivated rather than deleted because entries refer to them
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+partySchema.index({ userId: 1, name: 1 });
+partySchema.index({ userId: 1, roles: 1 });
+partySchema.index(
+  { userId: 1, gstin: 1 },
+  { unique: true, partialFilterExpression: { gstin: { $type: 'string' } } }
+);
+
+// Default (or first) address as a single line
+partySchema.methods.formattedAddress = function() {
+  const address = this.addresses.find(item => item.isDefault) || this.addresses[0];
+  if (!address) return '';
+
+  const place = [address.city, address.state].filter(Boolean).join(', ');
+  return [address.line1, address.line2, place && address.pincode ? `${place} - ${address.pincode}` : place || address.pincode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Details copied onto a transport entry at booking time
+partySchema.methods.toSnapshot = function() {
+  const contact = this.contacts[0];
+  return {
+    party: this._id,
+    name: this.name,
+    gstin: this.gstin,
+    pan: this.pan,
+    address: this.formattedAddress(),
+    phone: contact ? contact.phone : undefined
+  };
+};
+
+/**
+ * Find a party that can be billed: receipts and invoices belong to billing customers
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {string} partyId - Party ID
+ * @returns {Promise<Object>} - { party } or { error: { field, message } }
+ */
+partySchema.statics.findBillingParty = async function(userId, partyId) {
+  const party = await this.findOne({ _id: partyId, userId });
+  if (!party) {
+    return { error: { field: 'party', message: 'Party not found' } };
+  }
+  if (!party.roles.includes('BILLING')) {
+    return { error: { field: 'party', message: `${party.name} is not set up as a billing party` } };
+  }
+  return { party };
+};
+
+module.exports = mongoose.model('Party', partySchema);
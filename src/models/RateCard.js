@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { RATE_BASES } = require('../utils/freightRates');
+
+// Freight rate for a lane, optionally for one customer and vehicle type
+const rateCardSchema = new mongoose.Schema({
+  // Billing party the rate was agreed with; null for the default rate card
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    default: null
+  },
+  lane: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lane',
+    required: [true, 'Lane is required']
+  },
+  // Vehicle type as on the vehicle master; empty applies to any vehicle
+  vehicleType: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Vehicle type cannot be more than 50 characters'],
+    default: null
+  },
+  basis: {
+    type: String,
+    required: [true, 'Rate basis is required'],
+    enum: {
+      values: RATE_BASES,
+      message: 'Rate basis must be one of: ' + RATE_BASES.join(', ')
+    }
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  minimumFreight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum freight cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  // Open-ended when not set
+  validTo: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+rateCardSchema.path('validTo').validate(function(value) {
+  return !value || !this.validFrom || value >= this.validFrom;
+}, 'Valid to date cannot be before the valid from date');
+
+// Empty vehicle types are stored as null so "any vehicle" has one representation
+rateCardSchema.pre('validate', function(next) {
+  if (!this.vehicleType) this.vehicleType = null;
+  next();
+});
+
+rateCardSchema.index({ userId: 1, lane: 1, party: 1, validFrom: -1 });
+
+/**
+ * Find the rate card that applies to a trip. A card for the customer beats
+ * the default card, a card for the vehicle type beats one for any vehicle,
+ * and among equals the most recent validFrom wins.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} trip - { party, lane, vehicleType, date }
+ * @returns {Promise<Object|null>} - Rate card document
+ */
+rateCardSchema.statics.findBest = async function(userId, { party, lane, vehicleType, date = new Date() }) {
+  if (!lane) return null;
+
+  const type = vehicleType ? String(vehicleType).trim().toUpperCase() : null;
+  const cards = await this.find({
+    userId,
+    lane,
+    isActive: true,
+    party: { $in: party ? [party, null] : [null] },
+    vehicleType: { $in: type ? [type, null] : [null] },
+    validFrom: { $lte: date },
+    $or: [{ validTo: null }, { validTo: { $gte: date } }]
+  });
+
+  const rank = card => (card.party ? 2 : 0) + (card.vehicleType ? 1 : 0);
+  cards.sort((a, b) => rank(b) - rank(a) || b.validFrom - a.validFrom);
+  return cards[0] || null;
+};
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
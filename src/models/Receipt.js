@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { PAYMENT_MODES } = require('./paymentSchema');
+const { roundAmount } = require('../utils/gst');
+
+// Part of a receipt applied to the bill of one transport entry
+const allocationSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportEntry',
+    required: [true, 'Transport entry is required']
+  },
+  // Entry ID and invoice number when the allocation was made, for statements
+  entryCode: {
+    type: String
+  },
+  invoiceNo: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Allocated amount is required'],
+    min: [0.01, 'Allocated amount must be greater than 0']
+  }
+}, {
+  _id: false
+});
+
+// Money received from a customer. It can be spread over several bills;
+// whatever is not allocated stays on account with the party.
+const receiptSchema = new mongoose.Schema({
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: [true, 'Party is required']
+  },
+  partyName: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Receipt amount is required'],
+    min: [0.01, 'Receipt amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Receipt date is required'],
+    default: Date.now
+  },
+  mode: {
+    type: String,
+    required: [true, 'Payment mode is required'],
+    enum: {
+      values: PAYMENT_MODES,
+      message: 'Payment mode must be one of: ' + PAYMENT_MODES.join(', ')
+    }
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Receipt reference cannot be more than 50 characters']
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Receipt remarks cannot be more than 200 characters']
+  },
+  allocations: [allocationSchema],
+  allocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+receiptSchema.index({ userId: 1, party: 1, date: 1 });
+receiptSchema.index({ 'allocations.entry': 1 });
+
+// Pre-validate middleware to total the allocations and keep them within the receipt amount
+receiptSchema.pre('validate', function(next) {
+  const entryIds = this.allocations.map(allocation => String(allocation.entry));
+  if (new Set(entryIds).size !== entryIds.length) {
+    this.invalidate('allocations', 'An entry can only be allocated once per receipt');
+  }
+
+  this.allocatedAmount = roundAmount(this.allocations.reduce((sum, allocation) => sum + (allocation.amount || 0), 0));
+  this.unallocatedAmount = roundAmount((this.amount || 0) - this.allocatedAmount);
+  if (this.unallocatedAmount < 0) {
+    this.invalidate('allocations', 'Allocated amount cannot be more than the receipt amount');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Receipt', receiptSchema);
@@ -1,11 +1,143 @@
 const mongoose = require('mongoose');
+const User = require('./User');
+const Receipt = require('./Receipt');
+const AdjustmentNote = require('./AdjustmentNote');
+const { paymentSchema } = require('./paymentSchema');
+const { GST_MODES } = require('../config/gst');
+const { calculateGst } = require('../utils/gst');
+const { reconcileTotals, billedAmount, BILLING_STATES, billingState, tripProfit } = require('../utils/entryTotals');
+const { ENTRY_SERIES, allocateDocumentNumbers, assignDocumentNumbers } = require('../utils/numbering');
+const { ENTRY_STATUSES, checkTransition } = require('../utils/statusWorkflow');
+const { calculateCommission, COMMISSION_TYPES } = require('../utils/brokerCommission');
+const { RATE_BASES } = require('../utils/freightRates');
+const { formatDate } = require('../utils/formatters');
+const { trashConfig } = require('../config/trash');
+
+const STATUS_ACTIONS = ['CREATE', 'TRANSITION', 'REOPEN'];
+
+// One step of an entry's status timeline
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: ENTRY_STATUSES
+  },
+  to: {
+    type: String,
+    required: true,
+    enum: ENTRY_STATUSES
+  },
+  action: {
+    type: String,
+    enum: STATUS_ACTIONS,
+    default: 'TRANSITION'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status change reason cannot be more than 500 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Party details as they were when the entry was booked
+const partySnapshotSchema = new mongoose.Schema({
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: true
+  },
+  name: String,
+  gstin: String,
+  pan: String,
+  address: String,
+  phone: String
+}, {
+  _id: false
+});
+
+// Broker who arranged the lorry, with the commission rule in force when linked
+const brokerLinkSchema = new mongoose.Schema({
+  broker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broker',
+    required: true
+  },
+  name: String,
+  panNo: String,
+  rule: {
+    type: {
+      type: String,
+      enum: COMMISSION_TYPES
+    },
+    value: Number
+  },
+  // Computed from the rule on save
+  commission: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+// Driver assigned to the trip, with the licence details at assignment
+const driverLinkSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  name: String,
+  mobile: String,
+  licenceNo: String,
+  licenceExpiry: Date
+}, {
+  _id: false
+});
+
+// Lane (standard route) of the trip, with its distance and transit time
+const laneLinkSchema = new mongoose.Schema({
+  lane: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lane',
+    required: true
+  },
+  origin: String,
+  destination: String,
+  distanceKm: Number,
+  transitDays: Number
+}, {
+  _id: false
+});
+
+// Rate card the freight was pre-filled from
+const freightRateSchema = new mongoose.Schema({
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard',
+    required: true
+  },
+  basis: {
+    type: String,
+    enum: RATE_BASES
+  },
+  rate: Number,
+  quantity: Number
+}, {
+  _id: false
+});
 
 const transportEntrySchema = new mongoose.Schema({
-  // Unique Entry ID (auto-generated)
+  // Entry ID (auto-generated, unique per user)
   id: {
-    type: String,
-    unique: true,
-    sparse: true // Allows null/undefined during creation, but enforces uniqueness when present
+    type: String
   },
   
   // Basic Information
@@ -61,8 +193,9 @@ const transportEntrySchema = new mongoose.Schema({
       default: 0
     },
     lrno: {
-      type: Number,
-      default: 0
+      type: String,
+      trim: true,
+      maxlength: [50, 'LR number cannot be more than 50 characters']
     },
     lrDate: {
       type: Date,
@@ -100,8 +233,72 @@ const transportEntrySchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
+      enum: ENTRY_STATUSES,
       default: 'PENDING'
+    },
+
+    // GST breakdown (computed on save from the total and both GSTINs)
+    gst: {
+      mode: {
+        type: String,
+        enum: {
+          values: GST_MODES,
+          message: 'GST mode must be one of: ' + GST_MODES.join(', ')
+        }
+      },
+      rate: {
+        type: Number,
+        min: [0, 'GST rate cannot be negative'],
+        max: [28, 'GST rate cannot be more than 28']
+      },
+      supplierGstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [15, 'Supplier GST number cannot be more than 15 characters']
+      },
+      supplyType: {
+        type: String,
+        enum: ['INTRA_STATE', 'INTER_STATE']
+      },
+      supplierStateCode: String,
+      recipientStateCode: String,
+      taxableValue: {
+        type: Number,
+        default: 0
+      },
+      cgstRate: {
+        type: Number,
+        default: 0
+      },
+      sgstRate: {
+        type: Number,
+        default: 0
+      },
+      igstRate: {
+        type: Number,
+        default: 0
+      },
+      cgst: {
+        type: Number,
+        default: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0
+      },
+      igst: {
+        type: Number,
+        default: 0
+      },
+      totalTax: {
+        type: Number,
+        default: 0
+      },
+      grandTotal: {
+        type: Number,
+        default: 0
+      }
     }
   },
 
@@ -161,8 +358,9 @@ const transportEntrySchema = new mongoose.Schema({
       default: 0
     },
     lrno: {
-      type: Number,
-      default: 0
+      type: String,
+      trim: true,
+      maxlength: [50, 'LR number cannot be more than 50 characters']
     },
     packages: {
       type: Number,
@@ -214,130 +412,423 @@ const transportEntrySchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Total lorry hire cannot be negative']
     },
-    advAmt1: {
+    balanceAmt: {
       type: Number,
       default: 0,
-      min: [0, 'Advance amount 1 cannot be negative']
-    },
-    advDate1: {
-      type: Date,
-      default: Date.now
+      min: [0, 'Balance amount cannot be negative']
     },
-    neftImpsIdno1: {
+    otherChargesHamaliDetentionHeight: {
       type: String,
       trim: true,
-      maxlength: [50, 'NEFT/IMPS ID 1 cannot be more than 50 characters']
-    },
-    advAmt2: {
-      type: Number,
-      default: 0,
-      min: [0, 'Advance amount 2 cannot be negative']
-    },
-    advDate2: {
-      type: Date,
-      default: Date.now
+      maxlength: [200, 'Other charges description cannot be more than 200 characters']
     },
-    neftImpsIdno2: {
+    deductionInClaimPenalty: {
       type: String,
       trim: true,
-      maxlength: [50, 'NEFT/IMPS ID 2 cannot be more than 50 characters']
+      maxlength: [200, 'Deduction description cannot be more than 200 characters']
     },
-    advAmt3: {
+    deductionAmt: {
       type: Number,
       default: 0,
-      min: [0, 'Advance amount 3 cannot be negative']
+      min: [0, 'Deduction amount cannot be negative']
     },
-    advDate3: {
+    deliveryDate: {
       type: Date,
       default: Date.now
+    }
+  },
+
+  // Payments made to the lorry owner (advances and final settlement)
+  payments: [paymentSchema],
+
+  // What the billed party has paid against this entry's bill (kept in step
+  // with the receipt allocations), the net of credit and debit notes issued
+  // against it, and the resulting billing state
+  billing: {
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount paid cannot be negative']
     },
-    neftImpsIdno3: {
-      type: String,
-      trim: true,
-      maxlength: [50, 'NEFT/IMPS ID 3 cannot be more than 50 characters']
+    adjustmentAmount: {
+      type: Number,
+      default: 0
     },
-    balanceAmt: {
+    // Taxable part of adjustmentAmount (counts towards the trip's revenue)
+    adjustmentTaxableValue: {
       type: Number,
-      default: 0,
-      min: [0, 'Balance amount cannot be negative']
+      default: 0
     },
-    otherChargesHamaliDetentionHeight: {
+    state: {
       type: String,
-      trim: true,
-      maxlength: [200, 'Other charges description cannot be more than 200 characters']
+      enum: BILLING_STATES,
+      default: 'UNPAID'
     },
-    deductionInClaimPenalty: {
-      type: String,
-      trim: true,
-      maxlength: [200, 'Deduction description cannot be more than 200 characters']
+    // Consolidated invoice the entry is on; it is locked until the invoice is voided
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null
     },
-    finalNeftImpsIdno: {
-      type: String,
-      trim: true,
-      maxlength: [50, 'Final NEFT/IMPS ID cannot be more than 50 characters']
+    invoiceNo: {
+      type: String
+    }
+  },
+
+  // Revenue, cost and margin of the trip (computed on save)
+  profit: {
+    revenue: {
+      type: Number,
+      default: 0
     },
-    finalDate: {
-      type: Date,
-      default: Date.now
+    cost: {
+      type: Number,
+      default: 0
     },
-    deliveryDate: {
-      type: Date,
-      default: Date.now
+    margin: {
+      type: Number,
+      default: 0
+    },
+    marginPercent: {
+      type: Number,
+      default: null
     }
   },
 
+  // Assigned driver
+  driver: driverLinkSchema,
+
+  // Lane matched from from/to (or chosen explicitly)
+  lane: laneLinkSchema,
+  // Trip date plus the lane's transit days (computed on save)
+  expectedDeliveryDate: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the freight was quoted from a rate card at booking
+  freightRate: freightRateSchema,
+
+  // Linked broker (commission is computed from the stored rule)
+  broker: brokerLinkSchema,
+
+  // Linked parties (snapshots taken when each party is set)
+  parties: {
+    consignor: partySnapshotSchema,
+    consignee: partySnapshotSchema,
+    billedTo: partySnapshotSchema
+  },
+
+  // Free-form labels for grouping entries (e.g. "march-audit", "disputed")
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [30, 'Tag cannot be more than 30 characters']
+  }],
+
+  // Status timeline (who changed the status, when and why)
+  statusHistory: [statusChangeSchema],
+
+  // Keep client supplied totals even when they disagree with their components
+  totalsOverride: {
+    type: Boolean,
+    default: false
+  },
+
   // User reference
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'User ID is required']
+  },
+
+  // Soft delete: entries in the trash keep these until restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
-// Helper function to get financial year
-function getFinancialYear(date = new Date()) {
-  const currentYear = date.getFullYear();
-  const currentMonth = date.getMonth() + 1; // JavaScript months are 0-indexed
-  
-  // Financial year starts from April (month 4)
-  if (currentMonth >= 4) {
-    // April to March of next year: FY 2024-25
-    return `${currentYear}-${String(currentYear + 1).slice(-2)}`;
-  } else {
-    // January to March: FY 2023-24
-    return `${currentYear - 1}-${String(currentYear).slice(-2)}`;
+// Load the issuing user's GSTIN and numbering settings (once per document)
+async function loadIssuer(doc) {
+  if (doc.$locals.issuer === undefined) {
+    doc.$locals.issuer = doc.userId
+      ? await User.findById(doc.userId).select('profile.gstNumber numbering').lean()
+      : null;
   }
+  return doc.$locals.issuer;
 }
 
-// Pre-save middleware to generate unique ID
+// Pre-validate middleware to derive totals from their components.
+// Mismatch warnings are kept on $locals for the route to return.
+transportEntrySchema.pre('validate', function(next) {
+  this.$locals.warnings = reconcileTotals(this);
+  next();
+});
+
+// Pre-validate middleware to compute the GST split of the bill
+transportEntrySchema.pre('validate', async function(next) {
+  try {
+    const gst = this.transportBillData.gst;
+
+    // Snapshot the issuing user's GSTIN when the entry is created
+    if (this.isNew && !gst.supplierGstin) {
+      const issuer = await loadIssuer(this);
+      gst.supplierGstin = issuer && issuer.profile ? issuer.profile.gstNumber : undefined;
+    }
+
+    // A mode change without an explicit rate falls back to that mode's default rate
+    if (!this.isNew && this.isModified('transportBillData.gst.mode') && !this.isModified('transportBillData.gst.rate')) {
+      gst.rate = undefined;
+    }
+
+    Object.assign(gst, calculateGst({
+      taxableValue: this.transportBillData.total,
+      supplierGstin: gst.supplierGstin,
+      recipientGstin: this.transportBillData.gstno,
+      mode: gst.mode,
+      rate: gst.rate
+    }));
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-validate middleware to compute the broker commission of the trip
+transportEntrySchema.pre('validate', function(next) {
+  if (this.broker && this.broker.broker) {
+    this.broker.commission = calculateCommission(this.broker.rule, this);
+  }
+  next();
+});
+
+// Pre-validate middleware to derive the billing state (after the GST split,
+// since the billed amount is the grand total)
+transportEntrySchema.pre('validate', function(next) {
+  this.billing.state = billingState(billedAmount(this) + (this.billing.adjustmentAmount || 0), this.billing.amountPaid);
+  next();
+});
+
+// Pre-validate middleware to compute the trip's profit (after the totals
+// and the broker commission it is made of)
+transportEntrySchema.pre('validate', function(next) {
+  this.profit = tripProfit(this);
+  next();
+});
+
+// Pre-validate middleware to compute the expected delivery date from the lane
+transportEntrySchema.pre('validate', function(next) {
+  const lane = this.lane;
+  if (lane && lane.lane && typeof lane.transitDays === 'number') {
+    const tripDate = this.date || new Date();
+    this.expectedDeliveryDate = new Date(tripDate.getTime() + lane.transitDays * 24 * 60 * 60 * 1000);
+  } else {
+    this.expectedDeliveryDate = null;
+  }
+  next();
+});
+
+// Pre-validate middleware to warn when the assigned driver's licence has
+// expired by the trip date (checked when the driver or date changes)
+transportEntrySchema.pre('validate', function(next) {
+  const driver = this.driver;
+  if (driver && driver.licenceExpiry && (this.isNew || this.isModified('driver') || this.isModified('date'))) {
+    const tripDate = this.date || new Date();
+    if (driver.licenceExpiry < tripDate) {
+      this.$locals.warnings = [...(this.$locals.warnings || []), {
+        field: 'driver',
+        message: `Licence of ${driver.name} (${driver.licenceNo}) expired on ${formatDate(driver.licenceExpiry)}`
+      }];
+    }
+  }
+  next();
+});
+
+// Pre-validate middleware to open the status timeline of new entries
+transportEntrySchema.pre('validate', function(next) {
+  // An invalid status is reported on transportBillData.status alone
+  if (this.isNew && this.statusHistory.length === 0 && ENTRY_STATUSES.includes(this.transportBillData.status)) {
+    this.statusHistory.push({
+      to: this.transportBillData.status,
+      action: 'CREATE',
+      changedBy: this.userId
+    });
+  }
+  next();
+});
+
+/**
+ * Why the entry cannot be changed, if it is on a consolidated invoice
+ * @returns {string|null} - Error message, or null when the entry is not locked
+ */
+transportEntrySchema.methods.invoiceLock = function() {
+  if (!this.billing || !this.billing.invoice) return null;
+  return `Entry is on invoice ${this.billing.invoiceNo}, void the invoice to change it`;
+};
+
+/**
+ * Why the entry cannot be deleted or billed to another party, if receipts are
+ * allocated to it or credit or debit notes are issued against it (its bill
+ * would leave the ledger of the party they belong to)
+ * @param {string} action - What the caller wants to do, for the message
+ * @returns {Promise<string|null>} - Error message, or null when nothing settles the entry
+ */
+transportEntrySchema.methods.settlementLock = async function(action = 'delete it') {
+  const [receipt, note] = await Promise.all([
+    Receipt.exists({ userId: this.userId, 'allocations.entry': this._id }),
+    AdjustmentNote.exists({ userId: this.userId, entry: this._id, status: 'ISSUED' })
+  ]);
+  if (receipt) return `Entry has receipts allocated to it, remove the allocations to ${action}`;
+  if (note) return `Entry has credit or debit notes against it, void the notes to ${action}`;
+  return null;
+};
+
+/**
+ * Move the entry to a new status if the workflow allows it and record the
+ * change in the status timeline. The caller still has to save the entry.
+ * @param {string} to - Requested status
+ * @param {Object} options - { reason, changedBy, reopen }
+ * @returns {Object} - { allowed, error } from checkTransition
+ */
+transportEntrySchema.methods.transitionStatus = function(to, { reason, changedBy, reopen = false } = {}) {
+  const from = this.transportBillData.status;
+  const result = checkTransition(from, to, { reopen, reason });
+  if (!result.allowed) return result;
+
+  this.transportBillData.status = to;
+  this.statusHistory.push({
+    from,
+    to,
+    action: reopen ? 'REOPEN' : 'TRANSITION',
+    reason,
+    changedBy,
+    changedAt: new Date()
+  });
+
+  return result;
+};
+
+// Static method to reserve a range of entry IDs (for bulk creation)
+transportEntrySchema.statics.reserveIds = async function(userId, date, count) {
+  const user = await User.findById(userId).select('numbering').lean();
+  return allocateDocumentNumbers({ Model: this, user, userId, series: 'entry', date, count });
+};
+
+// Pre-save middleware to number new entries (entry ID, LR and invoice series)
 transportEntrySchema.pre('save', async function(next) {
-  if (!this.id) {
-    // Generate unique ID format: TE-FY2024-25-XXXX
-    const financialYear = getFinancialYear(this.date || new Date());
-    const prefix = `TE-FY${financialYear}-`;
-    
-    // Find the highest sequence number for this financial year
-    const lastEntry = await this.constructor.findOne({
-      id: { $regex: `^TE-FY${financialYear}-` }
-    }).sort({ id: -1 });
-    
-    let sequence = 1;
-    if (lastEntry) {
-      const parts = lastEntry.id.split('-');
-      const lastSequence = parseInt(parts[parts.length - 1]);
-      if (!isNaN(lastSequence)) {
-        sequence = lastSequence + 1;
+  try {
+    if (this.isNew || !this.id) {
+      await assignDocumentNumbers({
+        Model: this.constructor,
+        user: await loadIssuer(this),
+        userId: this.userId,
+        docs: [this],
+        series: this.isNew ? ENTRY_SERIES : ['entry']
+      });
+
+      if (!this.ownerData.lrno) {
+        this.ownerData.lrno = this.transportBillData.lrno;
       }
     }
-    
-    this.id = `${prefix}${String(sequence).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pre-insertMany middleware: number entries in one reserved range per user and series
+transportEntrySchema.pre('insertMany', async function(next, docs) {
+  try {
+    const byUser = new Map();
+    (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+      const key = String(doc.userId);
+      if (!byUser.has(key)) byUser.set(key, []);
+      byUser.get(key).push(doc);
+    });
+
+    for (const userDocs of byUser.values()) {
+      const userId = userDocs[0].userId;
+      const user = await User.findById(userId).select('numbering').lean();
+      await assignDocumentNumbers({ Model: this, user, userId, docs: userDocs });
+
+      userDocs.forEach(doc => {
+        if (doc.ownerData && !doc.ownerData.lrno && doc.transportBillData) {
+          doc.ownerData.lrno = doc.transportBillData.lrno;
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Query middleware to hide trashed entries. Queries whose filter mentions
+// deletedAt, or that run with the { withDeleted: true } option, see everything.
+transportEntrySchema.pre([
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+], function(next) {
+  const filter = this.getFilter();
+  if (!this.getOptions().withDeleted && !Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+// Aggregate middleware to hide trashed entries unless the first $match mentions deletedAt
+transportEntrySchema.pre('aggregate', function(next) {
+  const firstStage = this.pipeline()[0];
+  const match = firstStage && firstStage.$match;
+  if (!match || !Object.prototype.hasOwnProperty.call(match, 'deletedAt')) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
   }
   next();
 });
 
+// Move the entry to the trash (validation is skipped so old entries can always be deleted)
+transportEntrySchema.methods.softDelete = function(deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Take the entry back out of the trash
+transportEntrySchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Date after which a trashed entry is purged
+transportEntrySchema.methods.purgeDate = function(retentionDays = trashConfig.retentionDays) {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+};
+
+// Static method to permanently remove entries that have been in the trash too long
+transportEntrySchema.statics.purgeDeleted = function(retentionDays = trashConfig.retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  return this.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+};
+
 // Indexes for better query performance
+transportEntrySchema.index({ userId: 1, id: 1 }, { unique: true }); // Entry IDs are unique per user
 transportEntrySchema.index({ id: 1 }); // Index for custom ID
 transportEntrySchema.index({ userId: 1 });
 transportEntrySchema.index({ vehicleNo: 1 });
@@ -346,6 +837,16 @@ transportEntrySchema.index({ 'transportBillData.status': 1 });
 transportEntrySchema.index({ 'transportBillData.invoiceNo': 1 });
 transportEntrySchema.index({ date: -1 });
 transportEntrySchema.index({ createdAt: -1 });
+transportEntrySchema.index({ userId: 1, deletedAt: -1 });
+transportEntrySchema.index({ userId: 1, tags: 1 });
+transportEntrySchema.index({ 'broker.broker': 1, date: 1 });
+transportEntrySchema.index({ 'driver.driver': 1, date: -1 });
+transportEntrySchema.index({ userId: 1, 'lane.lane': 1, date: -1 });
+transportEntrySchema.index({ 'parties.billedTo.party': 1 });
+transportEntrySchema.index({ userId: 1, 'billing.state': 1 });
+transportEntrySchema.index({ 'billing.invoice': 1 });
+transportEntrySchema.index({ 'parties.consignor.party': 1 });
+transportEntrySchema.index({ 'parties.consignee.party': 1 });
 
 // Text search index for search functionality
 transportEntrySchema.index({
@@ -11,6 +11,32 @@ const {
   isValidCompanyName
 } = require('../utils/validators');
 
+// Numbering scheme for one document series; unset fields fall back to the defaults
+const numberingSchemeSchema = new mongoose.Schema({
+  prefix: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Numbering prefix cannot be more than 30 characters']
+  },
+  suffix: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Numbering suffix cannot be more than 30 characters']
+  },
+  padding: {
+    type: Number,
+    min: [1, 'Numbering padding must be at least 1'],
+    max: [10, 'Numbering padding cannot be more than 10']
+  },
+  resetEveryFinancialYear: {
+    type: Boolean
+  },
+  startAt: {
+    type: Number,
+    min: [1, 'Starting number must be at least 1']
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -119,6 +145,15 @@ const userSchema = new mongoose.Schema({
       maxlength: [200, 'Bank branch name cannot be more than 200 characters']
     }
   },
+  // Document numbering for entry IDs, LR, invoice, consolidated invoice, credit note and debit note numbers
+  numbering: {
+    entry: numberingSchemeSchema,
+    lr: numberingSchemeSchema,
+    invoice: numberingSchemeSchema,
+    consolidatedInvoice: numberingSchemeSchema,
+    creditNote: numberingSchemeSchema,
+    debitNote: numberingSchemeSchema
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
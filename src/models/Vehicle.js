@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { normalizeVehicleNo } = require('../utils/vehicleNumber');
+
+// Owner fields kept on the vehicle master and copied into transport entries
+// (same names as in TransportEntry.ownerData)
+const VEHICLE_OWNER_FIELDS = [
+  'ownerNameAndAddress',
+  'panNo',
+  'contactNo',
+  'chasisNo',
+  'engineNo',
+  'insuranceCo',
+  'policyNo',
+  'policyDate'
+];
+
+const vehicleSchema = new mongoose.Schema({
+  // Stored normalized (no spaces or hyphens) so each truck has one record
+  vehicleNo: {
+    type: String,
+    required: [true, 'Vehicle number is required'],
+    set: normalizeVehicleNo,
+    maxlength: [20, 'Vehicle number cannot be more than 20 characters']
+  },
+  vehicleType: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Vehicle type cannot be more than 50 characters']
+  },
+  ownerNameAndAddress: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Owner name and address cannot be more than 500 characters']
+  },
+  panNo: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'PAN number cannot be more than 10 characters']
+  },
+  contactNo: {
+    type: Number
+  },
+  chasisNo: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Chassis number cannot be more than 50 characters']
+  },
+  engineNo: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Engine number cannot be more than 50 characters']
+  },
+  insuranceCo: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Insurance company cannot be more than 100 characters']
+  },
+  policyNo: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Policy number cannot be more than 50 characters']
+  },
+  policyDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+
+  // User reference
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+vehicleSchema.index({ userId: 1, vehicleNo: 1 }, { unique: true });
+
+// Owner data of the vehicle in TransportEntry.ownerData shape (set fields only)
+vehicleSchema.methods.ownerData = function() {
+  const ownerData = {};
+  VEHICLE_OWNER_FIELDS.forEach(field => {
+    if (this[field] !== undefined && this[field] !== null && this[field] !== '') {
+      ownerData[field] = this[field];
+    }
+  });
+  return ownerData;
+};
+
+/**
+ * Fill blank owner fields of new transport entry data from the vehicle master.
+ * Values the client sent are never overwritten.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Array<Object>} entries - Plain entry data objects (modified in place)
+ * @returns {Promise<number>} - Number of entries that matched a vehicle
+ */
+vehicleSchema.statics.autoFillEntries = async function(userId, entries) {
+  const numbers = [...new Set(entries.map(entry => normalizeVehicleNo(entry.vehicleNo)).filter(Boolean))];
+  if (numbers.length === 0) return 0;
+
+  const vehicles = await this.find({ userId, vehicleNo: { $in: numbers } });
+  const byNumber = new Map(vehicles.map(vehicle => [vehicle.vehicleNo, vehicle]));
+
+  let matched = 0;
+  entries.forEach(entry => {
+    const vehicle = byNumber.get(normalizeVehicleNo(entry.vehicleNo));
+    if (!vehicle) return;
+
+    matched++;
+    entry.ownerData = { ...entry.ownerData };
+    Object.entries(vehicle.ownerData()).forEach(([field, value]) => {
+      const current = entry.ownerData[field];
+      if (current === undefined || current === null || current === '' || current === 0) {
+        entry.ownerData[field] = value;
+      }
+    });
+  });
+
+  return matched;
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
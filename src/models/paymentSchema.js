@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_MODES = ['CASH', 'NEFT', 'IMPS', 'UPI', 'CHEQUE'];
+const PAYMENT_TYPES = ['ADVANCE', 'FINAL'];
+
+// A single payment made to the lorry owner against a transport entry
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Payment date is required'],
+    default: Date.now
+  },
+  mode: {
+    type: String,
+    required: [true, 'Payment mode is required'],
+    enum: {
+      values: PAYMENT_MODES,
+      message: 'Payment mode must be one of: ' + PAYMENT_MODES.join(', ')
+    }
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Payment reference cannot be more than 50 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: PAYMENT_TYPES,
+      message: 'Payment type must be one of: ' + PAYMENT_TYPES.join(', ')
+    },
+    default: 'ADVANCE'
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Payment remarks cannot be more than 200 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Guess the payment mode from a legacy NEFT/IMPS reference
+ * @param {string} reference - Legacy neftImpsIdno value
+ * @returns {string} - Payment mode
+ */
+const guessPaymentMode = (reference) => {
+  if (!reference) return 'CASH';
+  if (/upi/i.test(reference)) return 'UPI';
+  if (/imps/i.test(reference)) return 'IMPS';
+  if (/ch(q|eque)/i.test(reference)) return 'CHEQUE';
+  return 'NEFT';
+};
+
+/**
+ * Convert the legacy fixed payment slots (advAmt1..3, advDate1..3,
+ * neftImpsIdno1..3 and the final payment) into ledger payments
+ * @param {Object} ownerData - Legacy ownerData object
+ * @param {mongoose.Types.ObjectId} recordedBy - User recorded against the payments
+ * @returns {Array<Object>} - Payment objects (empty if no slot was used)
+ */
+const legacyPaymentsFrom = (ownerData = {}, recordedBy) => {
+  const payments = [];
+
+  [1, 2, 3].forEach(slot => {
+    const amount = Number(ownerData[`advAmt${slot}`]) || 0;
+    if (amount <= 0) return;
+
+    const reference = ownerData[`neftImpsIdno${slot}`];
+    payments.push({
+      amount,
+      date: ownerData[`advDate${slot}`] || new Date(),
+      mode: guessPaymentMode(reference),
+      reference,
+      type: 'ADVANCE',
+      remarks: `Migrated from advance slot ${slot}`,
+      recordedBy
+    });
+  });
+
+  // The final payment had a reference but no amount: it settled the stored balance
+  const finalAmount = Number(ownerData.balanceAmt) || 0;
+  if (ownerData.finalNeftImpsIdno && finalAmount > 0) {
+    payments.push({
+      amount: finalAmount,
+      date: ownerData.finalDate || new Date(),
+      mode: guessPaymentMode(ownerData.finalNeftImpsIdno),
+      reference: ownerData.finalNeftImpsIdno,
+      type: 'FINAL',
+      remarks: 'Migrated from final payment',
+      recordedBy
+    });
+  }
+
+  return payments;
+};
+
+// Legacy ownerData fields replaced by the payment ledger
+const LEGACY_PAYMENT_FIELDS = [
+  'advAmt1', 'advDate1', 'neftImpsIdno1',
+  'advAmt2', 'advDate2', 'neftImpsIdno2',
+  'advAmt3', 'advDate3', 'neftImpsIdno3',
+  'finalNeftImpsIdno', 'finalDate'
+];
+
+module.exports = {
+  paymentSchema,
+  PAYMENT_MODES,
+  PAYMENT_TYPES,
+  LEGACY_PAYMENT_FIELDS,
+  legacyPaymentsFrom
+};
@@ -0,0 +1,373 @@
+const express = require('express');
+const router = express.Router();
+const AdjustmentNote = require('../models/AdjustmentNote');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { NOTE_TYPES, NOTE_REASONS, NOTE_STATUSES } = require('../config/adjustmentNotes');
+const { buildDateRange } = require('../utils/dateRange');
+const { resolveNoteTarget, noteGst, creditableAmount, syncEntryAdjustments } = require('../utils/adjustmentNotes');
+const { createAdjustmentNotePdf } = require('../utils/invoicePdf');
+const { formatAmount, toFileName } = require('../utils/formatters');
+
+// Validation middleware
+const validateNote = [
+  body('type')
+    .isIn(NOTE_TYPES)
+    .withMessage(`Type must be one of: ${NOTE_TYPES.join(', ')}`),
+  body('entry')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid transport entry ID'),
+  body('invoice')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid invoice ID'),
+  body('taxableValue')
+    .isFloat({ gt: 0 })
+    .withMessage('Taxable value must be greater than 0'),
+  body('reason')
+    .isIn(NOTE_REASONS)
+    .withMessage(`Reason must be one of: ${NOTE_REASONS.join(', ')}`),
+  body('remarks')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Remarks cannot be more than 500 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date')
+];
+
+const validateVoid = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required to void a note')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('type')
+    .optional()
+    .isIn(NOTE_TYPES)
+    .withMessage(`Type must be one of: ${NOTE_TYPES.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(NOTE_STATUSES)
+    .withMessage(`Status must be one of: ${NOTE_STATUSES.join(', ')}`),
+  query(['party', 'entry', 'invoice'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// @desc    Get credit and debit notes for the authenticated user
+// @route   GET /api/adjustment-notes?type=CREDIT&party&entry&invoice&status&from&to
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id };
+    ['type', 'status', 'party', 'entry', 'invoice'].forEach(key => {
+      if (req.query[key]) query[key] = req.query[key];
+    });
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      query.date = period;
+    }
+
+    const notes = await AdjustmentNote.find(query)
+      .sort({ date: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await AdjustmentNote.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notes,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get adjustment notes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching notes'
+    });
+  }
+});
+
+// @desc    Get single credit or debit note
+// @route   GET /api/adjustment-notes/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const note = await AdjustmentNote.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    console.error('Get adjustment note error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid note ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching note'
+    });
+  }
+});
+
+// @desc    Download a credit or debit note as PDF
+// @route   GET /api/adjustment-notes/:id/note.pdf
+// @access  Private
+router.get('/:id/note.pdf', protect, async (req, res) => {
+  try {
+    const note = await AdjustmentNote.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="note-${toFileName(note.noteNo)}.pdf"`);
+    createAdjustmentNotePdf(note, req.user).pipe(res);
+  } catch (error) {
+    console.error('Generate adjustment note error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid note ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating note'
+    });
+  }
+});
+
+// @desc    Issue a credit or debit note against a transport entry or an invoice
+// @route   POST /api/adjustment-notes
+// @access  Private
+router.post('/', protect, validateNote, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, entry, invoice, taxableValue, reason, remarks, date } = req.body;
+    if (Boolean(entry) === Boolean(invoice)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either entry or invoice'
+      });
+    }
+
+    const { target, error } = await resolveNoteTarget(req.user._id, { entry, invoice }, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [error]
+      });
+    }
+
+    const gst = noteGst(target.gstBasis, taxableValue);
+    if (type === 'CREDIT') {
+      const creditable = await creditableAmount(req.user._id, target);
+      if (gst.grandTotal > creditable) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: [{
+            field: 'taxableValue',
+            message: `Credit on ${target.reference} cannot be more than ${formatAmount(Math.max(creditable, 0))}`
+          }]
+        });
+      }
+    }
+
+    const note = await AdjustmentNote.create({
+      type,
+      date,
+      reason,
+      remarks,
+      party: target.party._id,
+      billedTo: {
+        name: target.party.name,
+        gstin: target.party.gstin,
+        address: target.party.formattedAddress()
+      },
+      entry: target.entry,
+      invoice: target.invoice,
+      reference: target.reference,
+      gst,
+      createdBy: req.user._id,
+      userId: req.user._id
+    });
+    await syncEntryAdjustments(req.user._id, [note.entry], req);
+
+    res.status(201).json({
+      success: true,
+      data: note,
+      message: `${type === 'CREDIT' ? 'Credit' : 'Debit'} note ${note.noteNo} issued`
+    });
+  } catch (error) {
+    console.error('Create adjustment note error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry or invoice ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A note with this number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while issuing note'
+    });
+  }
+});
+
+// @desc    Void a credit or debit note and take it off the bill
+// @route   POST /api/adjustment-notes/:id/void
+// @access  Private
+router.post('/:id/void', protect, validateVoid, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const note = await AdjustmentNote.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Note not found'
+      });
+    }
+
+    if (note.status === 'VOID') {
+      return res.status(400).json({
+        success: false,
+        error: 'Note is already void'
+      });
+    }
+
+    note.status = 'VOID';
+    note.voidedAt = new Date();
+    note.voidedBy = req.user._id;
+    note.voidReason = req.body.reason;
+    await note.save();
+    await syncEntryAdjustments(req.user._id, [note.entry], req);
+
+    res.status(200).json({
+      success: true,
+      data: note,
+      message: `Note ${note.noteNo} voided`
+    });
+  } catch (error) {
+    console.error('Void adjustment note error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid note ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while voiding note'
+    });
+  }
+});
+
+module.exports = router;
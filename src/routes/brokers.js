@@ -0,0 +1,609 @@
+const express = require('express');
+const router = express.Router();
+const Broker = require('../models/Broker');
+const BrokerPayment = require('../models/BrokerPayment');
+const TransportEntry = require('../models/TransportEntry');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { PAYMENT_MODES } = require('../models/paymentSchema');
+const { COMMISSION_TYPES, describeCommission } = require('../utils/brokerCommission');
+const { roundAmount } = require('../utils/gst');
+const { buildDateRange } = require('../utils/dateRange');
+
+// Validation middleware
+const validateBroker = [
+  body('name')
+    .notEmpty()
+    .withMessage('Broker name is required')
+    .isLength({ max: 100 })
+    .withMessage('Broker name cannot be more than 100 characters'),
+  body('panNo')
+    .optional()
+    .isLength({ max: 10 })
+    .withMessage('PAN number cannot be more than 10 characters'),
+  body('contactNo')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Contact number cannot be more than 20 characters'),
+  body('commission.type')
+    .optional()
+    .isIn(COMMISSION_TYPES)
+    .withMessage(`Commission type must be one of: ${COMMISSION_TYPES.join(', ')}`),
+  body('commission.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Commission cannot be negative')
+];
+
+const validatePayment = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('mode')
+    .isIn(PAYMENT_MODES)
+    .withMessage(`Mode must be one of: ${PAYMENT_MODES.join(', ')}`),
+  body('reference')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Reference cannot be more than 50 characters'),
+  body('remarks')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Remarks cannot be more than 200 characters')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters')
+];
+
+const validatePeriod = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// Strip fields the server owns from a request body
+const brokerFields = (data) => {
+  const { _id, userId, isActive, createdAt, updatedAt, ...brokerData } = data;
+  return brokerData;
+};
+
+// Trips of a broker that earn commission (cancelled trips do not)
+const commissionTripsQuery = (userId, brokerId) => ({
+  userId,
+  'broker.broker': brokerId,
+  'transportBillData.status': { $ne: 'CANCELLED' }
+});
+
+// Commission earned and payments made before a date (opening balance of a statement)
+const balanceBefore = async (userId, brokerId, date) => {
+  const [commission] = await TransportEntry.aggregate([
+    { $match: { ...commissionTripsQuery(userId, brokerId), date: { $lt: date } } },
+    { $group: { _id: null, total: { $sum: '$broker.commission' } } }
+  ]);
+  const [paid] = await BrokerPayment.aggregate([
+    { $match: { userId, brokerId, date: { $lt: date } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return roundAmount((commission ? commission.total : 0) - (paid ? paid.total : 0));
+};
+
+// @desc    Get all brokers for the authenticated user
+// @route   GET /api/brokers
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { userId: req.user._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { panNo: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const brokers = await Broker.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Broker.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        brokers,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get brokers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching brokers'
+    });
+  }
+});
+
+// @desc    Get single broker
+// @route   GET /api/brokers/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const broker = await Broker.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!broker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broker not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: broker
+    });
+  } catch (error) {
+    console.error('Get broker error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching broker'
+    });
+  }
+});
+
+// @desc    Create new broker
+// @route   POST /api/brokers
+// @access  Private
+router.post('/', protect, validateBroker, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const broker = await Broker.create({
+      ...brokerFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: broker,
+      message: 'Broker created successfully'
+    });
+  } catch (error) {
+    console.error('Create broker error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating broker'
+    });
+  }
+});
+
+// @desc    Update broker; a new commission rule applies to entries linked from now on
+// @route   PUT /api/brokers/:id
+// @access  Private
+router.put('/:id', protect, validateBroker, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const broker = await Broker.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!broker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broker not found'
+      });
+    }
+
+    broker.set(brokerFields(req.body));
+    if (req.body.isActive !== undefined) {
+      broker.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+    await broker.save();
+
+    res.status(200).json({
+      success: true,
+      data: broker,
+      message: 'Broker updated successfully'
+    });
+  } catch (error) {
+    console.error('Update broker error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating broker'
+    });
+  }
+});
+
+// @desc    Deactivate broker; linked entries and payments are kept
+// @route   DELETE /api/brokers/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const broker = await Broker.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!broker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broker not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Broker deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete broker error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deactivating broker'
+    });
+  }
+});
+
+// @desc    Broker statement: trips, commission, payments and outstanding amount
+// @route   GET /api/brokers/:id/statement?from=2024-04-01&to=2024-06-30
+// @access  Private
+router.get('/:id/statement', protect, validatePeriod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const broker = await Broker.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!broker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broker not found'
+      });
+    }
+
+    const { from, to } = req.query;
+    const period = buildDateRange(from, to);
+    const tripQuery = commissionTripsQuery(req.user._id, broker._id);
+    const paymentQuery = { userId: req.user._id, brokerId: broker._id };
+    if (period) {
+      tripQuery.date = period;
+      paymentQuery.date = period;
+    }
+
+    const entries = await TransportEntry.find(tripQuery)
+      .select('id date vehicleNo from to ownerData.lorryHireAmount ownerData.wtKgs broker transportBillData.status')
+      .sort({ date: 1 })
+      .lean();
+
+    const payments = await BrokerPayment.find(paymentQuery)
+      .sort({ date: 1 })
+      .lean();
+
+    const openingBalance = from ? await balanceBefore(req.user._id, broker._id, period.$gte) : 0;
+
+    const trips = entries.map(entry => ({
+      _id: entry._id,
+      id: entry.id,
+      date: entry.date,
+      vehicleNo: entry.vehicleNo,
+      from: entry.from,
+      to: entry.to,
+      status: entry.transportBillData.status,
+      lorryHireAmount: entry.ownerData.lorryHireAmount,
+      weightTons: roundAmount((entry.ownerData.wtKgs || 0) / 1000),
+      rule: describeCommission(entry.broker.rule),
+      commission: entry.broker.commission
+    }));
+
+    const commission = roundAmount(trips.reduce((sum, trip) => sum + (trip.commission || 0), 0));
+    const paid = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        broker,
+        period: { from: from || null, to: to || null },
+        openingBalance,
+        trips,
+        payments,
+        totals: {
+          trips: trips.length,
+          commission,
+          paid
+        },
+        outstanding: roundAmount(openingBalance + commission - paid)
+      }
+    });
+  } catch (error) {
+    console.error('Get broker statement error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building broker statement'
+    });
+  }
+});
+
+// @desc    Get the payments made to a broker
+// @route   GET /api/brokers/:id/payments
+// @access  Private
+router.get('/:id/payments', protect, validatePeriod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const broker = await Broker.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!broker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broker not found'
+      });
+    }
+
+    const query = { userId: req.user._id, brokerId: broker._id };
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      query.date = period;
+    }
+
+    const payments = await BrokerPayment.find(query)
+      .sort({ date: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: payments
+    });
+  } catch (error) {
+    console.error('Get broker payments error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching broker payments'
+    });
+  }
+});
+
+// @desc    Record a payment to a broker
+// @route   POST /api/brokers/:id/payments
+// @access  Private
+router.post('/:id/payments', protect, validatePayment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const broker = await Broker.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!broker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Broker not found'
+      });
+    }
+
+    const { amount, date, mode, reference, remarks } = req.body;
+    const payment = await BrokerPayment.create({
+      brokerId: broker._id,
+      amount,
+      date,
+      mode,
+      reference,
+      remarks,
+      recordedBy: req.user._id,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    console.error('Record broker payment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recording payment'
+    });
+  }
+});
+
+// @desc    Remove a payment made to a broker
+// @route   DELETE /api/brokers/:id/payments/:paymentId
+// @access  Private
+router.delete('/:id/payments/:paymentId', protect, async (req, res) => {
+  try {
+    const payment = await BrokerPayment.findOneAndDelete({
+      _id: req.params.paymentId,
+      brokerId: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove broker payment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid broker or payment ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing payment'
+    });
+  }
+});
+
+module.exports = router;
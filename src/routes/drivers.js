@@ -0,0 +1,407 @@
+const express = require('express');
+const router = express.Router();
+const Driver = require('../models/Driver');
+const TransportEntry = require('../models/TransportEntry');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { buildDateRange } = require('../utils/dateRange');
+
+// Validation middleware
+const validateDriver = [
+  body('name')
+    .notEmpty()
+    .withMessage('Driver name is required')
+    .isLength({ max: 100 })
+    .withMessage('Driver name cannot be more than 100 characters'),
+  body('mobile')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 20 })
+    .withMessage('Mobile number cannot be more than 20 characters'),
+  body('licenceNo')
+    .notEmpty()
+    .withMessage('Licence number is required')
+    .isLength({ max: 50 })
+    .withMessage('Licence number cannot be more than 50 characters'),
+  body('licenceExpiry')
+    .notEmpty()
+    .withMessage('Licence expiry date is required')
+    .isISO8601()
+    .withMessage('Licence expiry must be a valid date')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters'),
+  query('expiringWithin')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Expiring within must be between 0 and 365 days')
+];
+
+const validatePeriod = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// Strip fields the server owns from a request body
+const driverFields = (data) => {
+  const { _id, userId, isActive, createdAt, updatedAt, ...driverData } = data;
+  return driverData;
+};
+
+// @desc    Get all drivers for the authenticated user
+// @route   GET /api/drivers
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { userId: req.user._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    // Licences that have expired or expire within the given number of days
+    if (req.query.expiringWithin !== undefined) {
+      const days = parseInt(req.query.expiringWithin);
+      query.licenceExpiry = { $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+    }
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { mobile: { $regex: search, $options: 'i' } },
+        { licenceNo: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const drivers = await Driver.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Driver.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        drivers: drivers.map(driver => ({ ...driver, licenceExpired: driver.licenceExpiry < now })),
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get drivers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching drivers'
+    });
+  }
+});
+
+// @desc    Get single driver
+// @route   GET /api/drivers/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const driver = await Driver.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        error: 'Driver not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: driver,
+      licenceExpired: driver.isLicenceExpired()
+    });
+  } catch (error) {
+    console.error('Get driver error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid driver ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching driver'
+    });
+  }
+});
+
+// @desc    Create new driver
+// @route   POST /api/drivers
+// @access  Private
+router.post('/', protect, validateDriver, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const driver = await Driver.create({
+      ...driverFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: driver,
+      message: 'Driver created successfully'
+    });
+  } catch (error) {
+    console.error('Create driver error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A driver with this licence number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating driver'
+    });
+  }
+});
+
+// @desc    Update driver (entries keep the details they were assigned with)
+// @route   PUT /api/drivers/:id
+// @access  Private
+router.put('/:id', protect, validateDriver, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const driver = await Driver.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        error: 'Driver not found'
+      });
+    }
+
+    driver.set(driverFields(req.body));
+    if (req.body.isActive !== undefined) {
+      driver.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+    await driver.save();
+
+    res.status(200).json({
+      success: true,
+      data: driver,
+      message: 'Driver updated successfully'
+    });
+  } catch (error) {
+    console.error('Update driver error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid driver ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A driver with this licence number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating driver'
+    });
+  }
+});
+
+// @desc    Deactivate driver; entries keep their trip history
+// @route   DELETE /api/drivers/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const driver = await Driver.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        error: 'Driver not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete driver error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid driver ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deactivating driver'
+    });
+  }
+});
+
+// @desc    Trip history of a driver
+// @route   GET /api/drivers/:id/trips?from=2024-04-01&to=2024-06-30
+// @access  Private
+router.get('/:id/trips', protect, validateQuery, validatePeriod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const driver = await Driver.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        error: 'Driver not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id, 'driver.driver': driver._id };
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      query.date = period;
+    }
+
+    const trips = await TransportEntry.find(query)
+      .select('id date vehicleNo from to transportBillData.lrno transportBillData.status ownerData.deliveryDate driver')
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await TransportEntry.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver,
+        licenceExpired: driver.isLicenceExpired(),
+        trips,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get driver trips error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid driver ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching driver trips'
+    });
+  }
+});
+
+module.exports = router;
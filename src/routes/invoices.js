@@ -0,0 +1,412 @@
+const express = require('express');
+const router = express.Router();
+const Invoice = require('../models/Invoice');
+const AdjustmentNote = require('../models/AdjustmentNote');
+const Party = require('../models/Party');
+const TransportEntry = require('../models/TransportEntry');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { INVOICE_STATUSES } = require('../config/invoices');
+const { buildDateRange } = require('../utils/dateRange');
+const { checkInvoiceEntries, buildInvoiceLines, lockEntries, releaseEntries } = require('../utils/consolidatedInvoice');
+const { createConsolidatedInvoicePdf } = require('../utils/invoicePdf');
+const { toFileName } = require('../utils/formatters');
+
+const MAX_INVOICE_ENTRIES = 500;
+
+// Validation middleware
+const validateInvoice = [
+  body('party')
+    .isMongoId()
+    .withMessage('Invalid party ID'),
+  body('entries')
+    .optional()
+    .isArray({ min: 1, max: MAX_INVOICE_ENTRIES })
+    .withMessage(`Entries must be a list of 1 to ${MAX_INVOICE_ENTRIES} transport entry IDs`),
+  body('entries.*')
+    .isMongoId()
+    .withMessage('Invalid transport entry ID'),
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+];
+
+const validateVoid = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required to void an invoice')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('party')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid party ID'),
+  query('status')
+    .optional()
+    .isIn(INVOICE_STATUSES)
+    .withMessage(`Status must be one of: ${INVOICE_STATUSES.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// @desc    Get invoices for the authenticated user
+// @route   GET /api/invoices?party=<id>&status=ISSUED&from&to
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id };
+    if (req.query.party) {
+      query.party = req.query.party;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      query.date = period;
+    }
+
+    // Line items can run into hundreds, the list only shows their count
+    const invoices = await Invoice.find(query)
+      .sort({ date: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-lines')
+      .lean();
+
+    const total = await Invoice.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching invoices'
+    });
+  }
+});
+
+// @desc    Get single invoice with its line items
+// @route   GET /api/invoices/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid invoice ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching invoice'
+    });
+  }
+});
+
+// @desc    Download a consolidated invoice as PDF
+// @route   GET /api/invoices/:id/invoice.pdf
+// @access  Private
+router.get('/:id/invoice.pdf', protect, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${toFileName(invoice.invoiceNo)}.pdf"`);
+    createConsolidatedInvoicePdf(invoice, req.user).pipe(res);
+  } catch (error) {
+    console.error('Generate consolidated invoice error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid invoice ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating invoice'
+    });
+  }
+});
+
+// @desc    Raise one invoice for selected entries, or for all uninvoiced entries of a party in a period
+// @route   POST /api/invoices
+// @access  Private
+router.post('/', protect, validateInvoice, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { entries: ids, from, to, date, notes } = req.body;
+    if (!ids && !(from && to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide entries or a from/to period'
+      });
+    }
+
+    const { party, error } = await Party.findBillingParty(req.user._id, req.body.party);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [error]
+      });
+    }
+
+    const range = buildDateRange(from, to);
+    const entries = ids
+      ? await TransportEntry.find({ _id: { $in: ids }, userId: req.user._id })
+      : await TransportEntry.find({
+        userId: req.user._id,
+        'parties.billedTo.party': party._id,
+        'transportBillData.status': { $ne: 'CANCELLED' },
+        'billing.invoice': null,
+        date: range
+      });
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No uninvoiced entries found for this party and period'
+      });
+    }
+
+    const entryErrors = checkInvoiceEntries(entries, party._id);
+    if (ids) {
+      const found = new Set(entries.map(entry => String(entry._id)));
+      [...new Set(ids)].filter(id => !found.has(id)).forEach(id => {
+        entryErrors.push({ field: 'entries', message: `Transport entry ${id} not found` });
+      });
+    }
+    if (entryErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: entryErrors
+      });
+    }
+
+    const { lines, gst, totals } = buildInvoiceLines(entries);
+    const invoiceDate = date ? new Date(date) : new Date();
+    const creditDays = (party.creditTerms && party.creditTerms.creditDays) || 0;
+
+    const invoice = await Invoice.create({
+      date: invoiceDate,
+      dueDate: new Date(invoiceDate.getTime() + creditDays * 24 * 60 * 60 * 1000),
+      party: party._id,
+      billedTo: party.toSnapshot(),
+      period: range
+        ? { from: range.$gte, to: range.$lte }
+        : { from: lines[0].date, to: lines[lines.length - 1].date },
+      lines,
+      gst,
+      totals,
+      notes,
+      createdBy: req.user._id,
+      userId: req.user._id
+    });
+
+    // Another invoice may have taken an entry since it was checked
+    const taken = await lockEntries(invoice, entries, req);
+    if (taken.length > 0) {
+      invoice.status = 'VOID';
+      invoice.voidedAt = new Date();
+      invoice.voidReason = 'Entries were invoiced elsewhere while this invoice was raised';
+      await invoice.save();
+      return res.status(409).json({
+        success: false,
+        error: `Entries ${taken.map(entry => entry.id).join(', ')} were just invoiced elsewhere, try again`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: invoice,
+      message: `Invoice ${invoice.invoiceNo} raised for ${lines.length} entries`
+    });
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'An invoice with this number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating invoice'
+    });
+  }
+});
+
+// @desc    Void an invoice and release its entries for editing and invoicing again
+// @route   POST /api/invoices/:id/void
+// @access  Private
+router.post('/:id/void', protect, validateVoid, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'VOID') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice is already void'
+      });
+    }
+
+    if (await AdjustmentNote.exists({ userId: req.user._id, invoice: invoice._id, status: 'ISSUED' })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Void the credit and debit notes issued against this invoice first'
+      });
+    }
+
+    invoice.status = 'VOID';
+    invoice.voidedAt = new Date();
+    invoice.voidedBy = req.user._id;
+    invoice.voidReason = req.body.reason;
+    await invoice.save();
+    const released = await releaseEntries(invoice, req);
+
+    res.status(200).json({
+      success: true,
+      data: invoice,
+      message: `Invoice ${invoice.invoiceNo} voided, ${released} entries released`
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid invoice ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while voiding invoice'
+    });
+  }
+});
+
+module.exports = router;
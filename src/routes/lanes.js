@@ -0,0 +1,493 @@
+const express = require('express');
+const router = express.Router();
+const Lane = require('../models/Lane');
+const TransportEntry = require('../models/TransportEntry');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { buildDateRange } = require('../utils/dateRange');
+const { placePattern } = require('../utils/placeName');
+const { snapshotEntry, recordEntryChange } = require('../utils/auditTrail');
+
+// Validation middleware
+const validateLane = [
+  body('origin')
+    .notEmpty()
+    .withMessage('Origin is required')
+    .isLength({ max: 100 })
+    .withMessage('Origin cannot be more than 100 characters'),
+  body('destination')
+    .notEmpty()
+    .withMessage('Destination is required')
+    .isLength({ max: 100 })
+    .withMessage('Destination cannot be more than 100 characters'),
+  body('originAliases')
+    .optional()
+    .isArray()
+    .withMessage('Origin aliases must be an array of names'),
+  body('destinationAliases')
+    .optional()
+    .isArray()
+    .withMessage('Destination aliases must be an array of names'),
+  body('distanceKm')
+    .isFloat({ min: 0 })
+    .withMessage('Distance must be a number of kilometres'),
+  body('transitDays')
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Transit days must be between 0 and 60')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters')
+];
+
+const validatePeriod = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// Strip fields the server owns from a request body
+const laneFields = (data) => {
+  const { _id, userId, isActive, createdAt, updatedAt, routeKey, originKeys, destinationKeys, ...laneData } = data;
+  return laneData;
+};
+
+// @desc    Get all lanes for the authenticated user
+// @route   GET /api/lanes
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { userId: req.user._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (search) {
+      query.$or = [
+        { origin: { $regex: search, $options: 'i' } },
+        { destination: { $regex: search, $options: 'i' } },
+        { originAliases: { $regex: search, $options: 'i' } },
+        { destinationAliases: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const lanes = await Lane.find(query)
+      .sort({ origin: 1, destination: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Lane.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lanes,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lanes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching lanes'
+    });
+  }
+});
+
+// @desc    Trips, freight and transit performance per lane
+// @route   GET /api/lanes/analytics?from=2024-04-01&to=2024-06-30
+// @access  Private
+router.get('/analytics', protect, validatePeriod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const match = {
+      userId: req.user._id,
+      'transportBillData.status': { $ne: 'CANCELLED' }
+    };
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      match.date = period;
+    }
+
+    const isCompleted = { $eq: ['$transportBillData.status', 'COMPLETED'] };
+    const lanes = await TransportEntry.aggregate([
+      { $match: { ...match, 'lane.lane': { $ne: null } } },
+      {
+        $group: {
+          _id: '$lane.lane',
+          origin: { $last: '$lane.origin' },
+          destination: { $last: '$lane.destination' },
+          distanceKm: { $last: '$lane.distanceKm' },
+          transitDays: { $last: '$lane.transitDays' },
+          trips: { $sum: 1 },
+          freight: { $sum: '$transportBillData.total' },
+          lorryHire: { $sum: '$ownerData.totalLorryHireRs' },
+          weightKgs: { $sum: '$ownerData.wtKgs' },
+          completedTrips: { $sum: { $cond: [isCompleted, 1, 0] } },
+          onTimeTrips: {
+            $sum: {
+              $cond: [
+                { $and: [isCompleted, { $lte: ['$ownerData.deliveryDate', '$expectedDeliveryDate'] }] },
+                1,
+                0
+              ]
+            }
+          },
+          transitMs: {
+            $sum: { $cond: [isCompleted, { $subtract: ['$ownerData.deliveryDate', '$date'] }, 0] }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          lane: '$_id',
+          origin: 1,
+          destination: 1,
+          distanceKm: 1,
+          transitDays: 1,
+          trips: 1,
+          freight: { $round: ['$freight', 2] },
+          lorryHire: { $round: ['$lorryHire', 2] },
+          weightKgs: 1,
+          averageFreight: { $round: [{ $divide: ['$freight', '$trips'] }, 2] },
+          freightPerKm: {
+            $cond: [
+              { $gt: ['$distanceKm', 0] },
+              { $round: [{ $divide: ['$freight', { $multiply: ['$trips', '$distanceKm'] }] }, 2] },
+              null
+            ]
+          },
+          completedTrips: 1,
+          onTimeTrips: 1,
+          onTimePercent: {
+            $cond: [
+              { $gt: ['$completedTrips', 0] },
+              { $round: [{ $multiply: [{ $divide: ['$onTimeTrips', '$completedTrips'] }, 100] }, 1] },
+              null
+            ]
+          },
+          averageTransitDays: {
+            $cond: [
+              { $gt: ['$completedTrips', 0] },
+              { $round: [{ $divide: ['$transitMs', { $multiply: ['$completedTrips', 24 * 60 * 60 * 1000] }] }, 1] },
+              null
+            ]
+          }
+        }
+      },
+      { $sort: { trips: -1 } }
+    ]);
+
+    const unlinkedTrips = await TransportEntry.countDocuments({ ...match, 'lane.lane': null });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { from: req.query.from || null, to: req.query.to || null },
+        lanes,
+        unlinkedTrips
+      }
+    });
+  } catch (error) {
+    console.error('Get lane analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building lane analytics'
+    });
+  }
+});
+
+// @desc    Get single lane
+// @route   GET /api/lanes/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const lane = await Lane.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!lane) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lane not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: lane
+    });
+  } catch (error) {
+    console.error('Get lane error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lane ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching lane'
+    });
+  }
+});
+
+// @desc    Create new lane
+// @route   POST /api/lanes
+// @access  Private
+router.post('/', protect, validateLane, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lane = await Lane.create({
+      ...laneFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: lane,
+      message: 'Lane created successfully'
+    });
+  } catch (error) {
+    console.error('Create lane error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A lane between these places already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating lane'
+    });
+  }
+});
+
+// @desc    Update lane (linked entries keep the distance and transit days they were linked with)
+// @route   PUT /api/lanes/:id
+// @access  Private
+router.put('/:id', protect, validateLane, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lane = await Lane.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!lane) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lane not found'
+      });
+    }
+
+    lane.set(laneFields(req.body));
+    if (req.body.isActive !== undefined) {
+      lane.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+    await lane.save();
+
+    res.status(200).json({
+      success: true,
+      data: lane,
+      message: 'Lane updated successfully'
+    });
+  } catch (error) {
+    console.error('Update lane error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lane ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A lane between these places already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating lane'
+    });
+  }
+});
+
+// @desc    Deactivate lane; linked entries keep their link
+// @route   DELETE /api/lanes/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const lane = await Lane.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!lane) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lane not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lane deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete lane error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lane ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deactivating lane'
+    });
+  }
+});
+
+// @desc    Link existing entries without a lane whose from/to match this lane
+// @route   POST /api/lanes/:id/link-entries
+// @access  Private
+router.post('/:id/link-entries', protect, async (req, res) => {
+  try {
+    const lane = await Lane.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      isActive: true
+    });
+
+    if (!lane) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lane not found'
+      });
+    }
+
+    const entries = await TransportEntry.find({
+      userId: req.user._id,
+      'lane.lane': null,
+      from: { $in: lane.originKeys.map(placePattern) },
+      to: { $in: lane.destinationKeys.map(placePattern) }
+    });
+
+    const linked = [];
+    for (const entry of entries) {
+      const before = snapshotEntry(entry);
+      entry.lane = lane.toEntryLink();
+      await entry.save();
+      await recordEntryChange({ action: 'UPDATE', entry, before, req });
+      linked.push({ _id: entry._id, id: entry.id });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { linked },
+      message: `${linked.length} entries linked to the lane`
+    });
+  } catch (error) {
+    console.error('Link lane entries error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lane ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while linking entries'
+    });
+  }
+});
+
+module.exports = router;
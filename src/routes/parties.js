@@ -0,0 +1,414 @@
+const express = require('express');
+const router = express.Router();
+const Party = require('../models/Party');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { PARTY_ROLES } = require('../config/parties');
+const { buildDateRange } = require('../utils/dateRange');
+const { buildPartyStatement, statementToCsv } = require('../utils/partyLedger');
+const { createStatementPdf } = require('../utils/statementPdf');
+const { toFileName } = require('../utils/formatters');
+
+// Validation middleware
+const validateParty = [
+  body('name')
+    .notEmpty()
+    .withMessage('Party name is required')
+    .isLength({ max: 100 })
+    .withMessage('Party name cannot be more than 100 characters'),
+  body('roles')
+    .isArray({ min: 1 })
+    .withMessage('At least one role is required'),
+  body('roles.*')
+    .isIn(PARTY_ROLES)
+    .withMessage(`Role must be one of: ${PARTY_ROLES.join(', ')}`),
+  body('gstin')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 15 })
+    .withMessage('GST number cannot be more than 15 characters'),
+  body('pan')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 10 })
+    .withMessage('PAN number cannot be more than 10 characters'),
+  body('addresses')
+    .optional()
+    .isArray()
+    .withMessage('Addresses must be an array'),
+  body('contacts')
+    .optional()
+    .isArray()
+    .withMessage('Contacts must be an array'),
+  body('contacts.*.email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Contact email must be a valid email'),
+  body('creditTerms.creditDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Credit days must be between 0 and 365'),
+  body('creditTerms.creditLimit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Credit limit cannot be negative')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters'),
+  query('role')
+    .optional()
+    .isIn(PARTY_ROLES)
+    .withMessage(`Role must be one of: ${PARTY_ROLES.join(', ')}`)
+];
+
+const validatePeriod = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// Strip fields the server owns from a request body
+const partyFields = (data) => {
+  const { _id, userId, isActive, createdAt, updatedAt, ...partyData } = data;
+  // An empty GSTIN would collide with other parties that have none
+  if (partyData.gstin === '') partyData.gstin = undefined;
+  return partyData;
+};
+
+// @desc    Get all parties for the authenticated user
+// @route   GET /api/parties
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { userId: req.user._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (req.query.role) {
+      query.roles = req.query.role;
+    }
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { gstin: { $regex: search, $options: 'i' } },
+        { 'addresses.city': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const parties = await Party.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Party.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        parties,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get parties error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching parties'
+    });
+  }
+});
+
+// @desc    Get single party
+// @route   GET /api/parties/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const party = await Party.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: party
+    });
+  } catch (error) {
+    console.error('Get party error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching party'
+    });
+  }
+});
+
+// @desc    Create new party
+// @route   POST /api/parties
+// @access  Private
+router.post('/', protect, validateParty, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const party = await Party.create({
+      ...partyFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: party,
+      message: 'Party created successfully'
+    });
+  } catch (error) {
+    console.error('Create party error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A party with this GST number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating party'
+    });
+  }
+});
+
+// @desc    Update party (entries keep the snapshot taken when they were booked)
+// @route   PUT /api/parties/:id
+// @access  Private
+router.put('/:id', protect, validateParty, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const party = await Party.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+
+    party.set(partyFields(req.body));
+    if (req.body.isActive !== undefined) {
+      party.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+    await party.save();
+
+    res.status(200).json({
+      success: true,
+      data: party,
+      message: 'Party updated successfully'
+    });
+  } catch (error) {
+    console.error('Update party error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A party with this GST number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating party'
+    });
+  }
+});
+
+// @desc    Deactivate party; entries that refer to it are left untouched
+// @route   DELETE /api/parties/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const party = await Party.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Party deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete party error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deactivating party'
+    });
+  }
+});
+
+// @desc    Account statement of a party: opening balance, bills and closing balance
+// @route   GET /api/parties/:id/statement?from=2024-04-01&to=2024-04-30
+// @route   GET /api/parties/:id/statement.csv
+// @route   GET /api/parties/:id/statement.pdf
+// @access  Private
+router.get(['/:id/statement', '/:id/statement.:format(json|csv|pdf)'], protect, validatePeriod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const party = await Party.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+
+    const range = buildDateRange(req.query.from, req.query.to) || {};
+    const statement = await buildPartyStatement(req.user._id, party, { from: range.$gte, to: range.$lte });
+    const fileName = `statement-${toFileName(party.name)}`;
+
+    if (req.params.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(statementToCsv(statement));
+    }
+
+    if (req.params.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+      return createStatementPdf(statement, req.user).pipe(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get party statement error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building party statement'
+    });
+  }
+});
+
+module.exports = router;
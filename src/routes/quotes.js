@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult } = require('express-validator');
+const { quoteFreight } = require('../utils/freightQuote');
+
+// Validation middleware
+const validateQuote = [
+  body('lane')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid lane ID'),
+  body('from')
+    .if(body('lane').not().exists())
+    .notEmpty()
+    .withMessage('Lane or from location is required'),
+  body('to')
+    .if(body('lane').not().exists())
+    .notEmpty()
+    .withMessage('Lane or to location is required'),
+  body('party')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid party ID'),
+  body('vehicleType')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Vehicle type cannot be more than 50 characters'),
+  body('vehicleNo')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Vehicle number cannot be more than 20 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('wtKgs')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight cannot be negative'),
+  body('packages')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Packages cannot be negative')
+];
+
+// @desc    Quote the freight of a trip from the rate cards
+// @route   POST /api/quotes
+// @access  Private
+router.post('/', protect, validateQuote, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lane, from, to, party, vehicleType, vehicleNo, date, wtKgs, packages } = req.body;
+    const quote = await quoteFreight(req.user._id, {
+      lane,
+      from,
+      to,
+      party,
+      vehicleType,
+      vehicleNo,
+      date,
+      wtKgs,
+      packages
+    });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'No rate card matches this trip'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Quote freight error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while quoting freight'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const RateCard = require('../models/RateCard');
+const Lane = require('../models/Lane');
+const Party = require('../models/Party');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { endOfDay } = require('../utils/dateRange');
+const { RATE_BASES } = require('../utils/freightRates');
+
+// Validation middleware
+const validateRateCard = [
+  body('lane')
+    .isMongoId()
+    .withMessage('Lane is required'),
+  body('party')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid party ID'),
+  body('vehicleType')
+    .optional({ values: 'null' })
+    .isLength({ max: 50 })
+    .withMessage('Vehicle type cannot be more than 50 characters'),
+  body('basis')
+    .isIn(RATE_BASES)
+    .withMessage(`Rate basis must be one of: ${RATE_BASES.join(', ')}`),
+  body('rate')
+    .isFloat({ min: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('minimumFreight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum freight cannot be negative'),
+  body('validFrom')
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  body('validTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid to must be a valid date')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters'),
+  query('lane')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid lane ID'),
+  query('party')
+    .optional()
+    .matches(/^([0-9a-f]{24}|default)$/i)
+    .withMessage('Party must be a party ID or "default"')
+];
+
+// Strip fields the server owns from a request body
+const rateCardFields = (data) => {
+  const { _id, userId, isActive, createdAt, updatedAt, ...rateCardData } = data;
+  // A date-only validTo covers the whole day
+  if (rateCardData.validTo) rateCardData.validTo = endOfDay(rateCardData.validTo);
+  return rateCardData;
+};
+
+// The lane must be an active lane and the party a billing party of the user
+const checkReferences = async (userId, { lane, party }) => {
+  const errors = [];
+  if (!await Lane.exists({ _id: lane, userId, isActive: true })) {
+    errors.push({ field: 'lane', message: 'Lane not found' });
+  }
+  if (party && !await Party.exists({ _id: party, userId, isActive: true, roles: 'BILLING' })) {
+    errors.push({ field: 'party', message: 'Billing party not found' });
+  }
+  return errors;
+};
+
+// @desc    Get all rate cards for the authenticated user
+// @route   GET /api/rate-cards
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { userId: req.user._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (req.query.lane) {
+      query.lane = req.query.lane;
+    }
+    // party=default lists the rate cards that apply to every customer
+    if (req.query.party) {
+      query.party = req.query.party === 'default' ? null : req.query.party;
+    }
+    if (search) {
+      query.$or = [
+        { vehicleType: { $regex: search, $options: 'i' } },
+        { notes: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const rateCards = await RateCard.find(query)
+      .populate('lane', 'origin destination distanceKm transitDays')
+      .populate('party', 'name gstin')
+      .sort({ validFrom: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await RateCard.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rateCards,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching rate cards'
+    });
+  }
+});
+
+// @desc    Get single rate card
+// @route   GET /api/rate-cards/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const rateCard = await RateCard.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    })
+      .populate('lane', 'origin destination distanceKm transitDays')
+      .populate('party', 'name gstin');
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    console.error('Get rate card error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rate card ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching rate card'
+    });
+  }
+});
+
+// @desc    Create new rate card
+// @route   POST /api/rate-cards
+// @access  Private
+router.post('/', protect, validateRateCard, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const referenceErrors = await checkReferences(req.user._id, req.body);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: referenceErrors
+      });
+    }
+
+    const rateCard = await RateCard.create({
+      ...rateCardFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rateCard,
+      message: 'Rate card created successfully'
+    });
+  } catch (error) {
+    console.error('Create rate card error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating rate card'
+    });
+  }
+});
+
+// @desc    Update rate card (entries keep the freight they were quoted)
+// @route   PUT /api/rate-cards/:id
+// @access  Private
+router.put('/:id', protect, validateRateCard, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rateCard = await RateCard.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rate card not found'
+      });
+    }
+
+    const referenceErrors = await checkReferences(req.user._id, req.body);
+    if (referenceErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: referenceErrors
+      });
+    }
+
+    rateCard.set(rateCardFields(req.body));
+    if (req.body.isActive !== undefined) {
+      rateCard.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+    await rateCard.save();
+
+    res.status(200).json({
+      success: true,
+      data: rateCard,
+      message: 'Rate card updated successfully'
+    });
+  } catch (error) {
+    console.error('Update rate card error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rate card ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating rate card'
+    });
+  }
+});
+
+// @desc    Deactivate rate card
+// @route   DELETE /api/rate-cards/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const rateCard = await RateCard.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rate card ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deactivating rate card'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,403 @@
+const express = require('express');
+const router = express.Router();
+const Receipt = require('../models/Receipt');
+const Party = require('../models/Party');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { PAYMENT_MODES } = require('../models/paymentSchema');
+const { buildDateRange } = require('../utils/dateRange');
+const { resolveAllocations, prepareEntryPayments, saveEntryPayments } = require('../utils/receiptAllocation');
+
+// Validation middleware
+const validateReceipt = [
+  body('party')
+    .isMongoId()
+    .withMessage('Invalid party ID'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('mode')
+    .isIn(PAYMENT_MODES)
+    .withMessage(`Mode must be one of: ${PAYMENT_MODES.join(', ')}`),
+  body('reference')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Reference cannot be more than 50 characters'),
+  body('remarks')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Remarks cannot be more than 200 characters'),
+  body('allocations')
+    .optional()
+    .isArray()
+    .withMessage('Allocations must be an array'),
+  body('allocations.*.entry')
+    .isMongoId()
+    .withMessage('Invalid transport entry ID'),
+  body('allocations.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Allocated amount must be greater than 0')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('party')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid party ID'),
+  query('entry')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid transport entry ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// @desc    Get receipts for the authenticated user
+// @route   GET /api/receipts?party=<id>&entry=<id>&from&to&unallocated=true
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id };
+    if (req.query.party) {
+      query.party = req.query.party;
+    }
+    if (req.query.entry) {
+      query['allocations.entry'] = req.query.entry;
+    }
+    if (req.query.unallocated === 'true') {
+      query.unallocatedAmount = { $gt: 0 };
+    }
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      query.date = period;
+    }
+
+    const receipts = await Receipt.find(query)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Receipt.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        receipts,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching receipts'
+    });
+  }
+});
+
+// @desc    Get single receipt
+// @route   GET /api/receipts/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('recordedBy', 'profile.ownerName email');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid receipt ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching receipt'
+    });
+  }
+});
+
+// @desc    Record money received from a party, allocated to its bills (the rest stays on account)
+// @route   POST /api/receipts
+// @access  Private
+router.post('/', protect, validateReceipt, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { party, error } = await Party.findBillingParty(req.user._id, req.body.party);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [error]
+      });
+    }
+
+    const resolved = await resolveAllocations(req.user._id, party._id, req.body.allocations);
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: resolved.errors
+      });
+    }
+
+    const { amount, date, mode, reference, remarks } = req.body;
+    const receipt = new Receipt({
+      party: party._id,
+      partyName: party.name,
+      amount,
+      date,
+      mode,
+      reference,
+      remarks,
+      allocations: resolved.allocations,
+      recordedBy: req.user._id,
+      userId: req.user._id
+    });
+    await receipt.validate();
+    // Entries are checked before the receipt is stored so a failure changes nothing
+    const entryChanges = await prepareEntryPayments(req.user._id, { after: resolved.allocations });
+    await receipt.save();
+    await saveEntryPayments(entryChanges, req);
+
+    res.status(201).json({
+      success: true,
+      data: receipt,
+      message: 'Receipt recorded successfully'
+    });
+  } catch (error) {
+    console.error('Create receipt error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recording receipt'
+    });
+  }
+});
+
+// @desc    Update a receipt; allocations sent replace the existing ones
+// @route   PUT /api/receipts/:id
+// @access  Private
+router.put('/:id', protect, validateReceipt, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const receipt = await Receipt.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    const { party, error } = await Party.findBillingParty(req.user._id, req.body.party);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [error]
+      });
+    }
+
+    // Moving a receipt to another party drops its allocations unless new ones are sent
+    const partyChanged = String(party._id) !== String(receipt.party);
+    const requested = req.body.allocations !== undefined
+      ? req.body.allocations
+      : (partyChanged ? [] : receipt.allocations);
+    const resolved = await resolveAllocations(req.user._id, party._id, requested, receipt.allocations);
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: resolved.errors
+      });
+    }
+
+    const previous = receipt.allocations.map(allocation => allocation.toObject());
+    ['amount', 'date', 'mode', 'reference', 'remarks'].forEach(field => {
+      if (req.body[field] !== undefined) receipt[field] = req.body[field];
+    });
+    receipt.set({
+      party: party._id,
+      partyName: party.name,
+      allocations: resolved.allocations
+    });
+    await receipt.validate();
+    // Entries are checked before the receipt is stored so a failure changes nothing
+    const entryChanges = await prepareEntryPayments(req.user._id, {
+      receipt: receipt._id,
+      before: previous,
+      after: resolved.allocations
+    });
+    await receipt.save();
+    await saveEntryPayments(entryChanges, req);
+
+    res.status(200).json({
+      success: true,
+      data: receipt,
+      message: 'Receipt updated successfully'
+    });
+  } catch (error) {
+    console.error('Update receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid receipt ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating receipt'
+    });
+  }
+});
+
+// @desc    Delete a receipt and take its allocations off the bills
+// @route   DELETE /api/receipts/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    const entryChanges = await prepareEntryPayments(req.user._id, {
+      receipt: receipt._id,
+      before: receipt.allocations
+    });
+    await receipt.deleteOne();
+    await saveEntryPayments(entryChanges, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Receipt deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid receipt ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting receipt'
+    });
+  }
+});
+
+module.exports = router;
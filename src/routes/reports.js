@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const TransportEntry = require('../models/TransportEntry');
+const AdjustmentNote = require('../models/AdjustmentNote');
+const Invoice = require('../models/Invoice');
+const Receipt = require('../models/Receipt');
+const { protect } = require('../middleware/authMiddleware');
+const { validationResult, query } = require('express-validator');
+const { BILLED_AMOUNT_EXPR, REVENUE_EXPR, COST_EXPR } = require('../utils/entryTotals');
+const { SIGNED_AMOUNT_EXPR } = require('../utils/adjustmentNotes');
+const { endOfDay, buildDateRange } = require('../utils/dateRange');
+const { AGING_BUCKETS, buildAgingReport } = require('../utils/aging');
+const { roundAmount } = require('../utils/gst');
+
+const AGING_BASES = ['bill', 'lr'];
+
+// Groupings of the profitability report: what entries are grouped on and the
+// name shown for each group. Entries without a linked lane, party or broker
+// fall back to their free-text fields.
+const PROFIT_GROUPS = {
+  lane: {
+    key: { $ifNull: ['$lane.lane', { $concat: ['$from', ' - ', '$to'] }] },
+    name: {
+      $cond: [
+        { $ifNull: ['$lane.lane', false] },
+        { $concat: ['$lane.origin', ' - ', '$lane.destination'] },
+        { $concat: ['$from', ' - ', '$to'] }
+      ]
+    }
+  },
+  vehicle: {
+    key: '$vehicleNo',
+    name: '$vehicleNo'
+  },
+  party: {
+    key: { $ifNull: ['$parties.billedTo.party', '$transportBillData.ms'] },
+    name: { $ifNull: ['$parties.billedTo.name', '$transportBillData.ms'] }
+  },
+  broker: {
+    key: { $ifNull: ['$broker.broker', '$ownerData.brokerName'] },
+    name: { $ifNull: ['$broker.name', '$ownerData.brokerName'] }
+  },
+  month: {
+    key: { $dateToString: { format: '%Y-%m', date: '$date' } },
+    name: { $dateToString: { format: '%Y-%m', date: '$date' } }
+  }
+};
+const PROFIT_GROUP_BY = Object.keys(PROFIT_GROUPS);
+
+const validateAging = [
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('As-of must be a valid date'),
+  query('basis')
+    .optional()
+    .isIn(AGING_BASES)
+    .withMessage(`Basis must be one of: ${AGING_BASES.join(', ')}`),
+  query('party')
+    .optional()
+    .custom(value => value === 'unlinked' || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Party must be a party ID or "unlinked"')
+];
+
+// @desc    Unpaid bills by billing party in 0-30, 31-60, 61-90 and 90+ day buckets.
+//          Trips on a consolidated invoice age from the invoice date, other trips
+//          from their own date; money received on account is shown per party.
+// @route   GET /api/reports/aging?asOf=2024-06-30&basis=bill|lr&party=<id>|unlinked&detail=true
+// @access  Private
+router.get('/aging', protect, validateAging, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asOf = req.query.asOf ? endOfDay(req.query.asOf) : new Date();
+    const basis = req.query.basis || 'bill';
+    // Filtering on one party is the drill-down, so it always lists the entries
+    const detail = req.query.detail === 'true' || Boolean(req.query.party);
+
+    const match = {
+      userId: req.user._id,
+      'transportBillData.status': { $ne: 'CANCELLED' }
+    };
+    if (req.query.party === 'unlinked') {
+      match['parties.billedTo.party'] = null;
+    } else if (req.query.party) {
+      match['parties.billedTo.party'] = new mongoose.Types.ObjectId(req.query.party);
+    }
+
+    const bills = await TransportEntry.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Invoice.collection.name,
+          localField: 'billing.invoice',
+          foreignField: '_id',
+          as: 'invoice'
+        }
+      },
+      {
+        $project: {
+          id: 1,
+          vehicleNo: 1,
+          from: 1,
+          to: 1,
+          invoiceNo: { $ifNull: ['$billing.invoiceNo', '$transportBillData.invoiceNo'] },
+          lrno: '$transportBillData.lrno',
+          billDate: basis === 'lr'
+            ? { $ifNull: ['$transportBillData.lrDate', '$date'] }
+            : { $ifNull: [{ $arrayElemAt: ['$invoice.date', 0] }, '$date'] },
+          partyId: '$parties.billedTo.party',
+          partyName: { $ifNull: ['$parties.billedTo.name', '$transportBillData.ms'] },
+          gstin: { $ifNull: ['$parties.billedTo.gstin', '$transportBillData.gstno'] },
+          billed: BILLED_AMOUNT_EXPR,
+          adjustments: { $ifNull: ['$billing.adjustmentAmount', 0] },
+          paid: { $ifNull: ['$billing.amountPaid', 0] }
+        }
+      },
+      { $addFields: { outstanding: { $round: [{ $subtract: [{ $add: ['$billed', '$adjustments'] }, '$paid'] }, 2] } } },
+      { $match: { outstanding: { $gt: 0 }, billDate: { $lte: asOf } } },
+      { $sort: { billDate: 1 } }
+    ]);
+
+    // Notes against consolidated invoices age from their own date (notes
+    // against entries are already in the entry's adjustments)
+    if (req.query.party !== 'unlinked') {
+      const noteMatch = {
+        userId: req.user._id,
+        status: 'ISSUED',
+        invoice: { $ne: null },
+        date: { $lte: asOf }
+      };
+      if (req.query.party) {
+        noteMatch.party = match['parties.billedTo.party'];
+      }
+      const notes = await AdjustmentNote.aggregate([
+        { $match: noteMatch },
+        {
+          $project: {
+            noteNo: 1,
+            type: 1,
+            reference: 1,
+            billDate: '$date',
+            partyId: '$party',
+            partyName: '$billedTo.name',
+            gstin: '$billedTo.gstin',
+            billed: { $literal: 0 },
+            adjustments: SIGNED_AMOUNT_EXPR,
+            paid: { $literal: 0 },
+            outstanding: SIGNED_AMOUNT_EXPR
+          }
+        },
+        { $sort: { billDate: 1 } }
+      ]);
+      bills.push(...notes);
+    }
+
+    // Receipts not allocated to any bill, by party (receipts always have a party)
+    let onAccount = [];
+    if (req.query.party !== 'unlinked') {
+      const receiptMatch = {
+        userId: req.user._id,
+        unallocatedAmount: { $gt: 0 },
+        date: { $lte: asOf }
+      };
+      if (req.query.party) {
+        receiptMatch.party = match['parties.billedTo.party'];
+      }
+      onAccount = await Receipt.aggregate([
+        { $match: receiptMatch },
+        { $group: { _id: '$party', partyName: { $last: '$partyName' }, amount: { $sum: '$unallocatedAmount' } } },
+        { $project: { _id: 0, partyId: '$_id', partyName: 1, amount: { $round: ['$amount', 2] } } }
+      ]);
+    }
+
+    const report = buildAgingReport(bills, { asOf, detail, onAccount });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf,
+        basis,
+        buckets: AGING_BUCKETS.map(bucket => bucket.label),
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get aging report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building aging report'
+    });
+  }
+});
+
+const validateProfitability = [
+  query('groupBy')
+    .optional()
+    .isIn(PROFIT_GROUP_BY)
+    .withMessage(`Group by must be one of: ${PROFIT_GROUP_BY.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// @desc    Revenue, cost and margin of trips by lane, vehicle, party, broker or month (lowest margin first)
+// @route   GET /api/reports/profitability?groupBy=lane|vehicle|party|broker|month&from=2024-04-01&to=2024-06-30
+// @access  Private
+router.get('/profitability', protect, validateProfitability, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const groupBy = req.query.groupBy || 'month';
+    const group = PROFIT_GROUPS[groupBy];
+
+    const match = {
+      userId: req.user._id,
+      'transportBillData.status': { $ne: 'CANCELLED' }
+    };
+    const period = buildDateRange(req.query.from, req.query.to);
+    if (period) {
+      match.date = period;
+    }
+
+    const groups = await TransportEntry.aggregate([
+      { $match: match },
+      { $addFields: { tripRevenue: REVENUE_EXPR, tripCost: COST_EXPR } },
+      {
+        $group: {
+          _id: group.key,
+          name: { $last: group.name },
+          trips: { $sum: 1 },
+          lossTrips: { $sum: { $cond: [{ $lt: ['$tripRevenue', '$tripCost'] }, 1, 0] } },
+          revenue: { $sum: '$tripRevenue' },
+          cost: { $sum: '$tripCost' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          key: '$_id',
+          name: 1,
+          trips: 1,
+          lossTrips: 1,
+          revenue: { $round: ['$revenue', 2] },
+          cost: { $round: ['$cost', 2] },
+          margin: { $round: [{ $subtract: ['$revenue', '$cost'] }, 2] },
+          // Margin as a percentage of revenue, null when there is no revenue
+          marginPercent: {
+            $cond: [
+              { $gt: ['$revenue', 0] },
+              { $round: [{ $multiply: [{ $divide: [{ $subtract: ['$revenue', '$cost'] }, '$revenue'] }, 100] }, 2] },
+              null
+            ]
+          }
+        }
+      },
+      { $sort: { margin: 1, name: 1 } }
+    ]);
+
+    const totals = groups.reduce((acc, row) => ({
+      trips: acc.trips + row.trips,
+      lossTrips: acc.lossTrips + row.lossTrips,
+      revenue: roundAmount(acc.revenue + row.revenue),
+      cost: roundAmount(acc.cost + row.cost)
+    }), { trips: 0, lossTrips: 0, revenue: 0, cost: 0 });
+    totals.margin = roundAmount(totals.revenue - totals.cost);
+    totals.marginPercent = totals.revenue > 0 ? roundAmount((totals.margin / totals.revenue) * 100) : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groupBy,
+        period: { from: req.query.from || null, to: req.query.to || null },
+        totals,
+        groups
+      }
+    });
+  } catch (error) {
+    console.error('Get profitability report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building profitability report'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,42 +1,465 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
 const TransportEntry = require('../models/TransportEntry');
+const EntryHistory = require('../models/EntryHistory');
+const Vehicle = require('../models/Vehicle');
+const Lane = require('../models/Lane');
 const { protect } = require('../middleware/authMiddleware');
-const { body, validationResult, query } = require('express-validator');
+const { body, validationResult, query, param } = require('express-validator');
+const { createInvoicePdf } = require('../utils/invoicePdf');
+const { resolveCopies, createLorryReceiptPdf, createLorryReceiptHtml } = require('../utils/lorryReceipt');
+const { toFileName } = require('../utils/formatters');
+const { GST_MODES } = require('../config/gst');
+const { trashConfig } = require('../config/trash');
+const { importConfig } = require('../config/import');
+const { PAYMENT_MODES, PAYMENT_TYPES, legacyPaymentsFrom } = require('../models/paymentSchema');
+const { totalPaid, BILLING_STATES, BILLED_AMOUNT_EXPR } = require('../utils/entryTotals');
+const { ENTRY_STATUSES, availableTransitions } = require('../utils/statusWorkflow');
+const { snapshotEntry, recordEntryChange, recordEntryCreations } = require('../utils/auditTrail');
+const {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  exportProjection,
+  streamEntriesCsv,
+  streamEntriesXlsx
+} = require('../utils/entryExport');
+const { ENTRY_COLUMNS } = require('../utils/entryColumns');
+const { resolvePartyRefs, applyPartyDetails } = require('../utils/entryParties');
+const { resolveBrokerRef, applyBrokerDetails } = require('../utils/entryBroker');
+const { resolveDriverRef, applyDriverDetails } = require('../utils/entryDriver');
+const { resolveLane } = require('../utils/entryLane');
+const { relinkEntryChanges } = require('../utils/entryRelink');
+const { quoteFreight } = require('../utils/freightQuote');
+const { roundAmount } = require('../utils/gst');
+const {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseImportFile,
+  buildColumnMapping,
+  rowToEntryData,
+  importableColumns
+} = require('../utils/entryImport');
+
+// Field rules of an entry body. "prefix" nests them under another field (bulk
+// "changes") and "partial" lets the required fields be left out.
+const entryFieldRules = (prefix = '', partial = false) => {
+  const field = (path) => body(`${prefix}${path}`);
+  const required = (path) => (partial ? field(path).optional() : field(path));
+
+  return [
+    required('vehicleNo')
+      .notEmpty()
+      .withMessage('Vehicle number is required')
+      .isLength({ max: 20 })
+      .withMessage('Vehicle number cannot be more than 20 characters'),
+    required('from')
+      .notEmpty()
+      .withMessage('From location is required')
+      .isLength({ max: 100 })
+      .withMessage('From location cannot be more than 100 characters'),
+    required('to')
+      .notEmpty()
+      .withMessage('To location is required')
+      .isLength({ max: 100 })
+      .withMessage('To location cannot be more than 100 characters'),
+    field('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    field('transportBillData.total')
+      .optional()
+      .isNumeric()
+      .withMessage('Total must be a number')
+      .custom(value => value >= 0)
+      .withMessage('Total cannot be negative'),
+    field('transportBillData.status')
+      .optional()
+      .isIn(ENTRY_STATUSES)
+      .withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+    field('totalsOverride')
+      .optional()
+      .isBoolean()
+      .withMessage('Totals override must be true or false'),
+    field('transportBillData.gst.mode')
+      .optional()
+      .isIn(GST_MODES)
+      .withMessage(`GST mode must be one of: ${GST_MODES.join(', ')}`),
+    field('transportBillData.gst.rate')
+      .optional()
+      .isFloat({ min: 0, max: 28 })
+      .withMessage('GST rate must be between 0 and 28'),
+    field('tags')
+      .optional()
+      .isArray()
+      .withMessage('Tags must be an array of strings')
+  ];
+};
 
 // Validation middleware
 const validateTransportEntry = [
-  body('vehicleNo')
-    .notEmpty()
-    .withMessage('Vehicle number is required')
-    .isLength({ max: 20 })
-    .withMessage('Vehicle number cannot be more than 20 characters'),
-  body('from')
-    .notEmpty()
-    .withMessage('From location is required')
-    .isLength({ max: 100 })
-    .withMessage('From location cannot be more than 100 characters'),
-  body('to')
-    .notEmpty()
-    .withMessage('To location is required')
-    .isLength({ max: 100 })
-    .withMessage('To location cannot be more than 100 characters'),
+  ...entryFieldRules(),
+  body('parties')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Parties must be an object of consignor, consignee and billedTo party IDs')
+];
+
+// Strip fields the server computes or owns from a request body
+const stripComputedFields = (data) => {
+  // Payments are managed through the /:id/payments ledger, customer billing
+  // through /api/receipts, the status timeline through /:id/transition and the
+  // trash through DELETE and /:id/restore; the profit is computed on save. Party
+  // snapshots and the broker, driver and lane links are built from the IDs
+  // sent in "parties", "broker", "driver" and "lane" (the lane is otherwise
+  // matched from from/to)
+  const {
+    _id, userId, createdAt, updatedAt, payments, billing, profit, statusHistory,
+    deletedAt, deletedBy, parties, broker, driver, lane, expectedDeliveryDate, freightRate,
+    ...entryData
+  } = data;
+
+  // Only the GST mode and rate are client controlled; the split is computed on save
+  if (entryData.transportBillData && entryData.transportBillData.gst) {
+    const { mode, rate } = entryData.transportBillData.gst;
+    const gst = {};
+    if (mode !== undefined) gst.mode = mode;
+    if (rate !== undefined) gst.rate = rate;
+    entryData.transportBillData = { ...entryData.transportBillData, gst };
+  }
+
+  return entryData;
+};
+
+// Fields of a history snapshot that a restore writes back. The entry ID,
+// payment ledger, customer billing and status timeline keep their current values.
+const restorableFields = (snapshot, entry) => {
+  const { _id, __v, id, userId, createdAt, updatedAt, payments, billing, profit, statusHistory, deletedAt, deletedBy, ...data } = snapshot;
+  data.transportBillData = {
+    ...data.transportBillData,
+    status: entry.transportBillData.status
+  };
+  return data;
+};
+
+// Payment ledger with the amounts it drives
+const paymentSummary = (entry) => ({
+  payments: entry.payments,
+  totalLorryHireRs: entry.ownerData.totalLorryHireRs,
+  totalPaid: totalPaid(entry),
+  deductionAmt: entry.ownerData.deductionAmt,
+  balanceAmt: entry.ownerData.balanceAmt
+});
+
+const validateTransition = [
+  body('status')
+    .isIn(ENTRY_STATUSES)
+    .withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
+  body('reopen')
+    .optional()
+    .isBoolean()
+    .withMessage('Reopen must be true or false')
+];
+
+const validateHistoryVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+const validatePayment = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
   body('date')
     .optional()
     .isISO8601()
     .withMessage('Date must be a valid date'),
-  body('transportBillData.total')
+  body('mode')
+    .isIn(PAYMENT_MODES)
+    .withMessage(`Mode must be one of: ${PAYMENT_MODES.join(', ')}`),
+  body('type')
+    .optional()
+    .isIn(PAYMENT_TYPES)
+    .withMessage(`Type must be one of: ${PAYMENT_TYPES.join(', ')}`),
+  body('reference')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Reference cannot be more than 50 characters'),
+  body('remarks')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Remarks cannot be more than 200 characters')
+];
+
+// Spreadsheet upload for imports, kept in memory (files are small and parsed once)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: importConfig.maxFileSizeMb * 1024 * 1024, files: 1 }
+}).single('file');
+
+const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `File cannot be larger than ${importConfig.maxFileSizeMb} MB`
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+// Quote freight left blank in new entry data (with its lane link set) from the
+// matching rate card, the same for POST / and imports. Modifies entryData.
+const prefillFreight = async (userId, entryData) => {
+  const billData = entryData.transportBillData || {};
+  if (billData.freight !== undefined && billData.freight !== null && billData.freight !== '') return;
+
+  const ownerData = entryData.ownerData || {};
+  const quote = await quoteFreight(userId, {
+    party: entryData.parties && entryData.parties.billedTo ? entryData.parties.billedTo.party : undefined,
+    lane: entryData.lane ? entryData.lane.lane : undefined,
+    vehicleNo: entryData.vehicleNo,
+    date: entryData.date,
+    wtKgs: ownerData.wtKgs,
+    packages: ownerData.packages
+  });
+  if (quote) {
+    entryData.transportBillData = { ...billData, freight: quote.freight };
+    entryData.freightRate = {
+      rateCard: quote.rateCard,
+      basis: quote.basis,
+      rate: quote.rate,
+      quantity: quote.quantity
+    };
+  }
+};
+
+// Check import rows against the same rules as POST /: the request validators,
+// then the schema. Returns the unsaved documents with their errors and warnings.
+const validateImportRows = async (rows, mapping, user) => {
+  const results = [];
+  const rowsById = new Map();
+
+  const rowData = rows.map(row => rowToEntryData(row.values, mapping));
+  await Vehicle.autoFillEntries(user._id, rowData);
+  const laneLinks = await Lane.matchEntries(user._id, rowData);
+
+  for (const [i, row] of rows.entries()) {
+    const entryData = rowData[i];
+
+    const rowReq = { body: entryData };
+    for (const validator of validateTransportEntry) {
+      await validator.run(rowReq);
+    }
+    const errors = validationResult(rowReq).array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }));
+
+    // Lane and rate card freight are filled in as for a single new entry
+    const docData = { ...stripComputedFields(entryData), lane: laneLinks[i], userId: user._id };
+    await prefillFreight(user._id, docData);
+
+    const doc = new TransportEntry(docData);
+    doc.$locals.issuer = user;
+    try {
+      await doc.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      Object.values(error.errors).forEach(err => {
+        if (!errors.some(existing => existing.field === err.path)) {
+          const message = err.name === 'CastError'
+            ? `"${err.value}" is not a valid ${String(err.kind).toLowerCase()}`
+            : err.message;
+          errors.push({ field: err.path, message });
+        }
+      });
+    }
+
+    if (doc.id) {
+      if (rowsById.has(doc.id)) {
+        errors.push({ field: 'id', message: `Entry ID ${doc.id} is repeated in row ${rowsById.get(doc.id)}` });
+      } else {
+        rowsById.set(doc.id, row.rowNumber);
+      }
+    }
+
+    results.push({ rowNumber: row.rowNumber, doc, errors, warnings: doc.$locals.warnings || [] });
+  }
+
+  // Entry IDs given in the file must not be taken already (trashed entries included)
+  if (rowsById.size > 0) {
+    const existing = await TransportEntry.find({ userId: user._id, id: { $in: [...rowsById.keys()] } })
+      .setOptions({ withDeleted: true })
+      .select('id')
+      .lean();
+    const taken = new Set(existing.map(entry => entry.id));
+    results.forEach(result => {
+      if (taken.has(result.doc.id)) {
+        result.errors.push({ field: 'id', message: `Entry ID ${result.doc.id} already exists` });
+      }
+    });
+  }
+
+  return results;
+};
+
+// Insert one batch of validated import rows; rows the database rejects are reported, not thrown
+const insertImportBatch = async (batch) => {
+  try {
+    const inserted = await TransportEntry.insertMany(batch.map(result => result.doc), { ordered: false });
+    return { inserted, failures: [] };
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    const failures = error.writeErrors.map(writeError => ({
+      row: batch[writeError.index].rowNumber,
+      errors: [{ message: (writeError.err && writeError.err.errmsg) || writeError.errmsg || 'Insert failed' }]
+    }));
+    return { inserted: error.insertedDocs || [], failures };
+  }
+};
+
+// Build the entry list filter from the search/status/billingState/from/to query parameters
+const buildListQuery = (userId, { search, status, billingState, from, to, tag }) => {
+  const query = { userId };
+
+  // Add search functionality
+  if (search) {
+    query.$or = [
+      { id: { $regex: search, $options: 'i' } }, // Search by custom Entry ID
+      { vehicleNo: { $regex: search, $options: 'i' } },
+      { from: { $regex: search, $options: 'i' } },
+      { to: { $regex: search, $options: 'i' } },
+      { 'transportBillData.invoiceNo': { $regex: search, $options: 'i' } },
+      { 'ownerData.ownerNameAndAddress': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  // Add filters
+  if (status) {
+    query['transportBillData.status'] = status;
+  }
+  if (billingState) {
+    query['billing.state'] = billingState;
+  }
+  if (from) {
+    query.from = { $regex: from, $options: 'i' };
+  }
+  if (to) {
+    query.to = { $regex: to, $options: 'i' };
+  }
+  if (tag) {
+    query.tags = tag;
+  }
+
+  return query;
+};
+
+const BULK_OPERATIONS = ['status', 'update', 'delete', 'tags'];
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 1000;
+
+const validateBulk = [
+  body('operation')
+    .isIn(BULK_OPERATIONS)
+    .withMessage(`Operation must be one of: ${BULK_OPERATIONS.join(', ')}`),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: BULK_MAX_ITEMS })
+    .withMessage(`IDs must be a list of 1 to ${BULK_MAX_ITEMS} transport entry IDs`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid transport entry ID'),
+  body('filter')
     .optional()
-    .isNumeric()
-    .withMessage('Total must be a number')
-    .custom(value => value >= 0)
-    .withMessage('Total cannot be negative'),
-  body('transportBillData.status')
+    .isObject()
+    .withMessage('Filter must be an object'),
+  // Filter values end up in the query, so they must be plain values
+  body(['filter.search', 'filter.from', 'filter.to', 'filter.tag'])
     .optional()
-    .isIn(['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
-    .withMessage('Status must be one of: PENDING, IN_PROGRESS, COMPLETED, CANCELLED')
+    .isString()
+    .withMessage('Filter values must be text')
+    .isLength({ max: 100 })
+    .withMessage('Filter values cannot be more than 100 characters'),
+  body('filter.status')
+    .optional()
+    .isIn(ENTRY_STATUSES)
+    .withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  body('filter.billingState')
+    .optional()
+    .isIn(BILLING_STATES)
+    .withMessage(`Billing state must be one of: ${BILLING_STATES.join(', ')}`),
+  body('status')
+    .if(body('operation').equals('status'))
+    .isIn(ENTRY_STATUSES)
+    .withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
+  body('reopen')
+    .optional()
+    .isBoolean()
+    .withMessage('Reopen must be true or false'),
+  body('changes')
+    .if(body('operation').equals('update'))
+    .isObject()
+    .withMessage('Changes must be an object of fields to update'),
+  // The same rules as a single entry update
+  ...entryFieldRules('changes.', true),
+  body('tags')
+    .if(body('operation').equals('tags'))
+    .isObject()
+    .withMessage('Tags must be an object of { add, remove } lists'),
+  body(['tags.add', 'tags.remove'])
+    .optional()
+    .isArray()
+    .withMessage('Tags to add or remove must be arrays'),
+  body('atomic')
+    .optional()
+    .isBoolean()
+    .withMessage('Atomic must be true or false')
 ];
 
+// Apply one bulk operation to a loaded entry (the caller saves it).
+// Returns the history action to record, or an error for this entry.
+const applyBulkOperation = async (entry, { operation, status, reason, reopen, changes, tags }, userId) => {
+  // Invoiced entries only take tags and status changes other than cancelling
+  const lock = entry.invoiceLock();
+  if (lock && (['update', 'delete'].includes(operation) || (operation === 'status' && status === 'CANCELLED'))) {
+    return { error: lock };
+  }
+
+  switch (operation) {
+    case 'status': {
+      const result = entry.transitionStatus(status, { reason, reopen, changedBy: userId });
+      return result.allowed ? { action: 'STATUS_CHANGE' } : { error: result.error };
+    }
+    case 'update': {
+      // Same lane, rate card and vehicle re-linking as a single edit
+      const { changes: relinked, error } = await relinkEntryChanges(userId, entry, changes);
+      if (error) return { error: error.message };
+      entry.$set(relinked, undefined, { merge: true });
+      return { action: 'UPDATE' };
+    }
+    case 'tags': {
+      const remove = new Set(tags.remove);
+      entry.tags = [...new Set([...entry.tags.filter(tag => !remove.has(tag)), ...tags.add])];
+      return { action: 'UPDATE' };
+    }
+    default:
+      return { action: 'DELETE' };
+  }
+};
+
 const validateQuery = [
   query('page')
     .optional()
@@ -49,7 +472,11 @@ const validateQuery = [
   query('search')
     .optional()
     .isLength({ max: 100 })
-    .withMessage('Search term cannot be more than 100 characters')
+    .withMessage('Search term cannot be more than 100 characters'),
+  query('billingState')
+    .optional()
+    .isIn(BILLING_STATES)
+    .withMessage(`Billing state must be one of: ${BILLING_STATES.join(', ')}`)
 ];
 
 // @desc    Get all transport entries for the authenticated user
@@ -70,36 +497,8 @@ router.get('/', protect, validateQuery, async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const search = req.query.search || '';
-    const status = req.query.status;
-    const from = req.query.from;
-    const to = req.query.to;
-
-    // Build query
-    let query = { userId: req.user._id };
 
-    // Add search functionality
-    if (search) {
-      query.$or = [
-        { id: { $regex: search, $options: 'i' } }, // Search by custom Entry ID
-        { vehicleNo: { $regex: search, $options: 'i' } },
-        { from: { $regex: search, $options: 'i' } },
-        { to: { $regex: search, $options: 'i' } },
-        { 'transportBillData.invoiceNo': { $regex: search, $options: 'i' } },
-        { 'ownerData.ownerNameAndAddress': { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Add filters
-    if (status) {
-      query['transportBillData.status'] = status;
-    }
-    if (from) {
-      query.from = { $regex: from, $options: 'i' };
-    }
-    if (to) {
-      query.to = { $regex: to, $options: 'i' };
-    }
+    const query = buildListQuery(req.user._id, req.query);
 
     // Get entries with pagination
     const entries = await TransportEntry.find(query)
@@ -135,48 +534,82 @@ router.get('/', protect, validateQuery, async (req, res) => {
   }
 });
 
-// @desc    Get single transport entry
-// @route   GET /api/transport-entries/:id
+// @desc    Get the columns available for export
+// @route   GET /api/transport-entries/export/columns
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
-  try {
-    const entry = await TransportEntry.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-
-    if (!entry) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transport entry not found'
-      });
+router.get('/export/columns', protect, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      formats: EXPORT_FORMATS,
+      columns: ENTRY_COLUMNS.map(({ key, header, type }) => ({ key, header, type }))
     }
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      data: entry
+// @desc    Export filtered transport entries as CSV or XLSX
+// @route   GET /api/transport-entries/export.csv
+// @route   GET /api/transport-entries/export.xlsx
+// @access  Private
+// Accepts the list filters (search, status, from, to) and columns=key1,key2
+router.get('/export.:format(csv|xlsx)', protect, validateQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors.array()
     });
+  }
+
+  const { columns, unknown } = resolveExportColumns(req.query.columns);
+  if (unknown.length > 0 || columns.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: unknown.length > 0
+        ? `Unknown columns: ${unknown.join(', ')}`
+        : 'Select at least one column to export'
+    });
+  }
+
+  const format = req.params.format;
+  const cursor = TransportEntry.find(buildListQuery(req.user._id, req.query))
+    .select(exportProjection(columns))
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  const fileName = `transport-entries-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv'
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  try {
+    if (format === 'csv') {
+      await streamEntriesCsv(cursor, columns, res);
+    } else {
+      await streamEntriesXlsx(cursor, columns, res);
+    }
   } catch (error) {
-    console.error('Get transport entry error:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({
+    console.error('Export transport entries error:', error);
+    await cursor.close().catch(() => {});
+    // Once the download has started the status can no longer change
+    if (!res.headersSent) {
+      return res.status(500).json({
         success: false,
-        error: 'Invalid transport entry ID'
+        error: 'Server error while exporting transport entries'
       });
     }
-    res.status(500).json({
-      success: false,
-      error: 'Server error while fetching transport entry'
-    });
+    res.destroy(error);
   }
 });
 
-// @desc    Create new transport entry
-// @route   POST /api/transport-entries
+// @desc    Get transport entries in the trash
+// @route   GET /api/transport-entries/trash
 // @access  Private
-router.post('/', protect, validateTransportEntry, async (req, res) => {
+router.get('/trash', protect, validateQuery, async (req, res) => {
   try {
-    // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -186,54 +619,87 @@ router.post('/', protect, validateTransportEntry, async (req, res) => {
       });
     }
 
-    // Add user ID to the entry data
-    const entryData = {
-      ...req.body,
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id, deletedAt: { $ne: null } };
+
+    const entries = await TransportEntry.find(query)
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('deletedBy', 'profile.ownerName email');
+
+    const total = await TransportEntry.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({ ...entry.toObject(), purgeAt: entry.purgeDate() })),
+        retentionDays: trashConfig.retentionDays,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @desc    Get single transport entry
+// @route   GET /api/transport-entries/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
       userId: req.user._id
-    };
+    }).populate('statusHistory.changedBy', 'profile.ownerName email');
 
-    const entry = await TransportEntry.create(entryData);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
       data: entry,
-      message: 'Transport entry created successfully'
+      allowedTransitions: availableTransitions(entry.transportBillData.status)
     });
   } catch (error) {
-    console.error('Create transport entry error:', error);
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => ({
-        field: err.path,
-        message: err.message
-      }));
+    console.error('Get transport entry error:', error);
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        error: 'Validation failed',
-        errors
+        error: 'Invalid transport entry ID'
       });
     }
     res.status(500).json({
       success: false,
-      error: 'Server error while creating transport entry'
+      error: 'Server error while fetching transport entry'
     });
   }
 });
 
-// @desc    Update transport entry
-// @route   PUT /api/transport-entries/:id
+// @desc    Download tax invoice PDF for a transport entry
+// @route   GET /api/transport-entries/:id/invoice.pdf
 // @access  Private
-router.put('/:id', protect, validateTransportEntry, async (req, res) => {
+router.get('/:id/invoice.pdf', protect, async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
     const entry = await TransportEntry.findOne({
       _id: req.params.id,
       userId: req.user._id
@@ -246,52 +712,41 @@ router.put('/:id', protect, validateTransportEntry, async (req, res) => {
       });
     }
 
-    // Update the entry
-    const updatedEntry = await TransportEntry.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    const fileName = toFileName(entry.transportBillData.invoiceNo || entry.id || entry._id);
 
-    res.status(200).json({
-      success: true,
-      data: updatedEntry,
-      message: 'Transport entry updated successfully'
-    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${fileName}.pdf"`);
+
+    createInvoicePdf(entry, req.user).pipe(res);
   } catch (error) {
-    console.error('Update transport entry error:', error);
+    console.error('Generate invoice error:', error);
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
         error: 'Invalid transport entry ID'
       });
     }
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => ({
-        field: err.path,
-        message: err.message
-      }));
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        errors
-      });
-    }
     res.status(500).json({
       success: false,
-      error: 'Server error while updating transport entry'
+      error: 'Server error while generating invoice'
     });
   }
 });
 
-// @desc    Delete transport entry
-// @route   DELETE /api/transport-entries/:id
+// @desc    Download lorry receipt (consignment note) as PDF or print-friendly HTML
+// @route   GET /api/transport-entries/:id/lr.pdf
+// @route   GET /api/transport-entries/:id/lr.html
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
+router.get('/:id/lr.:format(pdf|html)', protect, async (req, res) => {
   try {
+    const copies = resolveCopies(req.query.copies);
+    if (!copies) {
+      return res.status(400).json({
+        success: false,
+        error: 'Copies must be a comma separated list of: office, consignor, consignee, driver'
+      });
+    }
+
     const entry = await TransportEntry.findOne({
       _id: req.params.id,
       userId: req.user._id
@@ -304,14 +759,20 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    await TransportEntry.findByIdAndDelete(req.params.id);
+    const fileName = `lr-${toFileName(entry.transportBillData.lrno || entry.id || entry._id)}`;
 
-    res.status(200).json({
-      success: true,
-      message: 'Transport entry deleted successfully'
-    });
+    if (req.params.format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}.html"`);
+      return res.send(createLorryReceiptHtml(entry, req.user, copies));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+
+    createLorryReceiptPdf(entry, req.user, copies).pipe(res);
   } catch (error) {
-    console.error('Delete transport entry error:', error);
+    console.error('Generate lorry receipt error:', error);
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
@@ -320,18 +781,1130 @@ router.delete('/:id', protect, async (req, res) => {
     }
     res.status(500).json({
       success: false,
-      error: 'Server error while deleting transport entry'
+      error: 'Server error while generating lorry receipt'
     });
   }
 });
 
-// @desc    Get transport entry statistics
-// @route   GET /api/transport-entries/stats/summary
+// @desc    Create new transport entry
+// @route   POST /api/transport-entries
 // @access  Private
-router.get('/stats/summary', protect, async (req, res) => {
+router.post('/', protect, validateTransportEntry, async (req, res) => {
   try {
-    const userId = req.user._id;
-
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Add user ID to the entry data
+    const entryData = {
+      ...stripComputedFields(req.body),
+      userId: req.user._id
+    };
+
+    // Blank owner details are filled in from the vehicle master
+    await Vehicle.autoFillEntries(req.user._id, [entryData]);
+
+    // Linked parties are stored as snapshots taken at booking time
+    if (req.body.parties) {
+      const { snapshots, errors: partyErrors } = await resolvePartyRefs(req.user._id, req.body.parties);
+      if (partyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: partyErrors
+        });
+      }
+      applyPartyDetails(entryData, snapshots);
+      entryData.parties = snapshots;
+    }
+
+    // The broker's commission rule is copied onto the entry
+    if (req.body.broker) {
+      const { link, error: brokerError } = await resolveBrokerRef(req.user._id, req.body.broker);
+      if (brokerError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: [brokerError]
+        });
+      }
+      applyBrokerDetails(entryData, link);
+      entryData.broker = link;
+    }
+
+    // An expired licence is reported in the warnings, not rejected
+    if (req.body.driver) {
+      const { link, error: driverError } = await resolveDriverRef(req.user._id, req.body.driver);
+      if (driverError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: [driverError]
+        });
+      }
+      applyDriverDetails(entryData, link);
+      entryData.driver = link;
+    }
+
+    // Link the lane given, or the one matching from/to
+    const { link: laneLink, error: laneError } = await resolveLane(req.user._id, req.body);
+    if (laneError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [laneError]
+      });
+    }
+    entryData.lane = laneLink;
+
+    // Freight left blank is quoted from the matching rate card
+    await prefillFreight(req.user._id, entryData);
+
+    // Opening payments may be sent inline; older clients still send the fixed advance slots
+    entryData.payments = Array.isArray(req.body.payments) && req.body.payments.length > 0
+      ? req.body.payments.map(payment => ({ ...payment, recordedBy: req.user._id, recordedAt: new Date() }))
+      : legacyPaymentsFrom(req.body.ownerData, req.user._id);
+
+    const entry = await TransportEntry.create(entryData);
+    await recordEntryChange({ action: 'CREATE', entry, req });
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      warnings: entry.$locals.warnings || [],
+      message: 'Transport entry created successfully'
+    });
+  } catch (error) {
+    console.error('Create transport entry error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating transport entry'
+    });
+  }
+});
+
+// @desc    Get the columns a spreadsheet import can map to
+// @route   GET /api/transport-entries/import/columns
+// @access  Private
+router.get('/import/columns', protect, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      formats: IMPORT_FORMATS,
+      maxRows: importConfig.maxRows,
+      columns: importableColumns()
+    }
+  });
+});
+
+// @desc    Import transport entries from a CSV or XLSX file
+// @route   POST /api/transport-entries/import
+// @access  Private
+// Multipart fields: file, mode (dry-run | commit, default dry-run) and
+// mapping (optional JSON object of { "file header": "column key" })
+router.post('/import', protect, uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload a CSV or XLSX file in the "file" field'
+      });
+    }
+
+    const format = detectImportFormat(req.file);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `File must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const mode = req.body.mode || 'dry-run';
+    if (!['dry-run', 'commit'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mode must be one of: dry-run, commit'
+      });
+    }
+
+    let requestedMapping = {};
+    if (req.body.mapping) {
+      try {
+        requestedMapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        requestedMapping = null;
+      }
+      if (!requestedMapping || typeof requestedMapping !== 'object' || Array.isArray(requestedMapping)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Mapping must be a JSON object of { "file header": "column key" }'
+        });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file.buffer, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read the ${format.toUpperCase()} file: ${error.message}`
+      });
+    }
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file has no data rows'
+      });
+    }
+    if (parsed.rows.length > importConfig.maxRows) {
+      return res.status(400).json({
+        success: false,
+        error: `A file can contain at most ${importConfig.maxRows} rows (found ${parsed.rows.length})`
+      });
+    }
+
+    const { mapping, unmappedHeaders, errors: mappingErrors } = buildColumnMapping(parsed.headers, requestedMapping);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid column mapping',
+        errors: mappingErrors
+      });
+    }
+
+    const results = await validateImportRows(parsed.rows, mapping, req.user);
+    const validResults = results.filter(result => result.errors.length === 0);
+    const rowErrors = results
+      .filter(result => result.errors.length > 0)
+      .map(result => ({ row: result.rowNumber, errors: result.errors }));
+    const rowWarnings = results
+      .filter(result => result.errors.length === 0 && result.warnings.length > 0)
+      .map(result => ({ row: result.rowNumber, warnings: result.warnings }));
+
+    const created = [];
+    if (mode === 'commit') {
+      for (let i = 0; i < validResults.length; i += importConfig.batchSize) {
+        const batch = validResults.slice(i, i + importConfig.batchSize);
+        const { inserted, failures } = await insertImportBatch(batch);
+
+        await recordEntryCreations(inserted, req);
+        inserted.forEach(entry => {
+          const result = batch.find(item => item.doc._id.equals(entry._id));
+          created.push({ row: result ? result.rowNumber : undefined, _id: entry._id, id: entry.id });
+        });
+        rowErrors.push(...failures);
+      }
+      rowErrors.sort((a, b) => a.row - b.row);
+    }
+
+    res.status(mode === 'commit' ? 201 : 200).json({
+      success: true,
+      data: {
+        mode,
+        format,
+        totalRows: results.length,
+        validRows: mode === 'commit' ? created.length : validResults.length,
+        invalidRows: rowErrors.length,
+        mapping,
+        unmappedHeaders,
+        errors: rowErrors,
+        warnings: rowWarnings,
+        created
+      },
+      message: mode === 'commit'
+        ? `Imported ${created.length} of ${results.length} rows`
+        : `${validResults.length} of ${results.length} rows are ready to import`
+    });
+  } catch (error) {
+    console.error('Import transport entries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while importing transport entries'
+    });
+  }
+});
+
+// @desc    Apply one operation to many transport entries
+// @route   POST /api/transport-entries/bulk
+// @access  Private
+// Body: { operation, ids | filter, status, reason, reopen, changes, tags: { add, remove }, atomic }
+// With atomic: true every change runs in one transaction and any failure rolls all of them back.
+router.post('/bulk', protect, validateBulk, async (req, res) => {
+  let session;
+  let outcome;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { operation, ids, filter, reason } = req.body;
+    const atomic = req.body.atomic === true || req.body.atomic === 'true';
+    const userId = req.user._id;
+
+    if (Boolean(ids) === Boolean(filter)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either ids or filter'
+      });
+    }
+    if (filter && !['search', 'status', 'billingState', 'from', 'to', 'tag'].some(key => filter[key])) {
+      return res.status(400).json({
+        success: false,
+        error: 'Filter must contain at least one of: search, status, billingState, from, to, tag'
+      });
+    }
+
+    const params = {
+      operation,
+      status: req.body.status,
+      reason,
+      reopen: req.body.reopen === true || req.body.reopen === 'true'
+    };
+
+    if (operation === 'update') {
+      // Entry IDs are unique, status has its own operation and tags their own
+      const { id, tags, ...changes } = stripComputedFields(req.body.changes);
+      if (changes.transportBillData && changes.transportBillData.status !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use the "status" operation to change status'
+        });
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Changes must contain at least one field to update'
+        });
+      }
+      params.changes = changes;
+    }
+
+    if (operation === 'tags') {
+      const cleanTags = (list) => [...new Set((list || []).map(tag => String(tag).trim()).filter(Boolean))];
+      params.tags = { add: cleanTags(req.body.tags.add), remove: cleanTags(req.body.tags.remove) };
+      if (params.tags.add.length === 0 && params.tags.remove.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tags must list at least one tag to add or remove'
+        });
+      }
+    }
+
+    const targetQuery = ids
+      ? { _id: { $in: ids }, userId }
+      : buildListQuery(userId, filter);
+
+    const matched = await TransportEntry.countDocuments(targetQuery);
+    if (matched > BULK_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `Filter matches ${matched} entries, a bulk operation can change at most ${BULK_MAX_ITEMS}`
+      });
+    }
+
+    const runOperation = async () => {
+      const query = TransportEntry.find(targetQuery).sort({ createdAt: -1 });
+      if (session) query.session(session);
+      const entries = await query;
+
+      const results = [];
+      const changed = [];
+
+      if (ids) {
+        const found = new Set(entries.map(entry => String(entry._id)));
+        [...new Set(ids)].filter(id => !found.has(id)).forEach(id => {
+          results.push({ _id: id, success: false, error: 'Transport entry not found' });
+        });
+      }
+
+      for (const entry of entries) {
+        const before = snapshotEntry(entry);
+        const outcome = await applyBulkOperation(entry, params, userId);
+        let error = outcome.error;
+        if (!error && operation === 'delete') {
+          error = await entry.settlementLock();
+        }
+
+        if (!error) {
+          try {
+            if (operation === 'delete') {
+              await entry.softDelete(userId);
+            } else {
+              await entry.save();
+            }
+            changed.push({ action: outcome.action, entry, before });
+          } catch (saveError) {
+            if (saveError.name !== 'ValidationError') throw saveError;
+            error = Object.values(saveError.errors).map(err => err.message).join(', ');
+          }
+        }
+
+        results.push({ _id: entry._id, id: entry.id, success: !error, error });
+      }
+
+      return { results, changed };
+    };
+
+    if (atomic) {
+      session = await mongoose.startSession();
+      await session.withTransaction(async () => {
+        outcome = await runOperation();
+        if (outcome.results.some(result => !result.success)) {
+          const rollback = new Error('Bulk operation rolled back');
+          rollback.name = 'BulkRollback';
+          throw rollback;
+        }
+      });
+    } else {
+      outcome = await runOperation();
+    }
+
+    // History is written once the changes are final
+    for (const change of outcome.changed) {
+      await recordEntryChange({ ...change, req });
+    }
+
+    const succeeded = outcome.results.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        operation,
+        atomic,
+        total: outcome.results.length,
+        succeeded,
+        failed: outcome.results.length - succeeded,
+        results: outcome.results
+      },
+      message: `${operation} applied to ${succeeded} of ${outcome.results.length} transport entries`
+    });
+  } catch (error) {
+    if (error.name === 'BulkRollback') {
+      return res.status(400).json({
+        success: false,
+        error: 'Bulk operation failed for some entries, no changes were made',
+        data: { results: outcome.results.map(result => ({ ...result, success: false, error: result.error || 'Rolled back' })) }
+      });
+    }
+    console.error('Bulk transport entries error:', error);
+    if (error.code === 20 || /replica set/i.test(error.message || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Atomic bulk operations need MongoDB running as a replica set'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while applying bulk operation'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// @desc    Update transport entry
+// @route   PUT /api/transport-entries/:id
+// @access  Private
+router.put('/:id', protect, validateTransportEntry, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    const lock = entry.invoiceLock();
+    if (lock) {
+      return res.status(409).json({
+        success: false,
+        error: lock
+      });
+    }
+
+    const entryData = stripComputedFields(req.body);
+
+    // Status changes must go through the workflow so they are checked and recorded
+    if (entryData.transportBillData && entryData.transportBillData.status !== undefined) {
+      const { status, ...billData } = entryData.transportBillData;
+      if (status !== entry.transportBillData.status) {
+        return res.status(400).json({
+          success: false,
+          error: 'Status cannot be changed here, use POST /api/transport-entries/:id/transition',
+          allowedTransitions: availableTransitions(entry.transportBillData.status)
+        });
+      }
+      entryData.transportBillData = billData;
+    }
+
+    // Newly linked parties are snapshotted now; unchanged links keep their snapshot
+    let billedToChanged = false;
+    if (req.body.parties) {
+      const current = entry.parties.toObject();
+      const { snapshots, errors: partyErrors } = await resolvePartyRefs(req.user._id, req.body.parties, current);
+      if (partyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: partyErrors
+        });
+      }
+      if (Object.keys(snapshots).length > 0) {
+        applyPartyDetails(entryData, snapshots, current);
+        entryData.parties = snapshots;
+      }
+      billedToChanged = snapshots.billedTo !== undefined;
+    }
+
+    // Receipts and notes belong to the billed party, so the bill cannot move to another one
+    const newMs = entryData.transportBillData && entryData.transportBillData.ms;
+    const msChanged = newMs !== undefined && String(newMs || '').trim() !== (entry.transportBillData.ms || '');
+    if (billedToChanged || msChanged) {
+      const settled = await entry.settlementLock('change the billed party');
+      if (settled) {
+        return res.status(409).json({
+          success: false,
+          error: settled
+        });
+      }
+    }
+
+    // A newly linked broker brings its current rule; the same broker keeps the booked rule
+    if (req.body.broker !== undefined) {
+      const { link, error: brokerError } = await resolveBrokerRef(req.user._id, req.body.broker, entry.broker);
+      if (brokerError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: [brokerError]
+        });
+      }
+      if (link) applyBrokerDetails(entryData, link);
+      if (link !== undefined) entryData.broker = link;
+    }
+
+    if (req.body.driver !== undefined) {
+      const { link, error: driverError } = await resolveDriverRef(req.user._id, req.body.driver, entry.driver);
+      if (driverError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          errors: [driverError]
+        });
+      }
+      if (link) applyDriverDetails(entryData, link);
+      if (link !== undefined) entryData.driver = link;
+    }
+
+    // A changed route is matched to its lane (and rate card) again, a new vehicle brings its owner details
+    const { changes, error: relinkError } = await relinkEntryChanges(req.user._id, entry, entryData, req.body);
+    if (relinkError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: [relinkError]
+      });
+    }
+
+    const before = snapshotEntry(entry);
+
+    // Merge the changes and save so computed fields (GST split) are refreshed
+    entry.$set(changes, undefined, { merge: true });
+    await entry.save();
+    await recordEntryChange({ action: 'UPDATE', entry, before, req });
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      warnings: entry.$locals.warnings || [],
+      message: 'Transport entry updated successfully'
+    });
+  } catch (error) {
+    console.error('Update transport entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating transport entry'
+    });
+  }
+});
+
+// @desc    Change the status of a transport entry
+// @route   POST /api/transport-entries/:id/transition
+// @access  Private
+router.post('/:id/transition', protect, validateTransition, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    const { status, reason } = req.body;
+    const reopen = req.body.reopen === true || req.body.reopen === 'true';
+
+    // An invoiced trip cannot be cancelled while the invoice stands
+    const lock = status === 'CANCELLED' ? entry.invoiceLock() : null;
+    if (lock) {
+      return res.status(409).json({
+        success: false,
+        error: lock
+      });
+    }
+
+    const before = snapshotEntry(entry);
+    const result = entry.transitionStatus(status, { reason, reopen, changedBy: req.user._id });
+    if (!result.allowed) {
+      return res.status(409).json({
+        success: false,
+        error: result.error,
+        allowedTransitions: availableTransitions(entry.transportBillData.status)
+      });
+    }
+
+    await entry.save();
+    await recordEntryChange({ action: 'STATUS_CHANGE', entry, before, req });
+    await entry.populate('statusHistory.changedBy', 'profile.ownerName email');
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      allowedTransitions: availableTransitions(entry.transportBillData.status),
+      warnings: entry.$locals.warnings || [],
+      message: `Transport entry marked ${status}`
+    });
+  } catch (error) {
+    console.error('Transition transport entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while changing transport entry status'
+    });
+  }
+});
+
+// @desc    Delete transport entry
+// @route   DELETE /api/transport-entries/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    const lock = entry.invoiceLock() || await entry.settlementLock();
+    if (lock) {
+      return res.status(409).json({
+        success: false,
+        error: lock
+      });
+    }
+
+    const before = snapshotEntry(entry);
+    await entry.softDelete(req.user._id);
+    await recordEntryChange({ action: 'DELETE', entry, before, req });
+
+    res.status(200).json({
+      success: true,
+      data: { purgeAt: entry.purgeDate() },
+      message: `Transport entry moved to trash, it can be restored for ${trashConfig.retentionDays} days`
+    });
+  } catch (error) {
+    console.error('Delete transport entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting transport entry'
+    });
+  }
+});
+
+// @desc    Restore a transport entry from the trash
+// @route   POST /api/transport-entries/:id/restore
+// @access  Private
+router.post('/:id/restore', protect, async (req, res) => {
+  try {
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found in trash'
+      });
+    }
+
+    const before = snapshotEntry(entry);
+    await entry.restoreFromTrash();
+    await recordEntryChange({ action: 'UNDELETE', entry, before, req });
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      message: 'Transport entry restored from trash'
+    });
+  } catch (error) {
+    console.error('Restore transport entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring transport entry'
+    });
+  }
+});
+
+// @desc    Get payment ledger for a transport entry
+// @route   GET /api/transport-entries/:id/payments
+// @access  Private
+router.get('/:id/payments', protect, async (req, res) => {
+  try {
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('payments.recordedBy', 'profile.ownerName email');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: paymentSummary(entry)
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching payments'
+    });
+  }
+});
+
+// @desc    Record a payment against a transport entry
+// @route   POST /api/transport-entries/:id/payments
+// @access  Private
+router.post('/:id/payments', protect, validatePayment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    const before = snapshotEntry(entry);
+    const { amount, date, mode, type, reference, remarks } = req.body;
+    entry.payments.push({
+      amount,
+      date,
+      mode,
+      type,
+      reference,
+      remarks,
+      recordedBy: req.user._id,
+      recordedAt: new Date()
+    });
+    await entry.save();
+    await recordEntryChange({ action: 'PAYMENT_ADDED', entry, before, req });
+
+    res.status(201).json({
+      success: true,
+      data: paymentSummary(entry),
+      warnings: entry.$locals.warnings || [],
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recording payment'
+    });
+  }
+});
+
+// @desc    Remove a payment from a transport entry
+// @route   DELETE /api/transport-entries/:id/payments/:paymentId
+// @access  Private
+router.delete('/:id/payments/:paymentId', protect, async (req, res) => {
+  try {
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    const payment = entry.payments.id(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const before = snapshotEntry(entry);
+    payment.deleteOne();
+    await entry.save();
+    await recordEntryChange({ action: 'PAYMENT_REMOVED', entry, before, req });
+
+    res.status(200).json({
+      success: true,
+      data: paymentSummary(entry),
+      warnings: entry.$locals.warnings || [],
+      message: 'Payment removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove payment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing payment'
+    });
+  }
+});
+
+// @desc    Get change history of a transport entry (without snapshots)
+// @route   GET /api/transport-entries/:id/history
+// @access  Private
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    // History outlives the entry, so it is looked up by its own user scope
+    const history = await EntryHistory.find({
+      entryId: req.params.id,
+      userId: req.user._id
+    })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .populate('actor', 'profile.ownerName email')
+      .lean();
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No history found for this transport entry'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Get entry history error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching entry history'
+    });
+  }
+});
+
+// @desc    Get one version of a transport entry with its full snapshot
+// @route   GET /api/transport-entries/:id/history/:version
+// @access  Private
+router.get('/:id/history/:version', protect, validateHistoryVersion, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await EntryHistory.findOne({
+      entryId: req.params.id,
+      userId: req.user._id,
+      version: Number(req.params.version)
+    })
+      .populate('actor', 'profile.ownerName email')
+      .lean();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'History version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    console.error('Get entry history version error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching entry history'
+    });
+  }
+});
+
+// @desc    Restore a transport entry to the field values of a history version
+// @route   POST /api/transport-entries/:id/history/:version/restore
+// @access  Private
+router.post('/:id/history/:version/restore', protect, validateHistoryVersion, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await TransportEntry.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transport entry not found'
+      });
+    }
+
+    const version = Number(req.params.version);
+    const record = await EntryHistory.findOne({
+      entryId: entry._id,
+      userId: req.user._id,
+      version
+    }).lean();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'History version not found'
+      });
+    }
+
+    const lock = entry.invoiceLock();
+    if (lock) {
+      return res.status(409).json({
+        success: false,
+        error: lock
+      });
+    }
+
+    const before = snapshotEntry(entry);
+
+    // Replace (not merge) the nested objects so fields added since that version are cleared
+    entry.set(restorableFields(record.snapshot, entry));
+    await entry.save();
+    await recordEntryChange({ action: 'RESTORE', entry, before, req, restoredFrom: version });
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      warnings: entry.$locals.warnings || [],
+      message: `Transport entry restored to version ${version}`
+    });
+  } catch (error) {
+    console.error('Restore entry version error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid transport entry ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring transport entry'
+    });
+  }
+});
+
+// @desc    Get transport entry statistics
+// @route   GET /api/transport-entries/stats/summary
+// @access  Private
+router.get('/stats/summary', protect, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
     // Get basic statistics
     const totalEntries = await TransportEntry.countDocuments({ userId });
     
@@ -345,6 +1918,24 @@ router.get('/stats/summary', protect, async (req, res) => {
       { $group: { _id: null, total: { $sum: '$transportBillData.total' } } }
     ]);
 
+    // Receivables: what has been billed (cancelled trips aside), adjusted by
+    // notes against entries, and received so far
+    const billingStats = await TransportEntry.aggregate([
+      { $match: { userId, 'transportBillData.status': { $ne: 'CANCELLED' } } },
+      {
+        $group: {
+          _id: '$billing.state',
+          count: { $sum: 1 },
+          billed: { $sum: BILLED_AMOUNT_EXPR },
+          adjustments: { $sum: '$billing.adjustmentAmount' },
+          received: { $sum: '$billing.amountPaid' }
+        }
+      }
+    ]);
+    const billed = billingStats.reduce((sum, row) => sum + row.billed, 0);
+    const adjustments = billingStats.reduce((sum, row) => sum + row.adjustments, 0);
+    const received = billingStats.reduce((sum, row) => sum + row.received, 0);
+
     // Recent entries (last 7 days)
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -360,6 +1951,13 @@ router.get('/stats/summary', protect, async (req, res) => {
         totalEntries,
         statusBreakdown: statusStats,
         totalAmount: totalAmount[0]?.total || 0,
+        billingBreakdown: billingStats.map(({ _id, count }) => ({ _id, count })),
+        receivables: {
+          billed: roundAmount(billed),
+          adjustments: roundAmount(adjustments),
+          received: roundAmount(received),
+          outstanding: roundAmount(billed + adjustments - received)
+        },
         recentEntries
       }
     });
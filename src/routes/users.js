@@ -2,6 +2,13 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const User = require('../models/User');
+const TransportEntry = require('../models/TransportEntry');
+const {
+    DOCUMENT_SERIES,
+    resolveScheme,
+    applyStartingNumbers,
+    previewNextNumbers
+} = require('../utils/numbering');
 
 const router = express.Router();
 
@@ -531,4 +538,152 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
             error: 'Server error'
         });
     }
-});
\ No newline at end of file
+});
+
+// Effective numbering schemes (defaults merged with the user's settings)
+const numberingSettings = (user) => {
+    const numbering = {};
+    DOCUMENT_SERIES.forEach(series => {
+        numbering[series] = resolveScheme(user, series);
+    });
+    return numbering;
+};
+
+const numberingValidators = DOCUMENT_SERIES.flatMap(series => [
+    body(`${series}.prefix`).optional().isString().isLength({ max: 30 }).withMessage(`${series} prefix cannot be more than 30 characters`),
+    body(`${series}.suffix`).optional().isString().isLength({ max: 30 }).withMessage(`${series} suffix cannot be more than 30 characters`),
+    body(`${series}.padding`).optional().isInt({ min: 1, max: 10 }).withMessage(`${series} padding must be between 1 and 10`),
+    body(`${series}.resetEveryFinancialYear`).optional().isBoolean().withMessage(`${series} resetEveryFinancialYear must be true or false`),
+    body(`${series}.startAt`).optional().isInt({ min: 1 }).withMessage(`${series} starting number must be a positive integer`)
+]);
+
+// @desc    Get document numbering settings
+// @route   GET /api/users/:id/numbering
+// @access  Private
+router.get('/:id/numbering', protect, async (req, res) => {
+    try {
+        const userId = req.params.id;
+
+        // Users can only access their own data unless they're admin
+        if (req.user.role !== 'admin' && req.user._id.toString() !== userId) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to access this user'
+            });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                numbering: numberingSettings(user),
+                nextNumbers: await previewNextNumbers(TransportEntry, user)
+            }
+        });
+    } catch (error) {
+        console.error('Get numbering settings error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid user ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// @desc    Update document numbering settings
+// @route   PUT /api/users/:id/numbering
+// @access  Private
+router.put('/:id/numbering', numberingValidators, protect, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const userId = req.params.id;
+
+        // Users can only update their own data unless they're admin
+        if (req.user.role !== 'admin' && req.user._id.toString() !== userId) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to update this user'
+            });
+        }
+
+        // Build update object for the numbering fields of each series
+        const updateData = {};
+        DOCUMENT_SERIES.forEach(series => {
+            const scheme = req.body[series];
+            if (!scheme) return;
+
+            ['prefix', 'suffix', 'padding', 'resetEveryFinancialYear', 'startAt'].forEach(key => {
+                if (scheme[key] !== undefined) {
+                    updateData[`numbering.${series}.${key}`] = scheme[key];
+                }
+            });
+        });
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            updateData,
+            { new: true, runValidators: true }
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        // A new starting number takes effect immediately for the current financial year
+        await applyStartingNumbers(TransportEntry, user);
+
+        res.json({
+            success: true,
+            data: {
+                numbering: numberingSettings(user),
+                nextNumbers: await previewNextNumbers(TransportEntry, user)
+            }
+        });
+    } catch (error) {
+        console.error('Update numbering settings error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid user ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
@@ -0,0 +1,404 @@
+const express = require('express');
+const router = express.Router();
+const Vehicle = require('../models/Vehicle');
+const TransportEntry = require('../models/TransportEntry');
+const { protect } = require('../middleware/authMiddleware');
+const { body, validationResult, query } = require('express-validator');
+const { normalizeVehicleNo, vehicleNoPattern } = require('../utils/vehicleNumber');
+const { OPEN_STATUSES } = require('../utils/statusWorkflow');
+const { snapshotEntry, recordEntryChange } = require('../utils/auditTrail');
+
+// Validation middleware
+const validateVehicle = [
+  body('vehicleNo')
+    .notEmpty()
+    .withMessage('Vehicle number is required')
+    .isLength({ max: 20 })
+    .withMessage('Vehicle number cannot be more than 20 characters'),
+  body('vehicleType')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Vehicle type cannot be more than 50 characters'),
+  body('panNo')
+    .optional()
+    .isLength({ max: 10 })
+    .withMessage('PAN number cannot be more than 10 characters'),
+  body('contactNo')
+    .optional({ values: 'falsy' })
+    .isNumeric()
+    .withMessage('Contact number must be a number'),
+  body('policyDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Policy date must be a valid date'),
+  body('propagate')
+    .optional()
+    .isBoolean()
+    .withMessage('Propagate must be true or false')
+];
+
+const validateQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters')
+];
+
+// Strip fields the server owns from a request body
+const vehicleFields = (data) => {
+  const { _id, userId, createdAt, updatedAt, propagate, ...vehicleData } = data;
+  return vehicleData;
+};
+
+// Copy changed owner fields of a vehicle into its open transport entries.
+// Invoiced entries are locked and entries that fail validation keep their
+// details; both are reported as skipped rather than failing the vehicle update.
+const propagateToOpenEntries = async (vehicle, vehicleNo, before, req) => {
+  const after = vehicle.ownerData();
+  const changedFields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+  const updated = [];
+  const skipped = [];
+  if (changedFields.length === 0) return { updated, skipped };
+
+  const entries = await TransportEntry.find({
+    userId: req.user._id,
+    vehicleNo: vehicleNoPattern(vehicleNo),
+    'transportBillData.status': { $in: OPEN_STATUSES }
+  });
+
+  for (const entry of entries) {
+    const lock = entry.invoiceLock();
+    if (lock) {
+      skipped.push({ _id: entry._id, id: entry.id, error: lock });
+      continue;
+    }
+
+    const entryBefore = snapshotEntry(entry);
+    changedFields.forEach(field => {
+      entry.set(`ownerData.${field}`, after[field]);
+    });
+    try {
+      await entry.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      skipped.push({
+        _id: entry._id,
+        id: entry.id,
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+      continue;
+    }
+    await recordEntryChange({ action: 'UPDATE', entry, before: entryBefore, req });
+    updated.push({ _id: entry._id, id: entry.id });
+  }
+
+  return { updated, skipped };
+};
+
+// @desc    Get all vehicles for the authenticated user
+// @route   GET /api/vehicles
+// @access  Private
+router.get('/', protect, validateQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { userId: req.user._id };
+    if (search) {
+      query.$or = [
+        { vehicleNo: { $regex: normalizeVehicleNo(search) || search, $options: 'i' } },
+        { vehicleType: { $regex: search, $options: 'i' } },
+        { ownerNameAndAddress: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const vehicles = await Vehicle.find(query)
+      .sort({ vehicleNo: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Vehicle.countDocuments(query);
+    const pages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicles,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          hasNext: page < pages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching vehicles'
+    });
+  }
+});
+
+// @desc    Look up a vehicle by its number (for auto-filling entry forms)
+// @route   GET /api/vehicles/by-number/:vehicleNo
+// @access  Private
+router.get('/by-number/:vehicleNo', protect, async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOne({
+      userId: req.user._id,
+      vehicleNo: normalizeVehicleNo(req.params.vehicleNo)
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vehicle,
+      ownerData: vehicle.ownerData()
+    });
+  } catch (error) {
+    console.error('Get vehicle by number error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching vehicle'
+    });
+  }
+});
+
+// @desc    Get single vehicle
+// @route   GET /api/vehicles/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vehicle
+    });
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vehicle ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching vehicle'
+    });
+  }
+});
+
+// @desc    Create new vehicle
+// @route   POST /api/vehicles
+// @access  Private
+router.post('/', protect, validateVehicle, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await Vehicle.create({
+      ...vehicleFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: vehicle,
+      message: 'Vehicle created successfully'
+    });
+  } catch (error) {
+    console.error('Create vehicle error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A vehicle with this number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating vehicle'
+    });
+  }
+});
+
+// @desc    Update vehicle; with propagate: true the owner details are also
+//          copied into the vehicle's open (PENDING/IN_PROGRESS) entries
+// @route   PUT /api/vehicles/:id
+// @access  Private
+router.put('/:id', protect, validateVehicle, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await Vehicle.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    const vehicleNo = vehicle.vehicleNo;
+    const before = vehicle.ownerData();
+
+    vehicle.set(vehicleFields(req.body));
+    await vehicle.save();
+
+    const propagate = req.body.propagate === true || req.body.propagate === 'true';
+    const { updated, skipped } = propagate
+      ? await propagateToOpenEntries(vehicle, vehicleNo, before, req)
+      : { updated: [], skipped: [] };
+
+    let message = 'Vehicle updated successfully';
+    if (propagate) {
+      message = `Vehicle updated, ${updated.length} open entries updated`;
+      if (skipped.length > 0) message += `, ${skipped.length} skipped`;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vehicle,
+      updatedEntries: updated,
+      skippedEntries: skipped,
+      message
+    });
+  } catch (error) {
+    console.error('Update vehicle error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vehicle ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A vehicle with this number already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating vehicle'
+    });
+  }
+});
+
+// @desc    Delete vehicle (entries keep the owner details copied into them)
+// @route   DELETE /api/vehicles/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete vehicle error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vehicle ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting vehicle'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const TransportEntry = require('../models/TransportEntry');
+const { billingState, billedAmount } = require('../utils/entryTotals');
+const connectDB = require('../config/database');
+
+// Sets billing.state on entries saved before it was stored, or whose stored
+// state no longer matches their bill and the amount received against it.
+// Only billing.state is written, in batched targeted updates: totals, GST and
+// the rest of the entry are left as they are. Trashed entries are included.
+// Safe to run more than once: entries already in the right state are skipped.
+
+const BATCH_SIZE = 500;
+
+/**
+ * Billing state a raw entry document should have stored
+ * @param {Object} raw - Raw transport entry document
+ * @returns {string} - One of BILLING_STATES
+ */
+const expectedState = (raw) => {
+  const billing = raw.billing || {};
+  return billingState(billedAmount(raw) + (billing.adjustmentAmount || 0), billing.amountPaid);
+};
+
+/**
+ * Store the billing state of every entry whose stored state is missing or
+ * out of date, in batched targeted updates of billing.state only
+ * @returns {Promise<number>} - Number of entries updated
+ */
+const backfillEntries = async () => {
+  // Read raw documents so no defaults or hooks apply, trash included
+  const cursor = TransportEntry.collection.find({}, {
+    projection: { id: 1, transportBillData: 1, billing: 1 }
+  });
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await TransportEntry.collection.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const raw of cursor) {
+    const state = expectedState(raw);
+    if (raw.billing && raw.billing.state === state) continue;
+
+    batch.push({
+      updateOne: {
+        filter: { _id: raw._id },
+        update: { $set: { 'billing.state': state } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+const backfillBillingState = async () => {
+  let exitCode = 0;
+  try {
+    console.log('🧾 Starting billing state backfill...');
+
+    await connectDB();
+    const updated = await backfillEntries();
+
+    console.log(`✅ Updated the billing state of ${updated} entries`);
+  } catch (error) {
+    console.error('❌ Error backfilling billing state:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+};
+
+if (require.main === module) {
+  backfillBillingState();
+}
+
+module.exports = { backfillBillingState, backfillEntries, expectedState };
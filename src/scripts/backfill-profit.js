@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const TransportEntry = require('../models/TransportEntry');
+const { tripProfit } = require('../utils/entryTotals');
+const connectDB = require('../config/database');
+
+// Sets the stored profit of entries saved before it was computed, or whose
+// stored profit no longer matches their bill, lorry hire, broker commission
+// and notes. Only profit is written, in batched targeted updates: totals and
+// the rest of the entry are left as they are. Trashed entries are included.
+// Safe to run more than once: entries already up to date are skipped.
+
+const BATCH_SIZE = 500;
+const PROFIT_FIELDS = ['revenue', 'cost', 'margin', 'marginPercent'];
+
+/**
+ * Whether a raw entry's stored profit differs from the computed one
+ * @param {Object} stored - Stored profit (may be missing)
+ * @param {Object} profit - Profit from tripProfit
+ * @returns {boolean} - True when the entry needs updating
+ */
+const isStale = (stored, profit) => !stored || PROFIT_FIELDS.some(field => stored[field] !== profit[field]);
+
+/**
+ * Store the profit of every entry whose stored profit is missing or out of
+ * date, in batched targeted updates of profit only
+ * @returns {Promise<number>} - Number of entries updated
+ */
+const backfillEntries = async () => {
+  // Read raw documents so no defaults or hooks apply, trash included
+  const cursor = TransportEntry.collection.find({}, {
+    projection: { id: 1, transportBillData: 1, ownerData: 1, broker: 1, billing: 1, profit: 1 }
+  });
+
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await TransportEntry.collection.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const raw of cursor) {
+    const profit = tripProfit(raw);
+    if (!isStale(raw.profit, profit)) continue;
+
+    batch.push({
+      updateOne: {
+        filter: { _id: raw._id },
+        update: { $set: { profit } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+const backfillProfit = async () => {
+  let exitCode = 0;
+  try {
+    console.log('📈 Starting trip profit backfill...');
+
+    await connectDB();
+    const updated = await backfillEntries();
+
+    console.log(`✅ Updated the profit of ${updated} entries`);
+  } catch (error) {
+    console.error('❌ Error backfilling trip profit:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+};
+
+if (require.main === module) {
+  backfillProfit();
+}
+
+module.exports = { backfillProfit, backfillEntries, isStale };
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const TransportEntry = require('../models/TransportEntry');
+const { LEGACY_PAYMENT_FIELDS, legacyPaymentsFrom } = require('../models/paymentSchema');
+const connectDB = require('../config/database');
+
+// Moves the fixed advance slots (advAmt1..3, advDate1..3, neftImpsIdno1..3)
+// and the final payment reference into the per-entry payment ledger.
+// Only the ledger and the legacy slots are written: stored totals and
+// balances are left as they are. Trashed entries are migrated too.
+// Safe to run more than once: entries that already have payments are skipped.
+// Entries that fail are reported and the run exits non-zero.
+
+/**
+ * Move the legacy payment slots of one raw entry document into its ledger
+ * in a single update. Payments are validated against the payment schema
+ * first; an entry that fails keeps its legacy slots for the next run.
+ * @param {Object} raw - Raw transport entry document
+ * @returns {Promise<number>} - Number of payments moved to the ledger
+ */
+const migrateEntry = async (raw) => {
+  const unset = {};
+  LEGACY_PAYMENT_FIELDS.forEach(field => {
+    unset[`ownerData.${field}`] = '';
+  });
+
+  const hasLedger = Array.isArray(raw.payments) && raw.payments.length > 0;
+  const update = { $unset: unset };
+  let payments = [];
+
+  if (!hasLedger) {
+    const ledger = TransportEntry.hydrate({ _id: raw._id, userId: raw.userId });
+    ledger.payments = legacyPaymentsFrom(raw.ownerData, raw.userId).map(payment => ({
+      recordedAt: new Date(),
+      ...payment
+    }));
+    await Promise.all(ledger.payments.map(payment => payment.validate()));
+    payments = ledger.toObject().payments;
+    if (payments.length > 0) update.$set = { payments };
+  }
+
+  await TransportEntry.collection.updateOne({ _id: raw._id }, update);
+  return payments.length;
+};
+
+const migratePaymentLedger = async () => {
+  let exitCode = 0;
+  try {
+    console.log('💸 Starting payment ledger migration...');
+
+    await connectDB();
+
+    // Read raw documents: the legacy fields are no longer part of the schema
+    const legacyFilter = {
+      $or: LEGACY_PAYMENT_FIELDS.map(field => ({ [`ownerData.${field}`]: { $exists: true } }))
+    };
+    const cursor = TransportEntry.collection.find(legacyFilter);
+
+    let migrated = 0;
+    let cleaned = 0;
+    let failed = 0;
+
+    for await (const raw of cursor) {
+      try {
+        const moved = await migrateEntry(raw);
+        if (moved > 0) {
+          migrated++;
+          console.log(`   ✓ ${raw.id || raw._id}: ${moved} payment(s) moved to ledger`);
+        } else {
+          cleaned++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`   ✗ ${raw.id || raw._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Migrated ${migrated} entries, removed empty legacy slots from ${cleaned} entries`);
+    if (failed > 0) {
+      console.error(`❌ ${failed} entries failed, fix them and run the migration again`);
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error migrating payment ledger:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+};
+
+if (require.main === module) {
+  migratePaymentLedger();
+}
+
+module.exports = { migratePaymentLedger, migrateEntry };
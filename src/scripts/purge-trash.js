@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { purgeTrash } = require('../utils/trashPurge');
+
+// One-off trash purge for deployments without a long-running server
+// (e.g. serverless), meant to be run from a scheduled job.
+const runPurge = async () => {
+  let exitCode = 0;
+  try {
+    console.log('🗑️  Purging expired entries from trash...');
+
+    await connectDB();
+
+    const purged = await purgeTrash();
+
+    console.log(`✅ Purged ${purged} entries`);
+  } catch (error) {
+    console.error('❌ Error purging trash:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+};
+
+if (require.main === module) {
+  runPurge();
+}
+
+module.exports = { runPurge };
@@ -76,7 +76,6 @@ const createTransportEntries = (userId) => {
         handleCharges: Math.floor(Math.random() * 1000) + 500,
         detention: Math.floor(Math.random() * 500),
         freight: Math.floor(Math.random() * 5000) + 2000,
-        total: Math.floor(Math.random() * 8000) + 4000,
         status: status
       },
       ownerData: {
@@ -101,23 +100,15 @@ const createTransportEntries = (userId) => {
         lorryHireAmount: Math.floor(Math.random() * 10000) + 5000,
         accNo: 123456789 + i,
         otherChargesHamliDetentionHeight: Math.floor(Math.random() * 1000),
-        totalLorryHireRs: Math.floor(Math.random() * 12000) + 6000,
-        advAmt1: Math.floor(Math.random() * 3000) + 1000,
-        advDate1: baseDate,
-        neftImpsIdno1: `NEFT${String(100000 + i)}`,
-        advAmt2: Math.floor(Math.random() * 2000),
-        advDate2: baseDate,
-        neftImpsIdno2: `IMPS${String(200000 + i)}`,
-        advAmt3: Math.floor(Math.random() * 1000),
-        advDate3: baseDate,
-        neftImpsIdno3: `UPI${String(300000 + i)}`,
-        balanceAmt: Math.floor(Math.random() * 2000),
         otherChargesHamaliDetentionHeight: `Other charges description ${i + 1}`,
         deductionInClaimPenalty: `Deduction details ${i + 1}`,
-        finalNeftImpsIdno: `FINAL${String(400000 + i)}`,
-        finalDate: baseDate,
         deliveryDate: new Date(baseDate.getTime() + (Math.random() * 7 * 24 * 60 * 60 * 1000)) // Random delivery within 7 days
       },
+      payments: [
+        { amount: Math.floor(Math.random() * 3000) + 1000, date: baseDate, mode: 'NEFT', reference: `NEFT${String(100000 + i)}`, recordedBy: userId },
+        { amount: Math.floor(Math.random() * 2000) + 1, date: baseDate, mode: 'IMPS', reference: `IMPS${String(200000 + i)}`, recordedBy: userId },
+        { amount: Math.floor(Math.random() * 1000) + 1, date: baseDate, mode: 'UPI', reference: `UPI${String(300000 + i)}`, recordedBy: userId }
+      ],
       userId: userId
     });
   }
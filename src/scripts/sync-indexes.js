@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const TransportEntry = require('../models/TransportEntry');
+const Counter = require('../models/Counter');
+const connectDB = require('../config/database');
+
+// Models whose indexes have changed since they were first deployed.
+// TransportEntry: the old globally unique { id: 1 } index is replaced by
+// a per-user unique { userId: 1, id: 1 } index.
+const MODELS = [TransportEntry, Counter];
+
+const syncIndexes = async () => {
+  let exitCode = 0;
+  try {
+    console.log('🗂️  Syncing database indexes...');
+
+    await connectDB();
+
+    for (const Model of MODELS) {
+      const dropped = await Model.syncIndexes();
+      console.log(`   ✓ ${Model.modelName}: ${dropped.length ? `dropped ${dropped.join(', ')}` : 'no stale indexes'}`);
+    }
+
+    console.log('✅ Indexes are in sync');
+  } catch (error) {
+    console.error('❌ Error syncing indexes:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(exitCode);
+  }
+};
+
+if (require.main === module) {
+  syncIndexes();
+}
+
+module.exports = { syncIndexes };
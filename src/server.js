@@ -18,8 +18,20 @@ const connectDB = process.env.VERCEL === '1'
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const transportEntryRoutes = require('./routes/transportEntries');
+const vehicleRoutes = require('./routes/vehicles');
+const partyRoutes = require('./routes/parties');
+const brokerRoutes = require('./routes/brokers');
+const driverRoutes = require('./routes/drivers');
+const laneRoutes = require('./routes/lanes');
+const rateCardRoutes = require('./routes/rateCards');
+const quoteRoutes = require('./routes/quotes');
+const receiptRoutes = require('./routes/receipts');
+const invoiceRoutes = require('./routes/invoices');
+const adjustmentNoteRoutes = require('./routes/adjustmentNotes');
+const reportRoutes = require('./routes/reports');
 const debugRoutes = require('./routes/debug');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
+const { startTrashPurge } = require('./utils/trashPurge');
 
 // Initialize logging
 logger.info('🚀 Starting server...', {
@@ -142,6 +154,17 @@ app.get('/health', async (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/transport-entries', transportEntryRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/parties', partyRoutes);
+app.use('/api/brokers', brokerRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/lanes', laneRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/adjustment-notes', adjustmentNoteRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Debug routes (development only)
 if (process.env.NODE_ENV === 'development') {
@@ -155,7 +178,18 @@ app.get('/', (req, res) => {
     health: '/health',
     auth: '/api/auth',
     users: '/api/users',
-    transportEntries: '/api/transport-entries'
+    transportEntries: '/api/transport-entries',
+    vehicles: '/api/vehicles',
+    parties: '/api/parties',
+    brokers: '/api/brokers',
+    drivers: '/api/drivers',
+    lanes: '/api/lanes',
+    rateCards: '/api/rate-cards',
+    quotes: '/api/quotes',
+    receipts: '/api/receipts',
+    invoices: '/api/invoices',
+    adjustmentNotes: '/api/adjustment-notes',
+    reports: '/api/reports'
   };
 
   // Add debug endpoints in development
@@ -209,6 +243,9 @@ if (process.env.VERCEL !== '1' && require.main === module) {
     }
   });
 
+  // Background purge of soft-deleted entries past their retention period
+  startTrashPurge();
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const TransportEntry = require('../models/TransportEntry');
+const Invoice = require('../models/Invoice');
+const Party = require('../models/Party');
+const AdjustmentNote = require('../models/AdjustmentNote');
+const { billedAmount } = require('./entryTotals');
+const { calculateGst, roundAmount } = require('./gst');
+const { snapshotEntry, recordEntryChange } = require('./auditTrail');
+
+// Signed effect of issued notes on what the party owes: debits add, credits reduce
+const SIGNED_AMOUNT_EXPR = { $cond: [{ $eq: ['$type', 'DEBIT'] }, '$amount', { $multiply: ['$amount', -1] }] };
+// The same for the taxable value alone
+const SIGNED_TAXABLE_EXPR = {
+  $cond: [{ $eq: ['$type', 'DEBIT'] }, '$gst.taxableValue', { $multiply: ['$gst.taxableValue', -1] }]
+};
+
+/**
+ * Find the bill a note adjusts: a transport entry, or a consolidated invoice
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} ref - { entry, invoice } IDs from the request; the party is the bill's own
+ * @param {Object} user - Issuing user (supplier GSTIN for invoices)
+ * @returns {Promise<Object>} - { target: { entry, invoice, party, reference, billed, gstBasis } } or { error: { field, message } }
+ */
+const resolveNoteTarget = async (userId, { entry: entryId, invoice: invoiceId }, user) => {
+  if (entryId) {
+    const entry = await TransportEntry.findOne({ _id: entryId, userId });
+    if (!entry) {
+      return { error: { field: 'entry', message: 'Transport entry not found' } };
+    }
+    if (entry.transportBillData.status === 'CANCELLED') {
+      return { error: { field: 'entry', message: `Entry ${entry.id} is cancelled` } };
+    }
+    if (entry.billing.invoice) {
+      return { error: { field: 'entry', message: `Entry ${entry.id} is on invoice ${entry.billing.invoiceNo}, issue the note against the invoice` } };
+    }
+
+    // The note posts to the ledger of the party the bill is linked to
+    const billedTo = entry.parties && entry.parties.billedTo;
+    if (!billedTo || !billedTo.party) {
+      return { error: { field: 'entry', message: `Entry ${entry.id} is not linked to a billing party; link it first` } };
+    }
+
+    const { party, error } = await Party.findBillingParty(userId, billedTo.party);
+    if (error) return { error };
+
+    const bill = entry.transportBillData;
+    return {
+      target: {
+        entry: entry._id,
+        invoice: null,
+        party,
+        reference: bill.invoiceNo || entry.id,
+        billed: billedAmount(entry),
+        gstBasis: {
+          mode: bill.gst.mode,
+          rate: bill.gst.rate,
+          supplierGstin: bill.gst.supplierGstin,
+          recipientGstin: bill.gstno
+        }
+      }
+    };
+  }
+
+  const invoice = await Invoice.findOne({ _id: invoiceId, userId });
+  if (!invoice) {
+    return { error: { field: 'invoice', message: 'Invoice not found' } };
+  }
+  if (invoice.status === 'VOID') {
+    return { error: { field: 'invoice', message: `Invoice ${invoice.invoiceNo} is void` } };
+  }
+
+  const { party, error } = await Party.findBillingParty(userId, invoice.party);
+  if (error) return { error };
+
+  return {
+    target: {
+      entry: null,
+      invoice: invoice._id,
+      party,
+      reference: invoice.invoiceNo,
+      billed: invoice.totals.grandTotal,
+      gstBasis: {
+        mode: invoice.gst.mode,
+        rate: invoice.gst.rate,
+        supplierGstin: user && user.profile ? user.profile.gstNumber : undefined,
+        recipientGstin: invoice.billedTo && invoice.billedTo.gstin
+      }
+    }
+  };
+};
+
+/**
+ * GST on a note's taxable value, charged the same way as the bill it adjusts
+ * @param {Object} gstBasis - { mode, rate, supplierGstin, recipientGstin } of the original bill
+ * @param {number} taxableValue - Value being credited or debited
+ * @returns {Object} - GST breakdown (see calculateGst)
+ */
+const noteGst = (gstBasis, taxableValue) => calculateGst({ ...gstBasis, taxableValue });
+
+/**
+ * How much can still be credited on a bill: the billed amount plus debit
+ * notes less credit notes already issued against it
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} target - Target from resolveNoteTarget
+ * @returns {Promise<number>} - Amount a new credit note may not exceed
+ */
+const creditableAmount = async (userId, target) => {
+  const [issued] = await AdjustmentNote.aggregate([
+    {
+      $match: {
+        userId,
+        status: 'ISSUED',
+        ...(target.entry ? { entry: target.entry } : { invoice: target.invoice })
+      }
+    },
+    { $group: { _id: null, net: { $sum: SIGNED_AMOUNT_EXPR } } }
+  ]);
+  return roundAmount(target.billed + (issued ? issued.net : 0));
+};
+
+/**
+ * Recompute the net adjustment on entries from the notes issued against
+ * them and record the change in each entry's history
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Array} entryIds - Entries whose notes changed
+ * @param {Object} req - Express request (for the audit trail)
+ * @returns {Promise<number>} - Number of entries updated
+ */
+const syncEntryAdjustments = async (userId, entryIds, req) => {
+  const ids = [...new Set(entryIds.filter(Boolean).map(String))].map(id => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return 0;
+
+  const adjustments = await AdjustmentNote.aggregate([
+    { $match: { userId, status: 'ISSUED', entry: { $in: ids } } },
+    { $group: { _id: '$entry', net: { $sum: SIGNED_AMOUNT_EXPR }, taxable: { $sum: SIGNED_TAXABLE_EXPR } } }
+  ]);
+  const netById = new Map(adjustments.map(row => [String(row._id), row]));
+
+  const entries = await TransportEntry.find({ _id: { $in: ids }, userId });
+  let updated = 0;
+  for (const entry of entries) {
+    const row = netById.get(String(entry._id));
+    const net = row ? roundAmount(row.net) : 0;
+    const taxable = row ? roundAmount(row.taxable) : 0;
+    if (net === entry.billing.adjustmentAmount && taxable === entry.billing.adjustmentTaxableValue) continue;
+
+    const before = snapshotEntry(entry);
+    entry.billing.adjustmentAmount = net;
+    entry.billing.adjustmentTaxableValue = taxable;
+    await entry.save();
+    await recordEntryChange({ action: 'NOTE_APPLIED', entry, before, req });
+    updated++;
+  }
+  return updated;
+};
+
+module.exports = {
+  SIGNED_AMOUNT_EXPR,
+  resolveNoteTarget,
+  noteGst,
+  creditableAmount,
+  syncEntryAdjustments
+};
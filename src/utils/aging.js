@@ -0,0 +1,91 @@
+const { roundAmount } = require('./gst');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age buckets in days since the bill (or LR) date
+const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.label]: 0 }), {});
+
+/**
+ * Bucket of a bill of the given age
+ * @param {number} ageDays - Whole days since the bill date
+ * @returns {string} - Bucket label
+ */
+const agingBucket = (ageDays) => AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).label;
+
+/**
+ * Group unpaid bills by party and age bucket. Receipts left on account are
+ * not tied to a bill, so they are shown next to the buckets rather than aged:
+ * each party's total less its on-account money is its net outstanding.
+ * @param {Array<Object>} bills - [{ _id, id, billDate, partyId, partyName, gstin, billed, paid, outstanding, ... }]
+ * @param {Object} options - { asOf: Date, detail: include each party's entries,
+ *   onAccount: [{ partyId, partyName, gstin, amount }] unallocated receipts per party }
+ * @returns {Object} - { totals, parties: [{ party, name, gstin, buckets, total, onAccount, netOutstanding, entries }] }
+ */
+const buildAgingReport = (bills, { asOf, detail = false, onAccount = [] }) => {
+  const totals = { ...emptyBuckets(), total: 0, onAccount: 0, netOutstanding: 0 };
+  const byParty = new Map();
+
+  const partyRow = (item) => {
+    // Entries without a linked billing party are grouped by their M/s text
+    const key = item.partyId ? String(item.partyId) : `unlinked:${item.partyName || ''}`;
+    if (!byParty.has(key)) {
+      byParty.set(key, {
+        party: item.partyId || null,
+        name: item.partyName || 'Unknown party',
+        gstin: item.gstin,
+        buckets: emptyBuckets(),
+        total: 0,
+        onAccount: 0,
+        netOutstanding: 0,
+        entries: []
+      });
+    }
+    return byParty.get(key);
+  };
+
+  bills.forEach(bill => {
+    const ageDays = Math.max(0, Math.floor((asOf - new Date(bill.billDate)) / DAY_MS));
+    const bucket = agingBucket(ageDays);
+
+    const row = partyRow(bill);
+    row.buckets[bucket] = roundAmount(row.buckets[bucket] + bill.outstanding);
+    row.total = roundAmount(row.total + bill.outstanding);
+    totals[bucket] = roundAmount(totals[bucket] + bill.outstanding);
+    totals.total = roundAmount(totals.total + bill.outstanding);
+
+    if (detail) {
+      const { partyId, partyName, gstin, ...entry } = bill;
+      row.entries.push({ ...entry, ageDays, bucket });
+    }
+  });
+
+  onAccount.forEach(receipts => {
+    const row = partyRow(receipts);
+    row.onAccount = roundAmount(row.onAccount + receipts.amount);
+    totals.onAccount = roundAmount(totals.onAccount + receipts.amount);
+  });
+
+  byParty.forEach(row => {
+    row.netOutstanding = roundAmount(row.total - row.onAccount);
+  });
+  totals.netOutstanding = roundAmount(totals.total - totals.onAccount);
+
+  const parties = [...byParty.values()]
+    .sort((a, b) => b.netOutstanding - a.netOutstanding)
+    .map(({ entries, ...row }) => (detail ? { ...row, entries } : row));
+
+  return { totals, parties };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  agingBucket,
+  buildAgingReport
+};
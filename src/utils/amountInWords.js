@@ -0,0 +1,80 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Convert a number below 100 to words
+ * @param {number} num - Number between 0 and 99
+ * @returns {string} - Number in words
+ */
+const twoDigitsToWords = (num) => {
+  if (num < 20) return ONES[num];
+  return `${TENS[Math.floor(num / 10)]} ${ONES[num % 10]}`.trim();
+};
+
+/**
+ * Convert a number below 1000 to words
+ * @param {number} num - Number between 0 and 999
+ * @returns {string} - Number in words
+ */
+const threeDigitsToWords = (num) => {
+  const hundreds = Math.floor(num / 100);
+  const rest = num % 100;
+  const parts = [];
+
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(twoDigitsToWords(rest));
+
+  return parts.join(' ');
+};
+
+/**
+ * Convert a whole number to words using the Indian numbering system
+ * (thousand, lakh, crore)
+ * @param {number} num - Non-negative integer
+ * @returns {string} - Number in words
+ */
+const numberToWords = (num) => {
+  if (!num) return 'Zero';
+
+  const crore = Math.floor(num / 10000000);
+  const lakh = Math.floor((num % 10000000) / 100000);
+  const thousand = Math.floor((num % 100000) / 1000);
+  const rest = num % 1000;
+  const parts = [];
+
+  // Anything above 99 crore is expressed in crores (e.g. "One Hundred Crore")
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitsToWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitsToWords(thousand)} Thousand`);
+  if (rest) parts.push(threeDigitsToWords(rest));
+
+  return parts.join(' ');
+};
+
+/**
+ * Convert a rupee amount to words for invoices
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - e.g. "Rupees Twelve Thousand Five Hundred and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+  const totalPaise = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  let words = `Rupees ${numberToWords(rupees)}`;
+  if (paise) {
+    words += ` and ${twoDigitsToWords(paise)} Paise`;
+  }
+
+  return `${words} Only`;
+};
+
+module.exports = {
+  numberToWords,
+  amountInWords
+};
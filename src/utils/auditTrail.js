@@ -0,0 +1,141 @@
+const EntryHistory = require('../models/EntryHistory');
+
+// Bookkeeping fields that never show up in a diff
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Take a plain, JSON-safe copy of a transport entry
+ * @param {Object} entry - TransportEntry document
+ * @returns {Object} - Snapshot object
+ */
+const snapshotEntry = (entry) => {
+  return JSON.parse(JSON.stringify(entry.toObject({ depopulate: true })));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten a snapshot into dotted paths. Arrays (payments, status history)
+ * are compared as a whole.
+ * @param {Object} obj - Snapshot object
+ * @param {string} prefix - Path prefix
+ * @param {Object} out - Accumulator
+ * @returns {Object} - { path: value }
+ */
+const flattenSnapshot = (obj, prefix = '', out = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_PATHS.includes(key)) return;
+
+    if (isPlainObject(obj[key])) {
+      flattenSnapshot(obj[key], path, out);
+    } else {
+      out[path] = obj[key];
+    }
+  });
+  return out;
+};
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} before - Snapshot before the change (empty for creations)
+ * @param {Object} after - Snapshot after the change
+ * @returns {Array<Object>} - [{ path, before, after }]
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const flatBefore = flattenSnapshot(before);
+  const flatAfter = flattenSnapshot(after);
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+  return paths
+    .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .map(path => ({ path, before: flatBefore[path], after: flatAfter[path] }));
+};
+
+/**
+ * Who made a change and from where
+ * @param {Object} req - Express request
+ * @returns {Object} - { actor, ipAddress, userAgent }
+ */
+const auditContext = (req) => ({
+  actor: req.user ? req.user._id : undefined,
+  ipAddress: req.ip || (req.connection && req.connection.remoteAddress),
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Write a history record for a change to a transport entry.
+ * Updates that changed nothing are not recorded. A failed history write is
+ * logged rather than failing a change that has already been saved.
+ * @param {Object} params - Change details
+ * @param {string} params.action - One of the EntryHistory actions
+ * @param {Object} params.entry - TransportEntry document after the change
+ * @param {Object} params.before - Snapshot taken before the change (null for creations)
+ * @param {Object} params.req - Express request (actor, IP and user agent)
+ * @param {number} params.restoredFrom - Version restored by a RESTORE action
+ * @returns {Promise<Object|null>} - Created history record
+ */
+const recordEntryChange = async ({ action, entry, before = null, req, restoredFrom }) => {
+  try {
+    const after = action === 'DELETE' ? null : snapshotEntry(entry);
+    const changes = after ? diffSnapshots(before || {}, after) : [];
+
+    if (action === 'UPDATE' && changes.length === 0) {
+      return null;
+    }
+
+    return await EntryHistory.create({
+      entryId: entry._id,
+      entryCode: entry.id,
+      userId: entry.userId,
+      action,
+      changes,
+      snapshot: after || before,
+      restoredFrom,
+      ...auditContext(req)
+    });
+  } catch (error) {
+    console.error('Audit trail error:', error);
+    return null;
+  }
+};
+
+/**
+ * Write the CREATE records of many new entries in one insert (bulk imports).
+ * New entries have no history yet, so each record is version 1.
+ * @param {Array<Object>} entries - Newly inserted TransportEntry documents
+ * @param {Object} req - Express request (actor, IP and user agent)
+ * @returns {Promise<number>} - Number of records written
+ */
+const recordEntryCreations = async (entries, req) => {
+  try {
+    const context = auditContext(req);
+    const records = entries.map(entry => {
+      const after = snapshotEntry(entry);
+      return {
+        entryId: entry._id,
+        entryCode: entry.id,
+        userId: entry.userId,
+        version: 1,
+        action: 'CREATE',
+        changes: diffSnapshots({}, after),
+        snapshot: after,
+        ...context
+      };
+    });
+
+    const inserted = await EntryHistory.insertMany(records, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    console.error('Audit trail error:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  snapshotEntry,
+  diffSnapshots,
+  auditContext,
+  recordEntryChange,
+  recordEntryCreations
+};
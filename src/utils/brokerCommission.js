@@ -0,0 +1,47 @@
+const { roundAmount } = require('./gst');
+
+// FLAT: fixed amount per trip, PERCENT: percent of the lorry hire,
+// PER_TON: amount per tonne of the weight carried
+const COMMISSION_TYPES = ['FLAT', 'PERCENT', 'PER_TON'];
+
+/**
+ * Commission owed to a broker for one trip
+ * @param {Object} rule - Commission rule ({ type, value })
+ * @param {Object} entry - Transport entry (document or plain object)
+ * @returns {number} - Commission amount
+ */
+const calculateCommission = (rule, entry) => {
+  if (!rule || !rule.type) return 0;
+
+  const value = Number(rule.value) || 0;
+  const ownerData = entry.ownerData || {};
+
+  switch (rule.type) {
+    case 'PERCENT':
+      return roundAmount((Number(ownerData.lorryHireAmount) || 0) * value / 100);
+    case 'PER_TON':
+      return roundAmount((Number(ownerData.wtKgs) || 0) / 1000 * value);
+    case 'FLAT':
+      return roundAmount(value);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Describe a commission rule for statements and lists
+ * @param {Object} rule - Commission rule ({ type, value })
+ * @returns {string} - e.g. "2% of lorry hire"
+ */
+const describeCommission = (rule) => {
+  if (!rule || !rule.type) return 'No commission';
+  if (rule.type === 'PERCENT') return `${rule.value}% of lorry hire`;
+  if (rule.type === 'PER_TON') return `${rule.value} per ton`;
+  return `${rule.value} per trip`;
+};
+
+module.exports = {
+  COMMISSION_TYPES,
+  calculateCommission,
+  describeCommission
+};
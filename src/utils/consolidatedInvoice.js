@@ -0,0 +1,162 @@
+const TransportEntry = require('../models/TransportEntry');
+const { billedAmount } = require('./entryTotals');
+const { roundAmount } = require('./gst');
+const { snapshotEntry, recordEntryChange } = require('./auditTrail');
+
+const TAX_FIELDS = ['cgst', 'sgst', 'igst', 'totalTax'];
+
+/**
+ * Check that entries can go on one invoice for a party: linked to it as
+ * their billing party, not cancelled and not already on another invoice
+ * @param {Array<Object>} entries - TransportEntry documents
+ * @param {mongoose.Types.ObjectId} partyId - Party being invoiced
+ * @returns {Array<Object>} - [{ field, message }]
+ */
+const checkInvoiceEntries = (entries, partyId) => {
+  const errors = [];
+  entries.forEach(entry => {
+    const billedTo = entry.parties && entry.parties.billedTo;
+    if (entry.transportBillData.status === 'CANCELLED') {
+      errors.push({ field: 'entries', message: `Entry ${entry.id} is cancelled` });
+    } else if (!billedTo || !billedTo.party) {
+      // The party's statement only carries bills linked to it
+      errors.push({ field: 'entries', message: `Entry ${entry.id} is not linked to a billing party; link it first` });
+    } else if (String(billedTo.party) !== String(partyId)) {
+      errors.push({ field: 'entries', message: `Entry ${entry.id} is billed to ${billedTo.name}` });
+    } else if (entry.billing.invoice) {
+      errors.push({ field: 'entries', message: `Entry ${entry.id} is already on invoice ${entry.billing.invoiceNo}` });
+    }
+  });
+
+  // One invoice carries one GST treatment
+  const treatments = new Set(entries.map(entry => {
+    const gst = entry.transportBillData.gst || {};
+    return `${gst.mode} ${gst.rate}% ${gst.supplyType}`;
+  }));
+  if (treatments.size > 1) {
+    errors.push({ field: 'entries', message: `Entries have different GST treatments: ${[...treatments].join(', ')}` });
+  }
+
+  return errors;
+};
+
+/**
+ * Invoice lines, GST details and totals for a set of entries
+ * @param {Array<Object>} entries - TransportEntry documents (checked with checkInvoiceEntries)
+ * @returns {Object} - { lines, gst, totals }
+ */
+const buildInvoiceLines = (entries) => {
+  const sorted = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, grandTotal: 0 };
+
+  const lines = sorted.map(entry => {
+    const bill = entry.transportBillData;
+    const gst = bill.gst || {};
+    const amount = billedAmount(entry);
+
+    totals.taxableValue += bill.total || 0;
+    TAX_FIELDS.forEach(field => { totals[field] += gst[field] || 0; });
+    totals.grandTotal += amount;
+
+    return {
+      entry: entry._id,
+      entryCode: entry.id,
+      date: entry.date,
+      vehicleNo: entry.vehicleNo,
+      from: entry.from,
+      to: entry.to,
+      lrno: bill.lrno,
+      freight: bill.freight,
+      handleCharges: bill.handleCharges,
+      detention: bill.detention,
+      taxableValue: bill.total,
+      totalTax: gst.totalTax,
+      amount
+    };
+  });
+
+  Object.keys(totals).forEach(key => { totals[key] = roundAmount(totals[key]); });
+
+  const gst = (sorted[0] && sorted[0].transportBillData.gst) || {};
+  return {
+    lines,
+    gst: {
+      mode: gst.mode,
+      supplyType: gst.supplyType,
+      rate: gst.rate,
+      cgstRate: gst.cgstRate,
+      sgstRate: gst.sgstRate,
+      igstRate: gst.igstRate
+    },
+    totals
+  };
+};
+
+/**
+ * Put entries on an invoice. Each entry is claimed only if no other invoice
+ * has taken it meanwhile; on a clash the claimed entries are let go again.
+ * @param {Object} invoice - Saved Invoice document
+ * @param {Array<Object>} entries - TransportEntry documents on the invoice
+ * @param {Object} req - Express request (for the audit trail)
+ * @returns {Promise<Array<Object>>} - Entries another invoice took first (empty on success)
+ */
+const lockEntries = async (invoice, entries, req) => {
+  const claimed = [];
+  const taken = [];
+
+  for (const entry of entries) {
+    const result = await TransportEntry.updateOne(
+      { _id: entry._id, 'billing.invoice': null },
+      { $set: { 'billing.invoice': invoice._id, 'billing.invoiceNo': invoice.invoiceNo } }
+    );
+    if (result.modifiedCount === 1) {
+      claimed.push(entry);
+    } else {
+      taken.push(entry);
+    }
+  }
+
+  if (taken.length > 0) {
+    await TransportEntry.updateMany(
+      { _id: { $in: claimed.map(entry => entry._id) }, 'billing.invoice': invoice._id },
+      { $set: { 'billing.invoice': null }, $unset: { 'billing.invoiceNo': 1 } }
+    );
+    return taken;
+  }
+
+  for (const entry of claimed) {
+    const before = snapshotEntry(entry);
+    entry.billing.invoice = invoice._id;
+    entry.billing.invoiceNo = invoice.invoiceNo;
+    await recordEntryChange({ action: 'INVOICED', entry, before, req });
+  }
+  return [];
+};
+
+/**
+ * Release the entries of a voided invoice so they can be edited and invoiced again
+ * @param {Object} invoice - Invoice document
+ * @param {Object} req - Express request (for the audit trail)
+ * @returns {Promise<number>} - Number of entries released
+ */
+const releaseEntries = async (invoice, req) => {
+  const filter = { userId: invoice.userId, 'billing.invoice': invoice._id };
+  const entries = await TransportEntry.find(filter).setOptions({ withDeleted: true });
+  await TransportEntry.updateMany(filter, { $set: { 'billing.invoice': null }, $unset: { 'billing.invoiceNo': 1 } })
+    .setOptions({ withDeleted: true });
+
+  for (const entry of entries) {
+    const before = snapshotEntry(entry);
+    entry.billing.invoice = null;
+    entry.billing.invoiceNo = undefined;
+    await recordEntryChange({ action: 'INVOICE_VOIDED', entry, before, req });
+  }
+  return entries.length;
+};
+
+module.exports = {
+  checkInvoiceEntries,
+  buildInvoiceLines,
+  lockEntries,
+  releaseEntries
+};
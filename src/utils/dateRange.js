@@ -0,0 +1,33 @@
+// A date-only value (YYYY-MM-DD) used as an end date covers that whole day
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse an end date, moving date-only values to the last moment of that day
+ * @param {string|Date} value - End date
+ * @returns {Date} - Inclusive end date
+ */
+const endOfDay = (value) => {
+  const end = new Date(value);
+  if (typeof value === 'string' && DATE_ONLY.test(value)) end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Build a MongoDB condition for an inclusive date range
+ * @param {string} from - Start date (ISO 8601), optional
+ * @param {string} to - End date (ISO 8601), optional
+ * @returns {Object|undefined} - { $gte, $lte } condition, or undefined when neither is given
+ */
+const buildDateRange = (from, to) => {
+  if (!from && !to) return undefined;
+
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = endOfDay(to);
+  return range;
+};
+
+module.exports = {
+  endOfDay,
+  buildDateRange
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Broker = require('../models/Broker');
+
+/**
+ * Turn the broker ID sent with an entry into a broker link carrying the
+ * broker's current commission rule. Relinking the broker already on the
+ * entry keeps the rule it was booked with.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {*} ref - Broker ID (or { broker } object); null unlinks
+ * @param {Object} current - Broker link already on the entry (updates only)
+ * @returns {Promise<Object>} - { link } (null to unlink, undefined to keep) or { error: { field, message } }
+ */
+const resolveBrokerRef = async (userId, ref, current) => {
+  const brokerId = ref && ref.broker !== undefined ? ref.broker : ref;
+  if (!brokerId) return { link: null };
+
+  if (current && current.broker && String(current.broker) === String(brokerId)) {
+    return { link: undefined };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(String(brokerId))) {
+    return { error: { field: 'broker', message: 'Invalid broker ID' } };
+  }
+
+  const broker = await Broker.findOne({ _id: brokerId, userId, isActive: true });
+  if (!broker) {
+    return { error: { field: 'broker', message: 'Broker not found' } };
+  }
+
+  return { link: broker.toEntryLink() };
+};
+
+/**
+ * Fill the free-text broker fields of the owner data from a newly linked
+ * broker, unless the request sets them itself
+ * @param {Object} entryData - Entry data from the request (modified in place)
+ * @param {Object} link - Broker link from resolveBrokerRef
+ */
+const applyBrokerDetails = (entryData, link) => {
+  const given = entryData.ownerData || {};
+  const ownerData = { ...given };
+
+  if (given.brokerName === undefined) ownerData.brokerName = link.name.slice(0, 100);
+  if (given.brokerPanNo === undefined && link.panNo) ownerData.brokerPanNo = link.panNo;
+
+  entryData.ownerData = ownerData;
+};
+
+module.exports = {
+  resolveBrokerRef,
+  applyBrokerDetails
+};
@@ -0,0 +1,111 @@
+// Spreadsheet columns of a transport entry, shared by import and export.
+// key is the entry path; importable: false marks values the server computes.
+const ENTRY_COLUMNS = [
+  { key: 'id', header: 'Entry ID', type: 'string' },
+  { key: 'date', header: 'Date', type: 'date' },
+  { key: 'vehicleNo', header: 'Vehicle No', type: 'string', aliases: ['vehicle', 'truck no', 'lorry no'] },
+  { key: 'from', header: 'From', type: 'string' },
+  { key: 'to', header: 'To', type: 'string' },
+  { key: 'tags', header: 'Tags', type: 'list' },
+
+  { key: 'transportBillData.bill', header: 'Bill - Bill No', type: 'number', aliases: ['bill no'] },
+  { key: 'transportBillData.ms', header: 'Bill - M/s', type: 'string', aliases: ['ms', 'm/s', 'party'] },
+  { key: 'transportBillData.gstno', header: 'Bill - GST No', type: 'string', aliases: ['gst no', 'gstin'] },
+  { key: 'transportBillData.otherDetail', header: 'Bill - Other Detail', type: 'string' },
+  { key: 'transportBillData.srno', header: 'Bill - Sr No', type: 'number' },
+  { key: 'transportBillData.lrno', header: 'Bill - LR No', type: 'string', aliases: ['lr no', 'lr'] },
+  { key: 'transportBillData.lrDate', header: 'Bill - LR Date', type: 'date', aliases: ['lr date'] },
+  { key: 'transportBillData.invoiceNo', header: 'Bill - Invoice No', type: 'string', aliases: ['invoice no', 'invoice'] },
+  { key: 'transportBillData.consignorConsignee', header: 'Bill - Consignor/Consignee', type: 'string', aliases: ['consignor consignee'] },
+  { key: 'transportBillData.handleCharges', header: 'Bill - Handling Charges', type: 'number', aliases: ['handling charges', 'handle charges'] },
+  { key: 'transportBillData.detention', header: 'Bill - Detention', type: 'number', aliases: ['detention'] },
+  { key: 'transportBillData.freight', header: 'Bill - Freight', type: 'number', aliases: ['freight'] },
+  { key: 'transportBillData.total', header: 'Bill - Total', type: 'number', aliases: ['total', 'bill total'] },
+  { key: 'transportBillData.status', header: 'Bill - Status', type: 'string', aliases: ['status'] },
+  { key: 'transportBillData.gst.mode', header: 'GST - Mode', type: 'string', aliases: ['gst mode'] },
+  { key: 'transportBillData.gst.rate', header: 'GST - Rate %', type: 'number', aliases: ['gst rate'] },
+  { key: 'transportBillData.gst.supplyType', header: 'GST - Supply Type', type: 'string', importable: false },
+  { key: 'transportBillData.gst.cgst', header: 'GST - CGST', type: 'number', importable: false },
+  { key: 'transportBillData.gst.sgst', header: 'GST - SGST', type: 'number', importable: false },
+  { key: 'transportBillData.gst.igst', header: 'GST - IGST', type: 'number', importable: false },
+  { key: 'transportBillData.gst.totalTax', header: 'GST - Total Tax', type: 'number', importable: false },
+  { key: 'transportBillData.gst.grandTotal', header: 'GST - Grand Total', type: 'number', importable: false },
+
+  { key: 'ownerData.contactNo', header: 'Owner - Contact No', type: 'number', aliases: ['contact no'] },
+  { key: 'ownerData.ownerNameAndAddress', header: 'Owner - Name and Address', type: 'string', aliases: ['owner', 'owner name'] },
+  { key: 'ownerData.panNo', header: 'Owner - PAN No', type: 'string', aliases: ['pan no', 'owner pan'] },
+  { key: 'ownerData.driverNameAndMob', header: 'Owner - Driver Name and Mobile', type: 'string', aliases: ['driver'] },
+  { key: 'ownerData.licenceNo', header: 'Owner - Licence No', type: 'string', aliases: ['licence no', 'license no'] },
+  { key: 'ownerData.chasisNo', header: 'Owner - Chassis No', type: 'string', aliases: ['chassis no', 'chasis no'] },
+  { key: 'ownerData.engineNo', header: 'Owner - Engine No', type: 'string', aliases: ['engine no'] },
+  { key: 'ownerData.insuranceCo', header: 'Owner - Insurance Company', type: 'string', aliases: ['insurance company'] },
+  { key: 'ownerData.policyNo', header: 'Owner - Policy No', type: 'string', aliases: ['policy no'] },
+  { key: 'ownerData.policyDate', header: 'Owner - Policy Date', type: 'date', aliases: ['policy date'] },
+  { key: 'ownerData.srno', header: 'Owner - Sr No', type: 'number' },
+  { key: 'ownerData.lrno', header: 'Owner - LR No', type: 'string' },
+  { key: 'ownerData.packages', header: 'Owner - Packages', type: 'number', aliases: ['packages'] },
+  { key: 'ownerData.description', header: 'Owner - Description', type: 'string', aliases: ['description', 'goods'] },
+  { key: 'ownerData.wtKgs', header: 'Owner - Weight (Kgs)', type: 'number', aliases: ['weight', 'wt kgs'] },
+  { key: 'ownerData.remarks', header: 'Owner - Remarks', type: 'string', aliases: ['remarks'] },
+  { key: 'ownerData.brokerName', header: 'Owner - Broker Name', type: 'string', aliases: ['broker', 'broker name'] },
+  { key: 'ownerData.brokerPanNo', header: 'Owner - Broker PAN No', type: 'string', aliases: ['broker pan'] },
+  { key: 'ownerData.lorryHireAmount', header: 'Owner - Lorry Hire Amount', type: 'number', aliases: ['lorry hire'] },
+  { key: 'ownerData.accNo', header: 'Owner - Account No', type: 'number', aliases: ['account no'] },
+  { key: 'ownerData.otherChargesHamliDetentionHeight', header: 'Owner - Other Charges', type: 'number', aliases: ['other charges'] },
+  { key: 'ownerData.otherChargesHamaliDetentionHeight', header: 'Owner - Other Charges Detail', type: 'string' },
+  { key: 'ownerData.totalLorryHireRs', header: 'Owner - Total Lorry Hire', type: 'number', aliases: ['total lorry hire'] },
+  { key: 'ownerData.deductionInClaimPenalty', header: 'Owner - Deduction Detail', type: 'string' },
+  { key: 'ownerData.deductionAmt', header: 'Owner - Deduction Amount', type: 'number', aliases: ['deduction'] },
+  { key: 'ownerData.balanceAmt', header: 'Owner - Balance Amount', type: 'number', importable: false },
+  { key: 'ownerData.deliveryDate', header: 'Owner - Delivery Date', type: 'date', aliases: ['delivery date'] },
+
+  { key: 'broker.commission', header: 'Broker - Commission', type: 'number', importable: false },
+
+  { key: 'billing.amountPaid', header: 'Billing - Amount Received', type: 'number', importable: false },
+  { key: 'billing.state', header: 'Billing - State', type: 'string', importable: false },
+
+  { key: 'profit.cost', header: 'Profit - Cost', type: 'number', importable: false },
+  { key: 'profit.margin', header: 'Profit - Margin', type: 'number', importable: false },
+  { key: 'profit.marginPercent', header: 'Profit - Margin %', type: 'number', importable: false }
+];
+
+const COLUMNS_BY_KEY = new Map(ENTRY_COLUMNS.map(column => [column.key, column]));
+
+/**
+ * Normalize a header for loose matching ("Vehicle No." -> "vehicleno")
+ * @param {string} header - Header text
+ * @returns {string} - Lowercase letters and digits only
+ */
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find the column a spreadsheet header refers to, by key, header or alias
+ * @param {string} header - Header text from the file
+ * @returns {Object|undefined} - Column definition
+ */
+const findColumn = (header) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return undefined;
+
+  return ENTRY_COLUMNS.find(column =>
+    normalizeHeader(column.key) === normalized ||
+    normalizeHeader(column.header) === normalized ||
+    (column.aliases || []).some(alias => normalizeHeader(alias) === normalized)
+  );
+};
+
+/**
+ * Read a (possibly nested) value from an entry by column key
+ * @param {Object} entry - Plain entry object
+ * @param {string} key - Dotted path
+ * @returns {*} - Value or undefined
+ */
+const getColumnValue = (entry, key) => key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), entry);
+
+module.exports = {
+  ENTRY_COLUMNS,
+  COLUMNS_BY_KEY,
+  normalizeHeader,
+  findColumn,
+  getColumnValue
+};
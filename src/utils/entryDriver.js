@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Driver = require('../models/Driver');
+
+/**
+ * Turn the driver ID sent with an entry into a driver link. Relinking the
+ * driver already on the entry keeps the details it was assigned with.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {*} ref - Driver ID (or { driver } object); null unlinks
+ * @param {Object} current - Driver link already on the entry (updates only)
+ * @returns {Promise<Object>} - { link } (null to unlink, undefined to keep) or { error: { field, message } }
+ */
+const resolveDriverRef = async (userId, ref, current) => {
+  const driverId = ref && ref.driver !== undefined ? ref.driver : ref;
+  if (!driverId) return { link: null };
+
+  if (current && current.driver && String(current.driver) === String(driverId)) {
+    return { link: undefined };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(String(driverId))) {
+    return { error: { field: 'driver', message: 'Invalid driver ID' } };
+  }
+
+  const driver = await Driver.findOne({ _id: driverId, userId, isActive: true });
+  if (!driver) {
+    return { error: { field: 'driver', message: 'Driver not found' } };
+  }
+
+  return { link: driver.toEntryLink() };
+};
+
+/**
+ * Fill the free-text driver fields of the owner data from a newly assigned
+ * driver, unless the request sets them itself
+ * @param {Object} entryData - Entry data from the request (modified in place)
+ * @param {Object} link - Driver link from resolveDriverRef
+ */
+const applyDriverDetails = (entryData, link) => {
+  const given = entryData.ownerData || {};
+  const ownerData = { ...given };
+
+  if (given.driverNameAndMob === undefined) {
+    ownerData.driverNameAndMob = [link.name, link.mobile].filter(Boolean).join(' - ').slice(0, 100);
+  }
+  if (given.licenceNo === undefined) ownerData.licenceNo = link.licenceNo;
+
+  entryData.ownerData = ownerData;
+};
+
+module.exports = {
+  resolveDriverRef,
+  applyDriverDetails
+};
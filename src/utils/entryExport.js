@@ -0,0 +1,109 @@
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const { ENTRY_COLUMNS, COLUMNS_BY_KEY, getColumnValue } = require('./entryColumns');
+const { formatDate, escapeCsvFormula } = require('./formatters');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Pick the export columns from a comma separated list of column keys
+ * @param {string} columnsParam - e.g. "date,vehicleNo,transportBillData.total" (default: all)
+ * @returns {Object} - { columns, unknown } where unknown lists keys that do not exist
+ */
+const resolveExportColumns = (columnsParam) => {
+  if (!columnsParam) {
+    return { columns: ENTRY_COLUMNS, unknown: [] };
+  }
+
+  const keys = [...new Set(String(columnsParam).split(',').map(key => key.trim()).filter(Boolean))];
+  return {
+    columns: keys.filter(key => COLUMNS_BY_KEY.has(key)).map(key => COLUMNS_BY_KEY.get(key)),
+    unknown: keys.filter(key => !COLUMNS_BY_KEY.has(key))
+  };
+};
+
+/**
+ * Mongoose projection covering the export columns
+ * @param {Array<Object>} columns - Export columns
+ * @returns {string} - Space separated paths
+ */
+const exportProjection = (columns) => columns.map(column => column.key).join(' ');
+
+// Value of one cell: CSV gets DD/MM/YYYY dates, XLSX keeps real dates; lists are comma separated
+const cellFor = (entry, column, format) => {
+  const value = getColumnValue(entry, column.key);
+  if (value === undefined || value === null) return '';
+  if (column.type === 'date') {
+    return format === 'xlsx' ? new Date(value) : formatDate(value);
+  }
+  if (column.type === 'list') {
+    return value.join(', ');
+  }
+  return value;
+};
+
+/**
+ * Stream entries from a cursor as CSV (with a BOM so Excel reads UTF-8)
+ * @param {Object} cursor - Mongoose query cursor (lean)
+ * @param {Array<Object>} columns - Export columns
+ * @param {Object} output - Writable stream (the response)
+ * @returns {Promise<void>}
+ */
+const streamEntriesCsv = (cursor, columns, output) => {
+  async function* rows() {
+    for await (const entry of cursor) {
+      yield columns.map(column => cellFor(entry, column, 'csv'));
+    }
+  }
+
+  return pipeline(
+    rows,
+    stringify({
+      bom: true,
+      header: true,
+      columns: columns.map(column => column.header),
+      // Free text (party names, remarks) must not run as a formula
+      cast: { string: escapeCsvFormula }
+    }),
+    output
+  );
+};
+
+/**
+ * Stream entries from a cursor as an XLSX workbook; rows are committed
+ * one by one so the workbook is never held in memory
+ * @param {Object} cursor - Mongoose query cursor (lean)
+ * @param {Array<Object>} columns - Export columns
+ * @param {Object} output - Writable stream (the response)
+ * @returns {Promise<void>}
+ */
+const streamEntriesXlsx = async (cursor, columns, output) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const worksheet = workbook.addWorksheet('Transport Entries', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+    style: column.type === 'date' ? { numFmt: 'dd/mm/yyyy' } : undefined
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const entry of cursor) {
+    worksheet.addRow(columns.map(column => cellFor(entry, column, 'xlsx'))).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  exportProjection,
+  streamEntriesCsv,
+  streamEntriesXlsx
+};
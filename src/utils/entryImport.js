@@ -0,0 +1,226 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { ENTRY_COLUMNS, COLUMNS_BY_KEY, findColumn } = require('./entryColumns');
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Work out the format of an uploaded file from its name or MIME type
+ * @param {Object} file - Multer file ({ originalname, mimetype })
+ * @returns {string|null} - "csv", "xlsx" or null if unsupported
+ */
+const detectImportFormat = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  if (/csv/.test(file.mimetype)) return 'csv';
+  if (/spreadsheetml/.test(file.mimetype)) return 'xlsx';
+  return null;
+};
+
+// Plain value of an ExcelJS cell (formulas, rich text and hyperlinks included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+const isBlankRow = (values) => values.every(value => value === '' || value === null || value === undefined);
+
+/**
+ * Parse an uploaded CSV or XLSX file. The first row holds the headers;
+ * for XLSX only the first worksheet is read.
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - "csv" or "xlsx"
+ * @returns {Promise<Object>} - { headers, rows: [{ rowNumber, values: { header: value } }] }
+ */
+const parseImportFile = async (buffer, format) => {
+  let table;
+
+  if (format === 'csv') {
+    table = parse(buffer, {
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    });
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    table = [];
+    if (worksheet) {
+      worksheet.eachRow({ includeEmpty: true }, (row) => {
+        // row.values is 1-indexed
+        table.push(row.values.slice(1).map(cellValue));
+      });
+    }
+  }
+
+  const [headerRow = [], ...dataRows] = table;
+  const headers = headerRow.map(header => String(header).trim());
+
+  const rows = [];
+  dataRows.forEach((row, i) => {
+    if (isBlankRow(row)) return;
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = row[column];
+    });
+    // Row numbers as the user sees them in the sheet (header is row 1)
+    rows.push({ rowNumber: i + 2, values });
+  });
+
+  return { headers, rows };
+};
+
+/**
+ * Build the header -> column key mapping. An explicit mapping wins;
+ * other headers are matched by column key, header or alias.
+ * A header mapped to null or "" is ignored.
+ * @param {Array<string>} headers - Headers found in the file
+ * @param {Object} requested - Optional { header: columnKey } mapping
+ * @returns {Object} - { mapping, unmappedHeaders, errors }
+ */
+const buildColumnMapping = (headers, requested = {}) => {
+  const mapping = {};
+  const unmappedHeaders = [];
+  const errors = [];
+
+  headers.filter(Boolean).forEach(header => {
+    if (Object.prototype.hasOwnProperty.call(requested, header)) {
+      const key = requested[header];
+      if (!key) {
+        unmappedHeaders.push(header);
+        return;
+      }
+
+      const column = COLUMNS_BY_KEY.get(key);
+      if (!column || column.importable === false) {
+        errors.push({ header, message: `"${key}" is not an importable column` });
+        return;
+      }
+      mapping[header] = key;
+      return;
+    }
+
+    const column = findColumn(header);
+    if (column && column.importable !== false) {
+      mapping[header] = column.key;
+    } else {
+      unmappedHeaders.push(header);
+    }
+  });
+
+  // Two headers feeding the same field would silently overwrite each other
+  const seen = {};
+  Object.entries(mapping).forEach(([header, key]) => {
+    if (seen[key]) {
+      errors.push({ header, message: `"${header}" and "${seen[key]}" both map to ${key}` });
+    } else {
+      seen[key] = header;
+    }
+  });
+
+  return { mapping, unmappedHeaders, errors };
+};
+
+/**
+ * Parse a date cell: Excel dates and serial numbers, DD/MM/YYYY,
+ * DD-MM-YYYY and ISO strings
+ * @param {*} value - Cell value
+ * @returns {string|*} - ISO string, or the raw value when unparseable (so validation reports it)
+ */
+const parseDateCell = (value) => {
+  if (value instanceof Date) return value.toISOString();
+
+  // Excel serial date (days since 1899-12-30)
+  if (typeof value === 'number') {
+    return new Date(Math.round((value - 25569) * 86400000)).toISOString();
+  }
+
+  const text = String(value).trim();
+  const indian = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (indian) {
+    const [, day, month, year] = indian.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+      return date.toISOString();
+    }
+    return text;
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? text : parsed.toISOString();
+};
+
+/**
+ * Parse a number cell, allowing thousands separators and a currency prefix
+ * @param {*} value - Cell value
+ * @returns {number|*} - Number, or the raw value when unparseable
+ */
+const parseNumberCell = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value).replace(/,/g, '').replace(/^(rs\.?|₹)\s*/i, '').trim();
+  const number = Number(text);
+  return text !== '' && !Number.isNaN(number) ? number : value;
+};
+
+/**
+ * Turn a parsed row into nested transport entry data using the column mapping
+ * @param {Object} values - { header: cell value }
+ * @param {Object} mapping - { header: column key }
+ * @returns {Object} - Entry data in the shape POST /api/transport-entries accepts
+ */
+const rowToEntryData = (values, mapping) => {
+  const data = {};
+
+  Object.entries(mapping).forEach(([header, key]) => {
+    const raw = values[header];
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) return;
+
+    const column = COLUMNS_BY_KEY.get(key);
+    let value;
+    if (column.type === 'date') {
+      value = parseDateCell(raw);
+    } else if (column.type === 'number') {
+      value = parseNumberCell(raw);
+    } else if (column.type === 'list') {
+      value = String(raw).split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    } else {
+      value = raw instanceof Date ? raw.toISOString() : String(raw).trim();
+    }
+
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((obj, part) => {
+      if (!obj[part]) obj[part] = {};
+      return obj[part];
+    }, data);
+    parent[parts[parts.length - 1]] = value;
+  });
+
+  return data;
+};
+
+/**
+ * Columns a spreadsheet can be mapped to
+ * @returns {Array<Object>} - [{ key, header, type, aliases }]
+ */
+const importableColumns = () => ENTRY_COLUMNS
+  .filter(column => column.importable !== false)
+  .map(({ key, header, type, aliases = [] }) => ({ key, header, type, aliases }));
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseImportFile,
+  buildColumnMapping,
+  rowToEntryData,
+  importableColumns
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Lane = require('../models/Lane');
+const { normalizePlace } = require('./placeName');
+
+/**
+ * Work out the lane link of an entry being created or updated.
+ * An explicit lane ID (or null) in the request wins; otherwise the lane is
+ * matched from from/to, and on updates only when the route has changed.
+ * Relinking the lane already on the entry keeps the details it was linked with.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} body - Request body ({ lane, from, to })
+ * @param {Object} current - Entry being updated ({ from, to, lane }), omitted for creations
+ * @returns {Promise<Object>} - { link } (null to unlink, undefined to keep) or { error: { field, message } }
+ */
+const resolveLane = async (userId, body, current) => {
+  if (body.lane !== undefined) {
+    const laneId = body.lane && body.lane.lane !== undefined ? body.lane.lane : body.lane;
+    if (!laneId) return { link: null };
+
+    if (current && current.lane && String(current.lane.lane) === String(laneId)) {
+      return { link: undefined };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(String(laneId))) {
+      return { error: { field: 'lane', message: 'Invalid lane ID' } };
+    }
+
+    const lane = await Lane.findOne({ _id: laneId, userId, isActive: true });
+    if (!lane) {
+      return { error: { field: 'lane', message: 'Lane not found' } };
+    }
+    return { link: lane.toEntryLink() };
+  }
+
+  const from = body.from !== undefined ? body.from : current && current.from;
+  const to = body.to !== undefined ? body.to : current && current.to;
+  if (current && normalizePlace(from) === normalizePlace(current.from) && normalizePlace(to) === normalizePlace(current.to)) {
+    return { link: undefined };
+  }
+
+  const [link] = await Lane.matchEntries(userId, [{ from, to }]);
+  return { link };
+};
+
+module.exports = {
+  resolveLane
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Party = require('../models/Party');
+
+// Party slots of a transport entry and the role (see config/parties) a party needs to fill each
+const PARTY_SLOTS = {
+  consignor: 'CONSIGNOR',
+  consignee: 'CONSIGNEE',
+  billedTo: 'BILLING'
+};
+
+/**
+ * Turn party IDs sent with an entry into snapshots.
+ * Only slots present in the input are returned; null unlinks a slot.
+ * A slot that still points at the party already linked keeps its
+ * booking-time snapshot and is left out.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} refs - { consignor, consignee, billedTo } party IDs (or { party } objects)
+ * @param {Object} current - Snapshots already on the entry (updates only)
+ * @returns {Promise<Object>} - { snapshots: { slot: snapshot|null }, errors: [{ field, message }] }
+ */
+const resolvePartyRefs = async (userId, refs = {}, current = {}) => {
+  const snapshots = {};
+  const errors = [];
+
+  for (const [slot, role] of Object.entries(PARTY_SLOTS)) {
+    if (!Object.prototype.hasOwnProperty.call(refs, slot)) continue;
+
+    const ref = refs[slot];
+    const partyId = ref && ref.party !== undefined ? ref.party : ref;
+    if (!partyId) {
+      snapshots[slot] = null;
+      continue;
+    }
+
+    if (current[slot] && String(current[slot].party) === String(partyId)) continue;
+
+    if (!mongoose.Types.ObjectId.isValid(String(partyId))) {
+      errors.push({ field: `parties.${slot}`, message: 'Invalid party ID' });
+      continue;
+    }
+
+    const party = await Party.findOne({ _id: partyId, userId, isActive: true });
+    if (!party) {
+      errors.push({ field: `parties.${slot}`, message: 'Party not found' });
+    } else if (!party.roles.includes(role)) {
+      errors.push({ field: `parties.${slot}`, message: `${party.name} is not set up as a ${role.toLowerCase()} party` });
+    } else {
+      snapshots[slot] = party.toSnapshot();
+    }
+  }
+
+  return { snapshots, errors };
+};
+
+/**
+ * Keep the free-text bill fields in step with linked parties: M/s and GSTIN
+ * come from the billed party and consignor/consignee from both names,
+ * unless the request sets them itself
+ * @param {Object} entryData - Entry data from the request (modified in place)
+ * @param {Object} snapshots - Party snapshots resolved for this request
+ * @param {Object} current - Snapshots already on the entry (updates only)
+ */
+const applyPartyDetails = (entryData, snapshots, current = {}) => {
+  const given = entryData.transportBillData || {};
+  const bill = { ...given };
+
+  if (snapshots.billedTo) {
+    if (given.ms === undefined) bill.ms = snapshots.billedTo.name.slice(0, 50);
+    if (given.gstno === undefined && snapshots.billedTo.gstin) bill.gstno = snapshots.billedTo.gstin;
+  }
+
+  const partyChanged = ['consignor', 'consignee'].some(slot => snapshots[slot] !== undefined);
+  if (partyChanged && given.consignorConsignee === undefined) {
+    const names = ['consignor', 'consignee'].map(slot => {
+      const snapshot = snapshots[slot] !== undefined ? snapshots[slot] : current[slot];
+      return snapshot && snapshot.name ? snapshot.name : '';
+    });
+    if (names.some(Boolean)) {
+      bill.consignorConsignee = names.join(' / ').slice(0, 200);
+    }
+  }
+
+  entryData.transportBillData = bill;
+};
+
+module.exports = {
+  PARTY_SLOTS,
+  resolvePartyRefs,
+  applyPartyDetails
+};
@@ -0,0 +1,76 @@
+const Vehicle = require('../models/Vehicle');
+const { resolveLane } = require('./entryLane');
+const { quoteFreight } = require('./freightQuote');
+const { normalizeVehicleNo } = require('./vehicleNumber');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Bring the links of an entry being updated in line with its changed fields,
+ * the same way for single and bulk edits:
+ * - a new vehicle number brings that vehicle's owner details
+ * - a changed route is matched to its lane again, and freight quoted from a
+ *   rate card is quoted again for the new lane (or loses its rate card link)
+ * Values sent in the changes always win over looked-up ones.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} entry - TransportEntry document being updated
+ * @param {Object} changes - Stripped entry changes (not modified)
+ * @param {Object} body - Raw request data holding an explicit "lane", defaults to changes
+ * @returns {Promise<Object>} - { changes } (new object) or { error: { field, message } }
+ */
+const relinkEntryChanges = async (userId, entry, changes, body = changes) => {
+  const relinked = { ...changes };
+
+  const vehicleNo = normalizeVehicleNo(relinked.vehicleNo);
+  if (vehicleNo && vehicleNo !== normalizeVehicleNo(entry.vehicleNo)) {
+    const vehicle = await Vehicle.findOne({ userId, vehicleNo });
+    if (vehicle) {
+      relinked.ownerData = { ...vehicle.ownerData(), ...relinked.ownerData };
+    }
+  }
+
+  const { link, error } = await resolveLane(userId, body, entry);
+  if (error) return { error };
+  if (link === undefined) return { changes: relinked };
+  relinked.lane = link;
+
+  // Freight the user typed at booking is left alone; freight typed now
+  // replaces the quote, so the old lane's rate card no longer applies
+  const billData = relinked.transportBillData || {};
+  if (!entry.freightRate) return { changes: relinked };
+  if (!isBlank(billData.freight)) {
+    relinked.freightRate = null;
+    return { changes: relinked };
+  }
+
+  const ownerData = relinked.ownerData || {};
+  const billedTo = relinked.parties && relinked.parties.billedTo
+    ? relinked.parties.billedTo
+    : entry.parties && entry.parties.billedTo;
+  const quote = link && await quoteFreight(userId, {
+    party: billedTo ? billedTo.party : undefined,
+    lane: link.lane,
+    vehicleNo: relinked.vehicleNo !== undefined ? relinked.vehicleNo : entry.vehicleNo,
+    date: relinked.date !== undefined ? relinked.date : entry.date,
+    wtKgs: ownerData.wtKgs !== undefined ? ownerData.wtKgs : entry.ownerData.wtKgs,
+    packages: ownerData.packages !== undefined ? ownerData.packages : entry.ownerData.packages
+  });
+
+  if (quote) {
+    relinked.transportBillData = { ...billData, freight: quote.freight };
+    relinked.freightRate = {
+      rateCard: quote.rateCard,
+      basis: quote.basis,
+      rate: quote.rate,
+      quantity: quote.quantity
+    };
+  } else {
+    relinked.freightRate = null;
+  }
+
+  return { changes: relinked };
+};
+
+module.exports = {
+  relinkEntryChanges
+};
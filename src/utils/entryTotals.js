@@ -0,0 +1,210 @@
+const { roundAmount } = require('./gst');
+
+// Differences below this are treated as rounding noise
+const TOLERANCE = 0.01;
+
+const sum = (...values) => values.reduce((acc, value) => acc + (Number(value) || 0), 0);
+
+/**
+ * Total amount paid to the lorry owner through the payment ledger
+ * @param {Object} entry - Transport entry (document or plain object)
+ * @returns {number} - Sum of payment amounts
+ */
+const totalPaid = (entry) => {
+  const payments = entry.payments || [];
+  return roundAmount(sum(...payments.map(payment => payment.amount)));
+};
+
+/**
+ * Amount billed to the customer for an entry: the GST grand total, or the
+ * plain total for entries saved before GST was computed (they have no mode)
+ * @param {Object} entry - Transport entry (document or plain object)
+ * @returns {number} - Billed amount
+ */
+const billedAmount = (entry) => {
+  const bill = entry.transportBillData || {};
+  const gst = bill.gst || {};
+  return roundAmount(gst.mode ? gst.grandTotal : bill.total);
+};
+
+// Billing state of an entry from what the billed party has paid against it
+const BILLING_STATES = ['UNPAID', 'PARTIALLY_PAID', 'PAID'];
+
+/**
+ * Billing state for a bill and the amount received against it
+ * @param {number} billed - Billed amount
+ * @param {number} paid - Amount received
+ * @returns {string} - One of BILLING_STATES
+ */
+const billingState = (billed, paid) => {
+  if (!(paid > 0)) return 'UNPAID';
+  return paid >= billed - TOLERANCE ? 'PAID' : 'PARTIALLY_PAID';
+};
+
+// billedAmount as an aggregation expression
+const BILLED_AMOUNT_EXPR = {
+  $round: [{
+    $ifNull: [{
+      $cond: [
+        { $ifNull: ['$transportBillData.gst.mode', false] },
+        '$transportBillData.gst.grandTotal',
+        '$transportBillData.total'
+      ]
+    }, 0]
+  }, 2]
+};
+
+/**
+ * Profit of a trip: revenue is the bill total before GST with the taxable
+ * value of credit and debit notes against the entry, cost is the total
+ * lorry hire (hire plus other charges) and the broker's commission
+ * @param {Object} entry - Transport entry (document or plain object)
+ * @returns {Object} - { revenue, cost, margin, marginPercent } (marginPercent is null without revenue)
+ */
+const tripProfit = (entry) => {
+  const bill = entry.transportBillData || {};
+  const owner = entry.ownerData || {};
+  const billing = entry.billing || {};
+  const revenue = roundAmount(sum(bill.total, billing.adjustmentTaxableValue));
+  const cost = roundAmount(sum(owner.totalLorryHireRs, entry.broker && entry.broker.commission));
+  const margin = roundAmount(revenue - cost);
+  return {
+    revenue,
+    cost,
+    margin,
+    marginPercent: revenue > 0 ? roundAmount((margin / revenue) * 100) : null
+  };
+};
+
+// tripProfit revenue and cost as aggregation expressions
+const REVENUE_EXPR = {
+  $add: [
+    { $ifNull: ['$transportBillData.total', 0] },
+    { $ifNull: ['$billing.adjustmentTaxableValue', 0] }
+  ]
+};
+const COST_EXPR = {
+  $add: [
+    { $ifNull: ['$ownerData.totalLorryHireRs', 0] },
+    { $ifNull: ['$broker.commission', 0] }
+  ]
+};
+
+// Derived totals in dependency order: balance uses the (possibly overridden) lorry hire total
+const DERIVED_TOTALS = [
+  {
+    path: 'transportBillData.total',
+    label: 'Total',
+    formula: 'freight + handleCharges + detention',
+    components: ['transportBillData.freight', 'transportBillData.handleCharges', 'transportBillData.detention'],
+    derive: (entry) => sum(
+      entry.get('transportBillData.freight'),
+      entry.get('transportBillData.handleCharges'),
+      entry.get('transportBillData.detention')
+    )
+  },
+  {
+    path: 'ownerData.totalLorryHireRs',
+    label: 'Total lorry hire',
+    formula: 'lorryHireAmount + otherChargesHamliDetentionHeight',
+    components: ['ownerData.lorryHireAmount', 'ownerData.otherChargesHamliDetentionHeight'],
+    derive: (entry) => sum(
+      entry.get('ownerData.lorryHireAmount'),
+      entry.get('ownerData.otherChargesHamliDetentionHeight')
+    )
+  },
+  {
+    path: 'ownerData.balanceAmt',
+    label: 'Balance amount',
+    formula: 'totalLorryHireRs - payments - deductionAmt',
+    components: ['ownerData.totalLorryHireRs', 'payments', 'ownerData.deductionAmt'],
+    derive: (entry) => entry.get('ownerData.totalLorryHireRs') - sum(
+      totalPaid(entry),
+      entry.get('ownerData.deductionAmt')
+    )
+  }
+];
+
+/**
+ * Derive entry totals from their components and report mismatches.
+ * Without an override the derived value replaces whatever the client sent;
+ * with totalsOverride set the supplied value is kept. Either way a mismatch
+ * between a supplied value and its components produces a warning.
+ * Stored documents are only re-derived where the total or one of its
+ * components changes in this save; an untouched stored total that does not
+ * match (e.g. from before totals were computed) is kept with a warning.
+ * @param {mongoose.Document} entry - Transport entry document
+ * @returns {Array<Object>} - Warnings ({ field, message, supplied, expected })
+ */
+const reconcileTotals = (entry) => {
+  const warnings = [];
+  const override = Boolean(entry.totalsOverride);
+
+  DERIVED_TOTALS.forEach(({ path, label, formula, components, derive }) => {
+    const supplied = roundAmount(entry.get(path));
+    // New documents mark every nested default as modified, so a non-zero value stands in for "sent"
+    const wasSupplied = entry.isNew ? supplied !== 0 : entry.isModified(path);
+    const changed = entry.isNew || [path, ...components].some(component => entry.isModified(component));
+    let expected = roundAmount(derive(entry));
+
+    if (!changed) {
+      if (Math.abs(supplied - Math.max(expected, 0)) >= TOLERANCE) {
+        warnings.push({
+          field: path,
+          message: `${label} (${supplied}) does not match ${formula} (${Math.max(expected, 0)}); stored value kept until the entry's amounts are edited`,
+          supplied,
+          expected: Math.max(expected, 0)
+        });
+      }
+      return;
+    }
+
+    if (expected < 0) {
+      warnings.push({
+        field: path,
+        message: `${label} is negative (${expected}): payments and deductions exceed the total; stored as 0`,
+        supplied,
+        expected
+      });
+      expected = 0;
+    }
+
+    if (Math.abs(supplied - expected) < TOLERANCE) return;
+
+    if (override) {
+      warnings.push({
+        field: path,
+        message: `${label} (${supplied}) does not match ${formula} (${expected}); kept because totalsOverride is set`,
+        supplied,
+        expected
+      });
+      return;
+    }
+
+    if (wasSupplied) {
+      warnings.push({
+        field: path,
+        message: `${label} (${supplied}) does not match ${formula} (${expected}); replaced with the computed value`,
+        supplied,
+        expected
+      });
+    }
+
+    entry.set(path, expected);
+  });
+
+  return warnings;
+};
+
+module.exports = {
+  DERIVED_TOTALS,
+  totalPaid,
+  billedAmount,
+  BILLED_AMOUNT_EXPR,
+  BILLING_STATES,
+  billingState,
+  tripProfit,
+  REVENUE_EXPR,
+  COST_EXPR,
+  reconcileTotals
+};
@@ -0,0 +1,74 @@
+/**
+ * Format a number as an Indian currency amount (without symbol)
+ * @param {number} value - Amount
+ * @returns {string} - e.g. "1,25,000.00"
+ */
+const formatAmount = (value) => {
+  return Number(value || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+};
+
+/**
+ * Format a date as DD/MM/YYYY
+ * @param {Date|string} value - Date value
+ * @returns {string} - Formatted date or empty string
+ */
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' });
+};
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Stop spreadsheet apps from running text as a formula: a cell starting
+ * with =, +, -, @, tab or carriage return is prefixed with a quote
+ * @param {string} value - Text cell
+ * @returns {string} - Text that spreadsheets show as typed
+ */
+const escapeCsvFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+/**
+ * Make a value safe for use in a Content-Disposition filename
+ * @param {*} value - Document number or ID
+ * @returns {string} - Sanitized file name fragment
+ */
+const toFileName = (value) => {
+  return String(value || '').replace(/[^A-Za-z0-9_-]/g, '_');
+};
+
+/**
+ * Turn an enum code into readable text ("SHORTAGE_CLAIM" -> "Shortage claim")
+ * @param {string} code - Upper snake case code
+ * @returns {string} - Sentence case label
+ */
+const codeToLabel = (code) => {
+  const text = String(code || '').replace(/_/g, ' ').toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+module.exports = {
+  formatAmount,
+  formatDate,
+  escapeHtml,
+  escapeCsvFormula,
+  toFileName,
+  codeToLabel
+};
@@ -0,0 +1,49 @@
+const RateCard = require('../models/RateCard');
+const Vehicle = require('../models/Vehicle');
+const Lane = require('../models/Lane');
+const { calculateFreight } = require('./freightRates');
+const { normalizeVehicleNo } = require('./vehicleNumber');
+
+/**
+ * Quote the freight of a trip from the rate cards. The lane may be given or
+ * matched from from/to, and the vehicle type given or looked up from the
+ * vehicle master by vehicle number.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} trip - { party, lane, from, to, vehicleType, vehicleNo, date, wtKgs, packages }
+ * @returns {Promise<Object|null>} - Quote, or null when no rate card applies
+ */
+const quoteFreight = async (userId, trip) => {
+  let laneId = trip.lane;
+  if (!laneId && trip.from && trip.to) {
+    const [link] = await Lane.matchEntries(userId, [{ from: trip.from, to: trip.to }]);
+    laneId = link ? link.lane : null;
+  }
+  if (!laneId) return null;
+
+  let vehicleType = trip.vehicleType;
+  if (!vehicleType && trip.vehicleNo) {
+    const vehicle = await Vehicle.findOne({ userId, vehicleNo: normalizeVehicleNo(trip.vehicleNo) })
+      .select('vehicleType')
+      .lean();
+    vehicleType = vehicle ? vehicle.vehicleType : undefined;
+  }
+
+  const date = trip.date ? new Date(trip.date) : new Date();
+  const card = await RateCard.findBest(userId, { party: trip.party, lane: laneId, vehicleType, date });
+  if (!card) return null;
+
+  return {
+    rateCard: card._id,
+    lane: laneId,
+    party: card.party,
+    vehicleType: card.vehicleType,
+    basis: card.basis,
+    rate: card.rate,
+    minimumFreight: card.minimumFreight,
+    ...calculateFreight(card, trip)
+  };
+};
+
+module.exports = {
+  quoteFreight
+};
@@ -0,0 +1,38 @@
+const { roundAmount } = require('./gst');
+
+// PER_TRIP: fixed freight, PER_TON: rate per tonne of wtKgs,
+// PER_PACKAGE: rate per package
+const RATE_BASES = ['PER_TRIP', 'PER_TON', 'PER_PACKAGE'];
+
+/**
+ * Freight for a load under a rate card
+ * @param {Object} card - Rate card ({ basis, rate, minimumFreight })
+ * @param {Object} load - { wtKgs, packages }
+ * @returns {Object} - { freight, quantity, unit }
+ */
+const calculateFreight = (card, { wtKgs = 0, packages = 0 } = {}) => {
+  let quantity;
+  let unit;
+
+  switch (card.basis) {
+    case 'PER_TON':
+      quantity = roundAmount((Number(wtKgs) || 0) / 1000);
+      unit = 'ton';
+      break;
+    case 'PER_PACKAGE':
+      quantity = Number(packages) || 0;
+      unit = 'package';
+      break;
+    default:
+      quantity = 1;
+      unit = 'trip';
+  }
+
+  const freight = roundAmount(Math.max(quantity * card.rate, card.minimumFreight || 0));
+  return { freight, quantity, unit };
+};
+
+module.exports = {
+  RATE_BASES,
+  calculateFreight
+};
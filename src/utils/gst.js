@@ -0,0 +1,81 @@
+const { gstConfig } = require('../config/gst');
+
+/**
+ * Round a currency amount to 2 decimal places
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (value) => {
+  return Math.round((Number(value) || 0) * 100) / 100;
+};
+
+/**
+ * Extract the state code (first two digits) from a GSTIN
+ * @param {string} gstin - GST identification number
+ * @returns {string|null} - Two digit state code or null if not present
+ */
+const getStateCode = (gstin) => {
+  if (!gstin) return null;
+  const match = String(gstin).trim().match(/^(\d{2})/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Calculate the GST split for a transport bill.
+ * Same supplier and recipient state gives CGST + SGST (half the rate each),
+ * different states give IGST. When the recipient state is unknown the supply
+ * is treated as intra-state. Under reverse charge the recipient pays the tax
+ * to the government, so the grand total billed equals the taxable value.
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.taxableValue - Bill amount before tax
+ * @param {string} params.supplierGstin - Transporter's GSTIN
+ * @param {string} params.recipientGstin - Customer's GSTIN
+ * @param {string} params.mode - 'RCM' or 'FORWARD'
+ * @param {number} params.rate - Total GST rate in percent
+ * @returns {Object} - GST breakdown
+ */
+const calculateGst = ({ taxableValue, supplierGstin, recipientGstin, mode, rate }) => {
+  const chargeMode = mode || gstConfig.defaultMode;
+  const gstRate = rate !== undefined && rate !== null ? Number(rate) : gstConfig.rates[chargeMode];
+  const value = roundAmount(taxableValue);
+
+  const supplierStateCode = getStateCode(supplierGstin);
+  const recipientStateCode = getStateCode(recipientGstin);
+  const interState = Boolean(supplierStateCode && recipientStateCode && supplierStateCode !== recipientStateCode);
+
+  const breakdown = {
+    mode: chargeMode,
+    rate: gstRate,
+    supplyType: interState ? 'INTER_STATE' : 'INTRA_STATE',
+    supplierStateCode,
+    recipientStateCode,
+    taxableValue: value,
+    cgstRate: 0,
+    sgstRate: 0,
+    igstRate: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0
+  };
+
+  if (interState) {
+    breakdown.igstRate = gstRate;
+    breakdown.igst = roundAmount(value * gstRate / 100);
+  } else {
+    breakdown.cgstRate = gstRate / 2;
+    breakdown.sgstRate = gstRate / 2;
+    breakdown.cgst = roundAmount(value * breakdown.cgstRate / 100);
+    breakdown.sgst = roundAmount(value * breakdown.sgstRate / 100);
+  }
+
+  breakdown.totalTax = roundAmount(breakdown.cgst + breakdown.sgst + breakdown.igst);
+  breakdown.grandTotal = chargeMode === 'RCM' ? value : roundAmount(value + breakdown.totalTax);
+
+  return breakdown;
+};
+
+module.exports = {
+  roundAmount,
+  getStateCode,
+  calculateGst
+};
@@ -0,0 +1,303 @@
+const PDFDocument = require('pdfkit');
+const { amountInWords } = require('./amountInWords');
+const { formatAmount, formatDate, codeToLabel } = require('./formatters');
+const { billedAmount } = require('./entryTotals');
+const {
+  PAGE_MARGIN,
+  ROW_HEIGHT,
+  contentWidth,
+  drawRow,
+  drawCompanyHeader,
+  drawTitle,
+  drawDetailColumns,
+  drawLabelledText
+} = require('./pdfHelpers');
+
+/**
+ * Draw the bank details and signature block
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} user - Issuing user
+ */
+const drawBankAndSignature = (doc, user) => {
+  const bank = user.bank || {};
+  const profile = user.profile || {};
+  const width = contentWidth(doc);
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Bank Details', PAGE_MARGIN, top);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Bank: ${bank.bankName || '-'}`);
+  doc.text(`Account Holder: ${bank.accountHolderName || '-'}`);
+  doc.text(`Account No: ${bank.accountNumber || '-'}`);
+  doc.text(`IFSC: ${bank.ifscCode || '-'}`);
+  doc.text(`Branch: ${bank.bankBranchName || '-'}`);
+  const bankBottom = doc.y;
+
+  const signatureX = PAGE_MARGIN + width / 2;
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`For ${profile.companyName || ''}`, signatureX, top, { width: width / 2, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text('Authorised Signatory', signatureX, top + 60, { width: width / 2, align: 'right' });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(bankBottom, top + 75) + 10;
+};
+
+/**
+ * Build a GST-style tax invoice PDF for a transport entry.
+ * The document is ended before it is returned, so callers only need to pipe it.
+ * @param {Object} entry - Transport entry document
+ * @param {Object} user - Issuing user with profile and bank details
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+const createInvoicePdf = (entry, user) => {
+  const bill = entry.transportBillData || {};
+  const owner = entry.ownerData || {};
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const width = contentWidth(doc);
+
+  doc.info.Title = `Tax Invoice ${bill.invoiceNo || entry.id || ''}`.trim();
+  doc.info.Author = (user.profile && user.profile.companyName) || '';
+
+  drawCompanyHeader(doc, user);
+  drawTitle(doc, 'TAX INVOICE');
+
+  drawDetailColumns(doc, [
+    ['Bill To (M/s)', bill.ms],
+    ['Customer GSTIN', bill.gstno],
+    ['Consignor / Consignee', bill.consignorConsignee]
+  ], [
+    ['Invoice No', bill.invoiceNo || entry.id],
+    ['Invoice Date', formatDate(entry.date)],
+    ['Entry ID', entry.id]
+  ]);
+
+  drawDetailColumns(doc, [
+    ['Vehicle No', entry.vehicleNo],
+    ['From', entry.from],
+    ['To', entry.to]
+  ], [
+    ['LR No', bill.lrno ? String(bill.lrno) : ''],
+    ['LR Date', formatDate(bill.lrDate)],
+    ['Packages / Weight', `${owner.packages || 0} / ${owner.wtKgs || 0} kg`]
+  ]);
+
+  const widths = [40, width - 170, 130];
+  const align = ['center', 'left', 'right'];
+  let y = drawRow(doc, doc.y, ['Sr', 'Description', 'Amount (Rs.)'], widths, { bold: true, align });
+
+  const lines = [
+    ['Freight', bill.freight],
+    ['Handling Charges', bill.handleCharges],
+    ['Detention', bill.detention]
+  ];
+  lines.forEach(([label, amount], i) => {
+    y = drawRow(doc, y, [i + 1, label, formatAmount(amount)], widths, { align });
+  });
+
+  y = drawRow(doc, y, ['', 'Taxable Value', formatAmount(bill.total)], widths, { bold: true, align });
+
+  const gst = bill.gst || {};
+  const reverseCharge = gst.mode === 'RCM';
+  const taxLines = gst.supplyType === 'INTER_STATE'
+    ? [[`IGST @ ${gst.igstRate || 0}%`, gst.igst]]
+    : [[`CGST @ ${gst.cgstRate || 0}%`, gst.cgst], [`SGST @ ${gst.sgstRate || 0}%`, gst.sgst]];
+
+  taxLines.forEach(([label, amount]) => {
+    const description = reverseCharge ? `${label} (payable by recipient under RCM)` : label;
+    y = drawRow(doc, y, ['', description, formatAmount(amount)], widths, { align });
+  });
+
+  const grandTotal = billedAmount(entry);
+  y = drawRow(doc, y, ['', 'Grand Total', formatAmount(grandTotal)], widths, { bold: true, align });
+
+  doc.y = y + 10;
+  drawLabelledText(doc, 'Amount in words', amountInWords(grandTotal));
+  drawLabelledText(doc, 'Tax payable on reverse charge', reverseCharge ? 'Yes' : 'No');
+
+  if (bill.otherDetail) {
+    doc.moveDown(0.5);
+    drawLabelledText(doc, 'Remarks', bill.otherDetail);
+  }
+
+  doc.moveDown(1.5);
+  drawBankAndSignature(doc, user);
+
+  doc.font('Helvetica-Oblique').fontSize(8)
+    .text('This is a computer generated invoice.', PAGE_MARGIN, doc.y, { width, align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Build a tax invoice PDF for a consolidated invoice, one row per trip.
+ * The document is ended before it is returned, so callers only need to pipe it.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} user - Issuing user with profile and bank details
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+const createConsolidatedInvoicePdf = (invoice, user) => {
+  const billedTo = invoice.billedTo || {};
+  const period = invoice.period || {};
+  const gst = invoice.gst || {};
+  const totals = invoice.totals || {};
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const width = contentWidth(doc);
+
+  doc.info.Title = `Tax Invoice ${invoice.invoiceNo}`;
+  doc.info.Author = (user.profile && user.profile.companyName) || '';
+
+  drawCompanyHeader(doc, user);
+  drawTitle(doc, invoice.status === 'VOID' ? 'TAX INVOICE (VOID)' : 'TAX INVOICE');
+
+  drawDetailColumns(doc, [
+    ['Bill To (M/s)', billedTo.name],
+    ['Customer GSTIN', billedTo.gstin],
+    ['Address', billedTo.address]
+  ], [
+    ['Invoice No', invoice.invoiceNo],
+    ['Invoice Date', formatDate(invoice.date)],
+    ['Period', period.from || period.to ? `${formatDate(period.from)} to ${formatDate(period.to)}` : ''],
+    ['Due Date', formatDate(invoice.dueDate)]
+  ]);
+
+  const headers = ['Sr', 'Date', 'LR No', 'Vehicle No', 'Route', 'Taxable', 'Amount'];
+  const align = ['center', 'left', 'left', 'left', 'left', 'right', 'right'];
+  const widths = [30, 60, 70, 75, width - 405, 85, 85];
+  // Last row position that leaves room for the row's text above the bottom margin
+  const bottom = doc.page.height - PAGE_MARGIN - ROW_HEIGHT * 2;
+  let y = drawRow(doc, doc.y, headers, widths, { bold: true, align });
+
+  invoice.lines.forEach((line, i) => {
+    // Repeat the header on every new page
+    if (y > bottom) {
+      doc.addPage();
+      y = drawRow(doc, PAGE_MARGIN, headers, widths, { bold: true, align });
+    }
+    y = drawRow(doc, y, [
+      i + 1,
+      formatDate(line.date),
+      line.lrno || '',
+      line.vehicleNo || '',
+      `${line.from || ''} - ${line.to || ''}`,
+      formatAmount(line.taxableValue),
+      formatAmount(line.amount)
+    ], widths, { align });
+  });
+
+  const reverseCharge = gst.mode === 'RCM';
+  const taxLines = gst.supplyType === 'INTER_STATE'
+    ? [[`IGST @ ${gst.igstRate || 0}%`, totals.igst]]
+    : [[`CGST @ ${gst.cgstRate || 0}%`, totals.cgst], [`SGST @ ${gst.sgstRate || 0}%`, totals.sgst]];
+  const summary = [
+    ['Taxable Value', totals.taxableValue, true],
+    ...taxLines.map(([label, amount]) => [reverseCharge ? `${label} (payable by recipient under RCM)` : label, amount, false]),
+    ['Grand Total', totals.grandTotal, true]
+  ];
+  const summaryWidths = [width - 170, 170];
+
+  summary.forEach(([label, amount, bold]) => {
+    if (y > bottom) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    y = drawRow(doc, y, [label, formatAmount(amount)], summaryWidths, { bold, align: ['right', 'right'] });
+  });
+
+  // Words, remarks, bank details and signature need about a third of a page
+  if (y > doc.page.height / 1.6) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+  doc.y = y + 10;
+  drawLabelledText(doc, 'Amount in words', amountInWords(totals.grandTotal));
+  drawLabelledText(doc, 'Tax payable on reverse charge', reverseCharge ? 'Yes' : 'No');
+
+  if (invoice.notes) {
+    doc.moveDown(0.5);
+    drawLabelledText(doc, 'Remarks', invoice.notes);
+  }
+
+  doc.moveDown(1.5);
+  drawBankAndSignature(doc, user);
+
+  doc.font('Helvetica-Oblique').fontSize(8)
+    .text('This is a computer generated invoice.', PAGE_MARGIN, doc.y, { width, align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Build a credit or debit note PDF.
+ * The document is ended before it is returned, so callers only need to pipe it.
+ * @param {Object} note - AdjustmentNote document
+ * @param {Object} user - Issuing user with profile and bank details
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+const createAdjustmentNotePdf = (note, user) => {
+  const billedTo = note.billedTo || {};
+  const gst = note.gst || {};
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const width = contentWidth(doc);
+  const title = note.type === 'CREDIT' ? 'CREDIT NOTE' : 'DEBIT NOTE';
+
+  doc.info.Title = `${title} ${note.noteNo}`;
+  doc.info.Author = (user.profile && user.profile.companyName) || '';
+
+  drawCompanyHeader(doc, user);
+  drawTitle(doc, note.status === 'VOID' ? `${title} (VOID)` : title);
+
+  drawDetailColumns(doc, [
+    ['Party (M/s)', billedTo.name],
+    ['Customer GSTIN', billedTo.gstin],
+    ['Address', billedTo.address]
+  ], [
+    ['Note No', note.noteNo],
+    ['Note Date', formatDate(note.date)],
+    ['Against Bill', note.reference]
+  ]);
+
+  const widths = [width - 170, 170];
+  const align = ['left', 'right'];
+  let y = drawRow(doc, doc.y, ['Description', 'Amount (Rs.)'], widths, { bold: true, align });
+
+  y = drawRow(doc, y, [codeToLabel(note.reason), formatAmount(gst.taxableValue)], widths, { align });
+
+  const reverseCharge = gst.mode === 'RCM';
+  const taxLines = gst.supplyType === 'INTER_STATE'
+    ? [[`IGST @ ${gst.igstRate || 0}%`, gst.igst]]
+    : [[`CGST @ ${gst.cgstRate || 0}%`, gst.cgst], [`SGST @ ${gst.sgstRate || 0}%`, gst.sgst]];
+
+  taxLines.forEach(([label, amount]) => {
+    const description = reverseCharge ? `${label} (payable by recipient under RCM)` : label;
+    y = drawRow(doc, y, [description, formatAmount(amount)], widths, { align });
+  });
+
+  y = drawRow(doc, y, ['Total', formatAmount(note.amount)], widths, { bold: true, align });
+
+  doc.y = y + 10;
+  drawLabelledText(doc, 'Amount in words', amountInWords(note.amount));
+  drawLabelledText(doc, 'Tax payable on reverse charge', reverseCharge ? 'Yes' : 'No');
+
+  if (note.remarks) {
+    doc.moveDown(0.5);
+    drawLabelledText(doc, 'Remarks', note.remarks);
+  }
+
+  doc.moveDown(1.5);
+  drawBankAndSignature(doc, user);
+
+  doc.font('Helvetica-Oblique').fontSize(8)
+    .text(`This is a computer generated ${title.toLowerCase()}.`, PAGE_MARGIN, doc.y, { width, align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  createInvoicePdf,
+  createConsolidatedInvoicePdf,
+  createAdjustmentNotePdf
+};
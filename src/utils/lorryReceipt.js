@@ -0,0 +1,234 @@
+const PDFDocument = require('pdfkit');
+const { formatDate, escapeHtml } = require('./formatters');
+const {
+  PAGE_MARGIN,
+  contentWidth,
+  drawRow,
+  drawCompanyHeader,
+  drawTitle,
+  drawDetailColumns,
+  drawLabelledText
+} = require('./pdfHelpers');
+
+// Copies printed for every consignment, in print order
+const LR_COPIES = {
+  office: 'OFFICE COPY',
+  consignor: 'CONSIGNOR COPY',
+  consignee: 'CONSIGNEE COPY',
+  driver: 'DRIVER COPY'
+};
+
+/**
+ * Resolve the requested copies from a comma separated list
+ * @param {string} value - e.g. "office,driver" (defaults to all copies)
+ * @returns {Array<string>|null} - Copy keys in print order, or null if any key is unknown
+ */
+const resolveCopies = (value) => {
+  if (!value) return Object.keys(LR_COPIES);
+
+  const requested = String(value).split(',').map(copy => copy.trim().toLowerCase()).filter(Boolean);
+  if (requested.length === 0 || requested.some(copy => !LR_COPIES[copy])) {
+    return null;
+  }
+
+  return Object.keys(LR_COPIES).filter(copy => requested.includes(copy));
+};
+
+/**
+ * Collect the fields printed on a lorry receipt
+ * @param {Object} entry - Transport entry document
+ * @param {Object} user - Issuing user
+ * @returns {Object} - Flat lorry receipt data
+ */
+const buildLorryReceiptData = (entry, user) => {
+  const bill = entry.transportBillData || {};
+  const owner = entry.ownerData || {};
+  const profile = user.profile || {};
+
+  return {
+    companyName: profile.companyName || '',
+    companyAddress: profile.address || '',
+    companyGstin: profile.gstNumber || '',
+    companyMobile: profile.mobileNumber || '',
+    lrno: bill.lrno ? String(bill.lrno) : '',
+    lrDate: formatDate(bill.lrDate),
+    entryId: entry.id || '',
+    vehicleNo: entry.vehicleNo || '',
+    from: entry.from || '',
+    to: entry.to || '',
+    consignorConsignee: bill.consignorConsignee || '',
+    invoiceNo: bill.invoiceNo || '',
+    packages: owner.packages || 0,
+    description: owner.description || '',
+    wtKgs: owner.wtKgs || 0,
+    driverNameAndMob: owner.driverNameAndMob || '',
+    licenceNo: owner.licenceNo || '',
+    remarks: owner.remarks || ''
+  };
+};
+
+/**
+ * Draw one copy of the lorry receipt on the current page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} data - Lorry receipt data
+ * @param {Object} user - Issuing user
+ * @param {string} copyLabel - e.g. "DRIVER COPY"
+ */
+const drawLorryReceiptCopy = (doc, data, user, copyLabel) => {
+  const width = contentWidth(doc);
+
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(copyLabel, PAGE_MARGIN, PAGE_MARGIN, { width, align: 'right' });
+  doc.y = PAGE_MARGIN + 15;
+
+  drawCompanyHeader(doc, user);
+  drawTitle(doc, 'LORRY RECEIPT / CONSIGNMENT NOTE');
+
+  drawDetailColumns(doc, [
+    ['LR No', data.lrno],
+    ['LR Date', data.lrDate],
+    ['Vehicle No', data.vehicleNo]
+  ], [
+    ['From', data.from],
+    ['To', data.to],
+    ['Entry ID', data.entryId]
+  ]);
+
+  drawLabelledText(doc, 'Consignor / Consignee', data.consignorConsignee);
+  drawLabelledText(doc, 'Invoice No', data.invoiceNo);
+  doc.moveDown(0.5);
+
+  const widths = [80, width - 200, 120];
+  const align = ['center', 'left', 'right'];
+  let y = drawRow(doc, doc.y, ['Packages', 'Description of Goods', 'Weight (Kgs)'], widths, { bold: true, align });
+  y = drawRow(doc, y, [data.packages, data.description, data.wtKgs], widths, { align });
+
+  doc.y = y + 10;
+  drawDetailColumns(doc, [
+    ['Driver', data.driverNameAndMob]
+  ], [
+    ['Licence No', data.licenceNo]
+  ]);
+
+  if (data.remarks) {
+    drawLabelledText(doc, 'Remarks', data.remarks);
+  }
+
+  const signatureTop = doc.y + 50;
+  doc.font('Helvetica').fontSize(9);
+  doc.text('Signature of Consignor', PAGE_MARGIN, signatureTop, { width: width / 3 });
+  doc.text('Signature of Driver', PAGE_MARGIN + width / 3, signatureTop, { width: width / 3, align: 'center' });
+  doc.text(`For ${data.companyName}`, PAGE_MARGIN + (width * 2) / 3, signatureTop, { width: width / 3, align: 'right' });
+  doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Build a lorry receipt PDF with one page per copy.
+ * The document is ended before it is returned, so callers only need to pipe it.
+ * @param {Object} entry - Transport entry document
+ * @param {Object} user - Issuing user
+ * @param {Array<string>} copies - Copy keys from LR_COPIES
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+const createLorryReceiptPdf = (entry, user, copies = Object.keys(LR_COPIES)) => {
+  const data = buildLorryReceiptData(entry, user);
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, autoFirstPage: false });
+
+  doc.info.Title = `Lorry Receipt ${data.lrno || data.entryId}`.trim();
+  doc.info.Author = data.companyName;
+
+  copies.forEach(copy => {
+    doc.addPage();
+    drawLorryReceiptCopy(doc, data, user, LR_COPIES[copy]);
+  });
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Render one copy of the lorry receipt as HTML
+ * @param {Object} data - Lorry receipt data
+ * @param {string} copyLabel - e.g. "DRIVER COPY"
+ * @returns {string} - HTML fragment
+ */
+const renderLorryReceiptCopy = (data, copyLabel) => {
+  const e = escapeHtml;
+
+  return `
+  <section class="copy">
+    <div class="copy-label">${e(copyLabel)}</div>
+    <header>
+      <h1>${e(data.companyName)}</h1>
+      <p>${e(data.companyAddress)}</p>
+      <p>${data.companyMobile ? `Mobile: ${e(data.companyMobile)}` : ''}${data.companyGstin ? ` &nbsp;|&nbsp; GSTIN: ${e(data.companyGstin)}` : ''}</p>
+    </header>
+    <h2>LORRY RECEIPT / CONSIGNMENT NOTE</h2>
+    <table class="details">
+      <tr><th>LR No</th><td>${e(data.lrno)}</td><th>From</th><td>${e(data.from)}</td></tr>
+      <tr><th>LR Date</th><td>${e(data.lrDate)}</td><th>To</th><td>${e(data.to)}</td></tr>
+      <tr><th>Vehicle No</th><td>${e(data.vehicleNo)}</td><th>Entry ID</th><td>${e(data.entryId)}</td></tr>
+      <tr><th>Consignor / Consignee</th><td colspan="3">${e(data.consignorConsignee)}</td></tr>
+      <tr><th>Invoice No</th><td colspan="3">${e(data.invoiceNo)}</td></tr>
+    </table>
+    <table class="goods">
+      <thead><tr><th>Packages</th><th>Description of Goods</th><th>Weight (Kgs)</th></tr></thead>
+      <tbody><tr><td>${e(data.packages)}</td><td>${e(data.description)}</td><td>${e(data.wtKgs)}</td></tr></tbody>
+    </table>
+    <table class="details">
+      <tr><th>Driver</th><td>${e(data.driverNameAndMob)}</td><th>Licence No</th><td>${e(data.licenceNo)}</td></tr>
+      ${data.remarks ? `<tr><th>Remarks</th><td colspan="3">${e(data.remarks)}</td></tr>` : ''}
+    </table>
+    <div class="signatures">
+      <span>Signature of Consignor</span>
+      <span>Signature of Driver</span>
+      <span>For ${e(data.companyName)}</span>
+    </div>
+  </section>`;
+};
+
+/**
+ * Build a print-friendly HTML lorry receipt with one page per copy
+ * @param {Object} entry - Transport entry document
+ * @param {Object} user - Issuing user
+ * @param {Array<string>} copies - Copy keys from LR_COPIES
+ * @returns {string} - Complete HTML document
+ */
+const createLorryReceiptHtml = (entry, user, copies = Object.keys(LR_COPIES)) => {
+  const data = buildLorryReceiptData(entry, user);
+  const sections = copies.map(copy => renderLorryReceiptCopy(data, LR_COPIES[copy])).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Lorry Receipt ${escapeHtml(data.lrno || data.entryId)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 0; color: #000; }
+    .copy { padding: 24px; page-break-after: always; }
+    .copy:last-child { page-break-after: auto; }
+    .copy-label { text-align: right; font-weight: bold; }
+    header { text-align: center; border-bottom: 1px solid #000; padding-bottom: 6px; }
+    header h1 { margin: 0; font-size: 20px; }
+    header p { margin: 2px 0; }
+    h2 { text-align: center; font-size: 15px; margin: 10px 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+    th, td { border: 1px solid #000; padding: 4px 6px; text-align: left; vertical-align: top; }
+    .details th { width: 18%; background: #f2f2f2; }
+    .goods th { background: #f2f2f2; }
+    .signatures { display: flex; justify-content: space-between; margin-top: 50px; }
+    @media print { .copy { padding: 0; } }
+  </style>
+</head>
+<body>
+${sections}
+</body>
+</html>`;
+};
+
+module.exports = {
+  LR_COPIES,
+  resolveCopies,
+  createLorryReceiptPdf,
+  createLorryReceiptHtml
+};
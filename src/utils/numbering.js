@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+// Document series that get their own independent numbering
+const DOCUMENT_SERIES = ['entry', 'lr', 'invoice', 'consolidatedInvoice', 'creditNote', 'debitNote'];
+
+// Counter key prefix and the transport entry field each series fills in.
+// Series numbering another model name it in "model".
+// Consolidated invoices have their own series: every entry takes an invoice
+// number, so sharing one would leave gaps in the invoices actually issued.
+const SERIES_CONFIG = {
+  entry: { counter: 'transportEntry', field: 'id' },
+  lr: { counter: 'lorryReceipt', field: 'transportBillData.lrno' },
+  invoice: { counter: 'invoice', field: 'transportBillData.invoiceNo' },
+  consolidatedInvoice: { counter: 'consolidatedInvoice', model: 'Invoice', field: 'invoiceNo' },
+  creditNote: { counter: 'creditNote', model: 'AdjustmentNote', field: 'noteNo' },
+  debitNote: { counter: 'debitNote', model: 'AdjustmentNote', field: 'noteNo' }
+};
+
+// Series a new transport entry is numbered in
+const ENTRY_SERIES = DOCUMENT_SERIES.filter(series => !SERIES_CONFIG[series].model);
+
+// Defaults keep the original TE-FY2024-25-0001 entry ID format
+const DEFAULT_NUMBERING = {
+  entry: { prefix: 'TE-FY{FY}-', suffix: '', padding: 4, resetEveryFinancialYear: true, startAt: 1 },
+  lr: { prefix: 'LR/{FYS}/', suffix: '', padding: 4, resetEveryFinancialYear: true, startAt: 1 },
+  invoice: { prefix: 'INV/{FYS}/', suffix: '', padding: 4, resetEveryFinancialYear: true, startAt: 1 },
+  consolidatedInvoice: { prefix: 'CI/{FYS}/', suffix: '', padding: 4, resetEveryFinancialYear: true, startAt: 1 },
+  creditNote: { prefix: 'CN/{FYS}/', suffix: '', padding: 4, resetEveryFinancialYear: true, startAt: 1 },
+  debitNote: { prefix: 'DN/{FYS}/', suffix: '', padding: 4, resetEveryFinancialYear: true, startAt: 1 }
+};
+
+/**
+ * Get the Indian financial year (April to March) for a date
+ * @param {Date} date - Date to check (default: today)
+ * @returns {string} - e.g. "2024-25"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const currentYear = date.getFullYear();
+  const currentMonth = date.getMonth() + 1; // JavaScript months are 0-indexed
+
+  // Financial year starts from April (month 4)
+  if (currentMonth >= 4) {
+    return `${currentYear}-${String(currentYear + 1).slice(-2)}`;
+  }
+  return `${currentYear - 1}-${String(currentYear).slice(-2)}`;
+};
+
+/**
+ * Merge a user's numbering settings for a series with the defaults
+ * @param {Object} user - User document or lean object (may be null)
+ * @param {string} series - One of DOCUMENT_SERIES
+ * @returns {Object} - Complete numbering scheme
+ */
+const resolveScheme = (user, series) => {
+  const custom = (user && user.numbering && user.numbering[series]) || {};
+  const scheme = { ...DEFAULT_NUMBERING[series] };
+
+  Object.keys(scheme).forEach(key => {
+    if (custom[key] !== undefined && custom[key] !== null) {
+      scheme[key] = custom[key];
+    }
+  });
+
+  return scheme;
+};
+
+/**
+ * Replace financial year tokens in a prefix or suffix
+ * {FY} becomes "2024-25" and {FYS} becomes "24-25"
+ * @param {string} template - Prefix or suffix template
+ * @param {Date} date - Document date
+ * @returns {string} - Expanded text
+ */
+const expandTokens = (template, date) => {
+  const financialYear = getFinancialYear(date);
+  return String(template || '')
+    .replace(/\{FYS\}/g, financialYear.slice(2))
+    .replace(/\{FY\}/g, financialYear);
+};
+
+/**
+ * Format a document number from a scheme and sequence
+ * @param {Object} scheme - Numbering scheme
+ * @param {number} sequence - Sequence number
+ * @param {Date} date - Document date
+ * @returns {string} - e.g. "DGT/24-25/LR/0001"
+ */
+const formatDocumentNumber = (scheme, sequence, date) => {
+  return `${expandTokens(scheme.prefix, date)}${String(sequence).padStart(scheme.padding, '0')}${expandTokens(scheme.suffix, date)}`;
+};
+
+/**
+ * Counter key for a user's series; FY-resetting series get one counter per year
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {string} series - One of DOCUMENT_SERIES
+ * @param {Object} scheme - Numbering scheme
+ * @param {Date} date - Document date
+ * @returns {string} - Counter key
+ */
+const counterKey = (userId, series, scheme, date) => {
+  const period = scheme.resetEveryFinancialYear ? getFinancialYear(date) : 'ALL';
+  return `${SERIES_CONFIG[series].counter}:${userId}:${period}`;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Sequence part of a document number in a given format
+ * @param {string} value - Document number
+ * @param {string} pattern - Number pattern with the sequence as its first group
+ * @returns {number} - Sequence, or 0 when the number is not in this format
+ */
+const parseSequence = (value, pattern) => {
+  const match = String(value || '').match(new RegExp(pattern));
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+/**
+ * Highest sequence stored in a model's field in this format
+ * @param {mongoose.Model} Model - Model holding the numbered documents
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {string} field - Field holding the number
+ * @param {string} pattern - Number pattern with the sequence as its first group
+ * @returns {Promise<number>} - Highest sequence, 0 if none
+ */
+const highestSequence = async (Model, userId, field, pattern) => {
+  // Numbers are strings and sort as text (".../9999" after ".../10000"), so
+  // every match is parsed. Trashed documents still hold their numbers.
+  const docs = await Model.find({ userId, [field]: { $regex: pattern } })
+    .setOptions({ withDeleted: true })
+    .select(field)
+    .lean();
+
+  return docs.reduce((highest, doc) => {
+    const value = field.split('.').reduce((obj, key) => obj && obj[key], doc);
+    return Math.max(highest, parseSequence(value, pattern));
+  }, 0);
+};
+
+/**
+ * Build the seed function for a new counter: the highest number already
+ * stored in this format, or startAt - 1, whichever is larger
+ * @param {mongoose.Model} Model - Model holding the numbered documents (unless the series names one)
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {string} series - One of DOCUMENT_SERIES
+ * @param {Object} scheme - Numbering scheme
+ * @param {Date} date - Document date
+ * @returns {Function} - Async function resolving to the counter floor
+ */
+const counterSeed = (Model, userId, series, scheme, date) => async () => {
+  const { field, model } = SERIES_CONFIG[series];
+  const prefix = expandTokens(scheme.prefix, date);
+  const suffix = expandTokens(scheme.suffix, date);
+  const pattern = `^${escapeRegex(prefix)}(\\d+)${escapeRegex(suffix)}$`;
+
+  // Models are looked up by name so this module does not have to require them
+  const SourceModel = model ? mongoose.models[model] : Model;
+  const highest = SourceModel ? await highestSequence(SourceModel, userId, field, pattern) : 0;
+
+  return Math.max(highest, (scheme.startAt || 1) - 1);
+};
+
+/**
+ * Atomically allocate document numbers for a user's series
+ * @param {Object} params - Allocation parameters
+ * @param {mongoose.Model} params.Model - Model holding the numbered documents
+ * @param {Object} params.user - Owning user (with numbering settings)
+ * @param {mongoose.Types.ObjectId} params.userId - Owning user ID
+ * @param {string} params.series - One of DOCUMENT_SERIES
+ * @param {Date} params.date - Document date (decides the financial year)
+ * @param {number} params.count - How many numbers to allocate (default: 1)
+ * @returns {Promise<Array<string>>} - Formatted document numbers
+ */
+const allocateDocumentNumbers = async ({ Model, user, userId, series, date, count = 1 }) => {
+  const documentDate = date ? new Date(date) : new Date();
+  const scheme = resolveScheme(user, series);
+  const key = counterKey(userId, series, scheme, documentDate);
+
+  const first = await Counter.reserve(key, count, counterSeed(Model, userId, series, scheme, documentDate));
+
+  return Array.from({ length: count }, (value, i) => formatDocumentNumber(scheme, first + i, documentDate));
+};
+
+// Legacy entries stored 0 for "no LR number"
+const isBlank = (value) => value === undefined || value === null || value === '' || value === 0 || value === '0';
+
+const getPath = (doc, path) => {
+  if (typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), doc);
+};
+
+const setPath = (doc, path, value) => {
+  if (typeof doc.set === 'function') return doc.set(path, value);
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((obj, key) => {
+    if (!obj[key]) obj[key] = {};
+    return obj[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Fill in missing document numbers for a user's transport entries.
+ * Entries are grouped by financial year so each group reserves one range.
+ * @param {Object} params - Assignment parameters
+ * @param {mongoose.Model} params.Model - TransportEntry model
+ * @param {Object} params.user - Owning user (with numbering settings)
+ * @param {mongoose.Types.ObjectId} params.userId - Owning user ID
+ * @param {Array<Object>} params.docs - Documents or plain objects to number
+ * @param {Array<string>} params.series - Series to fill (default: all entry series)
+ */
+const assignDocumentNumbers = async ({ Model, user, userId, docs, series = ENTRY_SERIES }) => {
+  for (const name of series) {
+    const { field } = SERIES_CONFIG[name];
+    const groups = new Map();
+
+    docs.filter(doc => isBlank(getPath(doc, field))).forEach(doc => {
+      const date = doc.date ? new Date(doc.date) : new Date();
+      const financialYear = getFinancialYear(date);
+      if (!groups.has(financialYear)) groups.set(financialYear, { date, docs: [] });
+      groups.get(financialYear).docs.push(doc);
+    });
+
+    for (const group of groups.values()) {
+      const numbers = await allocateDocumentNumbers({
+        Model,
+        user,
+        userId,
+        series: name,
+        date: group.date,
+        count: group.docs.length
+      });
+      group.docs.forEach((doc, i) => setPath(doc, field, numbers[i]));
+    }
+  }
+};
+
+/**
+ * Make sure the next number of each series is at least its startAt value.
+ * Called after numbering settings change.
+ * @param {mongoose.Model} Model - Model holding the numbered documents
+ * @param {Object} user - User with updated numbering settings
+ * @param {Date} date - Date deciding the current financial year
+ */
+const applyStartingNumbers = async (Model, user, date = new Date()) => {
+  for (const series of DOCUMENT_SERIES) {
+    const scheme = resolveScheme(user, series);
+    await Counter.raise(
+      counterKey(user._id, series, scheme, date),
+      scheme.startAt - 1,
+      counterSeed(Model, user._id, series, scheme, date)
+    );
+  }
+};
+
+/**
+ * Preview the next number of each series without allocating it
+ * @param {mongoose.Model} Model - Model holding the numbered documents
+ * @param {Object} user - User with numbering settings
+ * @param {Date} date - Date deciding the current financial year
+ * @returns {Promise<Object>} - { entry, lr, invoice, consolidatedInvoice, creditNote, debitNote } next numbers
+ */
+const previewNextNumbers = async (Model, user, date = new Date()) => {
+  const preview = {};
+
+  for (const series of DOCUMENT_SERIES) {
+    const scheme = resolveScheme(user, series);
+    const counter = await Counter.findOne({ key: counterKey(user._id, series, scheme, date) }).lean();
+    const current = counter ? counter.seq : await counterSeed(Model, user._id, series, scheme, date)();
+    const next = Math.max(current + 1, scheme.startAt);
+    preview[series] = formatDocumentNumber(scheme, next, date);
+  }
+
+  return preview;
+};
+
+module.exports = {
+  DOCUMENT_SERIES,
+  ENTRY_SERIES,
+  SERIES_CONFIG,
+  DEFAULT_NUMBERING,
+  getFinancialYear,
+  resolveScheme,
+  formatDocumentNumber,
+  parseSequence,
+  allocateDocumentNumbers,
+  assignDocumentNumbers,
+  applyStartingNumbers,
+  previewNextNumbers
+};
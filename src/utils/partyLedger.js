@@ -0,0 +1,193 @@
+const { stringify } = require('csv-stringify/sync');
+const TransportEntry = require('../models/TransportEntry');
+const Receipt = require('../models/Receipt');
+const AdjustmentNote = require('../models/AdjustmentNote');
+const { formatDate, codeToLabel, escapeCsvFormula } = require('./formatters');
+const { billedAmount } = require('./entryTotals');
+const { roundAmount } = require('./gst');
+
+/**
+ * Ledger lines for the issued credit or debit notes of a party
+ * @param {string} type - CREDIT or DEBIT
+ * @returns {Function} - lines(userId, partyId, dateCondition) of a ledger source
+ */
+const noteLines = (type) => async (userId, partyId, dateCondition) => {
+  const notes = await AdjustmentNote.find({
+    userId,
+    party: partyId,
+    type,
+    status: 'ISSUED',
+    date: dateCondition
+  })
+    .select('noteNo date reason reference amount')
+    .lean();
+
+  return notes.map(note => ({
+    date: note.date,
+    type: `${type}_NOTE`,
+    reference: note.noteNo,
+    description: `${codeToLabel(note.reason)} against ${note.reference}`,
+    debit: type === 'DEBIT' ? note.amount : 0,
+    credit: type === 'CREDIT' ? note.amount : 0,
+    noteId: note._id
+  }));
+};
+
+/**
+ * Sources of ledger lines for a party. Each lists the lines of one kind;
+ * debits add to what the party owes and credits reduce it.
+ * lines(userId, partyId, dateCondition) resolves to
+ * [{ date, type, reference, description, debit, credit, entryId | receiptId | noteId }].
+ */
+const LEDGER_SOURCES = [
+  {
+    type: 'BILL',
+    totalKey: 'bills',
+    lines: async (userId, partyId, dateCondition) => {
+      const entries = await TransportEntry.find({
+        userId,
+        'parties.billedTo.party': partyId,
+        'transportBillData.status': { $ne: 'CANCELLED' },
+        date: dateCondition
+      })
+        .select('id date vehicleNo from to transportBillData.invoiceNo transportBillData.total transportBillData.gst billing.invoiceNo')
+        .lean();
+
+      return entries.map(entry => ({
+        date: entry.date,
+        type: 'BILL',
+        // Trips on a consolidated invoice are referenced by that invoice
+        reference: (entry.billing && entry.billing.invoiceNo) || entry.transportBillData.invoiceNo || entry.id,
+        description: `${entry.vehicleNo} ${entry.from} - ${entry.to}`,
+        debit: billedAmount(entry),
+        credit: 0,
+        entryId: entry._id
+      }));
+    }
+  },
+  {
+    type: 'RECEIPT',
+    totalKey: 'receipts',
+    lines: async (userId, partyId, dateCondition) => {
+      const receipts = await Receipt.find({
+        userId,
+        party: partyId,
+        date: dateCondition
+      })
+        .select('date amount mode reference allocations unallocatedAmount')
+        .lean();
+
+      return receipts.map(receipt => {
+        const bills = receipt.allocations.map(allocation => allocation.invoiceNo || allocation.entryCode);
+        let description = `Received by ${receipt.mode}`;
+        if (bills.length > 0) description += ` against ${bills.join(', ')}`;
+        if (receipt.unallocatedAmount > 0) description += bills.length > 0 ? ', rest on account' : ' on account';
+        return {
+          date: receipt.date,
+          type: 'RECEIPT',
+          reference: receipt.reference || receipt.mode,
+          description,
+          debit: 0,
+          credit: receipt.amount,
+          receiptId: receipt._id
+        };
+      });
+    }
+  },
+  {
+    type: 'CREDIT_NOTE',
+    totalKey: 'creditNotes',
+    lines: noteLines('CREDIT')
+  },
+  {
+    type: 'DEBIT_NOTE',
+    totalKey: 'debitNotes',
+    lines: noteLines('DEBIT')
+  }
+];
+
+/**
+ * Build a party's account statement for a period
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} party - Party document
+ * @param {Object} period - { from, to } as Date objects (either may be missing)
+ * @returns {Promise<Object>} - { party, period, openingBalance, lines, totals, closingBalance }
+ */
+const buildPartyStatement = async (userId, party, { from, to } = {}) => {
+  const inPeriod = {};
+  if (from) inPeriod.$gte = from;
+  if (to) inPeriod.$lte = to;
+
+  let openingBalance = 0;
+  const lines = [];
+  const totals = { debit: 0, credit: 0 };
+
+  for (const source of LEDGER_SOURCES) {
+    if (from) {
+      const earlier = await source.lines(userId, party._id, { $lt: from });
+      openingBalance += earlier.reduce((sum, line) => sum + line.debit - line.credit, 0);
+    }
+
+    const current = await source.lines(userId, party._id, Object.keys(inPeriod).length > 0 ? inPeriod : { $ne: null });
+    totals[source.totalKey] = roundAmount(current.reduce((sum, line) => sum + line.debit + line.credit, 0));
+    lines.push(...current);
+  }
+
+  // Oldest first; on the same day debits come before credits
+  lines.sort((a, b) => new Date(a.date) - new Date(b.date) || b.debit - a.debit);
+
+  let balance = roundAmount(openingBalance);
+  lines.forEach(line => {
+    totals.debit += line.debit;
+    totals.credit += line.credit;
+    balance = roundAmount(balance + line.debit - line.credit);
+    line.balance = balance;
+  });
+  totals.debit = roundAmount(totals.debit);
+  totals.credit = roundAmount(totals.credit);
+
+  return {
+    party: {
+      _id: party._id,
+      name: party.name,
+      gstin: party.gstin,
+      address: party.formattedAddress(),
+      creditTerms: party.creditTerms
+    },
+    period: { from: from || null, to: to || null },
+    openingBalance: roundAmount(openingBalance),
+    lines,
+    totals,
+    closingBalance: balance
+  };
+};
+
+/**
+ * Render a statement as CSV (with a BOM so Excel reads UTF-8)
+ * @param {Object} statement - Statement from buildPartyStatement
+ * @returns {string} - CSV text
+ */
+const statementToCsv = (statement) => {
+  const rows = [
+    ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'],
+    [formatDate(statement.period.from), 'OPENING', '', 'Opening balance', '', '', statement.openingBalance],
+    ...statement.lines.map(line => [
+      formatDate(line.date),
+      line.type,
+      line.reference,
+      line.description,
+      line.debit || '',
+      line.credit || '',
+      line.balance
+    ]),
+    [formatDate(statement.period.to), 'CLOSING', '', 'Closing balance', statement.totals.debit, statement.totals.credit, statement.closingBalance]
+  ];
+
+  return stringify(rows, { bom: true, cast: { string: escapeCsvFormula } });
+};
+
+module.exports = {
+  LEDGER_SOURCES,
+  buildPartyStatement,
+  statementToCsv
+};
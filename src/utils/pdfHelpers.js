@@ -0,0 +1,123 @@
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 20;
+
+/**
+ * Width available for content between the page margins
+ * @param {PDFDocument} doc - PDF document
+ * @returns {number} - Content width in points
+ */
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+/**
+ * Draw a single bordered table row
+ * @param {PDFDocument} doc - PDF document
+ * @param {number} y - Top of the row
+ * @param {Array<string>} cells - Cell values
+ * @param {Array<number>} widths - Column widths
+ * @param {Object} options - { bold, align: per-column alignment array }
+ * @returns {number} - Top of the next row
+ */
+const drawRow = (doc, y, cells, widths, options = {}) => {
+  let x = PAGE_MARGIN;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+
+  cells.forEach((cell, i) => {
+    doc.rect(x, y, widths[i], ROW_HEIGHT).stroke();
+    doc.text(String(cell), x + 5, y + 6, {
+      width: widths[i] - 10,
+      align: (options.align && options.align[i]) || 'left',
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += widths[i];
+  });
+
+  return y + ROW_HEIGHT;
+};
+
+/**
+ * Draw the issuing company header
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} user - Issuing user
+ */
+const drawCompanyHeader = (doc, user) => {
+  const profile = user.profile || {};
+  const width = contentWidth(doc);
+
+  doc.font('Helvetica-Bold').fontSize(18)
+    .text(profile.companyName || '', PAGE_MARGIN, doc.y, { width, align: 'center' });
+
+  doc.font('Helvetica').fontSize(9);
+  if (profile.address) {
+    doc.text(profile.address, { width, align: 'center' });
+  }
+
+  const ids = [];
+  if (profile.mobileNumber) ids.push(`Mobile: ${profile.mobileNumber}`);
+  if (profile.gstNumber) ids.push(`GSTIN: ${profile.gstNumber}`);
+  if (profile.panNumber) ids.push(`PAN: ${profile.panNumber}`);
+  doc.text(ids.join('   |   '), { width, align: 'center' });
+
+  doc.moveDown(0.5);
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).stroke();
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw a centered document title
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} title - Title text
+ */
+const drawTitle = (doc, title) => {
+  doc.font('Helvetica-Bold').fontSize(14)
+    .text(title, PAGE_MARGIN, doc.y, { width: contentWidth(doc), align: 'center' });
+  doc.moveDown(0.5);
+};
+
+/**
+ * Draw a list of label/value pairs in two columns
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<Array<string>>} left - [label, value] pairs for the left column
+ * @param {Array<Array<string>>} right - [label, value] pairs for the right column
+ */
+const drawDetailColumns = (doc, left, right) => {
+  const columnWidth = contentWidth(doc) / 2;
+  const top = doc.y;
+
+  const drawColumn = (pairs, x) => {
+    doc.y = top;
+    pairs.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, x, doc.y, { continued: true, width: columnWidth - 10 });
+      doc.font('Helvetica').text(value || '-');
+    });
+    return doc.y;
+  };
+
+  const leftBottom = drawColumn(left, PAGE_MARGIN);
+  const rightBottom = drawColumn(right, PAGE_MARGIN + columnWidth);
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, rightBottom) + 10;
+};
+
+/**
+ * Draw a labelled line of text (bold label, regular value)
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} label - Label text
+ * @param {string} value - Value text
+ */
+const drawLabelledText = (doc, label, value) => {
+  doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true });
+  doc.font('Helvetica').text(value || '-');
+};
+
+module.exports = {
+  PAGE_MARGIN,
+  ROW_HEIGHT,
+  contentWidth,
+  drawRow,
+  drawCompanyHeader,
+  drawTitle,
+  drawDetailColumns,
+  drawLabelledText
+};
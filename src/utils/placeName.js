@@ -0,0 +1,26 @@
+/**
+ * Normalize a place name for matching lanes
+ * ("  Navi-Mumbai " -> "navi mumbai")
+ * @param {string} place - Place name as typed
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+const normalizePlace = (place) => String(place || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Regex matching a place however it was cased, spaced or punctuated
+ * (transport entries store from/to as typed)
+ * @param {string} place - Place name
+ * @returns {RegExp} - Case-insensitive anchored pattern
+ */
+const placePattern = (place) => {
+  const words = normalizePlace(place).split(' ');
+  return new RegExp(`^[^a-z0-9]*${words.join('[^a-z0-9]+')}[^a-z0-9]*$`, 'i');
+};
+
+module.exports = {
+  normalizePlace,
+  placePattern
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const TransportEntry = require('../models/TransportEntry');
+const Receipt = require('../models/Receipt');
+const { billedAmount } = require('./entryTotals');
+const { roundAmount } = require('./gst');
+const { formatAmount } = require('./formatters');
+const { snapshotEntry, recordEntryChange } = require('./auditTrail');
+
+/**
+ * Check the bills a receipt is allocated to: each entry must exist, not be
+ * cancelled, be linked to the receipt's party as its billing party and
+ * have at least the allocated amount outstanding (after credit and debit notes)
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {mongoose.Types.ObjectId} partyId - Party the money came from
+ * @param {Array<Object>} allocations - [{ entry, amount }] from the request
+ * @param {Array<Object>} previous - Allocations already on the receipt (updates only); they are released first
+ * @returns {Promise<Object>} - { allocations: [{ entry, entryCode, invoiceNo, amount }], errors: [{ field, message }] }
+ */
+const resolveAllocations = async (userId, partyId, allocations = [], previous = []) => {
+  const released = new Map(previous.map(allocation => [String(allocation.entry), allocation.amount]));
+  const ids = allocations
+    .map(allocation => allocation.entry)
+    .filter(id => mongoose.Types.ObjectId.isValid(String(id)));
+  const entries = await TransportEntry.find({ _id: { $in: ids }, userId })
+    .select('id parties.billedTo transportBillData.status transportBillData.invoiceNo transportBillData.total transportBillData.gst billing');
+  const byId = new Map(entries.map(entry => [String(entry._id), entry]));
+
+  const resolved = [];
+  const errors = [];
+  allocations.forEach((allocation, index) => {
+    const field = `allocations[${index}]`;
+    const entry = byId.get(String(allocation.entry));
+    if (!entry) {
+      errors.push({ field: `${field}.entry`, message: 'Transport entry not found' });
+      return;
+    }
+
+    const billedTo = entry.parties && entry.parties.billedTo;
+    if (entry.transportBillData.status === 'CANCELLED') {
+      errors.push({ field: `${field}.entry`, message: `Entry ${entry.id} is cancelled` });
+      return;
+    }
+    // Only bills linked to the party are debited on its statement, so receipts
+    // can only settle those
+    if (!billedTo || !billedTo.party) {
+      errors.push({ field: `${field}.entry`, message: `Entry ${entry.id} is not linked to a billing party; link it first` });
+      return;
+    }
+    if (String(billedTo.party) !== String(partyId)) {
+      errors.push({ field: `${field}.entry`, message: `Entry ${entry.id} is billed to ${billedTo.name}` });
+      return;
+    }
+
+    const paidElsewhere = (entry.billing.amountPaid || 0) - (released.get(String(entry._id)) || 0);
+    const outstanding = roundAmount(billedAmount(entry) + (entry.billing.adjustmentAmount || 0) - paidElsewhere);
+    const amount = roundAmount(Number(allocation.amount));
+    if (amount > outstanding) {
+      errors.push({
+        field: `${field}.amount`,
+        message: `Only ${formatAmount(Math.max(outstanding, 0))} is outstanding on entry ${entry.id}`
+      });
+      return;
+    }
+
+    resolved.push({
+      entry: entry._id,
+      entryCode: entry.id,
+      invoiceNo: entry.billing.invoiceNo || entry.transportBillData.invoiceNo,
+      amount
+    });
+  });
+
+  return { allocations: resolved, errors };
+};
+
+/**
+ * Work out the amount paid on each entry a receipt change touches and
+ * validate the entries, without saving anything. Run it before storing the
+ * receipt so a failing entry stops the whole change.
+ * @param {mongoose.Types.ObjectId} userId - Owning user
+ * @param {Object} change - { receipt: ID of the receipt changed (null when new), before: its stored allocations, after: its allocations once stored }
+ * @returns {Promise<Array<Object>>} - [{ entry, before }] entries with billing.amountPaid set, to pass to saveEntryPayments
+ */
+const prepareEntryPayments = async (userId, { receipt = null, before = [], after = [] }) => {
+  const ids = [...new Set([...before, ...after].map(allocation => String(allocation.entry)))]
+    .map(id => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return [];
+
+  const received = await Receipt.aggregate([
+    { $match: { userId, _id: { $ne: receipt }, 'allocations.entry': { $in: ids } } },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.entry': { $in: ids } } },
+    { $group: { _id: '$allocations.entry', amount: { $sum: '$allocations.amount' } } }
+  ]);
+  const paidById = new Map(received.map(row => [String(row._id), row.amount]));
+  after.forEach(allocation => {
+    const key = String(allocation.entry);
+    paidById.set(key, (paidById.get(key) || 0) + allocation.amount);
+  });
+
+  const entries = await TransportEntry.find({ _id: { $in: ids }, userId });
+  const changes = [];
+  for (const entry of entries) {
+    const paid = roundAmount(paidById.get(String(entry._id)) || 0);
+    if (paid === entry.billing.amountPaid) continue;
+
+    const snapshot = snapshotEntry(entry);
+    entry.billing.amountPaid = paid;
+    await entry.validate();
+    changes.push({ entry, before: snapshot });
+  }
+  return changes;
+};
+
+/**
+ * Save entries prepared by prepareEntryPayments and record the change in
+ * each entry's history
+ * @param {Array<Object>} changes - [{ entry, before }] from prepareEntryPayments
+ * @param {Object} req - Express request (for the audit trail)
+ * @returns {Promise<number>} - Number of entries updated
+ */
+const saveEntryPayments = async (changes, req) => {
+  for (const { entry, before } of changes) {
+    await entry.save();
+    await recordEntryChange({ action: 'RECEIPT_APPLIED', entry, before, req });
+  }
+  return changes.length;
+};
+
+module.exports = {
+  resolveAllocations,
+  prepareEntryPayments,
+  saveEntryPayments
+};
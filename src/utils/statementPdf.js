@@ -0,0 +1,101 @@
+const PDFDocument = require('pdfkit');
+const { formatAmount, formatDate } = require('./formatters');
+const {
+  PAGE_MARGIN,
+  ROW_HEIGHT,
+  contentWidth,
+  drawRow,
+  drawCompanyHeader,
+  drawTitle,
+  drawDetailColumns
+} = require('./pdfHelpers');
+
+const HEADERS = ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'];
+const ALIGN = ['left', 'left', 'left', 'left', 'right', 'right', 'right'];
+
+// Blank amounts read better than 0.00 in the debit/credit columns
+const amountCell = (value) => (value ? formatAmount(value) : '');
+
+/**
+ * Build a party account statement PDF.
+ * The document is ended before it is returned, so callers only need to pipe it.
+ * @param {Object} statement - Statement from buildPartyStatement
+ * @param {Object} user - Issuing user with profile details
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+const createStatementPdf = (statement, user) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const width = contentWidth(doc);
+  const { party, period } = statement;
+
+  doc.info.Title = `Statement of Account - ${party.name}`;
+  doc.info.Author = (user.profile && user.profile.companyName) || '';
+
+  drawCompanyHeader(doc, user);
+  drawTitle(doc, 'STATEMENT OF ACCOUNT');
+
+  drawDetailColumns(doc, [
+    ['Party', party.name],
+    ['GSTIN', party.gstin],
+    ['Address', party.address]
+  ], [
+    ['Period', `${formatDate(period.from) || 'Beginning'} to ${formatDate(period.to) || 'Date'}`],
+    ['Opening Balance', formatAmount(statement.openingBalance)],
+    ['Closing Balance', formatAmount(statement.closingBalance)]
+  ]);
+
+  const widths = [60, 45, 80, width - 400, 70, 70, 75];
+  // Last row position that leaves room for the row's text above the bottom margin
+  const bottom = doc.page.height - PAGE_MARGIN - ROW_HEIGHT * 2;
+  let y = drawRow(doc, doc.y, HEADERS, widths, { bold: true, align: ALIGN });
+
+  const rows = [
+    [formatDate(period.from), '', '', 'Opening balance', '', '', formatAmount(statement.openingBalance)],
+    ...statement.lines.map(line => [
+      formatDate(line.date),
+      line.type,
+      line.reference || '',
+      line.description || '',
+      amountCell(line.debit),
+      amountCell(line.credit),
+      formatAmount(line.balance)
+    ])
+  ];
+
+  rows.forEach(cells => {
+    // Repeat the header on every new page
+    if (y > bottom) {
+      doc.addPage();
+      y = drawRow(doc, PAGE_MARGIN, HEADERS, widths, { bold: true, align: ALIGN });
+    }
+    y = drawRow(doc, y, cells, widths, { align: ALIGN });
+  });
+
+  if (y > bottom) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+  y = drawRow(doc, y, [
+    '',
+    '',
+    '',
+    'Total / Closing balance',
+    formatAmount(statement.totals.debit),
+    formatAmount(statement.totals.credit),
+    formatAmount(statement.closingBalance)
+  ], widths, { bold: true, align: ALIGN });
+
+  if (y > bottom) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+  doc.font('Helvetica-Oblique').fontSize(8)
+    .text('This is a computer generated statement.', PAGE_MARGIN, y + 10, { width, align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  createStatementPdf
+};
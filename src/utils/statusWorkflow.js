@@ -0,0 +1,73 @@
+const ENTRY_STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Statuses of trips that are still running (not yet closed)
+const OPEN_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
+// Normal forward moves of a trip
+const TRANSITIONS = {
+  PENDING: ['IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['PENDING', 'COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+// Moves out of a closed status, only through an explicit reopen action
+const REOPEN_TRANSITIONS = {
+  PENDING: [],
+  IN_PROGRESS: [],
+  COMPLETED: ['IN_PROGRESS'],
+  CANCELLED: ['PENDING', 'IN_PROGRESS']
+};
+
+// Target statuses that always need a reason on record (reopens need one too)
+const REASON_REQUIRED = ['CANCELLED'];
+
+/**
+ * List the statuses an entry can move to from its current status
+ * @param {string} from - Current status
+ * @returns {Object} - { transitions, reopen } arrays of target statuses
+ */
+const availableTransitions = (from) => ({
+  transitions: TRANSITIONS[from] || [],
+  reopen: REOPEN_TRANSITIONS[from] || []
+});
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} options - { reopen, reason }
+ * @returns {Object} - { allowed, error }
+ */
+const checkTransition = (from, to, { reopen = false, reason } = {}) => {
+  if (!ENTRY_STATUSES.includes(to)) {
+    return { allowed: false, error: `Status must be one of: ${ENTRY_STATUSES.join(', ')}` };
+  }
+
+  if (from === to) {
+    return { allowed: false, error: `Entry is already ${to}` };
+  }
+
+  const allowedTargets = reopen ? REOPEN_TRANSITIONS[from] || [] : TRANSITIONS[from] || [];
+  if (!allowedTargets.includes(to)) {
+    const hint = !reopen && (REOPEN_TRANSITIONS[from] || []).includes(to)
+      ? ' without an explicit reopen action'
+      : '';
+    return { allowed: false, error: `Cannot change status from ${from} to ${to}${hint}` };
+  }
+
+  if ((reopen || REASON_REQUIRED.includes(to)) && !(reason && String(reason).trim())) {
+    return { allowed: false, error: `A reason is required to ${reopen ? 'reopen an entry' : `mark an entry ${to}`}` };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  ENTRY_STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  REOPEN_TRANSITIONS,
+  availableTransitions,
+  checkTransition
+};
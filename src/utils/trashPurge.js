@@ -0,0 +1,34 @@
+const TransportEntry = require('../models/TransportEntry');
+const { trashConfig } = require('../config/trash');
+
+/**
+ * Permanently remove transport entries that have been in the trash
+ * longer than the retention period
+ * @returns {Promise<number>} - Number of purged entries
+ */
+const purgeTrash = async () => {
+  const { deletedCount } = await TransportEntry.purgeDeleted(trashConfig.retentionDays);
+  if (deletedCount > 0) {
+    console.log(`🗑️  Purged ${deletedCount} transport entries older than ${trashConfig.retentionDays} days from trash`);
+  }
+  return deletedCount;
+};
+
+/**
+ * Run the trash purge now and then every purgeIntervalHours.
+ * The timer does not keep the process alive on shutdown.
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+const startTrashPurge = () => {
+  const run = () => purgeTrash().catch(error => console.error('Trash purge error:', error));
+
+  run();
+  const timer = setInterval(run, trashConfig.purgeIntervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeTrash,
+  startTrashPurge
+};
@@ -0,0 +1,23 @@
+/**
+ * Normalize a vehicle registration number for matching
+ * ("mh 12-ab 1234" -> "MH12AB1234")
+ * @param {string} vehicleNo - Vehicle number as typed
+ * @returns {string} - Uppercase letters and digits only
+ */
+const normalizeVehicleNo = (vehicleNo) => String(vehicleNo || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Regex matching a vehicle number however it was spaced or hyphenated
+ * (transport entries store the number as typed)
+ * @param {string} vehicleNo - Vehicle number
+ * @returns {RegExp} - Case-insensitive anchored pattern
+ */
+const vehicleNoPattern = (vehicleNo) => {
+  const chars = normalizeVehicleNo(vehicleNo).split('');
+  return new RegExp(`^[\\s-]*${chars.join('[\\s-]*')}[\\s-]*$`, 'i');
+};
+
+module.exports = {
+  normalizeVehicleNo,
+  vehicleNoPattern
+};
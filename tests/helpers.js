@@ -0,0 +1,72 @@
+// Shared fixtures for route tests (run against the in-memory database from tests/setup.js)
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const TransportEntry = require('../src/models/TransportEntry');
+
+let userCount = 0;
+
+/**
+ * Create a user account
+ * @param {Object} profile - Profile fields to override
+ * @returns {Promise<Object>} - Saved user
+ */
+const createUser = (profile = {}) => {
+  userCount++;
+  return User.create({
+    email: `owner${userCount}@example.com`,
+    password: 'secret123',
+    profile: {
+      ownerName: 'Ramesh Patil',
+      companyName: 'Patil Roadways',
+      mobileNumber: `98${String(userCount).padStart(8, '0')}`,
+      address: 'Market Yard, Pune',
+      ...profile
+    }
+  });
+};
+
+/**
+ * Authorization header value for a user, signed like the auth routes sign it
+ * @param {Object} user - User document
+ * @returns {string} - Bearer token
+ */
+const authHeader = (user) => `Bearer ${jwt.sign(
+  { id: user._id, email: user.email, role: user.role },
+  process.env.JWT_SECRET || 'fallback-secret'
+)}`;
+
+/**
+ * Express app with a single router mounted, parsed like the server parses requests
+ * @param {string} path - Mount path (e.g. '/api/receipts')
+ * @param {express.Router} router - Route module
+ * @returns {express.Application} - App for supertest
+ */
+const createApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+/**
+ * Create a transport entry for a user
+ * @param {Object} user - Owning user
+ * @param {Object} data - Entry fields to override
+ * @returns {Promise<Object>} - Saved entry
+ */
+const createEntry = (user, data = {}) => TransportEntry.create({
+  userId: user._id,
+  date: new Date('2024-06-10'),
+  vehicleNo: 'MH12AB1234',
+  from: 'Pune',
+  to: 'Mumbai',
+  ...data
+});
+
+module.exports = {
+  createUser,
+  authHeader,
+  createApp,
+  createEntry
+};
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const noteRoutes = require('../../src/routes/adjustmentNotes');
+const invoiceRoutes = require('../../src/routes/invoices');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Party = require('../../src/models/Party');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/adjustment-notes', noteRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('credit and debit notes', () => {
+  let user;
+  let party;
+  let entry;
+
+  beforeEach(async () => {
+    user = await createUser();
+    party = await Party.create({ userId: user._id, name: 'Shree Traders', roles: ['BILLING'] });
+    entry = await createEntry(user, {
+      parties: { billedTo: { party: party._id, name: party.name } },
+      transportBillData: { freight: 10000 },
+      ownerData: { lorryHireAmount: 8000 }
+    });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const issue = (data = {}) => send('post', '/api/adjustment-notes', {
+    type: 'CREDIT',
+    entry: entry._id,
+    taxableValue: 500,
+    reason: 'SHORTAGE_CLAIM',
+    date: '2024-06-15',
+    ...data
+  });
+
+  const stored = () => TransportEntry.findById(entry._id).lean();
+
+  it('numbers notes per type and carries them to the entry\'s bill and profit', async () => {
+    const credit = await issue().expect(201);
+    expect(credit.body.data).toEqual(expect.objectContaining({
+      noteNo: 'CN/24-25/0001',
+      amount: 500,
+      reference: entry.transportBillData.invoiceNo,
+      status: 'ISSUED'
+    }));
+    expect(credit.body.message).toBe('Credit note CN/24-25/0001 issued');
+
+    const debit = await issue({ type: 'DEBIT', taxableValue: 1200, reason: 'DETENTION' }).expect(201);
+    expect(debit.body.data.noteNo).toBe('DN/24-25/0001');
+
+    const { billing, profit } = await stored();
+    expect(billing).toEqual(expect.objectContaining({ adjustmentAmount: 700, adjustmentTaxableValue: 700 }));
+    expect(profit).toEqual(expect.objectContaining({ revenue: 10700, margin: 2700 }));
+  });
+
+  it('does not credit more than is left on the bill', async () => {
+    await issue({ taxableValue: 9000 }).expect(201);
+
+    const res = await issue({ taxableValue: 1500 }).expect(400);
+    expect(res.body.errors).toEqual([{
+      field: 'taxableValue',
+      message: expect.stringMatching(new RegExp(`^Credit on ${entry.transportBillData.invoiceNo} cannot be more than .*1,000\\.00$`))
+    }]);
+  });
+
+  it('needs exactly one bill that is linked to a party and still open', async () => {
+    const both = await issue({ invoice: entry._id }).expect(400);
+    expect(both.body.error).toBe('Provide either entry or invoice');
+    await issue({ entry: undefined }).expect(400);
+
+    const unlinked = await createEntry(user);
+    const res = await issue({ entry: unlinked._id }).expect(400);
+    expect(res.body.errors).toEqual([{ field: 'entry', message: `Entry ${unlinked.id} is not linked to a billing party; link it first` }]);
+
+    const invalid = await issue({ type: 'REFUND', taxableValue: 0, reason: 'GOODWILL' }).expect(400);
+    expect(invalid.body.errors.map(error => error.path)).toEqual(['type', 'taxableValue', 'reason']);
+  });
+
+  it('issues notes against a consolidated invoice instead of its entries', async () => {
+    const invoice = await send('post', '/api/invoices', { party: party._id, entries: [entry._id], date: '2024-06-30' }).expect(201);
+
+    const onEntry = await issue().expect(400);
+    expect(onEntry.body.errors[0].message).toBe(`Entry ${entry.id} is on invoice CI/24-25/0001, issue the note against the invoice`);
+
+    const res = await issue({ entry: undefined, invoice: invoice.body.data._id, reason: 'RATE_DIFFERENCE' }).expect(201);
+    expect(res.body.data).toEqual(expect.objectContaining({ reference: 'CI/24-25/0001', amount: 500 }));
+  });
+
+  it('takes a voided note off the bill', async () => {
+    const note = await issue().expect(201);
+    const path = `/api/adjustment-notes/${note.body.data._id}/void`;
+
+    await send('post', path, {}).expect(400);
+    const res = await send('post', path, { reason: 'Shortage recovered' }).expect(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ status: 'VOID', voidReason: 'Shortage recovered' }));
+    expect((await stored()).billing).toEqual(expect.objectContaining({ adjustmentAmount: 0, adjustmentTaxableValue: 0 }));
+
+    const again = await send('post', path, { reason: 'Twice' }).expect(400);
+    expect(again.body.error).toBe('Note is already void');
+
+    const list = await send('get', '/api/adjustment-notes?status=ISSUED').expect(200);
+    expect(list.body.data.notes).toEqual([]);
+  });
+
+  it('keeps an entry with issued notes with its billed party', async () => {
+    await issue().expect(201);
+    const other = await Party.create({ userId: user._id, name: 'Other Traders', roles: ['BILLING'] });
+
+    const moved = await send('put', `/api/transport-entries/${entry._id}`, {
+      vehicleNo: 'MH12AB1234',
+      from: 'Pune',
+      to: 'Mumbai',
+      parties: { billedTo: other._id }
+    }).expect(409);
+    expect(moved.body.error).toBe('Entry has credit or debit notes against it, void the notes to change the billed party');
+
+    const deleted = await send('delete', `/api/transport-entries/${entry._id}`).expect(409);
+    expect(deleted.body.error).toBe('Entry has credit or debit notes against it, void the notes to delete it');
+  });
+
+  it('prints notes and keeps them private', async () => {
+    const note = await issue().expect(201);
+
+    const pdf = await send('get', `/api/adjustment-notes/${note.body.data._id}/note.pdf`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.body.slice(0, 4).toString()).toBe('%PDF');
+
+    const other = await createUser();
+    await request(app).get(`/api/adjustment-notes/${note.body.data._id}`).set('Authorization', authHeader(other)).expect(404);
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const brokerRoutes = require('../../src/routes/brokers');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Broker = require('../../src/models/Broker');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { calculateCommission, describeCommission } = require('../../src/utils/brokerCommission');
+const { createUser, authHeader, createApp } = require('../helpers');
+
+const app = createApp('/api/brokers', brokerRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('calculateCommission', () => {
+  const entry = { ownerData: { lorryHireAmount: 25000, wtKgs: 12500 } };
+
+  it('applies each commission rule', () => {
+    expect(calculateCommission({ type: 'FLAT', value: 500 }, entry)).toBe(500);
+    expect(calculateCommission({ type: 'PERCENT', value: 2.5 }, entry)).toBe(625);
+    expect(calculateCommission({ type: 'PER_TON', value: 40 }, entry)).toBe(500);
+    expect(calculateCommission(null, entry)).toBe(0);
+    expect(calculateCommission({ type: 'PERCENT', value: 2 }, {})).toBe(0);
+  });
+
+  it('describes rules for statements', () => {
+    expect(describeCommission({ type: 'PERCENT', value: 2 })).toBe('2% of lorry hire');
+    expect(describeCommission({ type: 'PER_TON', value: 40 })).toBe('40 per ton');
+    expect(describeCommission({ type: 'FLAT', value: 500 })).toBe('500 per trip');
+    expect(describeCommission(undefined)).toBe('No commission');
+  });
+});
+
+describe('broker master', () => {
+  let user;
+  let broker;
+
+  beforeEach(async () => {
+    user = await createUser();
+    broker = await Broker.create({
+      userId: user._id,
+      name: 'Jay Malhar Transport Agency',
+      panNo: 'AAAPM1234C',
+      commission: { type: 'PERCENT', value: 2 }
+    });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const bookTrip = (data = {}) => send('post', '/api/transport-entries', {
+    date: '2024-06-10',
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    broker: broker._id,
+    ownerData: { lorryHireAmount: 20000 },
+    ...data
+  });
+
+  it('validates brokers', async () => {
+    const res = await send('post', '/api/brokers', { name: '', commission: { type: 'SHARE', value: -1 } }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['name', 'commission.type', 'commission.value']));
+
+    const percent = await send('post', '/api/brokers', { name: 'Too Greedy', commission: { type: 'PERCENT', value: 150 } }).expect(400);
+    expect(percent.body.errors).toEqual([expect.objectContaining({ message: 'Commission percent cannot be more than 100' })]);
+  });
+
+  it('links the broker to trips with the rule in force at booking', async () => {
+    const res = await bookTrip().expect(201);
+    expect(res.body.data.broker).toEqual(expect.objectContaining({
+      name: 'Jay Malhar Transport Agency',
+      rule: { type: 'PERCENT', value: 2 },
+      commission: 400
+    }));
+    expect(res.body.data.ownerData).toEqual(expect.objectContaining({
+      brokerName: 'Jay Malhar Transport Agency',
+      brokerPanNo: 'AAAPM1234C'
+    }));
+
+    // A new rule applies to new trips; booked trips keep theirs, even when edited
+    await send('put', `/api/brokers/${broker._id}`, {
+      name: 'Jay Malhar Transport Agency',
+      commission: { type: 'FLAT', value: 750 }
+    }).expect(200);
+    const edited = await send('put', `/api/transport-entries/${res.body.data._id}`, {
+      vehicleNo: 'MH12AB1234',
+      from: 'Pune',
+      to: 'Mumbai',
+      broker: broker._id,
+      ownerData: { lorryHireAmount: 30000 }
+    }).expect(200);
+    expect(edited.body.data.broker).toEqual(expect.objectContaining({ rule: { type: 'PERCENT', value: 2 }, commission: 600 }));
+
+    const next = await bookTrip().expect(201);
+    expect(next.body.data.broker.commission).toBe(750);
+  });
+
+  it('does not link deactivated brokers', async () => {
+    await send('delete', `/api/brokers/${broker._id}`).expect(200);
+    const res = await bookTrip().expect(400);
+    expect(res.body.errors).toEqual([{ field: 'broker', message: 'Broker not found' }]);
+  });
+
+  it('builds a statement of commission and payments', async () => {
+    await bookTrip({ date: '2024-05-20' }).expect(201);
+    await bookTrip({ date: '2024-06-10' }).expect(201);
+    const cancelled = await bookTrip({ date: '2024-06-12' }).expect(201);
+    await TransportEntry.updateOne({ _id: cancelled.body.data._id }, { 'transportBillData.status': 'CANCELLED' });
+
+    await send('post', `/api/brokers/${broker._id}/payments`, { amount: 300, date: '2024-05-25', mode: 'UPI' }).expect(201);
+    await send('post', `/api/brokers/${broker._id}/payments`, { amount: 250, date: '2024-06-15', mode: 'CASH' }).expect(201);
+
+    const res = await send('get', `/api/brokers/${broker._id}/statement?from=2024-06-01&to=2024-06-30`).expect(200);
+    expect(res.body.data.openingBalance).toBe(100);
+    expect(res.body.data.trips).toEqual([expect.objectContaining({ commission: 400, rule: '2% of lorry hire' })]);
+    expect(res.body.data.totals).toEqual({ trips: 1, commission: 400, paid: 250 });
+    expect(res.body.data.outstanding).toBe(250);
+  });
+
+  it('records and removes payments', async () => {
+    const invalid = await send('post', `/api/brokers/${broker._id}/payments`, { amount: 0, mode: 'BARTER' }).expect(400);
+    expect(invalid.body.errors.map(error => error.path)).toEqual(['amount', 'mode']);
+
+    const payment = await send('post', `/api/brokers/${broker._id}/payments`, { amount: 500, mode: 'NEFT' }).expect(201);
+    const list = await send('get', `/api/brokers/${broker._id}/payments`).expect(200);
+    expect(JSON.stringify(list.body.data)).toContain(payment.body.data._id);
+
+    await send('delete', `/api/brokers/${broker._id}/payments/${payment.body.data._id}`).expect(200);
+    await send('delete', `/api/brokers/${broker._id}/payments/${payment.body.data._id}`).expect(404);
+  });
+
+  it('keeps brokers of other users private', async () => {
+    const other = await createUser();
+    await request(app).get(`/api/brokers/${broker._id}`).set('Authorization', authHeader(other)).expect(404);
+    await request(app).post(`/api/brokers/${broker._id}/payments`)
+      .set('Authorization', authHeader(other))
+      .send({ amount: 100, mode: 'CASH' })
+      .expect(404);
+  });
+});
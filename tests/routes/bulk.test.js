@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const TransportEntry = require('../../src/models/TransportEntry');
+const Lane = require('../../src/models/Lane');
+const RateCard = require('../../src/models/RateCard');
+const Vehicle = require('../../src/models/Vehicle');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+describe('bulk entry operations', () => {
+  let user;
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    user = await createUser();
+    first = await createEntry(user, { transportBillData: { freight: 10000 } });
+    second = await createEntry(user, { from: 'Nashik', transportBillData: { freight: 8000 } });
+  });
+
+  const bulk = (body) => request(app)
+    .post('/api/transport-entries/bulk')
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('changes the status of the listed entries', async () => {
+    const res = await bulk({ operation: 'status', ids: [first._id, second._id], status: 'IN_PROGRESS' }).expect(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ total: 2, succeeded: 2, failed: 0 }));
+
+    const stored = await TransportEntry.find({ userId: user._id }).lean();
+    expect(stored.map(entry => entry.transportBillData.status)).toEqual(['IN_PROGRESS', 'IN_PROGRESS']);
+  });
+
+  it('reports per-entry failures and unknown IDs', async () => {
+    const missing = new mongoose.Types.ObjectId();
+    await TransportEntry.updateOne({ _id: second._id }, { 'transportBillData.status': 'COMPLETED' });
+
+    const res = await bulk({ operation: 'status', ids: [first._id, second._id, missing], status: 'IN_PROGRESS' }).expect(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ total: 3, succeeded: 1, failed: 2 }));
+    expect(res.body.data.results).toEqual(expect.arrayContaining([
+      expect.objectContaining({ _id: String(missing), success: false, error: 'Transport entry not found' }),
+      expect.objectContaining({ _id: String(second._id), success: false })
+    ]));
+  });
+
+  it('updates the entries matching a filter', async () => {
+    const res = await bulk({ operation: 'update', filter: { from: 'Nashik' }, changes: { ownerData: { remarks: 'Checked' } } }).expect(200);
+    expect(res.body.data.succeeded).toBe(1);
+
+    const stored = await TransportEntry.findById(second._id).lean();
+    expect(stored.ownerData.remarks).toBe('Checked');
+    expect((await TransportEntry.findById(first._id).lean()).ownerData.remarks).not.toBe('Checked');
+  });
+
+  it('adds and removes tags', async () => {
+    await bulk({ operation: 'tags', ids: [first._id], tags: { add: ['urgent', 'export '] } }).expect(200);
+    await bulk({ operation: 'tags', ids: [first._id], tags: { add: ['audit'], remove: ['urgent'] } }).expect(200);
+
+    const stored = await TransportEntry.findById(first._id).lean();
+    expect(stored.tags).toEqual(['export', 'audit']);
+  });
+
+  it('moves deleted entries to the trash', async () => {
+    await bulk({ operation: 'delete', ids: [first._id] }).expect(200);
+
+    expect(await TransportEntry.findById(first._id)).toBeNull();
+    const trashed = await TransportEntry.findById(first._id).setOptions({ withDeleted: true }).lean();
+    expect(trashed.deletedAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects invalid requests', async () => {
+    await bulk({ operation: 'archive', ids: [first._id] }).expect(400);
+    await bulk({ operation: 'status', status: 'IN_PROGRESS' }).expect(400);
+    await bulk({ operation: 'status', ids: [first._id], filter: { from: 'Pune' }, status: 'IN_PROGRESS' }).expect(400);
+    await bulk({ operation: 'status', ids: ['not-an-id'], status: 'IN_PROGRESS' }).expect(400);
+    await bulk({ operation: 'status', filter: { search: { $ne: null } }, status: 'IN_PROGRESS' }).expect(400);
+    await bulk({ operation: 'update', ids: [first._id], changes: { transportBillData: { status: 'COMPLETED' } } }).expect(400);
+    await bulk({ operation: 'update', ids: [first._id], changes: { payments: [] } }).expect(400);
+  });
+
+  it('leaves invoiced entries unchanged', async () => {
+    await TransportEntry.collection.updateOne(
+      { _id: first._id },
+      { $set: { 'billing.invoice': new mongoose.Types.ObjectId(), 'billing.invoiceNo': 'CI/24-25/0001' } }
+    );
+
+    const res = await bulk({ operation: 'update', ids: [first._id, second._id], changes: { ownerData: { remarks: 'Checked' } } }).expect(200);
+    expect(res.body.data.results).toEqual(expect.arrayContaining([
+      expect.objectContaining({ _id: String(first._id), success: false, error: expect.stringContaining('CI/24-25/0001') })
+    ]));
+    expect((await TransportEntry.findById(first._id).lean()).ownerData.remarks).not.toBe('Checked');
+  });
+
+  it('does not touch entries of other users', async () => {
+    const other = await createUser();
+    const foreign = await createEntry(other);
+
+    const res = await bulk({ operation: 'tags', ids: [foreign._id], tags: { add: ['mine'] } }).expect(200);
+    expect(res.body.data.results).toEqual([expect.objectContaining({ success: false, error: 'Transport entry not found' })]);
+    expect((await TransportEntry.findById(foreign._id).lean()).tags).toEqual([]);
+  });
+
+  describe('re-linking changed fields', () => {
+    let puneMumbai;
+    let puneSurat;
+
+    beforeEach(async () => {
+      [puneMumbai, puneSurat] = await Lane.create([
+        { userId: user._id, origin: 'Pune', destination: 'Mumbai', distanceKm: 150, transitDays: 1 },
+        { userId: user._id, origin: 'Pune', destination: 'Surat', distanceKm: 420, transitDays: 2 }
+      ]);
+    });
+
+    it('matches the lane again when the route changes', async () => {
+      await bulk({ operation: 'update', ids: [first._id], changes: { to: 'Surat' } }).expect(200);
+
+      const stored = await TransportEntry.findById(first._id).lean();
+      expect(stored.lane).toEqual(expect.objectContaining({ lane: puneSurat._id, distanceKm: 420 }));
+      expect(stored.transportBillData.freight).toBe(10000);
+    });
+
+    it('quotes rate card freight again for the new lane', async () => {
+      const cards = await RateCard.create([
+        { userId: user._id, lane: puneMumbai._id, basis: 'PER_TRIP', rate: 12000, validFrom: new Date('2024-04-01') },
+        { userId: user._id, lane: puneSurat._id, basis: 'PER_TRIP', rate: 21000, validFrom: new Date('2024-04-01') }
+      ]);
+      const quoted = await createEntry(user, {
+        lane: puneMumbai.toEntryLink(),
+        transportBillData: { freight: 12000 },
+        freightRate: { rateCard: cards[0]._id, basis: 'PER_TRIP', rate: 12000, quantity: 1 }
+      });
+
+      await bulk({ operation: 'update', ids: [quoted._id, first._id], changes: { to: 'Surat' } }).expect(200);
+
+      const stored = await TransportEntry.findById(quoted._id).lean();
+      expect(stored.transportBillData.freight).toBe(21000);
+      expect(stored.freightRate).toEqual(expect.objectContaining({ rateCard: cards[1]._id, rate: 21000 }));
+
+      // Freight typed by the user is kept
+      expect((await TransportEntry.findById(first._id).lean()).transportBillData.freight).toBe(10000);
+    });
+
+    it('brings the owner details of a new vehicle', async () => {
+      await Vehicle.create({
+        userId: user._id,
+        vehicleNo: 'MH14 CD 5678',
+        ownerNameAndAddress: 'Sunil Jadhav, Chakan',
+        panNo: 'ABCPJ1234K'
+      });
+
+      await bulk({ operation: 'update', ids: [first._id], changes: { vehicleNo: 'mh-14-cd-5678' } }).expect(200);
+      await bulk({
+        operation: 'update',
+        ids: [second._id],
+        changes: { vehicleNo: 'MH14CD5678', ownerData: { panNo: 'ABCPK9999K' } }
+      }).expect(200);
+
+      const [updated, overridden] = await Promise.all([
+        TransportEntry.findById(first._id).lean(),
+        TransportEntry.findById(second._id).lean()
+      ]);
+      expect(updated.ownerData).toEqual(expect.objectContaining({
+        ownerNameAndAddress: 'Sunil Jadhav, Chakan',
+        panNo: 'ABCPJ1234K'
+      }));
+      expect(overridden.ownerData.panNo).toBe('ABCPK9999K');
+    });
+  });
+});
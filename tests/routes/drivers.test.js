@@ -0,0 +1,105 @@
+const request = require('supertest');
+const driverRoutes = require('../../src/routes/drivers');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Driver = require('../../src/models/Driver');
+const { createUser, authHeader, createApp } = require('../helpers');
+
+const app = createApp('/api/drivers', driverRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('driver master', () => {
+  let user;
+  let driver;
+
+  beforeEach(async () => {
+    user = await createUser();
+    driver = await Driver.create({
+      userId: user._id,
+      name: 'Santosh Pawar',
+      mobile: '9890012345',
+      licenceNo: 'MH1220110012345',
+      licenceExpiry: new Date('2025-03-31')
+    });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const bookTrip = (data = {}) => send('post', '/api/transport-entries', {
+    date: '2024-06-10',
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    driver: driver._id,
+    ...data
+  });
+
+  it('validates drivers and keeps licence numbers unique', async () => {
+    const res = await send('post', '/api/drivers', { name: 'No Licence', licenceExpiry: 'soon' }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['licenceNo', 'licenceExpiry']);
+
+    const duplicate = await send('post', '/api/drivers', {
+      name: 'Santosh P',
+      licenceNo: 'mh1220110012345',
+      licenceExpiry: '2026-01-01'
+    }).expect(400);
+    expect(duplicate.body.error).toBe('A driver with this licence number already exists');
+  });
+
+  it('lists licences expiring soon', async () => {
+    await Driver.create({
+      userId: user._id,
+      name: 'Vijay More',
+      licenceNo: 'MH1420150067890',
+      licenceExpiry: new Date(Date.now() + 400 * DAY)
+    });
+
+    const res = await send('get', '/api/drivers?expiringWithin=30').expect(200);
+    expect(res.body.data.drivers).toEqual([expect.objectContaining({ name: 'Santosh Pawar', licenceExpired: true })]);
+  });
+
+  it('assigns drivers to trips with their details at assignment', async () => {
+    const res = await bookTrip().expect(201);
+    expect(res.body.data.driver).toEqual(expect.objectContaining({
+      name: 'Santosh Pawar',
+      licenceNo: 'MH1220110012345'
+    }));
+    expect(res.body.data.ownerData).toEqual(expect.objectContaining({
+      driverNameAndMob: 'Santosh Pawar - 9890012345',
+      licenceNo: 'MH1220110012345'
+    }));
+    expect(res.body.warnings).toEqual([]);
+  });
+
+  it('warns when the licence has expired by the trip date', async () => {
+    const res = await bookTrip({ date: '2025-04-15' }).expect(201);
+    expect(res.body.warnings).toEqual([
+      { field: 'driver', message: expect.stringContaining('Licence of Santosh Pawar (MH1220110012345) expired on') }
+    ]);
+  });
+
+  it('does not assign deactivated drivers', async () => {
+    await send('delete', `/api/drivers/${driver._id}`).expect(200);
+    const res = await bookTrip().expect(400);
+    expect(res.body.errors).toEqual([{ field: 'driver', message: 'Driver not found' }]);
+  });
+
+  it('lists the trips of a driver', async () => {
+    await bookTrip({ date: '2024-05-02' }).expect(201);
+    await bookTrip({ date: '2024-06-10' }).expect(201);
+    await bookTrip({ date: '2024-06-11', driver: undefined }).expect(201);
+
+    const res = await send('get', `/api/drivers/${driver._id}/trips?from=2024-06-01`).expect(200);
+    expect(res.body.data.pagination.total).toBe(1);
+    expect(res.body.data.trips).toEqual([expect.objectContaining({ from: 'Pune', to: 'Mumbai' })]);
+  });
+
+  it('keeps drivers of other users private', async () => {
+    const other = await createUser();
+    await request(app).get(`/api/drivers/${driver._id}`).set('Authorization', authHeader(other)).expect(404);
+    await request(app).get(`/api/drivers/${driver._id}/trips`).set('Authorization', authHeader(other)).expect(404);
+  });
+});
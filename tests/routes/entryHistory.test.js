@@ -0,0 +1,86 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const EntryHistory = require('../../src/models/EntryHistory');
+const { diffSnapshots } = require('../../src/utils/auditTrail');
+const { createUser, authHeader, createApp } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+describe('diffSnapshots', () => {
+  it('lists changed leaf paths and ignores bookkeeping fields', () => {
+    const before = { _id: 'a', updatedAt: '1', vehicleNo: 'MH12AB1234', ownerData: { lorryHireAmount: 8000, ownerNameAndAddress: 'S K Transport' } };
+    const after = { _id: 'a', updatedAt: '2', vehicleNo: 'MH12AB1234', ownerData: { lorryHireAmount: 8500, ownerNameAndAddress: 'S K Transport' } };
+
+    expect(diffSnapshots(before, after)).toEqual([{ path: 'ownerData.lorryHireAmount', before: 8000, after: 8500 }]);
+  });
+
+  it('compares arrays as a whole', () => {
+    expect(diffSnapshots({ tags: ['urgent'] }, { tags: ['urgent', 'fragile'] }))
+      .toEqual([{ path: 'tags', before: ['urgent'], after: ['urgent', 'fragile'] }]);
+  });
+});
+
+describe('entry history', () => {
+  let user;
+  const entryBody = { vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Mumbai', transportBillData: { freight: 10000 } };
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  const send = (method, path, body) => request(app)[method](`/api/transport-entries${path}`)
+    .set('Authorization', authHeader(user))
+    .set('User-Agent', 'history-test')
+    .send(body);
+
+  it('records a version for every change with who made it', async () => {
+    const created = await send('post', '/', entryBody).expect(201);
+    const id = created.body.data._id;
+
+    await send('put', `/${id}`, { ...entryBody, vehicleNo: 'MH14XY9876' }).expect(200);
+    // An update that changes nothing adds no version
+    await send('put', `/${id}`, { ...entryBody, vehicleNo: 'MH14XY9876' }).expect(200);
+
+    const res = await send('get', `/${id}/history`).expect(200);
+    expect(res.body.data.map(record => [record.version, record.action])).toEqual([[2, 'UPDATE'], [1, 'CREATE']]);
+    expect(res.body.data[0].changes).toEqual([
+      expect.objectContaining({ path: 'vehicleNo', before: 'MH12AB1234', after: 'MH14XY9876' })
+    ]);
+    expect(res.body.data[0].actor.email).toBe(user.email);
+    expect(res.body.data[0].userAgent).toBe('history-test');
+    expect(res.body.data[0]).not.toHaveProperty('snapshot');
+  });
+
+  it('returns the snapshot of a version and restores it', async () => {
+    const created = await send('post', '/', entryBody).expect(201);
+    const id = created.body.data._id;
+    await send('put', `/${id}`, { ...entryBody, to: 'Nashik', transportBillData: { freight: 7000 } }).expect(200);
+
+    const version = await send('get', `/${id}/history/1`).expect(200);
+    expect(version.body.data.snapshot.to).toBe('Mumbai');
+
+    const restored = await send('post', `/${id}/history/1/restore`).expect(200);
+    expect(restored.body.data.to).toBe('Mumbai');
+    expect(restored.body.data.transportBillData.total).toBe(10000);
+
+    const latest = await EntryHistory.findOne({ entryId: id }).sort({ version: -1 }).lean();
+    expect(latest).toEqual(expect.objectContaining({ version: 3, action: 'RESTORE', restoredFrom: 1 }));
+  });
+
+  it('keeps history records from being changed', async () => {
+    const created = await send('post', '/', entryBody).expect(201);
+
+    await expect(EntryHistory.deleteMany({ entryId: created.body.data._id }))
+      .rejects.toThrow('Entry history records cannot be modified or deleted');
+  });
+
+  it('hides the history of other users\' entries', async () => {
+    const created = await send('post', '/', entryBody).expect(201);
+    const other = await createUser();
+
+    await request(app)
+      .get(`/api/transport-entries/${created.body.data._id}/history`)
+      .set('Authorization', authHeader(other))
+      .expect(404);
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const { resolveExportColumns } = require('../../src/utils/entryExport');
+const { escapeCsvFormula } = require('../../src/utils/formatters');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('resolveExportColumns', () => {
+  it('picks the requested columns in order and reports unknown keys', () => {
+    const { columns, unknown } = resolveExportColumns('to, vehicleNo,to,margin');
+    expect(columns.map(column => column.key)).toEqual(['to', 'vehicleNo']);
+    expect(unknown).toEqual(['margin']);
+  });
+});
+
+describe('escapeCsvFormula', () => {
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    expect(escapeCsvFormula('=HYPERLINK("http://x")')).toBe('\'=HYPERLINK("http://x")');
+    expect(escapeCsvFormula('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(escapeCsvFormula('Pune')).toBe('Pune');
+  });
+});
+
+describe('entry export', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+    await createEntry(user, { from: 'Pune', to: 'Mumbai', transportBillData: { freight: 12000 } });
+    await createEntry(user, { from: '=cmd|\'/c calc\'!A1', to: 'Nashik', transportBillData: { freight: 8000 } });
+  });
+
+  const exportEntries = (format, query) => request(app)
+    .get(`/api/transport-entries/export.${format}`)
+    .query(query)
+    .set('Authorization', authHeader(user));
+
+  it('streams the selected columns as CSV with formulas escaped', async () => {
+    const res = await exportEntries('csv', { columns: 'date,from,to,transportBillData.total' }).expect(200);
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="transport-entries-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const [header, ...rows] = res.text.replace(/^\uFEFF/, '').trim().split('\n');
+    expect(header).toBe('Date,From,To,Bill - Total');
+    expect(rows.sort()).toEqual([
+      '10/06/2024,\'=cmd|\'/c calc\'!A1,Nashik,8000',
+      '10/06/2024,Pune,Mumbai,12000'
+    ]);
+  });
+
+  it('exports only the entries matching the list filters', async () => {
+    const res = await exportEntries('csv', { columns: 'to', search: 'Mumbai' }).expect(200);
+    expect(res.text.replace(/^\uFEFF/, '').trim().split('\n')).toEqual(['To', 'Mumbai']);
+  });
+
+  it('streams an XLSX workbook with real dates', async () => {
+    const res = await exportEntries('xlsx', { columns: 'date,to' }).buffer().parse(binaryParser).expect(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet('Transport Entries');
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['Date', 'To']);
+    expect(sheet.getCell('A2').value).toEqual(new Date('2024-06-10'));
+    expect(sheet.rowCount).toBe(3);
+  });
+
+  it('rejects unknown columns', async () => {
+    const res = await exportEntries('csv', { columns: 'to,secret' }).expect(400);
+    expect(res.body.error).toBe('Unknown columns: secret');
+  });
+});
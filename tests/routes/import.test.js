@@ -0,0 +1,124 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const TransportEntry = require('../../src/models/TransportEntry');
+const EntryHistory = require('../../src/models/EntryHistory');
+const Lane = require('../../src/models/Lane');
+const RateCard = require('../../src/models/RateCard');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+const CSV = [
+  'Date,Vehicle No,From,To,Freight,Lorry Hire',
+  '05/06/2024,MH12AB1234,Pune,Mumbai,"12,000",9000',
+  '06/06/2024,,Pune,Nashik,8000,6000',
+  '07/06/2024,MH14XY9876,Nashik,Surat,not known,5000'
+].join('\n');
+
+describe('entry import', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  const upload = (csv, fields = {}) => {
+    const req = request(app)
+      .post('/api/transport-entries/import')
+      .set('Authorization', authHeader(user))
+      .attach('file', Buffer.from(csv), 'trips.csv');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  it('checks every row in a dry run without saving', async () => {
+    const res = await upload(CSV).expect(200);
+
+    expect(res.body.data).toEqual(expect.objectContaining({ mode: 'dry-run', totalRows: 3, validRows: 1, invalidRows: 2 }));
+    expect(res.body.data.errors).toEqual([
+      { row: 3, errors: [expect.objectContaining({ field: 'vehicleNo', message: 'Vehicle number is required' })] },
+      { row: 4, errors: [expect.objectContaining({ field: 'transportBillData.freight', message: '"not known" is not a valid number' })] }
+    ]);
+    expect(await TransportEntry.countDocuments()).toBe(0);
+  });
+
+  it('saves the valid rows in commit mode, numbered and recorded in history', async () => {
+    const res = await upload(CSV, { mode: 'commit' }).expect(201);
+
+    expect(res.body.data.created).toEqual([expect.objectContaining({ row: 2, id: 'TE-FY2024-25-0001' })]);
+    const [entry] = await TransportEntry.find({ userId: user._id });
+    expect(entry.transportBillData.total).toBe(12000);
+    expect(entry.ownerData.totalLorryHireRs).toBe(9000);
+    expect(entry.date.toISOString()).toBe('2024-06-05T00:00:00.000Z');
+    expect(await EntryHistory.countDocuments({ entryId: entry._id, action: 'CREATE', version: 1 })).toBe(1);
+  });
+
+  it('follows an explicit column mapping', async () => {
+    const csv = 'Lorry,Origin,Destination\nMH12AB1234,Pune,Mumbai\n';
+    const mapping = JSON.stringify({ Lorry: 'vehicleNo', Origin: 'from', Destination: 'to' });
+
+    const res = await upload(csv, { mapping }).expect(200);
+    expect(res.body.data.validRows).toBe(1);
+    expect(res.body.data.unmappedHeaders).toEqual([]);
+  });
+
+  it('links lanes and quotes blank freight from rate cards like single entries', async () => {
+    const lane = await Lane.create({ userId: user._id, origin: 'Pune', destination: 'Mumbai', distanceKm: 150, transitDays: 1 });
+    const card = await RateCard.create({
+      userId: user._id,
+      lane: lane._id,
+      basis: 'PER_TON',
+      rate: 1200,
+      validFrom: new Date('2024-04-01')
+    });
+    const csv = [
+      'Date,Vehicle No,From,To,Freight,Weight',
+      '05/06/2024,MH12AB1234,Pune,Mumbai,,9500',
+      '06/06/2024,MH12AB1234,Pune,Mumbai,10000,9500',
+      '07/06/2024,MH12AB1234,Pune,Nagpur,,9500'
+    ].join('\n');
+    const mapping = JSON.stringify({
+      Date: 'date',
+      'Vehicle No': 'vehicleNo',
+      From: 'from',
+      To: 'to',
+      Freight: 'transportBillData.freight',
+      Weight: 'ownerData.wtKgs'
+    });
+
+    await upload(csv, { mode: 'commit', mapping }).expect(201);
+
+    const entries = await TransportEntry.find({ userId: user._id }).sort({ date: 1 }).lean();
+    expect(entries.map(entry => entry.transportBillData.freight)).toEqual([11400, 10000, 0]);
+    expect(entries[0].freightRate).toEqual(expect.objectContaining({ rateCard: card._id, quantity: 9.5 }));
+    expect(entries[1].freightRate).toBeUndefined();
+    expect(entries.map(entry => Boolean(entry.lane && entry.lane.lane))).toEqual([true, true, false]);
+  });
+
+  it('rejects entry IDs that are taken or repeated', async () => {
+    const existing = await createEntry(user);
+    const csv = [
+      'Entry ID,Vehicle No,From,To',
+      `${existing.id},MH12AB1234,Pune,Mumbai`,
+      'TE-OLD-7,MH12AB1234,Pune,Mumbai',
+      'TE-OLD-7,MH12AB1234,Pune,Mumbai'
+    ].join('\n');
+
+    const res = await upload(csv).expect(200);
+    expect(res.body.data.errors).toEqual([
+      { row: 2, errors: [{ field: 'id', message: `Entry ID ${existing.id} already exists` }] },
+      { row: 4, errors: [{ field: 'id', message: 'Entry ID TE-OLD-7 is repeated in row 3' }] }
+    ]);
+  });
+
+  it('rejects unsupported files and unknown modes', async () => {
+    await request(app)
+      .post('/api/transport-entries/import')
+      .set('Authorization', authHeader(user))
+      .attach('file', Buffer.from('%PDF'), 'trips.pdf')
+      .expect(400);
+
+    const res = await upload(CSV, { mode: 'apply' }).expect(400);
+    expect(res.body.error).toBe('Mode must be one of: dry-run, commit');
+  });
+});
@@ -0,0 +1,51 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+describe('entry tax invoice', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser({ gstNumber: '27AAPFU0939F1ZV' });
+  });
+
+  const download = (path, as = user) => request(app)
+    .get(path)
+    .set('Authorization', authHeader(as))
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  it('downloads the invoice as a PDF named after the invoice number', async () => {
+    const entry = await createEntry(user, {
+      transportBillData: { freight: 12500, ms: 'Shree Traders', gst: { mode: 'FORWARD', rate: 12 } }
+    });
+
+    const res = await download(`/api/transport-entries/${entry._id}/invoice.pdf`).expect(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe(`inline; filename="invoice-${entry.transportBillData.invoiceNo.replace(/[^A-Za-z0-9_-]/g, '_')}.pdf"`);
+    expect(res.body.slice(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('keeps invoices private and checks the entry ID', async () => {
+    const entry = await createEntry(user, { transportBillData: { freight: 12500 } });
+    const other = await createUser();
+
+    const res = await request(app)
+      .get(`/api/transport-entries/${entry._id}/invoice.pdf`)
+      .set('Authorization', authHeader(other))
+      .expect(404);
+    expect(res.body.error).toBe('Transport entry not found');
+
+    const invalid = await request(app)
+      .get('/api/transport-entries/not-an-id/invoice.pdf')
+      .set('Authorization', authHeader(user))
+      .expect(400);
+    expect(invalid.body.error).toBe('Invalid transport entry ID');
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const invoiceRoutes = require('../../src/routes/invoices');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Party = require('../../src/models/Party');
+const AdjustmentNote = require('../../src/models/AdjustmentNote');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/invoices', invoiceRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('consolidated invoices', () => {
+  let user;
+  let party;
+  let june;
+  let july;
+
+  beforeEach(async () => {
+    user = await createUser();
+    party = await Party.create({ userId: user._id, name: 'Shree Traders', roles: ['BILLING'], creditTerms: { creditDays: 30 } });
+    const billedTo = { party: party._id, name: party.name };
+    june = await createEntry(user, { date: new Date('2024-06-10'), parties: { billedTo }, transportBillData: { freight: 10000 } });
+    july = await createEntry(user, { date: new Date('2024-07-05'), parties: { billedTo }, transportBillData: { freight: 8000 } });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const raise = (data = {}) => send('post', '/api/invoices', {
+    party: party._id,
+    entries: [june._id, july._id],
+    date: '2024-07-31',
+    ...data
+  });
+
+  it('raises a numbered invoice for the selected entries and locks them', async () => {
+    const res = await raise().expect(201);
+
+    expect(res.body.data).toEqual(expect.objectContaining({
+      invoiceNo: 'CI/24-25/0001',
+      status: 'ISSUED',
+      dueDate: new Date('2024-08-30').toISOString()
+    }));
+    expect(res.body.data.lines.map(line => line.entryCode)).toEqual([june.id, july.id]);
+    expect(res.body.data.totals).toEqual(expect.objectContaining({ taxableValue: 18000, grandTotal: 18000 }));
+
+    const stored = await TransportEntry.findById(june._id).lean();
+    expect(stored.billing).toEqual(expect.objectContaining({ invoiceNo: 'CI/24-25/0001' }));
+    expect(String(stored.billing.invoice)).toBe(res.body.data._id);
+  });
+
+  it('invoices a party\'s uninvoiced entries in a period', async () => {
+    await raise({ entries: [june._id] }).expect(201);
+
+    const res = await raise({ entries: undefined, from: '2024-06-01', to: '2024-07-31' }).expect(201);
+    expect(res.body.data.invoiceNo).toBe('CI/24-25/0002');
+    expect(res.body.data.lines).toEqual([expect.objectContaining({ entryCode: july.id })]);
+
+    const none = await raise({ entries: undefined, from: '2024-06-01', to: '2024-07-31' }).expect(400);
+    expect(none.body.error).toBe('No uninvoiced entries found for this party and period');
+  });
+
+  it('refuses entries that cannot go on the party\'s invoice', async () => {
+    const other = await Party.create({ userId: user._id, name: 'Other Traders', roles: ['BILLING'] });
+    const elsewhere = await createEntry(user, { parties: { billedTo: { party: other._id, name: other.name } } });
+    const unlinked = await createEntry(user);
+    await raise({ entries: [june._id] }).expect(201);
+
+    const res = await raise({ entries: [june._id, elsewhere._id, unlinked._id] }).expect(400);
+    expect(res.body.errors.map(error => error.message)).toEqual([
+      `Entry ${june.id} is already on invoice CI/24-25/0001`,
+      `Entry ${elsewhere.id} is billed to Other Traders`,
+      `Entry ${unlinked.id} is not linked to a billing party; link it first`
+    ]);
+
+    await raise({ entries: undefined }).expect(400);
+  });
+
+  it('keeps invoiced entries from being edited, cancelled or deleted', async () => {
+    await raise().expect(201);
+    const lock = 'Entry is on invoice CI/24-25/0001, void the invoice to change it';
+
+    const edit = await send('put', `/api/transport-entries/${june._id}`, { vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Nashik' }).expect(409);
+    expect(edit.body.error).toBe(lock);
+
+    const cancel = await send('post', `/api/transport-entries/${june._id}/transition`, { status: 'CANCELLED', reason: 'Trip called off' }).expect(409);
+    expect(cancel.body.error).toBe(lock);
+
+    const remove = await send('delete', `/api/transport-entries/${june._id}`).expect(409);
+    expect(remove.body.error).toBe(lock);
+
+    const bulk = await send('post', '/api/transport-entries/bulk', {
+      operation: 'update',
+      ids: [june._id],
+      changes: { to: 'Nashik' }
+    }).expect(200);
+    expect(bulk.body.data.results).toEqual([expect.objectContaining({ id: june.id, success: false, error: lock })]);
+    expect((await TransportEntry.findById(june._id).lean()).to).toBe('Mumbai');
+  });
+
+  it('releases the entries when the invoice is voided', async () => {
+    const invoice = await raise().expect(201);
+    const path = `/api/invoices/${invoice.body.data._id}/void`;
+
+    await send('post', path, {}).expect(400);
+    const res = await send('post', path, { reason: 'Raised on the wrong date' }).expect(200);
+    expect(res.body.message).toBe('Invoice CI/24-25/0001 voided, 2 entries released');
+    expect(res.body.data).toEqual(expect.objectContaining({ status: 'VOID', voidReason: 'Raised on the wrong date' }));
+
+    const again = await send('post', path, { reason: 'Twice' }).expect(400);
+    expect(again.body.error).toBe('Invoice is already void');
+
+    await send('put', `/api/transport-entries/${june._id}`, { vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Nashik' }).expect(200);
+    const next = await raise().expect(201);
+    expect(next.body.data.invoiceNo).toBe('CI/24-25/0002');
+  });
+
+  it('is not voided while notes issued against it stand', async () => {
+    const invoice = await raise().expect(201);
+    await AdjustmentNote.create({
+      userId: user._id,
+      type: 'CREDIT',
+      noteNo: 'CN/24-25/0001',
+      reason: 'RATE_DIFFERENCE',
+      party: party._id,
+      invoice: invoice.body.data._id,
+      reference: 'CI/24-25/0001',
+      gst: { taxableValue: 500, grandTotal: 500 }
+    });
+
+    const res = await send('post', `/api/invoices/${invoice.body.data._id}/void`, { reason: 'Wrong rate' }).expect(400);
+    expect(res.body.error).toBe('Void the credit and debit notes issued against this invoice first');
+  });
+
+  it('lists invoices, prints them and keeps them private', async () => {
+    const invoice = await raise().expect(201);
+
+    const list = await send('get', '/api/invoices?status=ISSUED').expect(200);
+    expect(list.body.data.invoices).toEqual([expect.objectContaining({ invoiceNo: 'CI/24-25/0001' })]);
+    expect(list.body.data.invoices[0]).not.toHaveProperty('lines');
+
+    const pdf = await send('get', `/api/invoices/${invoice.body.data._id}/invoice.pdf`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.headers['content-disposition']).toMatch(/invoice-.*\.pdf/);
+    expect(pdf.body.slice(0, 4).toString()).toBe('%PDF');
+
+    const other = await createUser();
+    await request(app).get(`/api/invoices/${invoice.body.data._id}`).set('Authorization', authHeader(other)).expect(404);
+    await send('get', '/api/invoices/not-an-id').expect(400);
+  });
+});
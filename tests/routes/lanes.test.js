@@ -0,0 +1,144 @@
+const request = require('supertest');
+const laneRoutes = require('../../src/routes/lanes');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Lane = require('../../src/models/Lane');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { normalizePlace, placePattern } = require('../../src/utils/placeName');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/lanes', laneRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('place names', () => {
+  it('normalizes names for matching', () => {
+    expect(normalizePlace('  Navi-Mumbai ')).toBe('navi mumbai');
+    expect(normalizePlace(undefined)).toBe('');
+  });
+
+  it('matches names however they were typed', () => {
+    const pattern = placePattern('Navi Mumbai');
+    expect(pattern.test('NAVI-MUMBAI')).toBe(true);
+    expect(pattern.test(' navi  mumbai.')).toBe(true);
+    expect(pattern.test('Navi Mumbai East')).toBe(false);
+  });
+});
+
+describe('lanes', () => {
+  let user;
+  let lane;
+
+  beforeEach(async () => {
+    user = await createUser();
+    lane = await Lane.create({
+      userId: user._id,
+      origin: 'Pune',
+      destination: 'Mumbai',
+      destinationAliases: ['Bombay'],
+      distanceKm: 150,
+      transitDays: 2
+    });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const bookTrip = (data = {}) => send('post', '/api/transport-entries', {
+    date: '2024-06-10',
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    ...data
+  });
+
+  it('validates lanes and keeps one lane per route', async () => {
+    const res = await send('post', '/api/lanes', { origin: 'Pune', destination: '', distanceKm: -5, transitDays: 90 }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['destination', 'distanceKm', 'transitDays']);
+
+    const duplicate = await send('post', '/api/lanes', { origin: 'PUNE', destination: 'mumbai', distanceKm: 160, transitDays: 1 }).expect(400);
+    expect(duplicate.body.error).toBe('A lane between these places already exists');
+  });
+
+  it('links new entries by route or alias and sets the expected delivery date', async () => {
+    const res = await bookTrip({ to: 'bombay' }).expect(201);
+    expect(res.body.data.lane).toEqual(expect.objectContaining({ origin: 'Pune', destination: 'Mumbai', distanceKm: 150 }));
+    expect(res.body.data.expectedDeliveryDate).toBe(new Date('2024-06-12').toISOString());
+
+    const unmatched = await bookTrip({ to: 'Nagpur' }).expect(201);
+    expect(unmatched.body.data.lane).toBeFalsy();
+    expect(unmatched.body.data.expectedDeliveryDate).toBeNull();
+
+    const invalid = await bookTrip({ lane: 'not-an-id' }).expect(400);
+    expect(invalid.body.errors).toEqual([{ field: 'lane', message: 'Invalid lane ID' }]);
+  });
+
+  it('re-matches the lane when an entry changes route, keeping linked details otherwise', async () => {
+    const booked = await bookTrip().expect(201);
+    await send('put', `/api/lanes/${lane._id}`, { origin: 'Pune', destination: 'Mumbai', distanceKm: 165, transitDays: 1 }).expect(200);
+
+    const edited = await send('put', `/api/transport-entries/${booked.body.data._id}`, {
+      vehicleNo: 'MH12AB1234',
+      from: 'Pune',
+      to: 'Mumbai',
+      ownerData: { remarks: 'Unloaded at JNPT' }
+    }).expect(200);
+    expect(edited.body.data.lane.distanceKm).toBe(150);
+
+    const moved = await send('put', `/api/transport-entries/${booked.body.data._id}`, {
+      vehicleNo: 'MH12AB1234',
+      from: 'Pune',
+      to: 'Nagpur'
+    }).expect(200);
+    expect(moved.body.data.lane).toBeFalsy();
+    expect(moved.body.data.expectedDeliveryDate).toBeNull();
+  });
+
+  it('links existing entries without a lane', async () => {
+    const old = await createEntry(user, { from: 'PUNE', to: 'Bombay' });
+    const elsewhere = await createEntry(user, { to: 'Nagpur' });
+
+    const res = await send('post', `/api/lanes/${lane._id}/link-entries`).expect(200);
+    expect(res.body.data.linked).toEqual([expect.objectContaining({ id: old.id })]);
+
+    const [linked, unlinked] = await Promise.all([
+      TransportEntry.findById(old._id).lean(),
+      TransportEntry.findById(elsewhere._id).lean()
+    ]);
+    expect(String(linked.lane.lane)).toBe(String(lane._id));
+    expect(unlinked.lane).toBeFalsy();
+  });
+
+  it('reports trips and on-time delivery per lane', async () => {
+    const onTime = await bookTrip({ transportBillData: { freight: 12000 } }).expect(201);
+    const late = await bookTrip({ transportBillData: { freight: 10000 } }).expect(201);
+    await bookTrip({ to: 'Nagpur' }).expect(201);
+    await TransportEntry.updateOne({ _id: onTime.body.data._id }, {
+      'transportBillData.status': 'COMPLETED',
+      'ownerData.deliveryDate': new Date('2024-06-11')
+    });
+    await TransportEntry.updateOne({ _id: late.body.data._id }, {
+      'transportBillData.status': 'COMPLETED',
+      'ownerData.deliveryDate': new Date('2024-06-14')
+    });
+
+    const res = await send('get', '/api/lanes/analytics?from=2024-06-01&to=2024-06-30').expect(200);
+    expect(res.body.data.unlinkedTrips).toBe(1);
+    expect(res.body.data.lanes).toEqual([expect.objectContaining({
+      trips: 2,
+      freight: 22000,
+      averageFreight: 11000,
+      completedTrips: 2,
+      onTimeTrips: 1,
+      onTimePercent: 50,
+      averageTransitDays: 2.5
+    })]);
+  });
+
+  it('does not link deactivated lanes', async () => {
+    await send('delete', `/api/lanes/${lane._id}`).expect(200);
+
+    const res = await bookTrip().expect(201);
+    expect(res.body.data.lane).toBeFalsy();
+    await send('post', `/api/lanes/${lane._id}/link-entries`).expect(404);
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const { resolveCopies } = require('../../src/utils/lorryReceipt');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+describe('resolveCopies', () => {
+  it('prints every copy by default and keeps the printed order', () => {
+    expect(resolveCopies(undefined)).toEqual(['office', 'consignor', 'consignee', 'driver']);
+    expect(resolveCopies('Driver, office')).toEqual(['office', 'driver']);
+  });
+
+  it('rejects unknown copies', () => {
+    expect(resolveCopies('office,transporter')).toBeNull();
+    expect(resolveCopies(',')).toBeNull();
+  });
+});
+
+describe('lorry receipt', () => {
+  let user;
+  let entry;
+
+  beforeEach(async () => {
+    user = await createUser();
+    entry = await createEntry(user, {
+      transportBillData: { freight: 12500, consignorConsignee: 'Pune Steel / Mumbai Steel' },
+      ownerData: { packages: 40, wtKgs: 9500, remarks: '<b>Handle with care</b>' }
+    });
+  });
+
+  const send = (path) => request(app).get(path).set('Authorization', authHeader(user));
+
+  it('renders the requested copies as HTML', async () => {
+    const res = await send(`/api/transport-entries/${entry._id}/lr.html?copies=driver,office`).expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.headers['content-disposition']).toMatch(/^inline; filename="lr-.*\.html"$/);
+    expect(res.text.match(/class="copy-label">[A-Z ]+</g)).toEqual([
+      'class="copy-label">OFFICE COPY<',
+      'class="copy-label">DRIVER COPY<'
+    ]);
+    expect(res.text).toContain('Pune Steel / Mumbai Steel');
+    expect(res.text).toContain('Patil Roadways');
+    expect(res.text).toContain('&lt;b&gt;Handle with care&lt;/b&gt;');
+  });
+
+  it('downloads the receipt as a PDF', async () => {
+    const res = await send(`/api/transport-entries/${entry._id}/lr.pdf`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.slice(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('validates the copies and keeps receipts private', async () => {
+    const res = await send(`/api/transport-entries/${entry._id}/lr.pdf?copies=transporter`).expect(400);
+    expect(res.body.error).toBe('Copies must be a comma separated list of: office, consignor, consignee, driver');
+
+    const other = await createUser();
+    await request(app)
+      .get(`/api/transport-entries/${entry._id}/lr.html`)
+      .set('Authorization', authHeader(other))
+      .expect(404);
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const userRoutes = require('../../src/routes/users');
+const { getFinancialYear } = require('../../src/utils/numbering');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/users', userRoutes);
+
+// Numbering follows today's financial year
+const fys = getFinancialYear().slice(2);
+
+describe('document numbering settings', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  const updateNumbering = (body) => request(app)
+    .put(`/api/users/${user._id}/numbering`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('previews the default next numbers of every series', async () => {
+    const res = await request(app)
+      .get(`/api/users/${user._id}/numbering`)
+      .set('Authorization', authHeader(user))
+      .expect(200);
+
+    expect(res.body.data.nextNumbers).toEqual({
+      entry: `TE-FY${getFinancialYear()}-0001`,
+      lr: `LR/${fys}/0001`,
+      invoice: `INV/${fys}/0001`,
+      consolidatedInvoice: `CI/${fys}/0001`,
+      creditNote: `CN/${fys}/0001`,
+      debitNote: `DN/${fys}/0001`
+    });
+  });
+
+  it('numbers new entries with the saved scheme and starting number', async () => {
+    const res = await updateNumbering({ lr: { prefix: 'DGT/{FYS}/LR/', padding: 3, startAt: 250 } }).expect(200);
+    expect(res.body.data.numbering.lr).toEqual(expect.objectContaining({ prefix: 'DGT/{FYS}/LR/', padding: 3, startAt: 250 }));
+    expect(res.body.data.nextNumbers.lr).toBe(`DGT/${fys}/LR/250`);
+
+    const entry = await createEntry(user, { date: new Date() });
+    expect(entry.transportBillData.lrno).toBe(`DGT/${fys}/LR/250`);
+    expect(entry.ownerData.lrno).toBe(`DGT/${fys}/LR/250`);
+  });
+
+  it('does not move a counter back below numbers already issued', async () => {
+    await updateNumbering({ invoice: { startAt: 10 } }).expect(200);
+    await createEntry(user, { date: new Date() });
+
+    const res = await updateNumbering({ invoice: { startAt: 2 } }).expect(200);
+    expect(res.body.data.nextNumbers.invoice).toBe(`INV/${fys}/0011`);
+  });
+
+  it('rejects out of range settings', async () => {
+    const res = await updateNumbering({ entry: { padding: 12 }, creditNote: { startAt: 0 } }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['entry.padding', 'creditNote.startAt']);
+  });
+
+  it('keeps other users out of the settings', async () => {
+    const other = await createUser();
+    await request(app)
+      .get(`/api/users/${user._id}/numbering`)
+      .set('Authorization', authHeader(other))
+      .expect(403);
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const partyRoutes = require('../../src/routes/parties');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Party = require('../../src/models/Party');
+const { createUser, authHeader, createApp } = require('../helpers');
+
+const app = createApp('/api/parties', partyRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('party master', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const createParty = (data = {}) => Party.create({
+    userId: user._id,
+    name: 'Shree Traders',
+    roles: ['CONSIGNOR', 'BILLING'],
+    gstin: '27AAACS1234F1Z5',
+    addresses: [{ line1: 'Gultekdi', city: 'Pune', state: 'Maharashtra', pincode: '411037', isDefault: true }],
+    contacts: [{ name: 'Anil Shah', phone: '9822012345' }],
+    ...data
+  });
+
+  const bookEntry = (parties, data = {}) => send('post', '/api/transport-entries', {
+    date: '2024-06-10',
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    parties,
+    ...data
+  });
+
+  it('creates parties and lists them by role and search', async () => {
+    const res = await send('post', '/api/parties', {
+      name: 'Mumbai Steel',
+      roles: ['CONSIGNEE'],
+      gstin: '27aaacm5678k1z2',
+      addresses: [{ city: 'Bhiwandi' }]
+    }).expect(201);
+    expect(res.body.data.gstin).toBe('27AAACM5678K1Z2');
+    await createParty();
+
+    const consignees = await send('get', '/api/parties?role=CONSIGNEE').expect(200);
+    expect(consignees.body.data.parties.map(party => party.name)).toEqual(['Mumbai Steel']);
+
+    const found = await send('get', '/api/parties?search=bhiwandi').expect(200);
+    expect(found.body.data.parties.map(party => party.name)).toEqual(['Mumbai Steel']);
+  });
+
+  it('validates parties', async () => {
+    const res = await send('post', '/api/parties', {
+      name: '',
+      roles: ['SHIPPER'],
+      contacts: [{ email: 'not-an-email' }]
+    }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['name', 'roles[0]', 'contacts[0].email']));
+
+    await send('post', '/api/parties', { name: 'No Roles', roles: [] }).expect(400);
+    await send('get', '/api/parties/not-an-id').expect(400);
+  });
+
+  it('keeps GST numbers unique per user but allows many parties without one', async () => {
+    await createParty();
+    const res = await send('post', '/api/parties', { name: 'Shree Traders Nashik', roles: ['BILLING'], gstin: '27AAACS1234F1Z5' }).expect(400);
+    expect(res.body.error).toBe('A party with this GST number already exists');
+
+    await send('post', '/api/parties', { name: 'Cash Party A', roles: ['BILLING'], gstin: '' }).expect(201);
+    await send('post', '/api/parties', { name: 'Cash Party B', roles: ['BILLING'] }).expect(201);
+
+    const other = await createUser();
+    await request(app).post('/api/parties')
+      .set('Authorization', authHeader(other))
+      .send({ name: 'Shree Traders', roles: ['BILLING'], gstin: '27AAACS1234F1Z5' })
+      .expect(201);
+  });
+
+  it('snapshots linked parties onto entries and fills the bill fields', async () => {
+    const shipper = await createParty();
+    const receiver = await createParty({ name: 'Mumbai Steel', roles: ['CONSIGNEE'], gstin: undefined });
+
+    const res = await bookEntry({ consignor: shipper._id, consignee: receiver._id, billedTo: shipper._id }).expect(201);
+    expect(res.body.data.parties.billedTo).toEqual(expect.objectContaining({
+      name: 'Shree Traders',
+      gstin: '27AAACS1234F1Z5',
+      address: 'Gultekdi, Pune, Maharashtra - 411037',
+      phone: '9822012345'
+    }));
+    expect(res.body.data.transportBillData).toEqual(expect.objectContaining({
+      ms: 'Shree Traders',
+      gstno: '27AAACS1234F1Z5',
+      consignorConsignee: 'Shree Traders / Mumbai Steel'
+    }));
+
+    // Later edits of the party do not rewrite booked entries
+    await send('put', `/api/parties/${shipper._id}`, { name: 'Shree Traders Pvt Ltd', roles: ['CONSIGNOR', 'BILLING'] }).expect(200);
+    const entry = await send('get', `/api/transport-entries/${res.body.data._id}`).expect(200);
+    expect(entry.body.data.parties.billedTo.name).toBe('Shree Traders');
+  });
+
+  it('only links active parties of the right role', async () => {
+    const receiver = await createParty({ name: 'Mumbai Steel', roles: ['CONSIGNEE'], gstin: undefined });
+    const shipper = await createParty();
+
+    const wrongRole = await bookEntry({ billedTo: receiver._id }).expect(400);
+    expect(wrongRole.body.errors).toEqual([
+      { field: 'parties.billedTo', message: 'Mumbai Steel is not set up as a billing party' }
+    ]);
+
+    await send('delete', `/api/parties/${shipper._id}`).expect(200);
+    const inactive = await bookEntry({ consignor: shipper._id }).expect(400);
+    expect(inactive.body.errors).toEqual([{ field: 'parties.consignor', message: 'Party not found' }]);
+
+    const list = await send('get', '/api/parties').expect(200);
+    expect(list.body.data.parties.map(party => party.name)).toEqual(['Mumbai Steel']);
+    const all = await send('get', '/api/parties?includeInactive=true').expect(200);
+    expect(all.body.data.parties).toHaveLength(2);
+  });
+
+  it('keeps parties of other users private', async () => {
+    const party = await createParty();
+    const other = await createUser();
+
+    await request(app).get(`/api/parties/${party._id}`).set('Authorization', authHeader(other)).expect(404);
+    await request(app).post('/api/transport-entries')
+      .set('Authorization', authHeader(other))
+      .send({ date: '2024-06-10', vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Mumbai', parties: { billedTo: party._id } })
+      .expect(400);
+    await request(app).get(`/api/parties/${new mongoose.Types.ObjectId()}`).set('Authorization', authHeader(user)).expect(404);
+  });
+});
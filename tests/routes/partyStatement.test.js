@@ -0,0 +1,104 @@
+const request = require('supertest');
+const partyRoutes = require('../../src/routes/parties');
+const Party = require('../../src/models/Party');
+const Receipt = require('../../src/models/Receipt');
+const AdjustmentNote = require('../../src/models/AdjustmentNote');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/parties', partyRoutes);
+
+describe('party statement', () => {
+  let user;
+  let party;
+  let june;
+
+  beforeEach(async () => {
+    user = await createUser();
+    party = await Party.create({ userId: user._id, name: 'Shree Traders', roles: ['BILLING'] });
+    const billedTo = { party: party._id, name: party.name };
+
+    await createEntry(user, { date: new Date('2024-05-20'), parties: { billedTo }, transportBillData: { freight: 10000 } });
+    june = await createEntry(user, { date: new Date('2024-06-10'), parties: { billedTo }, transportBillData: { freight: 8000 } });
+    const cancelled = await createEntry(user, { date: new Date('2024-06-12'), parties: { billedTo }, transportBillData: { freight: 5000 } });
+    await TransportEntry.updateOne({ _id: cancelled._id }, { 'transportBillData.status': 'CANCELLED' });
+    await createEntry(user, { date: new Date('2024-06-14'), transportBillData: { freight: 7000 } });
+
+    await Receipt.create({ userId: user._id, party: party._id, amount: 6000, date: new Date('2024-05-28'), mode: 'NEFT', reference: 'UTR001' });
+    await Receipt.create({ userId: user._id, party: party._id, amount: 3000, date: new Date('2024-06-20'), mode: 'CHEQUE' });
+    await AdjustmentNote.create({
+      userId: user._id,
+      type: 'CREDIT',
+      noteNo: 'CN/24-25/0001',
+      date: new Date('2024-06-15'),
+      reason: 'SHORTAGE_CLAIM',
+      party: party._id,
+      entry: june._id,
+      reference: june.id,
+      gst: { taxableValue: 500, grandTotal: 500 }
+    });
+  });
+
+  const send = (path) => request(app).get(path).set('Authorization', authHeader(user));
+
+  it('lists bills, receipts and notes with a running balance', async () => {
+    const res = await send(`/api/parties/${party._id}/statement`).expect(200);
+    const { lines, totals, closingBalance } = res.body.data;
+
+    expect(lines.map(line => [line.type, line.debit, line.credit, line.balance])).toEqual([
+      ['BILL', 10000, 0, 10000],
+      ['RECEIPT', 0, 6000, 4000],
+      ['BILL', 8000, 0, 12000],
+      ['CREDIT_NOTE', 0, 500, 11500],
+      ['RECEIPT', 0, 3000, 8500]
+    ]);
+    expect(lines[1].description).toBe('Received by NEFT on account');
+    expect(lines[3].description).toBe(`Shortage claim against ${june.id}`);
+    expect(totals).toEqual(expect.objectContaining({ bills: 18000, receipts: 9000, creditNotes: 500, debitNotes: 0, debit: 18000, credit: 9500 }));
+    expect(closingBalance).toBe(8500);
+  });
+
+  it('carries earlier activity into the opening balance', async () => {
+    const res = await send(`/api/parties/${party._id}/statement?from=2024-06-01&to=2024-06-30`).expect(200);
+
+    expect(res.body.data.openingBalance).toBe(4000);
+    expect(res.body.data.lines.map(line => line.reference)).toEqual([june.transportBillData.invoiceNo, 'CN/24-25/0001', 'CHEQUE']);
+    expect(res.body.data.closingBalance).toBe(8500);
+  });
+
+  it('leaves out voided notes', async () => {
+    await AdjustmentNote.updateMany({ userId: user._id }, { status: 'VOID' });
+
+    const res = await send(`/api/parties/${party._id}/statement`).expect(200);
+    expect(res.body.data.totals.creditNotes).toBe(0);
+    expect(res.body.data.closingBalance).toBe(9000);
+  });
+
+  it('exports the statement as CSV and PDF', async () => {
+    const csv = await send(`/api/parties/${party._id}/statement.csv?from=2024-06-01`).expect(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.headers['content-disposition']).toMatch(/statement-.*\.csv/);
+    const rows = csv.text.replace(/^\uFEFF/, '').trim().split('\n');
+    expect(rows[0]).toBe('Date,Type,Reference,Description,Debit,Credit,Balance');
+    expect(rows[1]).toMatch(/OPENING,,Opening balance,,,4000$/);
+    expect(rows[rows.length - 1]).toMatch(/CLOSING,,Closing balance,8000,3500,8500$/);
+
+    const pdf = await send(`/api/parties/${party._id}/statement.pdf`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.body.slice(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('validates the period and keeps statements private', async () => {
+    await send(`/api/parties/${party._id}/statement?from=someday`).expect(400);
+
+    const other = await createUser();
+    await request(app).get(`/api/parties/${party._id}/statement`).set('Authorization', authHeader(other)).expect(404);
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+describe('entry payment ledger', () => {
+  let user;
+  let entry;
+
+  beforeEach(async () => {
+    user = await createUser();
+    entry = await createEntry(user, {
+      ownerData: { lorryHireAmount: 8000, otherChargesHamliDetentionHeight: 500, deductionAmt: 200 }
+    });
+  });
+
+  const recordPayment = (body) => request(app)
+    .post(`/api/transport-entries/${entry._id}/payments`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('records payments and recomputes the balance', async () => {
+    await recordPayment({ amount: 3000, mode: 'NEFT', reference: 'NEFT/001' }).expect(201);
+    const res = await recordPayment({ amount: 1000, mode: 'CASH' }).expect(201);
+
+    expect(res.body.data).toEqual(expect.objectContaining({
+      totalLorryHireRs: 8500,
+      totalPaid: 4000,
+      deductionAmt: 200,
+      balanceAmt: 4300
+    }));
+    expect(res.body.data.payments).toHaveLength(2);
+
+    const stored = await TransportEntry.findById(entry._id);
+    expect(stored.ownerData.balanceAmt).toBe(4300);
+    expect(stored.payments[0].recordedBy).toEqual(user._id);
+  });
+
+  it('warns when payments exceed what is owed and stores a zero balance', async () => {
+    const res = await recordPayment({ amount: 9000, mode: 'UPI' }).expect(201);
+
+    expect(res.body.data.balanceAmt).toBe(0);
+    expect(res.body.warnings).toEqual([expect.objectContaining({ field: 'ownerData.balanceAmt', expected: -700 })]);
+  });
+
+  it('rejects payments without an amount or with an unknown mode', async () => {
+    const res = await recordPayment({ amount: 0, mode: 'BARTER' }).expect(400);
+
+    expect(res.body.errors.map(error => error.path)).toEqual(['amount', 'mode']);
+    expect((await TransportEntry.findById(entry._id)).payments).toHaveLength(0);
+  });
+
+  it('removes a payment and restores the balance', async () => {
+    const created = await recordPayment({ amount: 3000, mode: 'NEFT' }).expect(201);
+    const paymentId = created.body.data.payments[0]._id;
+
+    const res = await request(app)
+      .delete(`/api/transport-entries/${entry._id}/payments/${paymentId}`)
+      .set('Authorization', authHeader(user))
+      .expect(200);
+
+    expect(res.body.data.payments).toHaveLength(0);
+    expect(res.body.data.balanceAmt).toBe(8300);
+  });
+
+  it('does not show the ledger of another user\'s entry', async () => {
+    const other = await createUser();
+
+    await request(app)
+      .get(`/api/transport-entries/${entry._id}/payments`)
+      .set('Authorization', authHeader(other))
+      .expect(404);
+  });
+});
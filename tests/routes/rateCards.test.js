@@ -0,0 +1,133 @@
+const request = require('supertest');
+const rateCardRoutes = require('../../src/routes/rateCards');
+const quoteRoutes = require('../../src/routes/quotes');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Lane = require('../../src/models/Lane');
+const Party = require('../../src/models/Party');
+const Vehicle = require('../../src/models/Vehicle');
+const { createUser, authHeader, createApp } = require('../helpers');
+
+const app = createApp('/api/rate-cards', rateCardRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('rate cards and freight quotes', () => {
+  let user;
+  let lane;
+  let customer;
+
+  beforeEach(async () => {
+    user = await createUser();
+    lane = await Lane.create({ userId: user._id, origin: 'Pune', destination: 'Mumbai', distanceKm: 150, transitDays: 1 });
+    customer = await Party.create({ userId: user._id, name: 'Shree Traders', roles: ['BILLING'] });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const createCard = (data = {}) => send('post', '/api/rate-cards', {
+    lane: lane._id,
+    basis: 'PER_TON',
+    rate: 1200,
+    minimumFreight: 6000,
+    validFrom: '2024-04-01',
+    ...data
+  });
+
+  it('validates rate cards and their references', async () => {
+    const res = await send('post', '/api/rate-cards', { basis: 'PER_KM', rate: -1, validFrom: 'soon' }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['lane', 'basis', 'rate', 'validFrom']);
+
+    const consignee = await Party.create({ userId: user._id, name: 'Mumbai Steel', roles: ['CONSIGNEE'] });
+    const references = await createCard({ party: consignee._id }).expect(400);
+    expect(references.body.errors).toEqual([{ field: 'party', message: 'Billing party not found' }]);
+
+    const dates = await createCard({ validTo: '2024-03-01' }).expect(400);
+    expect(dates.body.errors).toEqual([expect.objectContaining({ message: 'Valid to date cannot be before the valid from date' })]);
+  });
+
+  it('lists default and customer rate cards', async () => {
+    await createCard().expect(201);
+    await createCard({ party: customer._id, rate: 1100 }).expect(201);
+
+    const defaults = await send('get', '/api/rate-cards?party=default').expect(200);
+    expect(defaults.body.data.rateCards).toEqual([expect.objectContaining({ rate: 1200, party: null })]);
+
+    const all = await send('get', `/api/rate-cards?lane=${lane._id}`).expect(200);
+    expect(all.body.data.rateCards).toHaveLength(2);
+    expect(all.body.data.rateCards[0].lane).toEqual(expect.objectContaining({ origin: 'Pune', destination: 'Mumbai' }));
+  });
+
+  it('quotes freight from the best matching card', async () => {
+    const card = await createCard().expect(201);
+    await createCard({ party: customer._id, rate: 1100 }).expect(201);
+
+    const res = await send('post', '/api/quotes', { from: 'pune', to: 'MUMBAI', wtKgs: 9500, date: '2024-06-10' }).expect(200);
+    expect(res.body.data).toEqual(expect.objectContaining({
+      rateCard: card.body.data._id,
+      basis: 'PER_TON',
+      quantity: 9.5,
+      freight: 11400
+    }));
+
+    const forCustomer = await send('post', '/api/quotes', { lane: lane._id, party: customer._id, wtKgs: 9500 }).expect(200);
+    expect(forCustomer.body.data.freight).toBe(10450);
+
+    const minimum = await send('post', '/api/quotes', { lane: lane._id, wtKgs: 2000 }).expect(200);
+    expect(minimum.body.data.freight).toBe(6000);
+  });
+
+  it('uses the vehicle type of the vehicle master', async () => {
+    await createCard().expect(201);
+    await createCard({ vehicleType: '32ft', basis: 'PER_TRIP', rate: 25000 }).expect(201);
+    await Vehicle.create({ userId: user._id, vehicleNo: 'MH12AB1234', vehicleType: '32FT' });
+
+    const res = await send('post', '/api/quotes', { lane: lane._id, vehicleNo: 'MH 12 AB 1234', wtKgs: 9500 }).expect(200);
+    expect(res.body.data).toEqual(expect.objectContaining({ vehicleType: '32FT', freight: 25000 }));
+  });
+
+  it('reports trips no card applies to', async () => {
+    await createCard({ validTo: '2024-05-31' }).expect(201);
+
+    const res = await send('post', '/api/quotes', { lane: lane._id, date: '2024-06-10' }).expect(404);
+    expect(res.body.error).toBe('No rate card matches this trip');
+    await send('post', '/api/quotes', { from: 'Pune' }).expect(400);
+  });
+
+  it('pre-fills blank freight of new entries from the rate card', async () => {
+    const card = await createCard().expect(201);
+    const trip = {
+      date: '2024-06-10',
+      vehicleNo: 'MH12AB1234',
+      from: 'Pune',
+      to: 'Mumbai',
+      ownerData: { wtKgs: 9500 }
+    };
+
+    const quoted = await send('post', '/api/transport-entries', trip).expect(201);
+    expect(quoted.body.data.transportBillData.freight).toBe(11400);
+    expect(quoted.body.data.freightRate).toEqual(expect.objectContaining({
+      rateCard: card.body.data._id,
+      basis: 'PER_TON',
+      rate: 1200,
+      quantity: 9.5
+    }));
+
+    const typed = await send('post', '/api/transport-entries', { ...trip, transportBillData: { freight: 12500 } }).expect(201);
+    expect(typed.body.data.transportBillData.freight).toBe(12500);
+    expect(typed.body.data.freightRate).toBeFalsy();
+  });
+
+  it('keeps rate cards of other users private', async () => {
+    const card = await createCard().expect(201);
+    const other = await createUser();
+
+    await request(app).get(`/api/rate-cards/${card.body.data._id}`).set('Authorization', authHeader(other)).expect(404);
+    const res = await request(app).post('/api/rate-cards')
+      .set('Authorization', authHeader(other))
+      .send({ lane: lane._id, basis: 'PER_TRIP', rate: 100, validFrom: '2024-04-01' })
+      .expect(400);
+    expect(res.body.errors).toEqual([{ field: 'lane', message: 'Lane not found' }]);
+  });
+});
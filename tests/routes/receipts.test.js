@@ -0,0 +1,155 @@
+const request = require('supertest');
+const receiptRoutes = require('../../src/routes/receipts');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Party = require('../../src/models/Party');
+const Receipt = require('../../src/models/Receipt');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/receipts', receiptRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('receipts', () => {
+  let user;
+  let party;
+  let otherParty;
+
+  beforeEach(async () => {
+    user = await createUser();
+    party = await Party.create({ userId: user._id, name: 'Acme Logistics', roles: ['BILLING'] });
+    otherParty = await Party.create({ userId: user._id, name: 'Other Traders', roles: ['BILLING'] });
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  // A trip billed at 10,000 to the given party
+  const bill = (billedTo = party) => createEntry(user, {
+    transportBillData: { freight: 10000 },
+    parties: billedTo ? { billedTo: { party: billedTo._id, name: billedTo.name } } : {}
+  });
+
+  const postReceipt = (allocations, amount = 10000) => send('post', '/api/receipts', {
+    party: party._id,
+    amount,
+    mode: 'NEFT',
+    allocations
+  });
+
+  const billingOf = async (entry) => (await TransportEntry.findById(entry._id).lean()).billing;
+
+  it('allocates a receipt to the party\'s bills and updates their billing state', async () => {
+    const full = await bill();
+    const part = await bill();
+
+    const res = await postReceipt([
+      { entry: full._id, amount: 10000 },
+      { entry: part._id, amount: 2500 }
+    ], 15000).expect(201);
+
+    expect(res.body.data.allocatedAmount).toBe(12500);
+    expect(res.body.data.unallocatedAmount).toBe(2500);
+    expect(await billingOf(full)).toEqual(expect.objectContaining({ amountPaid: 10000, state: 'PAID' }));
+    expect(await billingOf(part)).toEqual(expect.objectContaining({ amountPaid: 2500, state: 'PARTIALLY_PAID' }));
+  });
+
+  it('moves the amounts back when a receipt is changed or deleted', async () => {
+    const entry = await bill();
+    const created = await postReceipt([{ entry: entry._id, amount: 10000 }]).expect(201);
+
+    await send('put', `/api/receipts/${created.body.data._id}`, {
+      party: party._id,
+      amount: 10000,
+      mode: 'NEFT',
+      allocations: [{ entry: entry._id, amount: 4000 }]
+    }).expect(200);
+    expect(await billingOf(entry)).toEqual(expect.objectContaining({ amountPaid: 4000, state: 'PARTIALLY_PAID' }));
+
+    await send('delete', `/api/receipts/${created.body.data._id}`).expect(200);
+    expect(await billingOf(entry)).toEqual(expect.objectContaining({ amountPaid: 0, state: 'UNPAID' }));
+  });
+
+  it('refuses entries without a linked billing party or billed to another party', async () => {
+    const unlinked = await bill(null);
+    const elsewhere = await bill(otherParty);
+
+    const res = await postReceipt([{ entry: unlinked._id, amount: 1000 }]).expect(400);
+    expect(res.body.errors).toEqual([{
+      field: 'allocations[0].entry',
+      message: `Entry ${unlinked.id} is not linked to a billing party; link it first`
+    }]);
+
+    const other = await postReceipt([{ entry: elsewhere._id, amount: 1000 }]).expect(400);
+    expect(other.body.errors[0].message).toBe(`Entry ${elsewhere.id} is billed to Other Traders`);
+  });
+
+  it('refuses cancelled entries', async () => {
+    const cancelled = await bill();
+    await TransportEntry.collection.updateOne({ _id: cancelled._id }, { $set: { 'transportBillData.status': 'CANCELLED' } });
+
+    const res = await postReceipt([{ entry: cancelled._id, amount: 1000 }]).expect(400);
+    expect(res.body.errors[0].message).toBe(`Entry ${cancelled.id} is cancelled`);
+  });
+
+  it('refuses more than is outstanding after earlier receipts and notes', async () => {
+    const entry = await bill();
+    await TransportEntry.collection.updateOne({ _id: entry._id }, {
+      $set: { 'billing.amountPaid': 6000, 'billing.adjustmentAmount': -1000 }
+    });
+
+    const res = await postReceipt([{ entry: entry._id, amount: 3500 }]).expect(400);
+    expect(res.body.errors).toEqual([{
+      field: 'allocations[0].amount',
+      message: expect.stringMatching(new RegExp(`^Only .*3,000\\.00 is outstanding on entry ${entry.id}$`))
+    }]);
+  });
+
+  it('refuses to allocate more than the receipt amount', async () => {
+    const entry = await bill();
+
+    const res = await postReceipt([{ entry: entry._id, amount: 5000 }], 4000).expect(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({
+      message: 'Allocated amount cannot be more than the receipt amount'
+    })]);
+    expect(await Receipt.countDocuments({ userId: user._id })).toBe(0);
+    expect((await billingOf(entry)).amountPaid).toBe(0);
+  });
+
+  it('stores nothing when an affected entry fails validation', async () => {
+    const entry = await bill();
+    await TransportEntry.collection.updateOne({ _id: entry._id }, { $set: { vehicleNo: '' } });
+
+    const res = await postReceipt([{ entry: entry._id, amount: 1000 }]).expect(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ field: 'vehicleNo' })]);
+    expect(await Receipt.countDocuments({ userId: user._id })).toBe(0);
+    expect((await billingOf(entry)).amountPaid).toBe(0);
+  });
+
+  it('keeps settled entries with their billed party', async () => {
+    const entry = await bill();
+    await postReceipt([{ entry: entry._id, amount: 2500 }]).expect(201);
+    const trip = { vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Mumbai' };
+
+    const moved = await send('put', `/api/transport-entries/${entry._id}`, {
+      ...trip,
+      parties: { billedTo: otherParty._id }
+    }).expect(409);
+    expect(moved.body.error).toBe('Entry has receipts allocated to it, remove the allocations to change the billed party');
+
+    await send('put', `/api/transport-entries/${entry._id}`, {
+      ...trip,
+      transportBillData: { ms: 'Other Traders' }
+    }).expect(409);
+
+    // Other edits, and the same party sent again, still go through
+    await send('put', `/api/transport-entries/${entry._id}`, {
+      ...trip,
+      parties: { billedTo: party._id },
+      ownerData: { remarks: 'Unloaded at JNPT' }
+    }).expect(200);
+
+    const deleted = await send('delete', `/api/transport-entries/${entry._id}`).expect(409);
+    expect(deleted.body.error).toBe('Entry has receipts allocated to it, remove the allocations to delete it');
+  });
+});
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const reportRoutes = require('../../src/routes/reports');
+const Party = require('../../src/models/Party');
+const Invoice = require('../../src/models/Invoice');
+const Receipt = require('../../src/models/Receipt');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/reports', reportRoutes);
+
+describe('aging report', () => {
+  let user;
+  let party;
+
+  beforeEach(async () => {
+    user = await createUser();
+    party = await Party.create({ userId: user._id, name: 'Shree Traders', roles: ['BILLING'] });
+  });
+
+  const send = (path) => request(app).get(path).set('Authorization', authHeader(user));
+
+  const bill = (date, freight, data = {}) => createEntry(user, {
+    date: new Date(date),
+    parties: { billedTo: { party: party._id, name: party.name } },
+    transportBillData: { freight, lrDate: new Date(date) },
+    ...data
+  });
+
+  it('ages trips from their date, or from the invoice date once invoiced', async () => {
+    await bill('2024-04-20', 10000);
+    const invoiced = await bill('2024-04-25', 8000);
+    const invoiceId = new mongoose.Types.ObjectId();
+    await Invoice.collection.insertOne({ _id: invoiceId, userId: user._id, invoiceNo: 'CI/24-25/0001', date: new Date('2024-06-05') });
+    await TransportEntry.collection.updateOne(
+      { _id: invoiced._id },
+      { $set: { 'billing.invoice': invoiceId, 'billing.invoiceNo': 'CI/24-25/0001' } }
+    );
+
+    const res = await send('/api/reports/aging?asOf=2024-06-30&detail=true').expect(200);
+    const [row] = res.body.data.parties;
+    expect(row.buckets).toEqual({ '0-30': 8000, '31-60': 0, '61-90': 10000, '90+': 0 });
+    expect(row.entries).toEqual([
+      expect.objectContaining({ billed: 10000, ageDays: 71 }),
+      expect.objectContaining({ invoiceNo: 'CI/24-25/0001', ageDays: 25, bucket: '0-30' })
+    ]);
+
+    // The LR basis still ages from the LR date
+    const lr = await send('/api/reports/aging?asOf=2024-06-30&basis=lr').expect(200);
+    expect(lr.body.data.parties[0].buckets['61-90']).toBe(18000);
+  });
+
+  it('leaves out paid, cancelled and future bills', async () => {
+    await bill('2024-06-01', 10000);
+    const paid = await bill('2024-06-02', 4000);
+    await TransportEntry.collection.updateOne({ _id: paid._id }, { $set: { 'billing.amountPaid': 4000 } });
+    const cancelled = await bill('2024-06-03', 5000);
+    await TransportEntry.collection.updateOne({ _id: cancelled._id }, { $set: { 'transportBillData.status': 'CANCELLED' } });
+    await bill('2024-07-05', 7000);
+
+    const res = await send('/api/reports/aging?asOf=2024-06-30').expect(200);
+    expect(res.body.data.totals).toEqual(expect.objectContaining({ '0-30': 10000, total: 10000 }));
+  });
+
+  it('shows receipts left on account next to the buckets', async () => {
+    await bill('2024-06-01', 10000);
+    await Receipt.create({ userId: user._id, party: party._id, partyName: party.name, amount: 2500, date: new Date('2024-06-20'), mode: 'NEFT' });
+    await Receipt.create({ userId: user._id, party: party._id, partyName: party.name, amount: 1000, date: new Date('2024-07-02'), mode: 'UPI' });
+
+    const res = await send('/api/reports/aging?asOf=2024-06-30').expect(200);
+    expect(res.body.data.parties).toEqual([expect.objectContaining({
+      name: 'Shree Traders',
+      total: 10000,
+      onAccount: 2500,
+      netOutstanding: 7500
+    })]);
+    expect(res.body.data.totals).toEqual(expect.objectContaining({ total: 10000, onAccount: 2500, netOutstanding: 7500 }));
+
+    const unlinked = await send('/api/reports/aging?asOf=2024-06-30&party=unlinked').expect(200);
+    expect(unlinked.body.data.parties).toEqual([]);
+  });
+
+  it('validates its parameters', async () => {
+    await send('/api/reports/aging?basis=due').expect(400);
+    await send('/api/reports/aging?party=someone').expect(400);
+    await send('/api/reports/aging?asOf=yesterday').expect(400);
+  });
+});
+
+describe('profitability report', () => {
+  let user;
+
+  const send = (path) => request(app).get(path).set('Authorization', authHeader(user));
+
+  const trip = (date, freight, lorryHireAmount, data = {}) => createEntry(user, {
+    date: new Date(date),
+    transportBillData: { freight },
+    ownerData: { lorryHireAmount },
+    ...data
+  });
+
+  beforeEach(async () => {
+    user = await createUser();
+    const booked = await trip('2024-06-05', 10000, 8000);
+    expect(booked.profit).toEqual(expect.objectContaining({ revenue: 10000, cost: 8000, margin: 2000, marginPercent: 20 }));
+    await trip('2024-06-12', 9000, 9500, { vehicleNo: 'MH12CD5678' });
+    const brokered = await trip('2024-07-02', 20000, 15000, { to: 'Nagpur' });
+    await TransportEntry.collection.updateOne({ _id: brokered._id }, { $set: { broker: { name: 'Sai Brokers', commission: 1000 } } });
+    const cancelled = await trip('2024-06-20', 5000, 4000);
+    await TransportEntry.collection.updateOne({ _id: cancelled._id }, { $set: { 'transportBillData.status': 'CANCELLED' } });
+  });
+
+  it('groups trips by lane, lowest margin first', async () => {
+    const res = await send('/api/reports/profitability?groupBy=lane&from=2024-06-01&to=2024-07-31').expect(200);
+
+    expect(res.body.data.groups).toEqual([
+      expect.objectContaining({ name: 'Pune - Mumbai', trips: 2, lossTrips: 1, revenue: 19000, cost: 17500, margin: 1500, marginPercent: 7.89 }),
+      expect.objectContaining({ name: 'Pune - Nagpur', trips: 1, lossTrips: 0, revenue: 20000, cost: 16000, margin: 4000, marginPercent: 20 })
+    ]);
+    expect(res.body.data.totals).toEqual({ trips: 3, lossTrips: 1, revenue: 39000, cost: 33500, margin: 5500, marginPercent: 14.1 });
+  });
+
+  it('groups by month by default and counts notes against entries as revenue', async () => {
+    const [june] = await TransportEntry.find({ userId: user._id, date: new Date('2024-06-05') });
+    await TransportEntry.collection.updateOne({ _id: june._id }, { $set: { 'billing.adjustmentTaxableValue': -1000 } });
+
+    const res = await send('/api/reports/profitability?from=2024-06-01&to=2024-06-30').expect(200);
+    expect(res.body.data.groupBy).toBe('month');
+    expect(res.body.data.groups).toEqual([
+      expect.objectContaining({ key: '2024-06', trips: 2, revenue: 18000, cost: 17500, margin: 500 })
+    ]);
+  });
+
+  it('validates its parameters', async () => {
+    await send('/api/reports/profitability?groupBy=driver').expect(400);
+    await send('/api/reports/profitability?from=someday').expect(400);
+  });
+});
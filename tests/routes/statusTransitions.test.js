@@ -0,0 +1,81 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+describe('entry status workflow', () => {
+  let user;
+  let entry;
+
+  beforeEach(async () => {
+    user = await createUser();
+    entry = await createEntry(user);
+  });
+
+  const transition = (body) => request(app)
+    .post(`/api/transport-entries/${entry._id}/transition`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('opens the timeline of a new entry', () => {
+    expect(entry.transportBillData.status).toBe('PENDING');
+    expect(entry.statusHistory).toEqual([expect.objectContaining({ to: 'PENDING', action: 'CREATE' })]);
+  });
+
+  it('moves the entry along and records each change', async () => {
+    await transition({ status: 'IN_PROGRESS' }).expect(200);
+    const res = await transition({ status: 'COMPLETED' }).expect(200);
+
+    expect(res.body.data.transportBillData.status).toBe('COMPLETED');
+    expect(res.body.allowedTransitions).toEqual({ transitions: [], reopen: ['IN_PROGRESS'] });
+
+    const stored = await TransportEntry.findById(entry._id);
+    expect(stored.statusHistory.map(change => [change.from, change.to, change.action])).toEqual([
+      [undefined, 'PENDING', 'CREATE'],
+      ['PENDING', 'IN_PROGRESS', 'TRANSITION'],
+      ['IN_PROGRESS', 'COMPLETED', 'TRANSITION']
+    ]);
+    expect(stored.statusHistory[2].changedBy).toEqual(user._id);
+  });
+
+  it('refuses moves the workflow does not allow', async () => {
+    const res = await transition({ status: 'COMPLETED' }).expect(409);
+
+    expect(res.body.error).toBe('Cannot change status from PENDING to COMPLETED');
+    expect(res.body.allowedTransitions.transitions).toEqual(['IN_PROGRESS', 'CANCELLED']);
+  });
+
+  it('needs a reason to cancel and to reopen', async () => {
+    await transition({ status: 'CANCELLED' }).expect(409);
+    await transition({ status: 'CANCELLED', reason: 'Customer called off' }).expect(200);
+
+    const withoutReason = await transition({ status: 'PENDING', reopen: true }).expect(409);
+    expect(withoutReason.body.error).toBe('A reason is required to reopen an entry');
+
+    const res = await transition({ status: 'PENDING', reopen: true, reason: 'Booking revived' }).expect(200);
+    expect(res.body.data.statusHistory.pop()).toEqual(expect.objectContaining({
+      from: 'CANCELLED',
+      to: 'PENDING',
+      action: 'REOPEN',
+      reason: 'Booking revived'
+    }));
+  });
+
+  it('rejects an unknown status', async () => {
+    const res = await transition({ status: 'LOST' }).expect(400);
+    expect(res.body.errors[0].path).toBe('status');
+  });
+
+  it('does not change the status through an entry update', async () => {
+    const res = await request(app)
+      .put(`/api/transport-entries/${entry._id}`)
+      .set('Authorization', authHeader(user))
+      .send({ vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Mumbai', transportBillData: { status: 'COMPLETED' } })
+      .expect(400);
+
+    expect(res.body.error).toMatch(/use POST \/api\/transport-entries\/:id\/transition/);
+    expect((await TransportEntry.findById(entry._id)).transportBillData.status).toBe('PENDING');
+  });
+});
@@ -0,0 +1,77 @@
+const request = require('supertest');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { purgeTrash } = require('../../src/utils/trashPurge');
+const { trashConfig } = require('../../src/config/trash');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/transport-entries', transportEntryRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('entry trash', () => {
+  let user;
+  let entry;
+
+  beforeEach(async () => {
+    user = await createUser();
+    entry = await createEntry(user);
+  });
+
+  const send = (method, path, body) => request(app)[method](`/api/transport-entries${path}`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('moves a deleted entry to the trash and hides it', async () => {
+    const res = await send('delete', `/${entry._id}`).expect(200);
+    expect(new Date(res.body.data.purgeAt).getTime())
+      .toBeGreaterThan(Date.now() + (trashConfig.retentionDays - 1) * DAY);
+
+    await send('get', `/${entry._id}`).expect(404);
+    const list = await send('get', '/').expect(200);
+    expect(list.body.data.entries).toHaveLength(0);
+
+    const trash = await send('get', '/trash').expect(200);
+    expect(trash.body.data.entries).toEqual([expect.objectContaining({ id: entry.id })]);
+    expect(trash.body.data.entries[0].deletedBy).toEqual(expect.objectContaining({ email: user.email }));
+  });
+
+  it('restores an entry from the trash', async () => {
+    await send('delete', `/${entry._id}`).expect(200);
+    await send('post', `/${entry._id}/restore`).expect(200);
+
+    await send('get', `/${entry._id}`).expect(200);
+    const stored = await TransportEntry.findById(entry._id).lean();
+    expect(stored.deletedAt).toBeNull();
+
+    // Only trashed entries can be restored
+    await send('post', `/${entry._id}/restore`).expect(404);
+  });
+
+  it('does not let clients trash or restore entries through their fields', async () => {
+    await send('put', `/${entry._id}`, {
+      vehicleNo: 'MH12AB1234',
+      from: 'Pune',
+      to: 'Mumbai',
+      deletedAt: new Date().toISOString(),
+      deletedBy: String(user._id)
+    }).expect(200);
+
+    const stored = await TransportEntry.findById(entry._id).lean();
+    expect(stored.deletedAt).toBeNull();
+    expect(stored.deletedBy).toBeNull();
+  });
+
+  it('purges only entries past the retention period', async () => {
+    const old = await createEntry(user);
+    await TransportEntry.updateOne(
+      { _id: old._id },
+      { deletedAt: new Date(Date.now() - (trashConfig.retentionDays + 1) * DAY) }
+    );
+    await send('delete', `/${entry._id}`).expect(200);
+
+    expect(await purgeTrash()).toBe(1);
+    expect(await TransportEntry.exists({ _id: old._id, deletedAt: { $ne: null } })).toBeNull();
+    expect(await TransportEntry.exists({ _id: entry._id, deletedAt: { $ne: null } })).not.toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const vehicleRoutes = require('../../src/routes/vehicles');
+const transportEntryRoutes = require('../../src/routes/transportEntries');
+const Vehicle = require('../../src/models/Vehicle');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { createUser, authHeader, createApp, createEntry } = require('../helpers');
+
+const app = createApp('/api/vehicles', vehicleRoutes);
+app.use('/api/transport-entries', transportEntryRoutes);
+
+describe('vehicle master', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const createVehicle = (data = {}) => Vehicle.create({
+    userId: user._id,
+    vehicleNo: 'MH12AB1234',
+    vehicleType: '10 WHEELER',
+    ownerNameAndAddress: 'Sunil Jadhav, Chakan',
+    panNo: 'ABCPJ1234K',
+    ...data
+  });
+
+  it('stores one record per truck however the number is written', async () => {
+    const res = await send('post', '/api/vehicles', { vehicleNo: 'mh-12 ab 1234', panNo: 'ABCPJ1234K' }).expect(201);
+    expect(res.body.data.vehicleNo).toBe('MH12AB1234');
+
+    const duplicate = await send('post', '/api/vehicles', { vehicleNo: 'MH 12 AB 1234' }).expect(400);
+    expect(duplicate.body.error).toBe('A vehicle with this number already exists');
+
+    const lookup = await send('get', '/api/vehicles/by-number/MH-12-AB-1234').expect(200);
+    expect(lookup.body.ownerData).toEqual({ panNo: 'ABCPJ1234K' });
+  });
+
+  it('validates vehicles', async () => {
+    const res = await send('post', '/api/vehicles', { vehicleNo: '', contactNo: 'call me' }).expect(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['vehicleNo', 'contactNo']));
+
+    await send('get', '/api/vehicles/not-an-id').expect(400);
+    await send('get', `/api/vehicles/${new mongoose.Types.ObjectId()}`).expect(404);
+  });
+
+  it('fills blank owner details of new entries', async () => {
+    await createVehicle();
+
+    const res = await send('post', '/api/transport-entries', {
+      date: '2024-06-10',
+      vehicleNo: 'MH 12 AB 1234',
+      from: 'Pune',
+      to: 'Mumbai',
+      ownerData: { panNo: 'ABCPK9999K' }
+    }).expect(201);
+
+    expect(res.body.data.ownerData).toEqual(expect.objectContaining({
+      ownerNameAndAddress: 'Sunil Jadhav, Chakan',
+      panNo: 'ABCPK9999K'
+    }));
+  });
+
+  it('copies changed owner details into open entries on request', async () => {
+    const vehicle = await createVehicle();
+    const open = await createEntry(user, { vehicleNo: 'MH-12-AB-1234' });
+    const closed = await createEntry(user);
+    await TransportEntry.updateOne({ _id: closed._id }, { 'transportBillData.status': 'COMPLETED' });
+    const invoiced = await createEntry(user);
+    await TransportEntry.collection.updateOne(
+      { _id: invoiced._id },
+      { $set: { 'billing.invoice': new mongoose.Types.ObjectId(), 'billing.invoiceNo': 'CI/24-25/0001' } }
+    );
+
+    const res = await send('put', `/api/vehicles/${vehicle._id}`, {
+      vehicleNo: 'MH12AB1234',
+      ownerNameAndAddress: 'Sunil Jadhav, Talegaon',
+      propagate: true
+    }).expect(200);
+
+    expect(res.body.updatedEntries).toEqual([expect.objectContaining({ id: open.id })]);
+    expect(res.body.skippedEntries).toEqual([
+      expect.objectContaining({ id: invoiced.id, error: expect.stringContaining('CI/24-25/0001') })
+    ]);
+
+    const stored = await TransportEntry.find({ userId: user._id }).lean();
+    const owner = (entry) => stored.find(item => String(item._id) === String(entry._id)).ownerData.ownerNameAndAddress;
+    expect(owner(open)).toBe('Sunil Jadhav, Talegaon');
+    expect(owner(closed)).not.toBe('Sunil Jadhav, Talegaon');
+    expect(owner(invoiced)).not.toBe('Sunil Jadhav, Talegaon');
+  });
+
+  it('leaves entries alone without propagate', async () => {
+    const vehicle = await createVehicle();
+    const entry = await createEntry(user);
+
+    const res = await send('put', `/api/vehicles/${vehicle._id}`, {
+      vehicleNo: 'MH12AB1234',
+      ownerNameAndAddress: 'Sunil Jadhav, Talegaon'
+    }).expect(200);
+
+    expect(res.body.updatedEntries).toEqual([]);
+    expect((await TransportEntry.findById(entry._id).lean()).ownerData.ownerNameAndAddress)
+      .not.toBe('Sunil Jadhav, Talegaon');
+  });
+
+  it('keeps vehicles of other users private', async () => {
+    const vehicle = await createVehicle();
+    const other = await createUser();
+
+    await request(app).get(`/api/vehicles/${vehicle._id}`).set('Authorization', authHeader(other)).expect(404);
+    await request(app).delete(`/api/vehicles/${vehicle._id}`).set('Authorization', authHeader(other)).expect(404);
+    expect(await Vehicle.findById(vehicle._id)).not.toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { backfillEntries } = require('../../src/scripts/backfill-billing-state');
+
+const userId = new mongoose.Types.ObjectId();
+let entryCount = 0;
+
+// An entry stored before billing.state existed
+const insertEntry = async (billing, extra = {}) => {
+  entryCount++;
+  const { insertedId } = await TransportEntry.collection.insertOne({
+    id: `TE-${String(entryCount).padStart(4, '0')}`,
+    userId,
+    date: new Date('2024-05-10'),
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    transportBillData: { freight: 10000, total: 10000, status: 'COMPLETED' },
+    ownerData: { lorryHireAmount: 8000, totalLorryHireRs: 8000 },
+    ...(billing ? { billing } : {}),
+    ...extra
+  });
+  return insertedId;
+};
+
+const stored = (id) => TransportEntry.collection.findOne({ _id: id });
+
+describe('backfillEntries', () => {
+  it('stores the billing state of entries without one, trash included', async () => {
+    const unpaid = await insertEntry(null);
+    const partly = await insertEntry({ amountPaid: 4000 });
+    const settled = await insertEntry({ amountPaid: 9000, adjustmentAmount: -1000 }, { deletedAt: new Date() });
+
+    expect(await backfillEntries()).toBe(3);
+
+    expect((await stored(unpaid)).billing).toEqual({ state: 'UNPAID' });
+    expect((await stored(partly)).billing.state).toBe('PARTIALLY_PAID');
+    expect((await stored(settled)).billing.state).toBe('PAID');
+  });
+
+  it('writes only the billing state', async () => {
+    const id = await insertEntry({ amountPaid: 10000, state: 'UNPAID' });
+    const before = await stored(id);
+
+    await backfillEntries();
+
+    const after = await stored(id);
+    expect(after.billing).toEqual({ amountPaid: 10000, state: 'PAID' });
+    expect(after.transportBillData).toEqual(before.transportBillData);
+    expect(after).not.toHaveProperty('profit');
+    expect(after).not.toHaveProperty('updatedAt');
+  });
+
+  it('skips entries already in the right state', async () => {
+    await insertEntry({ amountPaid: 0, state: 'UNPAID' });
+
+    expect(await backfillEntries()).toBe(0);
+  });
+});
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { backfillEntries } = require('../../src/scripts/backfill-profit');
+
+const userId = new mongoose.Types.ObjectId();
+let entryCount = 0;
+
+// An entry stored before profit was computed
+const insertEntry = async (extra = {}) => {
+  entryCount++;
+  const { insertedId } = await TransportEntry.collection.insertOne({
+    id: `TE-${String(entryCount).padStart(4, '0')}`,
+    userId,
+    date: new Date('2024-05-10'),
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    transportBillData: { freight: 10000, total: 10000, status: 'COMPLETED' },
+    ownerData: { lorryHireAmount: 8000, totalLorryHireRs: 8000 },
+    ...extra
+  });
+  return insertedId;
+};
+
+const stored = (id) => TransportEntry.collection.findOne({ _id: id });
+
+describe('backfillEntries', () => {
+  it('stores the profit of entries without one, trash included', async () => {
+    const plain = await insertEntry();
+    const brokered = await insertEntry({
+      broker: { name: 'Sai Brokers', commission: 500 },
+      billing: { adjustmentTaxableValue: -1000 },
+      deletedAt: new Date()
+    });
+
+    expect(await backfillEntries()).toBe(2);
+
+    expect((await stored(plain)).profit).toEqual({ revenue: 10000, cost: 8000, margin: 2000, marginPercent: 20 });
+    expect((await stored(brokered)).profit).toEqual({ revenue: 9000, cost: 8500, margin: 500, marginPercent: 5.56 });
+  });
+
+  it('writes only the profit', async () => {
+    const id = await insertEntry({ profit: { revenue: 12000, cost: 8000, margin: 4000, marginPercent: 33.33 } });
+    const before = await stored(id);
+
+    expect(await backfillEntries()).toBe(1);
+
+    const after = await stored(id);
+    expect(after.profit.margin).toBe(2000);
+    expect(after.transportBillData).toEqual(before.transportBillData);
+    expect(after.ownerData).toEqual(before.ownerData);
+    expect(after).not.toHaveProperty('billing');
+    expect(after).not.toHaveProperty('updatedAt');
+  });
+
+  it('skips entries already up to date', async () => {
+    await insertEntry({ profit: { revenue: 10000, cost: 8000, margin: 2000, marginPercent: 20 } });
+
+    expect(await backfillEntries()).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { migrateEntry } = require('../../src/scripts/migrate-payment-ledger');
+
+const userId = new mongoose.Types.ObjectId();
+
+// An entry stored with the fixed advance slots; its stored totals do not match their components
+const insertLegacyEntry = async (ownerData, extra = {}) => {
+  const { insertedId } = await TransportEntry.collection.insertOne({
+    id: 'TE-0001',
+    userId,
+    date: new Date('2024-05-10'),
+    vehicleNo: 'MH12AB1234',
+    from: 'Pune',
+    to: 'Mumbai',
+    transportBillData: { freight: 0, total: 5000, status: 'COMPLETED' },
+    ownerData: { lorryHireAmount: 4000, totalLorryHireRs: 4000, ...ownerData },
+    ...extra
+  });
+  return TransportEntry.collection.findOne({ _id: insertedId });
+};
+
+describe('migrateEntry', () => {
+  it('moves the advance slots into the ledger and removes them', async () => {
+    const raw = await insertLegacyEntry({
+      advAmt1: 1000, advDate1: new Date('2024-05-11'), neftImpsIdno1: 'UPI/4411',
+      advAmt2: 500, neftImpsIdno2: 'NEFT/22',
+      balanceAmt: 2500
+    });
+
+    expect(await migrateEntry(raw)).toBe(2);
+
+    const stored = await TransportEntry.collection.findOne({ _id: raw._id });
+    expect(stored.payments).toEqual([
+      expect.objectContaining({ amount: 1000, mode: 'UPI', reference: 'UPI/4411', type: 'ADVANCE' }),
+      expect.objectContaining({ amount: 500, mode: 'NEFT', reference: 'NEFT/22', type: 'ADVANCE' })
+    ]);
+    expect(stored.ownerData).not.toHaveProperty('advAmt1');
+    expect(stored.ownerData).not.toHaveProperty('neftImpsIdno2');
+  });
+
+  it('leaves stored totals and balances as they are', async () => {
+    const raw = await insertLegacyEntry({ advAmt1: 1000, balanceAmt: 3000 });
+
+    await migrateEntry(raw);
+
+    const stored = await TransportEntry.collection.findOne({ _id: raw._id });
+    expect(stored.transportBillData.total).toBe(5000);
+    expect(stored.ownerData.balanceAmt).toBe(3000);
+    expect(stored).not.toHaveProperty('profit');
+  });
+
+  it('migrates trashed entries', async () => {
+    const raw = await insertLegacyEntry({ advAmt1: 1000 }, { deletedAt: new Date() });
+
+    expect(await migrateEntry(raw)).toBe(1);
+    const stored = await TransportEntry.collection.findOne({ _id: raw._id });
+    expect(stored.payments).toHaveLength(1);
+  });
+
+  it('only removes the slots of entries that already have a ledger', async () => {
+    const raw = await insertLegacyEntry(
+      { advAmt1: 1000 },
+      { payments: [{ _id: new mongoose.Types.ObjectId(), amount: 700, mode: 'CASH', date: new Date() }] }
+    );
+
+    expect(await migrateEntry(raw)).toBe(0);
+    const stored = await TransportEntry.collection.findOne({ _id: raw._id });
+    expect(stored.payments).toEqual([expect.objectContaining({ amount: 700 })]);
+    expect(stored.ownerData).not.toHaveProperty('advAmt1');
+  });
+
+  it('keeps the slots of an entry whose payments are invalid', async () => {
+    const raw = await insertLegacyEntry({ advAmt1: 1000, neftImpsIdno1: 'N'.repeat(60) });
+
+    await expect(migrateEntry(raw)).rejects.toThrow('Payment reference cannot be more than 50 characters');
+    const stored = await TransportEntry.collection.findOne({ _id: raw._id });
+    expect(stored.ownerData.advAmt1).toBe(1000);
+    expect(stored).not.toHaveProperty('payments');
+  });
+});
@@ -0,0 +1,70 @@
+const { agingBucket, buildAgingReport } = require('../../src/utils/aging');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const asOf = new Date('2024-06-30T00:00:00Z');
+const daysBefore = (days) => new Date(asOf.getTime() - days * DAY_MS);
+
+describe('agingBucket', () => {
+  it('puts bills in 0-30, 31-60, 61-90 and 90+ day buckets', () => {
+    expect(agingBucket(0)).toBe('0-30');
+    expect(agingBucket(30)).toBe('0-30');
+    expect(agingBucket(31)).toBe('31-60');
+    expect(agingBucket(90)).toBe('61-90');
+    expect(agingBucket(91)).toBe('90+');
+  });
+});
+
+describe('buildAgingReport', () => {
+  const bills = [
+    { _id: 'a', id: 'E1', billDate: daysBefore(10), partyId: 'p1', partyName: 'Acme', outstanding: 1000 },
+    { _id: 'b', id: 'E2', billDate: daysBefore(45), partyId: 'p1', partyName: 'Acme', outstanding: 500.5 },
+    { _id: 'c', id: 'E3', billDate: daysBefore(120), partyName: 'Walk-in', outstanding: 2000 }
+  ];
+
+  it('totals each party and bucket, largest party first', () => {
+    const report = buildAgingReport(bills, { asOf });
+
+    expect(report.totals).toEqual({
+      '0-30': 1000,
+      '31-60': 500.5,
+      '61-90': 0,
+      '90+': 2000,
+      total: 3500.5,
+      onAccount: 0,
+      netOutstanding: 3500.5
+    });
+    expect(report.parties.map(row => row.name)).toEqual(['Walk-in', 'Acme']);
+    expect(report.parties[0].party).toBeNull();
+    expect(report.parties[1].buckets['31-60']).toBe(500.5);
+    expect(report.parties[1]).not.toHaveProperty('entries');
+  });
+
+  it('lists the entries behind each bucket on request', () => {
+    const report = buildAgingReport(bills, { asOf, detail: true });
+    const acme = report.parties.find(row => row.name === 'Acme');
+
+    expect(acme.entries).toEqual([
+      expect.objectContaining({ id: 'E1', ageDays: 10, bucket: '0-30' }),
+      expect.objectContaining({ id: 'E2', ageDays: 45, bucket: '31-60' })
+    ]);
+  });
+
+  it('shows money received on account next to the buckets', () => {
+    const report = buildAgingReport(bills, {
+      asOf,
+      onAccount: [
+        { partyId: 'p1', partyName: 'Acme', amount: 1200 },
+        { partyId: 'p2', partyName: 'Bright Agro', amount: 300 }
+      ]
+    });
+
+    expect(report.totals).toEqual(expect.objectContaining({ total: 3500.5, onAccount: 1500, netOutstanding: 2000.5 }));
+    expect(report.parties.map(row => [row.name, row.total, row.onAccount, row.netOutstanding])).toEqual([
+      ['Walk-in', 2000, 0, 2000],
+      ['Acme', 1500.5, 1200, 300.5],
+      ['Bright Agro', 0, 300, -300]
+    ]);
+    // On-account money is not aged
+    expect(report.parties[1].buckets['0-30']).toBe(1000);
+  });
+});
@@ -0,0 +1,23 @@
+const { amountInWords, numberToWords } = require('../../src/utils/amountInWords');
+
+describe('numberToWords', () => {
+  it('uses the Indian numbering system', () => {
+    expect(numberToWords(0)).toBe('Zero');
+    expect(numberToWords(115)).toBe('One Hundred Fifteen');
+    expect(numberToWords(12500)).toBe('Twelve Thousand Five Hundred');
+    expect(numberToWords(1234567)).toBe('Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven');
+    expect(numberToWords(25000000)).toBe('Two Crore Fifty Lakh');
+  });
+});
+
+describe('amountInWords', () => {
+  it('writes rupees and paise', () => {
+    expect(amountInWords(12500.5)).toBe('Rupees Twelve Thousand Five Hundred and Fifty Paise Only');
+    expect(amountInWords(1)).toBe('Rupees One Only');
+  });
+
+  it('writes zero and ignores the sign', () => {
+    expect(amountInWords(0)).toBe('Rupees Zero Only');
+    expect(amountInWords(-20)).toBe('Rupees Twenty Only');
+  });
+});
@@ -0,0 +1,92 @@
+const ExcelJS = require('exceljs');
+const {
+  detectImportFormat,
+  parseImportFile,
+  buildColumnMapping,
+  rowToEntryData
+} = require('../../src/utils/entryImport');
+
+describe('detectImportFormat', () => {
+  it('reads the format from the file name or MIME type', () => {
+    expect(detectImportFormat({ originalname: 'trips.CSV' })).toBe('csv');
+    expect(detectImportFormat({ originalname: 'upload', mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })).toBe('xlsx');
+    expect(detectImportFormat({ originalname: 'trips.pdf', mimetype: 'application/pdf' })).toBeNull();
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reads CSV rows under their headers and skips blank lines', async () => {
+    const csv = '﻿Vehicle No,From,To\nMH12AB1234,Pune,Mumbai\n\nMH14XY9876,Nashik,Surat\n';
+    const { headers, rows } = await parseImportFile(Buffer.from(csv), 'csv');
+
+    expect(headers).toEqual(['Vehicle No', 'From', 'To']);
+    expect(rows).toEqual([
+      { rowNumber: 2, values: { 'Vehicle No': 'MH12AB1234', From: 'Pune', To: 'Mumbai' } },
+      { rowNumber: 3, values: { 'Vehicle No': 'MH14XY9876', From: 'Nashik', To: 'Surat' } }
+    ]);
+  });
+
+  it('reads the first worksheet of an XLSX file with formula results', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Trips');
+    sheet.addRow(['Vehicle No', 'Freight', 'Total']);
+    sheet.addRow(['MH12AB1234', 10000, { formula: 'B2+500', result: 10500 }]);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const { rows } = await parseImportFile(Buffer.from(buffer), 'xlsx');
+    expect(rows).toEqual([{ rowNumber: 2, values: { 'Vehicle No': 'MH12AB1234', Freight: 10000, Total: 10500 } }]);
+  });
+});
+
+describe('buildColumnMapping', () => {
+  it('matches headers by key, header or alias and lists the rest', () => {
+    const { mapping, unmappedHeaders, errors } = buildColumnMapping(['Truck No', 'ownerData.lorryHireAmount', 'Bill - Freight', 'Notes']);
+
+    expect(mapping).toEqual({
+      'Truck No': 'vehicleNo',
+      'ownerData.lorryHireAmount': 'ownerData.lorryHireAmount',
+      'Bill - Freight': 'transportBillData.freight'
+    });
+    expect(unmappedHeaders).toEqual(['Notes']);
+    expect(errors).toEqual([]);
+  });
+
+  it('follows an explicit mapping and rejects computed or doubled columns', () => {
+    const { mapping, unmappedHeaders, errors } = buildColumnMapping(
+      ['Lorry', 'Truck No', 'Balance', 'Freight'],
+      { Lorry: 'vehicleNo', Balance: 'ownerData.balanceAmt', Freight: null }
+    );
+
+    expect(mapping).toEqual({ Lorry: 'vehicleNo', 'Truck No': 'vehicleNo' });
+    expect(unmappedHeaders).toEqual(['Freight']);
+    expect(errors).toEqual([
+      { header: 'Balance', message: '"ownerData.balanceAmt" is not an importable column' },
+      { header: 'Truck No', message: '"Truck No" and "Lorry" both map to vehicleNo' }
+    ]);
+  });
+});
+
+describe('rowToEntryData', () => {
+  it('builds nested entry data with parsed dates, numbers and lists', () => {
+    const mapping = {
+      Date: 'date',
+      Vehicle: 'vehicleNo',
+      Freight: 'transportBillData.freight',
+      Tags: 'tags',
+      Remarks: 'ownerData.remarks'
+    };
+    const data = rowToEntryData({ Date: '05/06/2024', Vehicle: ' mh12ab1234 ', Freight: 'Rs. 12,500', Tags: 'urgent; fragile', Remarks: '' }, mapping);
+
+    expect(data).toEqual({
+      date: '2024-06-05T00:00:00.000Z',
+      vehicleNo: 'mh12ab1234',
+      transportBillData: { freight: 12500 },
+      tags: ['urgent', 'fragile']
+    });
+  });
+
+  it('passes unreadable values through so validation reports them', () => {
+    const data = rowToEntryData({ Date: '31/02/2024', Freight: 'twelve' }, { Date: 'date', Freight: 'transportBillData.freight' });
+    expect(data).toEqual({ date: '31/02/2024', transportBillData: { freight: 'twelve' } });
+  });
+});
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const TransportEntry = require('../../src/models/TransportEntry');
+const { reconcileTotals, totalPaid, billingState, billedAmount, tripProfit } = require('../../src/utils/entryTotals');
+
+const userId = new mongoose.Types.ObjectId();
+
+const newEntry = (data) => new TransportEntry({
+  userId,
+  vehicleNo: 'MH12AB1234',
+  from: 'Pune',
+  to: 'Mumbai',
+  ...data
+});
+
+// An entry stored before totals were computed: its totals do not match their components
+const legacyEntry = () => ({
+  id: 'TE-0001',
+  userId,
+  date: new Date('2024-05-10'),
+  vehicleNo: 'MH12AB1234',
+  from: 'Pune',
+  to: 'Mumbai',
+  transportBillData: { freight: 0, total: 5000, status: 'PENDING' },
+  ownerData: { lorryHireAmount: 3000, totalLorryHireRs: 4000, balanceAmt: 4000 },
+  payments: []
+});
+
+describe('reconcileTotals', () => {
+  it('derives the totals from their components without warnings', () => {
+    const entry = newEntry({
+      transportBillData: { freight: 10000, handleCharges: 500, detention: 250 },
+      ownerData: { lorryHireAmount: 8000, otherChargesHamliDetentionHeight: 300, deductionAmt: 100 },
+      payments: [{ amount: 2000, date: new Date() }]
+    });
+
+    expect(reconcileTotals(entry)).toEqual([]);
+    expect(entry.transportBillData.total).toBe(10750);
+    expect(entry.ownerData.totalLorryHireRs).toBe(8300);
+    expect(totalPaid(entry)).toBe(2000);
+    expect(entry.ownerData.balanceAmt).toBe(6200);
+  });
+
+  it('replaces a supplied total that does not match and warns', () => {
+    const entry = newEntry({ transportBillData: { freight: 1000, total: 1500 } });
+    const warnings = reconcileTotals(entry);
+
+    expect(entry.transportBillData.total).toBe(1000);
+    expect(warnings).toEqual([expect.objectContaining({ field: 'transportBillData.total', supplied: 1500, expected: 1000 })]);
+  });
+
+  it('keeps a supplied total when totalsOverride is set', () => {
+    const entry = newEntry({ totalsOverride: true, transportBillData: { freight: 1000, total: 1500 } });
+    const warnings = reconcileTotals(entry);
+
+    expect(entry.transportBillData.total).toBe(1500);
+    expect(warnings[0].message).toMatch(/kept because totalsOverride is set/);
+  });
+
+  it('stores a negative balance as 0 and warns', () => {
+    const entry = newEntry({ ownerData: { lorryHireAmount: 1000, deductionAmt: 1500 } });
+    const warnings = reconcileTotals(entry);
+
+    expect(entry.ownerData.balanceAmt).toBe(0);
+    expect(warnings).toEqual([expect.objectContaining({ field: 'ownerData.balanceAmt', expected: -500 })]);
+  });
+
+  it('keeps untouched stored totals that do not match and warns', () => {
+    const entry = TransportEntry.hydrate(legacyEntry());
+    const warnings = reconcileTotals(entry);
+
+    expect(entry.transportBillData.total).toBe(5000);
+    expect(entry.ownerData.totalLorryHireRs).toBe(4000);
+    expect(entry.ownerData.balanceAmt).toBe(4000);
+    expect(warnings.map(warning => warning.field)).toEqual(['transportBillData.total', 'ownerData.totalLorryHireRs']);
+    expect(warnings[0].message).toMatch(/stored value kept/);
+  });
+
+  it('re-derives a stored total once one of its components changes', () => {
+    const entry = TransportEntry.hydrate(legacyEntry());
+    entry.set('ownerData.lorryHireAmount', 3500);
+    const warnings = reconcileTotals(entry);
+
+    expect(entry.transportBillData.total).toBe(5000);
+    expect(entry.ownerData.totalLorryHireRs).toBe(3500);
+    // The balance follows the re-derived lorry hire total
+    expect(entry.ownerData.balanceAmt).toBe(3500);
+    expect(warnings.map(warning => warning.field)).toEqual(['transportBillData.total']);
+  });
+});
+
+describe('stored entries', () => {
+  it('keeps legacy totals through a status change', async () => {
+    const { insertedId } = await TransportEntry.collection.insertOne(legacyEntry());
+    const entry = await TransportEntry.findById(insertedId);
+
+    entry.transitionStatus('IN_PROGRESS', { changedBy: userId });
+    await entry.save();
+
+    const stored = await TransportEntry.findById(insertedId).lean();
+    expect(stored.transportBillData.total).toBe(5000);
+    expect(stored.ownerData.totalLorryHireRs).toBe(4000);
+    expect(entry.$locals.warnings).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'transportBillData.total', supplied: 5000, expected: 0 })
+    ]));
+  });
+
+  it('re-derives the bill total when its freight is edited', async () => {
+    const { insertedId } = await TransportEntry.collection.insertOne(legacyEntry());
+    const entry = await TransportEntry.findById(insertedId);
+
+    entry.transportBillData.freight = 6000;
+    await entry.save();
+
+    const stored = await TransportEntry.findById(insertedId).lean();
+    expect(stored.transportBillData.total).toBe(6000);
+    expect(stored.ownerData.totalLorryHireRs).toBe(4000);
+  });
+});
+
+describe('billingState', () => {
+  it('is UNPAID until money is received', () => {
+    expect(billingState(1000, 0)).toBe('UNPAID');
+    expect(billingState(1000, undefined)).toBe('UNPAID');
+  });
+
+  it('is PARTIALLY_PAID while something is outstanding', () => {
+    expect(billingState(1000, 400)).toBe('PARTIALLY_PAID');
+  });
+
+  it('is PAID once the bill is covered, ignoring paise rounding', () => {
+    expect(billingState(1000, 1000)).toBe('PAID');
+    expect(billingState(1000, 999.995)).toBe('PAID');
+    expect(billingState(1000, 1200)).toBe('PAID');
+  });
+});
+
+describe('billedAmount', () => {
+  it('uses the GST grand total, or the plain total for entries without a GST mode', () => {
+    expect(billedAmount({ transportBillData: { total: 1000, gst: { mode: 'FORWARD', grandTotal: 1120 } } })).toBe(1120);
+    expect(billedAmount({ transportBillData: { total: 1000 } })).toBe(1000);
+  });
+});
+
+describe('tripProfit', () => {
+  it('takes lorry hire and broker commission off the bill total', () => {
+    const profit = tripProfit({
+      transportBillData: { total: 10500 },
+      ownerData: { totalLorryHireRs: 9800 },
+      broker: { commission: 1000 }
+    });
+    expect(profit).toEqual({ revenue: 10500, cost: 10800, margin: -300, marginPercent: -2.86 });
+  });
+
+  it('counts the taxable value of notes against the entry as revenue', () => {
+    const profit = tripProfit({
+      transportBillData: { total: 10000 },
+      ownerData: { totalLorryHireRs: 8000 },
+      billing: { adjustmentTaxableValue: -500 }
+    });
+    expect(profit.revenue).toBe(9500);
+    expect(profit.margin).toBe(1500);
+  });
+
+  it('has no margin percent without revenue', () => {
+    expect(tripProfit({ ownerData: { totalLorryHireRs: 500 } }))
+      .toEqual({ revenue: 0, cost: 500, margin: -500, marginPercent: null });
+  });
+});
@@ -0,0 +1,23 @@
+const { calculateFreight } = require('../../src/utils/freightRates');
+
+describe('calculateFreight', () => {
+  it('charges a fixed amount per trip', () => {
+    expect(calculateFreight({ basis: 'PER_TRIP', rate: 25000 }, { wtKgs: 9000 }))
+      .toEqual({ freight: 25000, quantity: 1, unit: 'trip' });
+  });
+
+  it('charges per tonne of weight', () => {
+    expect(calculateFreight({ basis: 'PER_TON', rate: 1200 }, { wtKgs: 9500 }))
+      .toEqual({ freight: 11400, quantity: 9.5, unit: 'ton' });
+  });
+
+  it('charges per package', () => {
+    expect(calculateFreight({ basis: 'PER_PACKAGE', rate: 35 }, { packages: '40' }))
+      .toEqual({ freight: 1400, quantity: 40, unit: 'package' });
+  });
+
+  it('never goes below the minimum freight', () => {
+    expect(calculateFreight({ basis: 'PER_TON', rate: 1200, minimumFreight: 5000 }, { wtKgs: 2000 }).freight).toBe(5000);
+    expect(calculateFreight({ basis: 'PER_TON', rate: 1200, minimumFreight: 5000 }).freight).toBe(5000);
+  });
+});
@@ -0,0 +1,99 @@
+const { calculateGst, getStateCode, roundAmount } = require('../../src/utils/gst');
+
+describe('calculateGst', () => {
+  it('splits an intra-state forward charge bill into CGST and SGST', () => {
+    const gst = calculateGst({
+      taxableValue: 10000,
+      supplierGstin: '27ABCDE1234F1Z5',
+      recipientGstin: '27PQRSX5678K1Z2',
+      mode: 'FORWARD',
+      rate: 12
+    });
+
+    expect(gst.supplyType).toBe('INTRA_STATE');
+    expect(gst.cgstRate).toBe(6);
+    expect(gst.sgstRate).toBe(6);
+    expect(gst.cgst).toBe(600);
+    expect(gst.sgst).toBe(600);
+    expect(gst.igst).toBe(0);
+    expect(gst.totalTax).toBe(1200);
+    expect(gst.grandTotal).toBe(11200);
+  });
+
+  it('charges IGST when the supplier and recipient states differ', () => {
+    const gst = calculateGst({
+      taxableValue: 10000,
+      supplierGstin: '27ABCDE1234F1Z5',
+      recipientGstin: '29PQRSX5678K1Z2',
+      mode: 'FORWARD',
+      rate: 12
+    });
+
+    expect(gst.supplyType).toBe('INTER_STATE');
+    expect(gst.igstRate).toBe(12);
+    expect(gst.igst).toBe(1200);
+    expect(gst.cgst + gst.sgst).toBe(0);
+  });
+
+  it('treats an unknown recipient state as intra-state', () => {
+    const gst = calculateGst({ taxableValue: 1000, supplierGstin: '27ABCDE1234F1Z5', mode: 'FORWARD', rate: 12 });
+    expect(gst.supplyType).toBe('INTRA_STATE');
+    expect(gst.recipientStateCode).toBeNull();
+  });
+
+  it('leaves the tax out of the grand total under reverse charge', () => {
+    const gst = calculateGst({ taxableValue: 10000, mode: 'RCM', rate: 5 });
+    expect(gst.totalTax).toBe(500);
+    expect(gst.grandTotal).toBe(10000);
+  });
+
+  it('falls back to the default rate of the mode', () => {
+    expect(calculateGst({ taxableValue: 100, mode: 'FORWARD' }).rate).toBe(12);
+    expect(calculateGst({ taxableValue: 100, mode: 'RCM' }).rate).toBe(5);
+  });
+
+  it('rounds each tax to paise', () => {
+    const gst = calculateGst({ taxableValue: 333.33, mode: 'FORWARD', rate: 12 });
+    expect(gst.cgst).toBe(20);
+    expect(gst.totalTax).toBe(40);
+  });
+});
+
+describe('getStateCode', () => {
+  it('reads the first two digits of a GSTIN', () => {
+    expect(getStateCode(' 29ABCDE1234F1Z5')).toBe('29');
+    expect(getStateCode('')).toBeNull();
+    expect(getStateCode('ABC')).toBeNull();
+  });
+});
+
+describe('roundAmount', () => {
+  it('rounds to two decimals and treats non-numbers as 0', () => {
+    expect(roundAmount(10.005)).toBe(10.01);
+    expect(roundAmount('12.345')).toBe(12.35);
+    expect(roundAmount(undefined)).toBe(0);
+  });
+});
+
+describe('gstConfig', () => {
+  const loadConfig = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    let config;
+    jest.isolateModules(() => {
+      ({ gstConfig: config } = require('../../src/config/gst'));
+    });
+    process.env = saved;
+    return config;
+  };
+
+  it('keeps a configured rate of 0', () => {
+    const config = loadConfig({ GST_RATE_RCM: '0', GST_RATE_FORWARD: '0' });
+    expect(config.rates).toEqual({ RCM: 0, FORWARD: 0 });
+  });
+
+  it('falls back to the default rates when unset or not a number', () => {
+    const config = loadConfig({ GST_RATE_RCM: '', GST_RATE_FORWARD: 'twelve' });
+    expect(config.rates).toEqual({ RCM: 5, FORWARD: 12 });
+  });
+});
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Counter = require('../../src/models/Counter');
+const TransportEntry = require('../../src/models/TransportEntry');
+const {
+  DEFAULT_NUMBERING,
+  getFinancialYear,
+  resolveScheme,
+  formatDocumentNumber,
+  parseSequence
+} = require('../../src/utils/numbering');
+
+describe('getFinancialYear', () => {
+  it('runs from April to March', () => {
+    expect(getFinancialYear(new Date(2024, 3, 1))).toBe('2024-25');
+    expect(getFinancialYear(new Date(2025, 2, 31))).toBe('2024-25');
+    expect(getFinancialYear(new Date(2099, 11, 31))).toBe('2099-00');
+  });
+});
+
+describe('resolveScheme', () => {
+  it('merges the user settings over the defaults', () => {
+    const user = { numbering: { lr: { prefix: 'DGT/{FYS}/LR/', padding: null } } };
+    expect(resolveScheme(user, 'lr')).toEqual({ ...DEFAULT_NUMBERING.lr, prefix: 'DGT/{FYS}/LR/' });
+    expect(resolveScheme(null, 'invoice')).toEqual(DEFAULT_NUMBERING.invoice);
+  });
+});
+
+describe('formatDocumentNumber', () => {
+  const date = new Date(2024, 5, 1);
+
+  it('expands the financial year tokens and pads the sequence', () => {
+    expect(formatDocumentNumber(DEFAULT_NUMBERING.entry, 7, date)).toBe('TE-FY2024-25-0007');
+    expect(formatDocumentNumber({ prefix: 'DGT/{FYS}/LR/', suffix: '/{FY}', padding: 3 }, 12, date))
+      .toBe('DGT/24-25/LR/012/2024-25');
+  });
+
+  it('lets the sequence outgrow the padding', () => {
+    expect(formatDocumentNumber(DEFAULT_NUMBERING.invoice, 12345, date)).toBe('INV/24-25/12345');
+  });
+});
+
+describe('parseSequence', () => {
+  const pattern = '^INV/24-25/(\\d+)$';
+
+  it('reads the sequence of a number in the format', () => {
+    expect(parseSequence('INV/24-25/0012', pattern)).toBe(12);
+    expect(parseSequence('INV/24-25/10000', pattern)).toBe(10000);
+  });
+
+  it('is 0 for numbers in another format', () => {
+    expect(parseSequence('INV/23-24/0012', pattern)).toBe(0);
+    expect(parseSequence(undefined, pattern)).toBe(0);
+  });
+});
+
+describe('Counter.reserve', () => {
+  it('reserves consecutive ranges', async () => {
+    expect(await Counter.reserve('test:ranges', 5)).toBe(1);
+    expect(await Counter.reserve('test:ranges', 2)).toBe(6);
+    expect(await Counter.next('test:ranges')).toBe(8);
+  });
+
+  it('starts a new counter above its seed', async () => {
+    expect(await Counter.next('test:seeded', async () => 41)).toBe(42);
+    // The seed only applies to a counter that does not exist yet
+    expect(await Counter.next('test:seeded', async () => 100)).toBe(43);
+  });
+
+  it('hands out distinct numbers to concurrent callers', async () => {
+    const numbers = await Promise.all(Array.from({ length: 20 }, () => Counter.next('test:concurrent')));
+    expect(new Set(numbers).size).toBe(20);
+    expect(Math.max(...numbers)).toBe(20);
+  });
+});
+
+describe('entry IDs', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const date = new Date('2024-06-10');
+  const newEntry = () => ({ userId, date, vehicleNo: 'MH12AB1234', from: 'Pune', to: 'Mumbai' });
+
+  it('numbers entries created at the same time without duplicates', async () => {
+    const entries = await Promise.all(Array.from({ length: 10 }, () => TransportEntry.create(newEntry())));
+    const ids = entries.map(entry => entry.id);
+
+    expect(new Set(ids).size).toBe(10);
+    expect(ids.sort()[0]).toBe('TE-FY2024-25-0001');
+  });
+
+  it('continues after the numerically highest stored ID', async () => {
+    await TransportEntry.collection.insertMany([
+      { ...newEntry(), id: 'TE-FY2024-25-9999' },
+      { ...newEntry(), id: 'TE-FY2024-25-10000', deletedAt: new Date() }
+    ]);
+
+    const entry = await TransportEntry.create(newEntry());
+    expect(entry.id).toBe('TE-FY2024-25-10001');
+  });
+
+  it('reserves a range of IDs for bulk creation', async () => {
+    const ids = await TransportEntry.reserveIds(userId, date, 3);
+    expect(ids).toEqual(['TE-FY2024-25-0001', 'TE-FY2024-25-0002', 'TE-FY2024-25-0003']);
+  });
+
+  it('numbers each user\'s entries separately', async () => {
+    const first = await TransportEntry.create(newEntry());
+    const second = await TransportEntry.create({ ...newEntry(), userId: new mongoose.Types.ObjectId() });
+    expect([first.id, second.id]).toEqual(['TE-FY2024-25-0001', 'TE-FY2024-25-0001']);
+  });
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const RateCard = require('../../src/models/RateCard');
+
+describe('RateCard.findBest', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const lane = new mongoose.Types.ObjectId();
+  const party = new mongoose.Types.ObjectId();
+
+  const createCard = (notes, fields = {}) => RateCard.create({
+    userId,
+    lane,
+    notes,
+    basis: 'PER_TRIP',
+    rate: 20000,
+    validFrom: new Date('2024-04-01'),
+    ...fields
+  });
+
+  it('needs a lane', async () => {
+    await createCard('default');
+    await expect(RateCard.findBest(userId, { party })).resolves.toBeNull();
+  });
+
+  it('prefers a party card over a vehicle type card over the default card', async () => {
+    await createCard('default');
+    await createCard('vehicle type', { vehicleType: '32ft' });
+    await createCard('party', { party });
+    await createCard('party and vehicle type', { party, vehicleType: '32FT' });
+
+    expect((await RateCard.findBest(userId, { party, lane, vehicleType: ' 32ft ' })).notes).toBe('party and vehicle type');
+    expect((await RateCard.findBest(userId, { party, lane, vehicleType: '20FT' })).notes).toBe('party');
+    expect((await RateCard.findBest(userId, { lane, vehicleType: '32FT' })).notes).toBe('vehicle type');
+    expect((await RateCard.findBest(userId, { lane })).notes).toBe('default');
+  });
+
+  it('takes the most recent card among equals', async () => {
+    await createCard('older', { validFrom: new Date('2024-04-01') });
+    await createCard('newer', { validFrom: new Date('2024-07-01') });
+
+    expect((await RateCard.findBest(userId, { lane, date: new Date('2024-08-01') })).notes).toBe('newer');
+    expect((await RateCard.findBest(userId, { lane, date: new Date('2024-06-01') })).notes).toBe('older');
+  });
+
+  it('skips expired, inactive and other users\' cards', async () => {
+    await createCard('expired', { validTo: new Date('2024-05-31') });
+    await createCard('inactive', { isActive: false });
+    await createCard('other user', { userId: new mongoose.Types.ObjectId() });
+    await createCard('other party', { party: new mongoose.Types.ObjectId() });
+
+    await expect(RateCard.findBest(userId, { party, lane, date: new Date('2024-06-01') })).resolves.toBeNull();
+    expect((await RateCard.findBest(userId, { lane, date: new Date('2024-05-31') })).notes).toBe('expired');
+  });
+
+  it('stores an empty vehicle type as any vehicle', async () => {
+    const card = await createCard('blank type', { vehicleType: '' });
+    expect(card.vehicleType).toBeNull();
+  });
+});
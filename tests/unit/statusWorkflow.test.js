@@ -0,0 +1,35 @@
+const { checkTransition, availableTransitions } = require('../../src/utils/statusWorkflow');
+
+describe('checkTransition', () => {
+  it('allows the normal forward moves', () => {
+    expect(checkTransition('PENDING', 'IN_PROGRESS')).toEqual({ allowed: true });
+    expect(checkTransition('IN_PROGRESS', 'COMPLETED')).toEqual({ allowed: true });
+    expect(checkTransition('IN_PROGRESS', 'PENDING')).toEqual({ allowed: true });
+  });
+
+  it('rejects unknown and unchanged statuses', () => {
+    expect(checkTransition('PENDING', 'LOST').allowed).toBe(false);
+    expect(checkTransition('PENDING', 'PENDING').error).toBe('Entry is already PENDING');
+  });
+
+  it('needs a reason to cancel', () => {
+    expect(checkTransition('PENDING', 'CANCELLED').error).toBe('A reason is required to mark an entry CANCELLED');
+    expect(checkTransition('PENDING', 'CANCELLED', { reason: 'Customer called off' })).toEqual({ allowed: true });
+  });
+
+  it('only leaves a closed status through a reopen with a reason', () => {
+    expect(checkTransition('COMPLETED', 'IN_PROGRESS').error)
+      .toBe('Cannot change status from COMPLETED to IN_PROGRESS without an explicit reopen action');
+    expect(checkTransition('COMPLETED', 'IN_PROGRESS', { reopen: true }).error)
+      .toBe('A reason is required to reopen an entry');
+    expect(checkTransition('COMPLETED', 'IN_PROGRESS', { reopen: true, reason: 'Wrong POD' })).toEqual({ allowed: true });
+    expect(checkTransition('COMPLETED', 'PENDING', { reopen: true, reason: 'x' }).allowed).toBe(false);
+  });
+});
+
+describe('availableTransitions', () => {
+  it('lists normal and reopen targets', () => {
+    expect(availableTransitions('CANCELLED')).toEqual({ transitions: [], reopen: ['PENDING', 'IN_PROGRESS'] });
+    expect(availableTransitions('PENDING').transitions).toEqual(['IN_PROGRESS', 'CANCELLED']);
+  });
+});